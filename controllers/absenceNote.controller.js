@@ -0,0 +1,416 @@
+const AbsenceNote = require('../models/AbsenceNote');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const AcademicYear = require('../models/AcademicYear');
+const { loadCalendar } = require('../utils/calendarHelpers');
+
+// Roles that can act on absence notes for any class
+const REVIEWER_ROLES = ['admin', 'principal', 'vice-principal'];
+
+// Helper function to notify users about an absence note without failing the request
+const notifyUsers = async (userIds, note, title, message) => {
+  try {
+    await Notification.insertMany(userIds.map(userId => ({
+      user: userId,
+      type: 'attendance',
+      title,
+      message: message.substring(0, 500),
+      relatedEntity: {
+        entityType: 'AbsenceNote',
+        entityId: note._id
+      }
+    })));
+  } catch (error) {
+    console.error('Error sending absence note notifications:', error);
+  }
+};
+
+// Helper function to describe the dates an absence note covers
+const describeDays = (note) => note.absenceDays.length === 1
+  ? note.absenceDays[0]
+  : `${note.absenceDays[0]} to ${note.absenceDays[note.absenceDays.length - 1]}`;
+
+// Helper function to check whether a user may see (and, for teachers, review) a note
+// Returns an error message, or null when access is allowed
+const checkNoteAccess = async (user, note) => {
+  if (REVIEWER_ROLES.includes(user.role)) return null;
+
+  if (user.role === 'student') {
+    return note.submittedBy.toString() === user.id
+      ? null
+      : 'Not authorized to access this absence note';
+  }
+
+  if (user.role === 'teacher') {
+    const teacher = await Teacher.findOne({ user: user.id });
+    return teacher && teacher.classes && teacher.classes.includes(note.class)
+      ? null
+      : 'You can only access absence notes for your assigned classes';
+  }
+
+  return 'Not authorized to access this absence note';
+};
+
+// @desc    Submit an absence note for the logged-in student
+// @route   POST /api/absence-notes
+// @access  Private/Student
+exports.submitAbsenceNote = async (req, res) => {
+  try {
+    const { startDate, reason, guardianName } = req.body;
+    const endDate = req.body.endDate || startDate;
+
+    if (!startDate || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide startDate and reason'
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user.id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'No student profile found for this user'
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid start and end dates'
+      });
+    }
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date cannot be before the start date'
+      });
+    }
+
+    // Holidays and weekly off days need no note
+    const calendar = await loadCalendar(start, end);
+    const absenceDays = calendar.workingDays(start, end);
+    if (absenceDays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected dates have no working days'
+      });
+    }
+
+    const overlapping = await AbsenceNote.findOne({
+      student: student._id,
+      status: { $in: ['pending', 'accepted'] },
+      absenceDays: { $in: absenceDays }
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `These dates overlap an absence note that is already ${overlapping.status}`,
+        data: overlapping
+      });
+    }
+
+    const note = await AbsenceNote.create({
+      student: student._id,
+      class: student.class,
+      section: student.section,
+      startDate: start,
+      endDate: end,
+      absenceDays,
+      reason,
+      guardianName: guardianName || student.parentInfo?.guardianName || student.parentInfo?.fatherName,
+      attachmentFile: req.cloudinaryUrl,
+      attachmentPublicId: req.cloudinaryPublicId,
+      submittedBy: req.user.id
+    });
+
+    // Route the note to the student's class teachers
+    const classTeachers = await Teacher.find({ classes: student.class, isActive: true }).select('user');
+    await notifyUsers(
+      classTeachers.map(teacher => teacher.user),
+      note,
+      'New Absence Note',
+      `${req.user.name} (Class ${student.class}${student.section ? ` ${student.section}` : ''}, Roll No ${student.rollNumber}) submitted an absence note for ${describeDays(note)}: ${reason}`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: note
+    });
+  } catch (err) {
+    console.error('Error submitting absence note:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get absence notes
+// @route   GET /api/absence-notes
+// @access  Private/Admin,Principal,Vice-Principal,Teacher,Student
+exports.getAbsenceNotes = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.section) query.section = req.query.section;
+
+    if (req.user.role === 'student') {
+      // Students only see the notes they submitted
+      query.submittedBy = req.user.id;
+    } else if (req.user.role === 'teacher') {
+      // Teachers see the notes of their assigned classes
+      const teacher = await Teacher.findOne({ user: req.user.id });
+      const classes = teacher && teacher.classes ? teacher.classes : [];
+
+      if (req.query.class && !classes.includes(req.query.class)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only access absence notes for your assigned classes'
+        });
+      }
+      query.class = req.query.class || { $in: classes };
+    } else if (req.query.class) {
+      query.class = req.query.class;
+    }
+
+    const notes = await AbsenceNote.find(query)
+      .populate({
+        path: 'student',
+        select: 'rollNumber class section user',
+        populate: {
+          path: 'user',
+          select: 'name email'
+        }
+      })
+      .populate('reviewedBy', 'name role')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single absence note
+// @route   GET /api/absence-notes/:id
+// @access  Private/Admin,Principal,Vice-Principal,Teacher,Student
+exports.getAbsenceNote = async (req, res) => {
+  try {
+    const note = await AbsenceNote.findById(req.params.id)
+      .populate({
+        path: 'student',
+        select: 'rollNumber class section user parentInfo',
+        populate: {
+          path: 'user',
+          select: 'name email'
+        }
+      })
+      .populate('reviewedBy', 'name role');
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: `No absence note found with id ${req.params.id}`
+      });
+    }
+
+    const accessError = await checkNoteAccess(req.user, note);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: note
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Accept an absence note and mark the student on leave for its days
+// @route   PUT /api/absence-notes/:id/accept
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.acceptAbsenceNote = async (req, res) => {
+  try {
+    const note = await AbsenceNote.findById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: `No absence note found with id ${req.params.id}`
+      });
+    }
+
+    const accessError = await checkNoteAccess(req.user, note);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    if (note.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This absence note has already been ${note.status}`
+      });
+    }
+
+    const remarks = `Absence note: ${note.reason}`;
+
+    // Records are upserted through bulkWrite, which does not check the schema
+    const fieldError = Attendance.checkFields({ status: 'leave', remarks, userType: 'student' });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError.message
+      });
+    }
+
+    // Daily attendance for each day of the note
+    const academicYears = await AcademicYear.mapDays(note.absenceDays);
+    await Attendance.bulkWrite(note.absenceDays.map(day => {
+      const [year, month, date] = day.split('-').map(Number);
+
+      return {
+        updateOne: {
+          filter: {
+            userId: note.student,
+            userModel: 'Student',
+            day,
+            period: null
+          },
+          update: {
+            $set: {
+              status: 'leave',
+              remarks,
+              recordedBy: req.user.id
+            },
+            $setOnInsert: {
+              userType: 'student',
+              date: new Date(year, month - 1, date),
+              academicYear: academicYears.get(day)
+            }
+          },
+          upsert: true
+        }
+      };
+    }));
+
+    // Lessons already marked on those days
+    await Attendance.updateMany(
+      {
+        userId: note.student,
+        userModel: 'Student',
+        day: { $in: note.absenceDays },
+        period: { $ne: null }
+      },
+      { status: 'leave', remarks }
+    );
+
+    note.status = 'accepted';
+    note.reviewedBy = req.user.id;
+    note.reviewedAt = Date.now();
+    note.reviewRemarks = req.body.remarks;
+    await note.save();
+
+    await notifyUsers(
+      [note.submittedBy],
+      note,
+      'Absence Note Accepted',
+      `Your absence note for ${describeDays(note)} has been accepted and marked as leave.`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: note
+    });
+  } catch (err) {
+    console.error('Error accepting absence note:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Reject an absence note
+// @route   PUT /api/absence-notes/:id/reject
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.rejectAbsenceNote = async (req, res) => {
+  try {
+    const note = await AbsenceNote.findById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: `No absence note found with id ${req.params.id}`
+      });
+    }
+
+    const accessError = await checkNoteAccess(req.user, note);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    if (note.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This absence note has already been ${note.status}`
+      });
+    }
+
+    if (!req.body.remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejecting the note'
+      });
+    }
+
+    note.status = 'rejected';
+    note.reviewedBy = req.user.id;
+    note.reviewedAt = Date.now();
+    note.reviewRemarks = req.body.remarks;
+    await note.save();
+
+    await notifyUsers(
+      [note.submittedBy],
+      note,
+      'Absence Note Rejected',
+      `Your absence note for ${describeDays(note)} was rejected: ${req.body.remarks}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: note
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -0,0 +1,300 @@
+const AcademicYear = require('../models/AcademicYear');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const Fee = require('../models/Fee');
+const Attendance = require('../models/Attendance');
+const Salary = require('../models/Salary');
+const { tagRecords, enrollUnassignedStudents } = require('../utils/academicYearHelpers');
+
+// Helper function to find another academic year overlapping a date range
+const findOverlappingYear = (startDate, endDate, excludeId = null) => {
+  const query = { startDate: { $lte: endDate }, endDate: { $gte: startDate } };
+  if (excludeId) query._id = { $ne: excludeId };
+  return AcademicYear.findOne(query);
+};
+
+// Helper function to make a year the only current one and enrol students
+// who have no academic year in it
+const makeCurrent = async (year) => {
+  await AcademicYear.updateMany({ _id: { $ne: year._id }, isCurrent: true }, { isCurrent: false });
+  if (!year.isCurrent) {
+    year.isCurrent = true;
+    await year.save();
+  }
+  return enrollUnassignedStudents(year);
+};
+
+// @desc    Get all academic years, latest first
+// @route   GET /api/academic-years
+// @access  Private
+exports.getAcademicYears = async (req, res) => {
+  try {
+    const years = await AcademicYear.find().sort('-startDate');
+
+    res.status(200).json({
+      success: true,
+      count: years.length,
+      data: years
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get the current academic year
+// @route   GET /api/academic-years/current
+// @access  Private
+exports.getCurrentAcademicYear = async (req, res) => {
+  try {
+    const year = await AcademicYear.getCurrent();
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'No current academic year has been set'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: year
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single academic year with its enrolment counts
+// @route   GET /api/academic-years/:id
+// @access  Private
+exports.getAcademicYear = async (req, res) => {
+  try {
+    const year = await AcademicYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: `No academic year found with id ${req.params.id}`
+      });
+    }
+
+    const counts = await Enrollment.aggregate([
+      { $match: { academicYear: year._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...year.toObject(),
+        enrollments: counts.reduce((totals, { _id, count }) => ({ ...totals, [_id]: count }), {})
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get the enrolments of an academic year
+// @route   GET /api/academic-years/:id/enrollments?class=&section=&status=
+// @access  Private/Admin,Principal,VicePrincipal,Teacher
+exports.getYearEnrollments = async (req, res) => {
+  try {
+    const query = { academicYear: req.params.id };
+    if (req.query.class) query.class = req.query.class;
+    if (req.query.section) query.section = req.query.section;
+    if (req.query.status) query.status = req.query.status;
+
+    const enrollments = await Enrollment.find(query)
+      .populate({ path: 'student', select: 'rollNumber class section isActive', populate: { path: 'user', select: 'name' } })
+      .sort({ class: 1, section: 1, rollNumber: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: enrollments.length,
+      data: enrollments
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Create academic year
+// @route   POST /api/academic-years
+// @access  Private/Admin,Principal
+exports.createAcademicYear = async (req, res) => {
+  try {
+    const year = new AcademicYear({
+      name: req.body.name,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      createdBy: req.user.id
+    });
+    await year.validate();
+
+    const overlapping = await findOverlappingYear(year.startDate, year.endDate);
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `These dates overlap academic year ${overlapping.name}`
+      });
+    }
+
+    await year.save();
+
+    // Records already entered for these dates now belong to the year
+    const tagged = await tagRecords(year);
+
+    // The first year set up becomes current
+    let enrolled = 0;
+    if (req.body.isCurrent === true || !(await AcademicYear.exists({ _id: { $ne: year._id } }))) {
+      enrolled = await makeCurrent(year);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: year,
+      tagged,
+      enrolled
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update academic year
+// @route   PUT /api/academic-years/:id
+// @access  Private/Admin,Principal
+exports.updateAcademicYear = async (req, res) => {
+  try {
+    const year = await AcademicYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: `No academic year found with id ${req.params.id}`
+      });
+    }
+
+    ['name', 'startDate', 'endDate'].forEach(field => {
+      if (req.body[field] !== undefined) year[field] = req.body[field];
+    });
+    const datesChanged = year.isModified('startDate') || year.isModified('endDate');
+    await year.validate();
+
+    if (datesChanged) {
+      const overlapping = await findOverlappingYear(year.startDate, year.endDate, year._id);
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message: `These dates overlap academic year ${overlapping.name}`
+        });
+      }
+    }
+
+    await year.save();
+    const tagged = datesChanged ? await tagRecords(year) : null;
+
+    res.status(200).json({
+      success: true,
+      data: year,
+      tagged
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Make an academic year the current one
+// @route   PUT /api/academic-years/:id/set-current
+// @access  Private/Admin,Principal
+exports.setCurrentAcademicYear = async (req, res) => {
+  try {
+    const year = await AcademicYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: `No academic year found with id ${req.params.id}`
+      });
+    }
+
+    const enrolled = await makeCurrent(year);
+
+    res.status(200).json({
+      success: true,
+      data: year,
+      enrolled
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete an academic year that has no enrolments
+// @route   DELETE /api/academic-years/:id
+// @access  Private/Admin
+exports.deleteAcademicYear = async (req, res) => {
+  try {
+    const year = await AcademicYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: `No academic year found with id ${req.params.id}`
+      });
+    }
+
+    if (year.isCurrent) {
+      return res.status(400).json({
+        success: false,
+        message: 'The current academic year cannot be deleted. Make another year current first'
+      });
+    }
+
+    if (await Enrollment.exists({ academicYear: year._id }) || await Student.exists({ academicYear: year._id })) {
+      return res.status(400).json({
+        success: false,
+        message: `Students are enrolled in ${year.name}, so it cannot be deleted`
+      });
+    }
+
+    await Promise.all([
+      Fee.updateMany({ academicYear: year._id }, { academicYear: null }, { timestamps: false }),
+      Attendance.updateMany({ academicYear: year._id }, { academicYear: null }, { timestamps: false }),
+      Salary.updateMany({ academicYear: year._id }, { academicYear: null }, { timestamps: false })
+    ]);
+    await year.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -0,0 +1,632 @@
+const AdmissionApplication = require('../models/AdmissionApplication');
+const AcademicYear = require('../models/AcademicYear');
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createStudentAccount } = require('./student.controller');
+const { nextApplicationNumber, nextRollNumber } = require('../utils/documentNumbers');
+const { loadSchoolBranding } = require('../utils/pdfHelpers');
+const { deleteImage } = require('../middleware/uploadMiddleware');
+const sendEmail = require('../utils/sendEmail');
+
+// Helper function to generate a temporary password for a new student login
+const generatePassword = () => {
+  return Math.random().toString(36).slice(-8);
+};
+
+// Helper function to describe an application's applicant
+const describeApplicant = (application) =>
+  `${application.firstName} ${application.lastName} (${application.applicationNumber}, Class ${application.class})`;
+
+// Helper function to notify admissions staff without failing the request
+const notifyAdmissionsStaff = async (application, title, message) => {
+  try {
+    const users = await User.find({
+      role: { $in: ['admin', 'principal', 'vice-principal'] },
+      isApproved: true,
+      status: 'active'
+    }).select('_id');
+
+    await Notification.insertMany(users.map(user => ({
+      user: user._id,
+      type: 'admission',
+      title,
+      message: message.substring(0, 500),
+      relatedEntity: {
+        entityType: 'AdmissionApplication',
+        entityId: application._id
+      }
+    })));
+  } catch (error) {
+    console.error('Error sending admission notifications:', error);
+  }
+};
+
+// Helper function to email the applicant's parent, if they gave an email address
+// Applicants have no login, so email is the only way to reach them
+const emailApplicant = async (application, subject, text) => {
+  if (!application.parentInfo?.email) return;
+
+  try {
+    const branding = await loadSchoolBranding();
+    await sendEmail({
+      to: application.parentInfo.email,
+      subject: `${subject} - ${branding.name}`,
+      text: `Dear Parent/Guardian,\n\n${text}\n\nApplication number: ${application.applicationNumber}\n\n${branding.name}`
+    });
+  } catch (error) {
+    console.error(`Error emailing applicant ${application.applicationNumber}:`, error.message);
+  }
+};
+
+// Helper function to remove uploaded documents when an application is refused
+const discardUploads = async (req) => {
+  for (const file of req.cloudinaryFiles || []) {
+    await deleteImage(file.publicId);
+  }
+};
+
+// @desc    Submit an admission application
+// @route   POST /api/admissions/apply
+// @access  Public
+exports.submitApplication = async (req, res) => {
+  try {
+    const { firstName, middleName, lastName, dateOfBirth, gender, previousSchool, address, parentInfo } = req.body;
+
+    // Once classes are set up, applicants must pick one of them
+    let className = Class.normalizeName(req.body.class);
+    if (className && await Class.exists({})) {
+      const cls = await Class.findByName(className);
+      if (!cls) {
+        await discardUploads(req);
+        return res.status(400).json({
+          success: false,
+          message: `Class ${className} is not open for admission`
+        });
+      }
+      className = cls.name;
+    }
+
+    const currentYear = await AcademicYear.getCurrent();
+
+    const application = new AdmissionApplication({
+      applicationNumber: await nextApplicationNumber(),
+      firstName,
+      middleName,
+      lastName,
+      dateOfBirth,
+      gender,
+      class: className,
+      previousSchool,
+      address,
+      parentInfo,
+      documents: (req.cloudinaryFiles || []).map(file => ({
+        url: file.url,
+        publicId: file.publicId,
+        name: file.name
+      })),
+      academicYear: currentYear ? currentYear._id : null
+    });
+    application.moveTo('submitted', null, 'Application submitted online');
+    await application.save();
+
+    await notifyAdmissionsStaff(
+      application,
+      'New Admission Application',
+      `New application from ${describeApplicant(application)}.`
+    );
+
+    await emailApplicant(
+      application,
+      'Application Received',
+      `We have received the admission application for ${application.firstName} ${application.lastName} (Class ${application.class}). We will contact you about the next steps.`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Your application has been submitted. Please keep your application number to track it.',
+      data: {
+        applicationNumber: application.applicationNumber,
+        status: application.status
+      }
+    });
+  } catch (err) {
+    await discardUploads(req);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Track an application's progress
+// @route   GET /api/admissions/track?applicationNumber=&dateOfBirth=
+// @access  Public
+exports.trackApplication = async (req, res) => {
+  try {
+    const { applicationNumber, dateOfBirth } = req.query;
+
+    if (!applicationNumber || !dateOfBirth) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the application number and date of birth'
+      });
+    }
+
+    const application = await AdmissionApplication.findOne({ applicationNumber: String(applicationNumber).trim() });
+    const born = new Date(dateOfBirth);
+
+    // The date of birth is checked so application numbers cannot simply be guessed
+    if (!application || isNaN(born.getTime()) ||
+        application.dateOfBirth.toISOString().slice(0, 10) !== born.toISOString().slice(0, 10)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No application found with these details'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applicationNumber: application.applicationNumber,
+        name: `${application.firstName} ${application.lastName}`,
+        class: application.class,
+        status: application.status,
+        assessment: application.status === 'test-scheduled' ? {
+          type: application.assessment.type,
+          scheduledAt: application.assessment.scheduledAt,
+          location: application.assessment.location,
+          instructions: application.assessment.instructions
+        } : null,
+        submittedAt: application.createdAt
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get admission applications with a count per stage
+// @route   GET /api/admissions?status=&class=&search=
+// @access  Private/Admin,Principal,Vice-Principal
+exports.getApplications = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.class) query.class = Class.normalizeName(req.query.class);
+    if (req.query.academicYear) query.academicYear = req.query.academicYear;
+    await AcademicYear.resolveQueryFilter(query);
+
+    if (req.query.search) {
+      const search = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { applicationNumber: search },
+        { firstName: search },
+        { lastName: search },
+        { 'parentInfo.fatherName': search },
+        { 'parentInfo.contactNumber': search }
+      ];
+    }
+
+    const [applications, counts] = await Promise.all([
+      AdmissionApplication.find(query)
+        .select('-history')
+        .populate('student', 'rollNumber class section')
+        .sort('-createdAt'),
+      AdmissionApplication.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      stages: AdmissionApplication.ADMISSION_STAGES.reduce((totals, stage) => ({
+        ...totals,
+        [stage]: counts.find(count => count._id === stage)?.count || 0
+      }), {}),
+      data: applications
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single admission application
+// @route   GET /api/admissions/:id
+// @access  Private/Admin,Principal,Vice-Principal
+exports.getApplication = async (req, res) => {
+  try {
+    const application = await AdmissionApplication.findById(req.params.id)
+      .populate('history.changedBy', 'name role')
+      .populate('assessment.scheduledBy', 'name role')
+      .populate({ path: 'student', select: 'rollNumber class section user', populate: { path: 'user', select: 'name email' } });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No admission application found with id ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Move an application to another stage (review, accept, reject, reopen)
+// @route   PUT /api/admissions/:id/status
+// @access  Private/Admin,Principal,Vice-Principal
+exports.updateApplicationStatus = async (req, res) => {
+  try {
+    const application = await AdmissionApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No admission application found with id ${req.params.id}`
+      });
+    }
+
+    const { status, remarks } = req.body;
+
+    if (status === 'test-scheduled' || status === 'enrolled') {
+      return res.status(400).json({
+        success: false,
+        message: status === 'enrolled'
+          ? 'Use the enrol action to convert an accepted applicant into a student'
+          : 'Use the schedule action to set the interview or test'
+      });
+    }
+
+    if (!application.canMoveTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `An application that is ${application.status} cannot be moved to ${status}`
+      });
+    }
+
+    if (status === 'rejected' && !remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejecting the application'
+      });
+    }
+
+    application.moveTo(status, req.user.id, remarks);
+    await application.save();
+
+    if (status === 'accepted') {
+      await emailApplicant(
+        application,
+        'Application Accepted',
+        `We are pleased to inform you that ${application.firstName} ${application.lastName} has been accepted for admission to Class ${application.class}. The school office will contact you to complete the enrolment.`
+      );
+    } else if (status === 'rejected') {
+      await emailApplicant(
+        application,
+        'Application Update',
+        `We regret that we are unable to offer ${application.firstName} ${application.lastName} admission to Class ${application.class} at this time.${remarks ? `\n\n${remarks}` : ''}`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Schedule (or reschedule) an interview or entrance test
+// @route   PUT /api/admissions/:id/schedule
+// @access  Private/Admin,Principal,Vice-Principal
+exports.scheduleAssessment = async (req, res) => {
+  try {
+    const application = await AdmissionApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No admission application found with id ${req.params.id}`
+      });
+    }
+
+    if (!['under-review', 'test-scheduled'].includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only applications under review can be scheduled; this one is ${application.status}`
+      });
+    }
+
+    const { type, location, instructions } = req.body;
+    const scheduledAt = new Date(req.body.scheduledAt);
+
+    if (!['interview', 'test'].includes(type) || isNaN(scheduledAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the type (interview or test) and a valid date and time'
+      });
+    }
+
+    if (scheduledAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The interview or test must be scheduled in the future'
+      });
+    }
+
+    const rescheduled = application.status === 'test-scheduled';
+    application.assessment = {
+      type,
+      scheduledAt,
+      location,
+      instructions,
+      result: 'pending',
+      scheduledBy: req.user.id
+    };
+    application.moveTo(
+      'test-scheduled',
+      req.user.id,
+      `${rescheduled ? 'Rescheduled' : 'Scheduled'} ${type} for ${scheduledAt.toLocaleString('en-GB')}`
+    );
+    await application.save();
+
+    await emailApplicant(
+      application,
+      rescheduled ? `Admission ${type} rescheduled` : `Admission ${type} scheduled`,
+      `The admission ${type} for ${application.firstName} ${application.lastName} is ${rescheduled ? 'now ' : ''}scheduled for ${scheduledAt.toLocaleString('en-GB')}${location ? ` at ${location}` : ''}.${instructions ? `\n\n${instructions}` : ''}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Record the outcome of the interview or test
+// @route   PUT /api/admissions/:id/assessment
+// @access  Private/Admin,Principal,Vice-Principal
+exports.recordAssessmentResult = async (req, res) => {
+  try {
+    const application = await AdmissionApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No admission application found with id ${req.params.id}`
+      });
+    }
+
+    if (application.status !== 'test-scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'No interview or test is scheduled for this application'
+      });
+    }
+
+    const { result, score, remarks } = req.body;
+    if (!['passed', 'failed', 'absent'].includes(result)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Result must be passed, failed or absent'
+      });
+    }
+
+    application.assessment.result = result;
+    application.assessment.score = score;
+    application.assessment.remarks = remarks;
+    application.history.push({
+      status: application.status,
+      remarks: `${application.assessment.type === 'test' ? 'Test' : 'Interview'} ${result}${score !== undefined && score !== '' ? ` (score ${score})` : ''}${remarks ? `: ${remarks}` : ''}`,
+      changedBy: req.user.id
+    });
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Enrol an accepted applicant: create their login and student record,
+//          assign a roll number and bill the first fee
+// @route   POST /api/admissions/:id/enroll
+// @access  Private/Admin,Principal
+exports.enrollApplicant = async (req, res) => {
+  try {
+    const application = await AdmissionApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No admission application found with id ${req.params.id}`
+      });
+    }
+
+    if (application.status !== 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: application.status === 'enrolled'
+          ? 'This applicant has already been enrolled'
+          : 'Only accepted applications can be enrolled'
+      });
+    }
+
+    const { monthlyFee, openingBalance, admissionDate } = req.body;
+    const section = Section.normalizeName(req.body.section);
+    if (!section) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the section to enrol the student in'
+      });
+    }
+
+    // A roll number given by staff is used as is, otherwise the next free one
+    const rollNumber = req.body.rollNumber ? String(req.body.rollNumber).trim() : await nextRollNumber();
+    if (await Student.exists({ rollNumber })) {
+      return res.status(400).json({
+        success: false,
+        message: `Roll number ${rollNumber} is already assigned to another student`
+      });
+    }
+
+    // Mark the application enrolled first, so a repeated or concurrent request
+    // cannot create a second student for the same applicant
+    const claimed = await AdmissionApplication.findOneAndUpdate(
+      { _id: application._id, status: 'accepted' },
+      { status: 'enrolled', enrolledAt: Date.now() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This applicant has already been enrolled'
+      });
+    }
+
+    const password = generatePassword();
+
+    let account;
+    try {
+      account = await createStudentAccount(
+        {
+          firstName: application.firstName,
+          middleName: application.middleName,
+          lastName: application.lastName,
+          password,
+          // Students sign in with the temporary password once and then choose their own
+          passwordResetRequired: true
+        },
+        {
+          rollNumber,
+          dateOfBirth: application.dateOfBirth,
+          gender: application.gender,
+          class: application.class,
+          section,
+          monthlyFee: Number(monthlyFee) || 0,
+          address: application.address,
+          parentInfo: application.parentInfo,
+          admissionDate: admissionDate || Date.now()
+        },
+        req.user.id,
+        openingBalance
+      );
+    } catch (accountError) {
+      // Put the application back so enrolment can be tried again
+      await AdmissionApplication.updateOne(
+        { _id: application._id },
+        { status: 'accepted', enrolledAt: null }
+      );
+      throw accountError;
+    }
+    const { user, student, feeRecord } = account;
+
+    application.status = 'enrolled';
+    application.enrolledAt = claimed.enrolledAt;
+    application.student = student._id;
+    application.history.push({
+      status: 'enrolled',
+      remarks: `Enrolled as roll number ${student.rollNumber} in Class ${student.class} ${student.section}`,
+      changedBy: req.user.id
+    });
+    await application.save();
+
+    await emailApplicant(
+      application,
+      'Enrolment Complete',
+      `${application.firstName} ${application.lastName} has been enrolled in Class ${student.class} ${student.section} with roll number ${student.rollNumber}. Login details will be shared by the school office.`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        application,
+        student,
+        feeRecord,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          temporaryPassword: password
+        }
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete an admission application and its documents
+// @route   DELETE /api/admissions/:id
+// @access  Private/Admin
+exports.deleteApplication = async (req, res) => {
+  try {
+    const application = await AdmissionApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No admission application found with id ${req.params.id}`
+      });
+    }
+
+    if (application.status === 'enrolled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Applications of enrolled students are kept as their admission record'
+      });
+    }
+
+    await application.deleteOne();
+
+    for (const document of application.documents) {
+      await deleteImage(document.publicId);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
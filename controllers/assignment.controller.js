@@ -0,0 +1,603 @@
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const AcademicYear = require('../models/AcademicYear');
+const Notification = require('../models/Notification');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+const { deleteImage } = require('../middleware/uploadMiddleware');
+
+// Roles that can manage assignments for any class
+const MANAGER_ROLES = ['admin', 'principal', 'vice-principal'];
+
+// Helper function to notify users about an assignment without failing the request
+const notifyUsers = async (userIds, entityType, entityId, title, message) => {
+  try {
+    await Notification.insertMany(userIds.map(userId => ({
+      user: userId,
+      type: 'assignment',
+      title,
+      message: message.substring(0, 500),
+      relatedEntity: {
+        entityType,
+        entityId
+      }
+    })));
+  } catch (error) {
+    console.error('Error sending assignment notifications:', error);
+  }
+};
+
+// Helper function to find the active students an assignment is set for
+const findTargetStudents = (assignment) => {
+  const query = { class: assignment.class, isActive: true };
+  if (assignment.section) query.section = assignment.section;
+  return Student.find(query).populate('user', 'name').sort({ section: 1, rollNumber: 1 });
+};
+
+// Helper function to check whether a user may see an assignment
+// Returns { error, teacher, student } where error is a message or null
+const checkAssignmentAccess = async (user, assignment) => {
+  if (MANAGER_ROLES.includes(user.role)) return { error: null };
+
+  if (user.role === 'teacher') {
+    const teacher = await Teacher.findOne({ user: user.id });
+    return teacher && teacher.classes && teacher.classes.includes(assignment.class)
+      ? { error: null, teacher }
+      : { error: 'You can only access assignments for your assigned classes' };
+  }
+
+  if (user.role === 'student') {
+    const student = await Student.findOne({ user: user.id });
+    return student && assignment.isForStudent(student)
+      ? { error: null, student }
+      : { error: 'This assignment is not set for your class' };
+  }
+
+  return { error: 'Not authorized to access this assignment' };
+};
+
+// Helper function to read the attachments uploaded with a request
+const uploadedAttachments = (req) => (req.cloudinaryFiles || []).map(file => ({
+  url: file.url,
+  publicId: file.publicId,
+  name: file.name
+}));
+
+// Helper function to remove uploaded attachments when a request is refused
+const discardUploads = async (req) => {
+  for (const file of req.cloudinaryFiles || []) {
+    await deleteImage(file.publicId);
+  }
+};
+
+// @desc    Get assignments
+// @route   GET /api/assignments?class=&section=&subject=&status=upcoming|past
+// @access  Private (teachers: their classes; students: their class)
+exports.getAssignments = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.class) query.class = Class.normalizeName(req.query.class);
+    if (req.query.section) query.section = Section.normalizeName(req.query.section);
+    if (req.query.subject) query.subject = req.query.subject;
+    if (req.query.status === 'upcoming') query.dueDate = { $gte: new Date() };
+    if (req.query.status === 'past') query.dueDate = { $lt: new Date() };
+
+    let student = null;
+    if (req.user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ user: req.user.id });
+      const classes = (teacher?.classes || []).filter(cls => cls !== 'Not assigned');
+      if (query.class && !classes.includes(query.class)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view assignments for your assigned classes'
+        });
+      }
+      if (!query.class) query.class = { $in: classes };
+    } else if (req.user.role === 'student') {
+      student = await Student.findOne({ user: req.user.id });
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'No student profile found for this user'
+        });
+      }
+      query.class = student.class;
+      query.section = { $in: [null, student.section] };
+    } else if (!MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view assignments'
+      });
+    }
+
+    const assignments = await Assignment.find(query)
+      .populate({ path: 'teacher', select: 'employeeId', populate: { path: 'user', select: 'name' } })
+      .sort('-dueDate');
+
+    // Students see their own submission; staff see how many have been handed in
+    const submissions = await AssignmentSubmission.find({
+      assignment: { $in: assignments.map(assignment => assignment._id) },
+      ...(student ? { student: student._id } : {})
+    }).select(student ? '-attachments' : 'assignment status isLate');
+
+    const data = assignments.map(assignment => {
+      const own = submissions.filter(sub => sub.assignment.toString() === assignment._id.toString());
+      return student
+        ? { ...assignment.toObject(), submission: own[0] || null }
+        : {
+          ...assignment.toObject(),
+          submissionCount: own.length,
+          lateCount: own.filter(sub => sub.isLate).length,
+          gradedCount: own.filter(sub => sub.status === 'graded').length
+        };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single assignment
+// @route   GET /api/assignments/:id
+// @access  Private (teachers: their classes; students: their class)
+exports.getAssignment = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id)
+      .populate({ path: 'teacher', select: 'employeeId', populate: { path: 'user', select: 'name' } })
+      .populate('createdBy', 'name role');
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: `No assignment found with id ${req.params.id}`
+      });
+    }
+
+    const { error, student } = await checkAssignmentAccess(req.user, assignment);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const data = assignment.toObject();
+    if (student) {
+      data.submission = await AssignmentSubmission.findOne({ assignment: assignment._id, student: student._id });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Set an assignment for a class or section
+// @route   POST /api/assignments
+// @access  Private/Admin,Principal,VicePrincipal,Teacher (teachers: their classes)
+exports.createAssignment = async (req, res) => {
+  try {
+    const { title, instructions, subject, dueDate, maxMarks, allowLateSubmissions } = req.body;
+    const className = Class.normalizeName(req.body.class);
+    const section = req.body.section ? Section.normalizeName(req.body.section) : null;
+
+    if (!title || !subject || !className || !dueDate) {
+      await discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide title, subject, class and due date'
+      });
+    }
+
+    let teacher = null;
+    if (req.user.role === 'teacher') {
+      teacher = await Teacher.findOne({ user: req.user.id });
+      if (!teacher || !teacher.classes || !teacher.classes.includes(className)) {
+        await discardUploads(req);
+        return res.status(403).json({
+          success: false,
+          message: 'You can only set assignments for your assigned classes'
+        });
+      }
+    } else if (req.body.teacher) {
+      teacher = await Teacher.findById(req.body.teacher);
+    }
+
+    if (!(await Student.exists({ class: className, isActive: true, ...(section ? { section } : {}) }))) {
+      await discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: `No students found in class ${className}${section ? ` section ${section}` : ''}`
+      });
+    }
+
+    const currentYear = await AcademicYear.getCurrent();
+
+    const assignment = await Assignment.create({
+      title,
+      instructions,
+      subject,
+      class: className,
+      section,
+      dueDate,
+      maxMarks: maxMarks || null,
+      allowLateSubmissions: allowLateSubmissions === undefined ? true : String(allowLateSubmissions) !== 'false',
+      attachments: uploadedAttachments(req),
+      teacher: teacher ? teacher._id : null,
+      academicYear: currentYear ? currentYear._id : null,
+      createdBy: req.user.id
+    });
+
+    const students = await findTargetStudents(assignment);
+    await notifyUsers(
+      students.map(student => student.user._id),
+      'Assignment',
+      assignment._id,
+      'New Assignment',
+      `${subject}: ${title} is due on ${new Date(assignment.dueDate).toDateString()}.`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: assignment
+    });
+  } catch (err) {
+    await discardUploads(req);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update an assignment. New files are added to its attachments;
+//          removeAttachments lists the ids of attachments to remove.
+// @route   PUT /api/assignments/:id
+// @access  Private/Admin,Principal,VicePrincipal,Teacher (teachers: their own)
+exports.updateAssignment = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      await discardUploads(req);
+      return res.status(404).json({
+        success: false,
+        message: `No assignment found with id ${req.params.id}`
+      });
+    }
+
+    if (req.user.role === 'teacher' && assignment.createdBy.toString() !== req.user.id) {
+      await discardUploads(req);
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update assignments you set'
+      });
+    }
+
+    ['title', 'instructions', 'subject', 'dueDate'].forEach(field => {
+      if (req.body[field] !== undefined) assignment[field] = req.body[field];
+    });
+    if (req.body.maxMarks !== undefined) assignment.maxMarks = req.body.maxMarks || null;
+    if (req.body.allowLateSubmissions !== undefined) {
+      assignment.allowLateSubmissions = String(req.body.allowLateSubmissions) !== 'false';
+    }
+
+    // Form data sends a single id as a string
+    const removeIds = [].concat(req.body.removeAttachments || []);
+    const removed = assignment.attachments.filter(file => removeIds.includes(file._id.toString()));
+    assignment.attachments = [
+      ...assignment.attachments.filter(file => !removeIds.includes(file._id.toString())),
+      ...uploadedAttachments(req)
+    ];
+
+    const dueDateChanged = assignment.isModified('dueDate');
+    await assignment.save();
+
+    for (const file of removed) {
+      await deleteImage(file.publicId);
+    }
+
+    // Late flags follow the due date
+    if (dueDateChanged) {
+      await AssignmentSubmission.updateMany(
+        { assignment: assignment._id, submittedAt: { $gt: assignment.dueDate } },
+        { isLate: true }
+      );
+      await AssignmentSubmission.updateMany(
+        { assignment: assignment._id, submittedAt: { $lte: assignment.dueDate } },
+        { isLate: false }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: assignment
+    });
+  } catch (err) {
+    await discardUploads(req);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete an assignment with its submissions and files
+// @route   DELETE /api/assignments/:id
+// @access  Private/Admin,Principal,VicePrincipal,Teacher (teachers: their own)
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: `No assignment found with id ${req.params.id}`
+      });
+    }
+
+    if (req.user.role === 'teacher' && assignment.createdBy.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete assignments you set'
+      });
+    }
+
+    const submissions = await AssignmentSubmission.find({ assignment: assignment._id });
+    const files = [
+      ...assignment.attachments,
+      ...submissions.flatMap(submission => submission.attachments)
+    ];
+
+    await AssignmentSubmission.deleteMany({ assignment: assignment._id });
+    await assignment.deleteOne();
+
+    for (const file of files) {
+      await deleteImage(file.publicId);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Submit (or resubmit) the logged-in student's work
+// @route   POST /api/assignments/:id/submissions
+// @access  Private/Student
+exports.submitAssignment = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      await discardUploads(req);
+      return res.status(404).json({
+        success: false,
+        message: `No assignment found with id ${req.params.id}`
+      });
+    }
+
+    const { error, student } = await checkAssignmentAccess(req.user, assignment);
+    if (error) {
+      await discardUploads(req);
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const attachments = uploadedAttachments(req);
+    if (!req.body.text && attachments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please write an answer or attach your work'
+      });
+    }
+
+    const now = new Date();
+    const isLate = now > assignment.dueDate;
+    if (isLate && !assignment.allowLateSubmissions) {
+      await discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: 'The due date has passed and late submissions are not accepted'
+      });
+    }
+
+    let submission = await AssignmentSubmission.findOne({ assignment: assignment._id, student: student._id });
+    if (submission && submission.status === 'graded') {
+      await discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: 'This work has already been graded and cannot be resubmitted'
+      });
+    }
+
+    // A resubmission replaces the earlier answer and files
+    const replaced = submission ? submission.attachments : [];
+    if (!submission) {
+      submission = new AssignmentSubmission({ assignment: assignment._id, student: student._id });
+    }
+    submission.text = req.body.text;
+    submission.attachments = attachments;
+    submission.submittedAt = now;
+    submission.isLate = isLate;
+    await submission.save();
+
+    for (const file of replaced) {
+      await deleteImage(file.publicId);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: submission
+    });
+  } catch (err) {
+    await discardUploads(req);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get every targeted student's submission status for an assignment
+// @route   GET /api/assignments/:id/submissions
+// @access  Private/Admin,Principal,VicePrincipal,Teacher (teachers: their classes)
+exports.getSubmissions = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: `No assignment found with id ${req.params.id}`
+      });
+    }
+
+    const { error } = await checkAssignmentAccess(req.user, assignment);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [students, submissions] = await Promise.all([
+      findTargetStudents(assignment),
+      AssignmentSubmission.find({ assignment: assignment._id }).populate('gradedBy', 'name')
+    ]);
+
+    const rows = students.map(student => {
+      const submission = submissions.find(sub => sub.student.toString() === student._id.toString()) || null;
+      return {
+        student: {
+          _id: student._id,
+          name: student.user?.name,
+          rollNumber: student.rollNumber,
+          section: student.section
+        },
+        submitted: !!submission,
+        submission
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      summary: {
+        students: rows.length,
+        submitted: submissions.length,
+        late: submissions.filter(sub => sub.isLate).length,
+        graded: submissions.filter(sub => sub.status === 'graded').length,
+        missing: rows.filter(row => !row.submitted).length
+      },
+      data: rows
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Grade a submission with marks and feedback
+// @route   PUT /api/assignments/:id/submissions/:submissionId/grade
+// @access  Private/Admin,Principal,VicePrincipal,Teacher (teachers: their classes)
+exports.gradeSubmission = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: `No assignment found with id ${req.params.id}`
+      });
+    }
+
+    const { error } = await checkAssignmentAccess(req.user, assignment);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const submission = await AssignmentSubmission.findOne({ _id: req.params.submissionId, assignment: assignment._id })
+      .populate('student', 'user');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: `No submission found with id ${req.params.submissionId}`
+      });
+    }
+
+    const { feedback } = req.body;
+    const marks = req.body.marks === undefined || req.body.marks === null || req.body.marks === ''
+      ? null
+      : Number(req.body.marks);
+
+    if (assignment.maxMarks) {
+      if (marks === null || isNaN(marks) || marks < 0 || marks > assignment.maxMarks) {
+        return res.status(400).json({
+          success: false,
+          message: `Marks must be between 0 and ${assignment.maxMarks}`
+        });
+      }
+    } else if (!feedback) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide feedback'
+      });
+    }
+
+    submission.marks = assignment.maxMarks ? marks : null;
+    submission.feedback = feedback;
+    submission.status = 'graded';
+    submission.gradedBy = req.user.id;
+    submission.gradedAt = Date.now();
+    await submission.save();
+
+    await notifyUsers(
+      [submission.student.user],
+      'AssignmentSubmission',
+      submission._id,
+      'Assignment Graded',
+      `Your work for ${assignment.subject}: ${assignment.title} has been graded${assignment.maxMarks ? ` (${marks}/${assignment.maxMarks})` : ''}.${feedback ? ` ${feedback}` : ''}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: submission
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
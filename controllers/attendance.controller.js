@@ -3,6 +3,12 @@ const Teacher = require('../models/Teacher');
 const Student = require('../models/Student');
 const AdminStaff = require('../models/AdminStaff');
 const SupportStaff = require('../models/SupportStaff');
+const AcademicYear = require('../models/AcademicYear');
+const { parseDateRange } = require('../utils/dateHelpers');
+const { rollupPeriodStatus, checkTeacherClassAccess } = require('../utils/attendanceHelpers');
+const { trackUpdate } = require('../utils/historyHelpers');
+const { checkWorkingDay } = require('../utils/calendarHelpers');
+const { getLinkedStudentIds, isLinkedStudent, notifyGuardians } = require('../utils/parentHelpers');
 
 // @desc    Get all attendance records
 // @route   GET /api/attendance
@@ -67,10 +73,46 @@ exports.getAttendanceRecords = async (req, res) => {
       }
     }
 
+    // For parents, only show their linked children's records (userId picks one child)
+    if (req.user.role === 'parent') {
+      const childIds = await getLinkedStudentIds(req.user.id);
+      if (reqQuery.userId && !childIds.some(id => id.toString() === reqQuery.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view attendance of your linked children'
+        });
+      }
+      query.userType = 'student';
+      query.userId = reqQuery.userId || { $in: childIds };
+    }
+
+    // Students and parents cannot widen their scope with query parameters
+    if (req.user.role === 'student' || req.user.role === 'parent') {
+      ['userId', 'userType', 'userModel'].forEach(param => delete reqQuery[param]);
+    }
+
+    // Lesson (per-period) records are only listed when asked for, so callers
+    // get one daily record per user per day by default
+    if (reqQuery.period !== undefined && reqQuery.period !== '') {
+      const period = parseInt(reqQuery.period, 10);
+      if (isNaN(period) || period < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Period must be a number of 1 or more'
+        });
+      }
+      query.period = period;
+    } else if (reqQuery.includePeriods !== 'true') {
+      query.period = null;
+    }
+
     // Fields to exclude from query
-    const removeFields = ['select', 'sort', 'page', 'limit', 'class', 'section'];
+    const removeFields = ['select', 'sort', 'page', 'limit', 'class', 'section', 'period', 'includePeriods'];
     removeFields.forEach(param => delete reqQuery[param]);
 
+    // academicYear=current scopes to the current academic year
+    await AcademicYear.resolveQueryFilter(reqQuery);
+
     // Add remaining query parameters
     Object.keys(reqQuery).forEach(key => {
       query[key] = reqQuery[key];
@@ -226,6 +268,16 @@ exports.getAttendanceRecord = async (req, res) => {
       });
     }
 
+    // Parents can only view their linked children's records
+    if (req.user.role === 'parent' &&
+        (attendance.userType !== 'student' || !attendance.userId ||
+         !(await isLinkedStudent(req.user.id, attendance.userId._id)))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this attendance record'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: attendance
@@ -285,6 +337,15 @@ exports.createAttendanceRecord = async (req, res) => {
       }
     }
 
+    // Attendance is only taken on working days of the school calendar
+    const calendarError = await checkWorkingDay(date || new Date());
+    if (calendarError) {
+      return res.status(400).json({
+        success: false,
+        message: calendarError
+      });
+    }
+
     // Determine the correct model based on userType
     let model;
     let userModel;
@@ -340,6 +401,21 @@ exports.createAttendanceRecord = async (req, res) => {
       }
     }
 
+    // Only one daily record per user per day
+    const existing = await Attendance.findOne({
+      userId,
+      userModel,
+      day: Attendance.dayKey(date || new Date()),
+      period: null
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Attendance has already been marked for this ${userType} on this day. Please update the existing record instead.`,
+        data: existing
+      });
+    }
+
     // Create attendance record
     const attendance = await Attendance.create({
       userType,
@@ -413,9 +489,20 @@ exports.updateAttendanceRecord = async (req, res) => {
         });
       }
 
+      const calendarError = await checkWorkingDay(date);
+      if (calendarError) {
+        return res.status(400).json({
+          success: false,
+          message: calendarError
+        });
+      }
+
       updateData.date = date;
+      updateData.day = Attendance.dayKey(date);
     }
 
+    const previousState = attendance.toObject();
+
     // Update the record
     attendance = await Attendance.findByIdAndUpdate(
       req.params.id,
@@ -426,6 +513,8 @@ exports.updateAttendanceRecord = async (req, res) => {
       }
     );
 
+    await trackUpdate('Attendance', previousState, attendance, req.user.id);
+
     res.status(200).json({
       success: true,
       data: attendance
@@ -531,7 +620,7 @@ exports.createBatchAttendanceRecords = async (req, res) => {
     // Add user to req.body
     req.body.recordedBy = req.user.id;
 
-    const { userType, userIds, date, status, remarks } = req.body;
+    const { userType, userIds, date, status, remarks, subject } = req.body;
 
     // Validate required fields
     if (!userType || !userIds || !Array.isArray(userIds) || userIds.length === 0 || !status) {
@@ -541,6 +630,46 @@ exports.createBatchAttendanceRecords = async (req, res) => {
       });
     }
 
+    // Records are upserted through bulkWrite, which does not check the schema
+    const statuses = Attendance.schema.path('status').enumValues;
+    if (!statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${statuses.join(', ')}`
+      });
+    }
+
+    // Period attendance is taken per lesson for students
+    const period = req.body.period !== undefined && req.body.period !== null && req.body.period !== ''
+      ? parseInt(req.body.period, 10)
+      : null;
+
+    if (period !== null) {
+      if (isNaN(period) || period < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Period must be a number of 1 or more'
+        });
+      }
+
+      if (userType !== 'student') {
+        return res.status(400).json({
+          success: false,
+          message: 'Period attendance can only be marked for students'
+        });
+      }
+
+      if (!subject) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide the subject for period attendance'
+        });
+      }
+    }
+
+    // Teacher who took the lesson; teachers always record their own lessons
+    let lessonTeacher = period !== null ? req.body.teacher || null : null;
+
     // Role-based restrictions for user type
     if (req.user.role === 'teacher') {
       // Teachers can only mark attendance for students
@@ -569,6 +698,15 @@ exports.createBatchAttendanceRecords = async (req, res) => {
       }
     }
 
+    // Attendance is only taken on working days of the school calendar
+    const calendarError = await checkWorkingDay(date || new Date());
+    if (calendarError) {
+      return res.status(400).json({
+        success: false,
+        message: calendarError
+      });
+    }
+
     // Determine the correct model based on userType
     let model;
     let userModel;
@@ -597,10 +735,11 @@ exports.createBatchAttendanceRecords = async (req, res) => {
         });
     }
 
-    // Check if all users exist
-    const users = await model.find({ _id: { $in: userIds } });
+    // Check if all users exist (the same user may be submitted twice)
+    const uniqueUserIds = [...new Set(userIds.map(id => id.toString()))];
+    const users = await model.find({ _id: { $in: uniqueUserIds } });
 
-    if (users.length !== userIds.length) {
+    if (users.length !== uniqueUserIds.length) {
       return res.status(404).json({
         success: false,
         message: `Some ${userType}s were not found. Please refresh and try again.`
@@ -620,6 +759,18 @@ exports.createBatchAttendanceRecords = async (req, res) => {
             });
           }
         }
+
+        if (period !== null) {
+          const teachesSubject = (teacher.subjects || [])
+            .some(teacherSubject => teacherSubject.toLowerCase() === subject.toLowerCase());
+          if (!teachesSubject) {
+            return res.status(403).json({
+              success: false,
+              message: `You can only mark period attendance for subjects you teach. ${subject} is not one of your subjects.`
+            });
+          }
+          lessonTeacher = teacher._id;
+        }
       } else {
         return res.status(403).json({
           success: false,
@@ -628,26 +779,110 @@ exports.createBatchAttendanceRecords = async (req, res) => {
       }
     }
 
-    // Create attendance records for all users
-    const attendanceRecords = [];
+    // Resubmitting a class updates the existing records instead of duplicating them:
+    // each user gets one record per day (per period for lesson attendance)
+    const attendanceDate = date ? new Date(date) : new Date();
+    const day = Attendance.dayKey(attendanceDate);
 
-    for (const userId of userIds) {
-      const attendanceRecord = await Attendance.create({
-        userType,
-        userId,
-        userModel,
-        date: date || new Date(),
-        status,
-        remarks,
-        recordedBy: req.user.id
+    const existingRecords = await Attendance.find({
+      userId: { $in: uniqueUserIds },
+      userModel,
+      day,
+      period
+    });
+    const academicYear = await AcademicYear.findForDate(attendanceDate);
+    const existingByUser = {};
+    existingRecords.forEach(record => {
+      existingByUser[record.userId.toString()] = record;
+    });
+
+    const fields = {
+      status,
+      subject: period !== null ? subject : null,
+      teacher: lessonTeacher,
+      remarks: remarks || ''
+    };
+
+    const results = [];
+    const operations = [];
+
+    uniqueUserIds.forEach(userId => {
+      const existing = existingByUser[userId];
+
+      if (existing &&
+          existing.status === status &&
+          (existing.remarks || '') === (remarks || '') &&
+          (existing.subject || null) === (fields.subject || null) &&
+          String(existing.teacher || '') === String(lessonTeacher || '')) {
+        results.push({ userId, result: 'unchanged' });
+        return;
+      }
+
+      results.push({ userId, result: existing ? 'updated' : 'created' });
+      operations.push({
+        updateOne: {
+          filter: { userId, userModel, day, period },
+          update: {
+            $set: {
+              ...fields,
+              recordedBy: req.user.id
+            },
+            // userId, userModel, day and period come from the filter on insert
+            $setOnInsert: {
+              userType,
+              date: attendanceDate,
+              academicYear: academicYear ? academicYear._id : null
+            }
+          },
+          upsert: true
+        }
       });
+    });
 
-      attendanceRecords.push(attendanceRecord);
+    if (operations.length > 0) {
+      await Attendance.bulkWrite(operations, { ordered: false });
     }
 
-    res.status(201).json({
+    const attendanceRecords = await Attendance.find({
+      userId: { $in: uniqueUserIds },
+      userModel,
+      day,
+      period
+    });
+    const recordsByUser = {};
+    attendanceRecords.forEach(record => {
+      recordsByUser[record.userId.toString()] = record;
+    });
+
+    // Let guardians know when a child is newly marked absent for the day
+    if (userType === 'student' && period === null && status === 'absent') {
+      const changed = results.filter(row => row.result !== 'unchanged').map(row => row.userId);
+      const children = await Student.find({ _id: { $in: changed } }).populate('user', 'name');
+      await notifyGuardians(changed, studentId => ({
+        type: 'attendance',
+        title: 'Absence Recorded',
+        message: `${children.find(child => child._id.toString() === studentId.toString())?.user?.name || 'Your child'} was marked absent on ${day}.${remarks ? ` Remarks: ${remarks}` : ''}`,
+        relatedEntity: {
+          entityType: 'Attendance',
+          entityId: recordsByUser[studentId.toString()]._id
+        }
+      }));
+    }
+
+    const summary = {
+      created: results.filter(row => row.result === 'created').length,
+      updated: results.filter(row => row.result === 'updated').length,
+      unchanged: results.filter(row => row.result === 'unchanged').length
+    };
+
+    res.status(summary.created > 0 ? 201 : 200).json({
       success: true,
       count: attendanceRecords.length,
+      summary,
+      results: results.map(row => ({
+        ...row,
+        record: recordsByUser[row.userId] || null
+      })),
       data: attendanceRecords
     });
   } catch (err) {
@@ -658,3 +893,207 @@ exports.createBatchAttendanceRecords = async (req, res) => {
     });
   }
 };
+
+// @desc    Period attendance of a class for one day, rolled up into daily statuses
+// @route   GET /api/attendance/period-rollup?date=&class=&section=
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getPeriodRollup = async (req, res) => {
+  try {
+    const { class: className, section } = req.query;
+
+    if (!className) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the class'
+      });
+    }
+
+    const accessError = await checkTeacherClassAccess(req.user, className);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const dayStart = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(dayStart.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setHours(23, 59, 59, 999);
+
+    const studentQuery = { class: className, isActive: true };
+    if (section) studentQuery.section = section;
+
+    const students = await Student.find(studentQuery)
+      .populate('user', 'name')
+      .sort('rollNumber');
+
+    const records = await Attendance.find({
+      userType: 'student',
+      userId: { $in: students.map(student => student._id) },
+      date: { $gte: dayStart, $lte: dayEnd }
+    })
+      .populate({
+        path: 'teacher',
+        select: 'user',
+        populate: {
+          path: 'user',
+          select: 'name'
+        }
+      })
+      .sort('period');
+
+    const data = students.map(student => {
+      const studentRecords = records.filter(record => record.userId.toString() === student._id.toString());
+      const periods = studentRecords
+        .filter(record => record.period !== null && record.period !== undefined)
+        .map(record => ({
+          period: record.period,
+          subject: record.subject,
+          status: record.status,
+          teacher: record.teacher?.user?.name || null,
+          remarks: record.remarks
+        }));
+      const daily = studentRecords.find(record => record.period === null || record.period === undefined);
+
+      return {
+        studentId: student._id,
+        rollNumber: student.rollNumber,
+        name: student.user?.name || '',
+        section: student.section,
+        periods,
+        // Status worked out from the periods, next to the day's own record (if any)
+        rolledUpStatus: rollupPeriodStatus(periods.map(period => period.status)),
+        dailyStatus: daily ? daily.status : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        date: dayStart,
+        class: className,
+        section: section || null,
+        students: data
+      }
+    });
+  } catch (err) {
+    console.error('Error generating period rollup:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Subject-wise attendance of a class over a date range
+// @route   GET /api/attendance/subject-report?class=&section=&subject=&month= (or from/to)
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getSubjectAttendanceReport = async (req, res) => {
+  try {
+    const { class: className, section, subject } = req.query;
+
+    if (!className) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the class'
+      });
+    }
+
+    const accessError = await checkTeacherClassAccess(req.user, className);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use month=MM/YYYY or from/to dates up to a year apart'
+      });
+    }
+
+    const studentQuery = { class: className, isActive: true };
+    if (section) studentQuery.section = section;
+
+    const students = await Student.find(studentQuery)
+      .populate('user', 'name')
+      .sort('rollNumber');
+
+    const recordQuery = {
+      userType: 'student',
+      userId: { $in: students.map(student => student._id) },
+      date: { $gte: range.start, $lte: range.end },
+      period: { $ne: null }
+    };
+    if (subject) recordQuery.subject = subject;
+
+    const records = await Attendance.find(recordQuery).select('userId subject status');
+
+    const studentsById = {};
+    students.forEach(student => {
+      studentsById[student._id.toString()] = student;
+    });
+
+    const rows = {};
+    records.forEach(record => {
+      const key = `${record.userId}|${record.subject}`;
+      if (!rows[key]) {
+        const student = studentsById[record.userId.toString()];
+        rows[key] = {
+          studentId: student._id,
+          rollNumber: student.rollNumber,
+          name: student.user?.name || '',
+          section: student.section,
+          subject: record.subject,
+          held: 0,
+          present: 0,
+          late: 0,
+          absent: 0,
+          'half-day': 0,
+          leave: 0
+        };
+      }
+      rows[key].held++;
+      rows[key][record.status]++;
+    });
+
+    const data = Object.values(rows)
+      .map(row => ({
+        ...row,
+        // Late still counts as attended; a half-day counts as half a lesson
+        percentage: row.held > 0
+          ? Math.round((row.present + row.late + row['half-day'] / 2) / row.held * 10000) / 100
+          : 0
+      }))
+      .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber, undefined, { numeric: true }) || a.subject.localeCompare(b.subject));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        class: className,
+        section: section || null,
+        rows: data
+      }
+    });
+  } catch (err) {
+    console.error('Error generating subject attendance report:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
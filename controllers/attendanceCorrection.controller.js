@@ -0,0 +1,407 @@
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const Teacher = require('../models/Teacher');
+const Student = require('../models/Student');
+const AdminStaff = require('../models/AdminStaff');
+const SupportStaff = require('../models/SupportStaff');
+const { trackCreation, trackUpdate } = require('../utils/historyHelpers');
+const { checkWorkingDay } = require('../utils/calendarHelpers');
+
+const USER_MODELS = {
+  student: { model: Student, userModel: 'Student' },
+  teacher: { model: Teacher, userModel: 'Teacher' },
+  'admin-staff': { model: AdminStaff, userModel: 'AdminStaff' },
+  'support-staff': { model: SupportStaff, userModel: 'SupportStaff' }
+};
+
+// Roles that review correction requests
+const REVIEWER_ROLES = ['admin', 'principal'];
+
+// Helper function to let the requester know the outcome of their request
+const notifyRequester = async (correction, title, message) => {
+  try {
+    await Notification.create({
+      user: correction.requestedBy,
+      type: 'attendance',
+      title,
+      message,
+      relatedEntity: {
+        entityType: 'AttendanceCorrection',
+        entityId: correction._id
+      }
+    });
+  } catch (error) {
+    console.error('Error sending attendance correction notification:', error);
+  }
+};
+
+// @desc    Request a correction to past attendance
+// @route   POST /api/attendance-corrections
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.createCorrectionRequest = async (req, res) => {
+  try {
+    const { attendanceId, requestedStatus, reason, subject } = req.body;
+    let { userType, userId, date, period } = req.body;
+
+    if (!requestedStatus || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the corrected status and a reason'
+      });
+    }
+
+    // Correct an existing record, or add one for a day that was never marked
+    let attendance = null;
+    if (attendanceId) {
+      attendance = await Attendance.findById(attendanceId);
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: `No attendance record found with id ${attendanceId}`
+        });
+      }
+      userType = attendance.userType;
+      userId = attendance.userId;
+      date = attendance.date;
+      period = attendance.period;
+    } else if (!userType || !userId || !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide attendanceId, or userType, userId and date'
+      });
+    }
+
+    if (!USER_MODELS[userType]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user type. Must be student, teacher, admin-staff, or support-staff'
+      });
+    }
+
+    period = period !== undefined && period !== null && period !== '' ? parseInt(period, 10) : null;
+
+    // Today's attendance is marked directly; corrections are for past days
+    const selectedDate = new Date(date);
+    const today = new Date();
+    selectedDate.setHours(0, 0, 0, 0);
+    today.setHours(0, 0, 0, 0);
+
+    if (isNaN(selectedDate.getTime()) || selectedDate >= today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Corrections can only be requested for past dates. Update today\'s attendance directly.'
+      });
+    }
+
+    const calendarError = await checkWorkingDay(selectedDate);
+    if (calendarError) {
+      return res.status(400).json({
+        success: false,
+        message: calendarError
+      });
+    }
+
+    const { model, userModel } = USER_MODELS[userType];
+    const user = await model.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${userType} found with id ${userId}`
+      });
+    }
+
+    // Teachers can only request corrections for students in their classes
+    if (req.user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ user: req.user.id });
+      if (userType !== 'student' || !teacher || !teacher.classes || !teacher.classes.includes(user.class)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only request corrections for students in your assigned classes'
+        });
+      }
+    }
+
+    const day = Attendance.dayKey(date);
+
+    if (!attendance) {
+      attendance = await Attendance.findOne({ userId, userModel, day, period });
+    }
+
+    if (attendance && attendance.status === requestedStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `Attendance is already marked as ${requestedStatus} for this day`
+      });
+    }
+
+    const pending = await AttendanceCorrection.findOne({
+      userId,
+      day,
+      period,
+      status: 'pending'
+    });
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'A correction request for this day is already pending review',
+        data: pending
+      });
+    }
+
+    const correction = await AttendanceCorrection.create({
+      attendance: attendance ? attendance._id : null,
+      userType,
+      userId,
+      userModel,
+      date: attendance ? attendance.date : selectedDate,
+      day,
+      period,
+      subject: attendance ? attendance.subject : subject,
+      currentStatus: attendance ? attendance.status : null,
+      requestedStatus,
+      reason,
+      requestedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: correction
+    });
+  } catch (err) {
+    console.error('Error creating attendance correction request:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get attendance correction requests
+// @route   GET /api/attendance-corrections
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getCorrectionRequests = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.userType) query.userType = req.query.userType;
+
+    // Only reviewers see everyone's requests
+    if (!REVIEWER_ROLES.includes(req.user.role)) {
+      query.requestedBy = req.user.id;
+    }
+
+    const corrections = await AttendanceCorrection.find(query)
+      .populate({
+        path: 'userId',
+        populate: {
+          path: 'user',
+          select: 'name email'
+        }
+      })
+      .populate('requestedBy', 'name role')
+      .populate('reviewedBy', 'name role')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: corrections.length,
+      data: corrections
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get a single attendance correction request
+// @route   GET /api/attendance-corrections/:id
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getCorrectionRequest = async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findById(req.params.id)
+      .populate({
+        path: 'userId',
+        populate: {
+          path: 'user',
+          select: 'name email'
+        }
+      })
+      .populate('attendance')
+      .populate('requestedBy', 'name role')
+      .populate('reviewedBy', 'name role');
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: `No correction request found with id ${req.params.id}`
+      });
+    }
+
+    if (!REVIEWER_ROLES.includes(req.user.role) &&
+        correction.requestedBy._id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this correction request'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: correction
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Approve a correction request and apply it to the attendance record
+// @route   PUT /api/attendance-corrections/:id/approve
+// @access  Private/Admin,Principal
+exports.approveCorrectionRequest = async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findById(req.params.id);
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: `No correction request found with id ${req.params.id}`
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This correction request has already been ${correction.status}`
+      });
+    }
+
+    // Corrections need a second person to approve them
+    if (correction.requestedBy.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve a correction request you made'
+      });
+    }
+
+    const description = `Attendance for ${correction.day} corrected from ${correction.currentStatus || 'not marked'} to ${correction.requestedStatus}: ${correction.reason}`;
+
+    // The record may have been created or changed since the request was made
+    let attendance = correction.attendance
+      ? await Attendance.findById(correction.attendance)
+      : await Attendance.findOne({
+        userId: correction.userId,
+        userModel: correction.userModel,
+        day: correction.day,
+        period: correction.period
+      });
+
+    if (attendance) {
+      const previousState = attendance.toObject();
+
+      attendance.status = correction.requestedStatus;
+      attendance.remarks = [attendance.remarks, `Corrected: ${correction.reason}`].filter(Boolean).join(' | ');
+      await attendance.save();
+
+      await trackUpdate('Attendance', previousState, attendance, req.user.id, description);
+    } else {
+      attendance = await Attendance.create({
+        userType: correction.userType,
+        userId: correction.userId,
+        userModel: correction.userModel,
+        date: correction.date,
+        period: correction.period,
+        subject: correction.subject,
+        status: correction.requestedStatus,
+        remarks: `Corrected: ${correction.reason}`,
+        recordedBy: correction.requestedBy
+      });
+
+      await trackCreation('Attendance', attendance, req.user.id, description);
+    }
+
+    correction.attendance = attendance._id;
+    correction.status = 'approved';
+    correction.reviewedBy = req.user.id;
+    correction.reviewedAt = Date.now();
+    correction.reviewRemarks = req.body.remarks;
+    await correction.save();
+
+    await notifyRequester(
+      correction,
+      'Attendance Correction Approved',
+      `Your correction for ${correction.day} (${correction.requestedStatus}) has been approved and applied.`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        correction,
+        attendance
+      }
+    });
+  } catch (err) {
+    console.error('Error approving attendance correction:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Reject a correction request
+// @route   PUT /api/attendance-corrections/:id/reject
+// @access  Private/Admin,Principal
+exports.rejectCorrectionRequest = async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findById(req.params.id);
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: `No correction request found with id ${req.params.id}`
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This correction request has already been ${correction.status}`
+      });
+    }
+
+    if (!req.body.remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejecting the request'
+      });
+    }
+
+    correction.status = 'rejected';
+    correction.reviewedBy = req.user.id;
+    correction.reviewedAt = Date.now();
+    correction.reviewRemarks = req.body.remarks;
+    await correction.save();
+
+    await notifyRequester(
+      correction,
+      'Attendance Correction Rejected',
+      `Your correction for ${correction.day} was rejected: ${req.body.remarks}`.substring(0, 500)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: correction
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
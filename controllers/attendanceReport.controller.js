@@ -0,0 +1,410 @@
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const AdminStaff = require('../models/AdminStaff');
+const SupportStaff = require('../models/SupportStaff');
+const SchoolSettings = require('../models/SchoolSettings');
+const { parseMonth, parseDateRange } = require('../utils/dateHelpers');
+const { checkTeacherClassAccess, summarizeWorkingDays, loadDailyStatuses } = require('../utils/attendanceHelpers');
+const { loadCalendar } = require('../utils/calendarHelpers');
+const { buildWorkbook, sendWorkbook } = require('../utils/excelExport');
+
+// Letters used in the register grid
+const STATUS_CODES = {
+  present: 'P',
+  absent: 'A',
+  late: 'L',
+  'half-day': 'H',
+  leave: 'LV'
+};
+
+const STAFF_MODELS = {
+  teacher: { model: Teacher, userModel: 'Teacher' },
+  'admin-staff': { model: AdminStaff, userModel: 'AdminStaff' },
+  'support-staff': { model: SupportStaff, userModel: 'SupportStaff' }
+};
+
+const SUMMARY_COLUMNS = [
+  { header: 'Working Days', key: 'workingDays', width: 13 },
+  { header: 'Marked Days', key: 'markedDays', width: 12 },
+  { header: 'Present', key: 'present', width: 10 },
+  { header: 'Late', key: 'late', width: 8 },
+  { header: 'Half Day', key: 'halfDay', width: 10 },
+  { header: 'Absent', key: 'absent', width: 10 },
+  { header: 'Leave', key: 'leave', width: 8 },
+  { header: 'Attendance %', key: 'percentage', width: 14 }
+];
+
+const wantsExcel = (req) => req.query.format === 'xlsx';
+
+const formatDay = (date) => Attendance.dayKey(date);
+
+// Helper function to load the school calendar for a range and the working days
+// in it that have already passed (future days are not counted yet)
+const loadWorkingDays = async (range) => {
+  const calendar = await loadCalendar(range.start, range.end);
+  const today = new Date();
+  today.setHours(23, 59, 59, 999);
+
+  return {
+    calendar,
+    workingDays: calendar.workingDays(range.start, range.end < today ? range.end : today)
+  };
+};
+
+// Helper function to load the active students of a class (and section) in roll number order
+const findClassStudents = async (className, section) => {
+  const query = { class: className, isActive: true };
+  if (section) query.section = section;
+
+  const students = await Student.find(query).populate('user', 'name');
+  return students.sort((a, b) => a.rollNumber.localeCompare(b.rollNumber, undefined, { numeric: true }));
+};
+
+// Helper function to build per-student attendance summaries over a range
+const summarizeStudents = async (students, range) => {
+  const { workingDays } = await loadWorkingDays(range);
+  const statuses = await loadDailyStatuses({
+    userModel: 'Student',
+    userIds: students.map(student => student._id),
+    start: range.start,
+    end: range.end
+  });
+
+  return students.map(student => ({
+    studentId: student._id,
+    rollNumber: student.rollNumber,
+    name: student.user?.name || '',
+    class: student.class,
+    section: student.section,
+    ...summarizeWorkingDays(statuses[student._id.toString()], workingDays)
+  }));
+};
+
+// Helper function to validate the class query and the teacher's access to it
+// Returns an error response payload { status, message }, or null
+const checkClassQuery = async (req) => {
+  if (!req.query.class) {
+    return { status: 400, message: 'Please provide the class' };
+  }
+
+  const accessError = await checkTeacherClassAccess(req.user, req.query.class);
+  return accessError ? { status: 403, message: accessError } : null;
+};
+
+// @desc    Monthly attendance register of a class: one row per student, one column per day
+// @route   GET /api/attendance-reports/register?class=&section=&month=
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getMonthlyRegister = async (req, res) => {
+  try {
+    const classError = await checkClassQuery(req);
+    if (classError) {
+      return res.status(classError.status).json({
+        success: false,
+        message: classError.message
+      });
+    }
+
+    const now = new Date();
+    const period = parseMonth(req.query.month || `${now.getMonth() + 1}/${now.getFullYear()}`);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the month in MM/YYYY format'
+      });
+    }
+
+    const { class: className, section } = req.query;
+    const students = await findClassStudents(className, section);
+    const statuses = await loadDailyStatuses({
+      userModel: 'Student',
+      userIds: students.map(student => student._id),
+      start: period.start,
+      end: period.end
+    });
+
+    const { calendar, workingDays } = await loadWorkingDays(period);
+    const days = [];
+    const nonWorkingDays = {};
+    for (let day = 1; day <= period.end.getDate(); day++) {
+      const info = calendar.getDay(formatDay(new Date(period.year, period.month - 1, day)));
+      days.push(info.day);
+      if (!info.working) nonWorkingDays[info.day] = info.reason;
+    }
+
+    const rows = students.map(student => {
+      const studentStatuses = statuses[student._id.toString()] || {};
+
+      return {
+        studentId: student._id,
+        rollNumber: student.rollNumber,
+        name: student.user?.name || '',
+        section: student.section,
+        days: days.map(day => studentStatuses[day] || null),
+        ...summarizeWorkingDays(studentStatuses, workingDays)
+      };
+    });
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: `Register ${period.key}`,
+        title: `Attendance Register - Class ${className}${section ? ` ${section}` : ''} - ${period.key}`,
+        columns: [
+          { header: 'Roll No', key: 'rollNumber', width: 10 },
+          { header: 'Name', key: 'name', width: 25 },
+          ...days.map((day, index) => ({ header: String(index + 1), key: `d${index + 1}`, width: 4 })),
+          ...SUMMARY_COLUMNS
+        ],
+        rows: rows.map(row => ({
+          ...row,
+          ...row.days.reduce((cells, status, index) => ({
+            ...cells,
+            [`d${index + 1}`]: nonWorkingDays[days[index]] ? '-' : (status ? STATUS_CODES[status] : '')
+          }), {})
+        }))
+      }]);
+      return sendWorkbook(res, workbook, `attendance-register-${className}${section ? `-${section}` : ''}-${period.key.replace('/', '-')}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        month: period.key,
+        class: className,
+        section: section || null,
+        days,
+        nonWorkingDays,
+        workingDays: workingDays.length,
+        codes: STATUS_CODES,
+        rows
+      }
+    });
+  } catch (err) {
+    console.error('Error generating attendance register:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Attendance percentage of each student in a class over a date range
+// @route   GET /api/attendance-reports/students?class=&section=&month= (or from/to)
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getStudentPercentages = async (req, res) => {
+  try {
+    const classError = await checkClassQuery(req);
+    if (classError) {
+      return res.status(classError.status).json({
+        success: false,
+        message: classError.message
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use month=MM/YYYY or from/to dates up to a year apart'
+      });
+    }
+
+    const { class: className, section } = req.query;
+    const students = await findClassStudents(className, section);
+    const rows = await summarizeStudents(students, range);
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: 'Attendance',
+        title: `Student Attendance - Class ${className}${section ? ` ${section}` : ''} (${formatDay(range.start)} to ${formatDay(range.end)})`,
+        columns: [
+          { header: 'Roll No', key: 'rollNumber', width: 10 },
+          { header: 'Name', key: 'name', width: 25 },
+          { header: 'Section', key: 'section', width: 8 },
+          ...SUMMARY_COLUMNS
+        ],
+        rows
+      }]);
+      return sendWorkbook(res, workbook, `student-attendance-${className}${section ? `-${section}` : ''}-${formatDay(range.start)}-${formatDay(range.end)}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        class: className,
+        section: section || null,
+        rows
+      }
+    });
+  } catch (err) {
+    console.error('Error generating student attendance percentages:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Students whose attendance is below the chronic absence threshold
+// @route   GET /api/attendance-reports/chronic-absentees?threshold=&class=&section=&month= (or from/to)
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getChronicAbsentees = async (req, res) => {
+  try {
+    // Teachers only see their own classes; others may report on the whole school
+    if (req.user.role === 'teacher' || req.query.class) {
+      const classError = await checkClassQuery(req);
+      if (classError) {
+        return res.status(classError.status).json({
+          success: false,
+          message: classError.message
+        });
+      }
+    }
+
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use month=MM/YYYY or from/to dates up to a year apart'
+      });
+    }
+
+    let threshold = parseFloat(req.query.threshold);
+    if (isNaN(threshold)) {
+      const settings = await SchoolSettings.findOne().select('attendance');
+      threshold = settings?.attendance?.chronicAbsenceThreshold ?? 75;
+    }
+
+    const studentQuery = { isActive: true };
+    if (req.query.class) studentQuery.class = req.query.class;
+    if (req.query.section) studentQuery.section = req.query.section;
+
+    const students = await Student.find(studentQuery).populate('user', 'name');
+    const summaries = await summarizeStudents(students, range);
+
+    const rows = summaries
+      .filter(row => row.percentage !== null && row.percentage < threshold)
+      .map(row => {
+        const student = students.find(s => s._id.toString() === row.studentId.toString());
+        return {
+          ...row,
+          fatherName: student.parentInfo?.fatherName || '',
+          contactNumber: student.parentInfo?.contactNumber || ''
+        };
+      })
+      .sort((a, b) => a.percentage - b.percentage);
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: 'Chronic Absentees',
+        title: `Students below ${threshold}% attendance (${formatDay(range.start)} to ${formatDay(range.end)})`,
+        columns: [
+          { header: 'Roll No', key: 'rollNumber', width: 10 },
+          { header: 'Name', key: 'name', width: 25 },
+          { header: 'Class', key: 'class', width: 8 },
+          { header: 'Section', key: 'section', width: 8 },
+          { header: "Father's Name", key: 'fatherName', width: 22 },
+          { header: 'Contact', key: 'contactNumber', width: 16 },
+          ...SUMMARY_COLUMNS
+        ],
+        rows
+      }]);
+      return sendWorkbook(res, workbook, `chronic-absentees-${formatDay(range.start)}-${formatDay(range.end)}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        threshold,
+        rows
+      }
+    });
+  } catch (err) {
+    console.error('Error generating chronic absentee report:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Attendance summary of teachers, admin staff or support staff
+// @route   GET /api/attendance-reports/staff?userType=&month= (or from/to)
+// @access  Private/Admin,Principal,Vice-Principal
+exports.getStaffAttendanceSummary = async (req, res) => {
+  try {
+    const userType = req.query.userType || 'teacher';
+    if (!STAFF_MODELS[userType]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user type. Must be teacher, admin-staff, or support-staff'
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use month=MM/YYYY or from/to dates up to a year apart'
+      });
+    }
+
+    const { model, userModel } = STAFF_MODELS[userType];
+    const { workingDays } = await loadWorkingDays(range);
+    const staffMembers = await model.find({ isActive: true }).populate('user', 'name');
+
+    const statuses = await loadDailyStatuses({
+      userModel,
+      userIds: staffMembers.map(staff => staff._id),
+      start: range.start,
+      end: range.end
+    });
+
+    const rows = staffMembers
+      .map(staff => ({
+        staffId: staff._id,
+        employeeId: staff.employeeId,
+        name: staff.user?.name || '',
+        ...summarizeWorkingDays(statuses[staff._id.toString()], workingDays)
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: 'Staff Attendance',
+        title: `${userType.replace('-', ' ').replace(/\b\w/g, c => c.toUpperCase())} Attendance (${formatDay(range.start)} to ${formatDay(range.end)})`,
+        columns: [
+          { header: 'Employee ID', key: 'employeeId', width: 14 },
+          { header: 'Name', key: 'name', width: 25 },
+          ...SUMMARY_COLUMNS
+        ],
+        rows
+      }]);
+      return sendWorkbook(res, workbook, `${userType}-attendance-${formatDay(range.start)}-${formatDay(range.end)}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        userType,
+        rows
+      }
+    });
+  } catch (err) {
+    console.error('Error generating staff attendance summary:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
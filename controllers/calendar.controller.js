@@ -0,0 +1,194 @@
+const CalendarEvent = require('../models/CalendarEvent');
+const { parseDateRange } = require('../utils/dateHelpers');
+const { loadCalendar, listDays, parseCalendarRange, buildRangeQuery } = require('../utils/calendarHelpers');
+
+// @desc    Get calendar events
+// @route   GET /api/calendar?year= (or month, from/to)&type=
+// @access  Private
+exports.getCalendarEvents = async (req, res) => {
+  try {
+    const range = parseCalendarRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use year=YYYY, month=MM/YYYY or from/to dates up to a year apart'
+      });
+    }
+
+    const query = buildRangeQuery(range);
+    if (req.query.type) query.type = req.query.type;
+
+    const events = await CalendarEvent.find(query)
+      .populate('createdBy', 'name role')
+      .sort('startDate');
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get each day of a range with whether it is a working day
+// @route   GET /api/calendar/working-days?month= (or from/to)
+// @access  Private
+exports.getWorkingDays = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use month=MM/YYYY or from/to dates up to a year apart'
+      });
+    }
+
+    const calendar = await loadCalendar(range.start, range.end);
+    const days = listDays(range.start, range.end).map(day => {
+      const info = calendar.getDay(day);
+      return {
+        day: info.day,
+        working: info.working,
+        halfDay: info.halfDay,
+        reason: info.reason,
+        events: info.events.map(event => ({ id: event._id, title: event.title, type: event.type }))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: range.start,
+        to: range.end,
+        workingDays: days.filter(day => day.working).length,
+        days
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single calendar event
+// @route   GET /api/calendar/:id
+// @access  Private
+exports.getCalendarEvent = async (req, res) => {
+  try {
+    const event = await CalendarEvent.findById(req.params.id)
+      .populate('createdBy', 'name role');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: `No calendar event found with id ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Create calendar event
+// @route   POST /api/calendar
+// @access  Private/Admin,Principal
+exports.createCalendarEvent = async (req, res) => {
+  try {
+    req.body.createdBy = req.user.id;
+    delete req.body.startDay;
+    delete req.body.endDay;
+
+    const event = await CalendarEvent.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: event
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update calendar event
+// @route   PUT /api/calendar/:id
+// @access  Private/Admin,Principal
+exports.updateCalendarEvent = async (req, res) => {
+  try {
+    const event = await CalendarEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: `No calendar event found with id ${req.params.id}`
+      });
+    }
+
+    delete req.body.createdBy;
+    delete req.body.startDay;
+    delete req.body.endDay;
+
+    // Moving the start of a single-day event moves its end with it
+    if (req.body.startDate && !req.body.endDate && event.startDay === event.endDay) {
+      req.body.endDate = req.body.startDate;
+    }
+
+    event.set(req.body);
+    await event.save();
+
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete calendar event
+// @route   DELETE /api/calendar/:id
+// @access  Private/Admin,Principal
+exports.deleteCalendarEvent = async (req, res) => {
+  try {
+    const event = await CalendarEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: `No calendar event found with id ${req.params.id}`
+      });
+    }
+
+    await event.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -0,0 +1,365 @@
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Exam = require('../models/Exam');
+const FeeStructure = require('../models/FeeStructure');
+const AbsenceNote = require('../models/AbsenceNote');
+const TimetableSlot = require('../models/TimetableSlot');
+const TimetableSubstitution = require('../models/TimetableSubstitution');
+const Assignment = require('../models/Assignment');
+const AdmissionApplication = require('../models/AdmissionApplication');
+
+// Helper function to count active students per class and per section
+const countStudents = async (classIds) => {
+  const counts = await Student.aggregate([
+    { $match: { isActive: true, classId: { $in: classIds } } },
+    { $group: { _id: { classId: '$classId', sectionId: '$sectionId' }, count: { $sum: 1 } } }
+  ]);
+
+  const byClass = {};
+  const bySection = {};
+  counts.forEach(({ _id, count }) => {
+    byClass[_id.classId] = (byClass[_id.classId] || 0) + count;
+    if (_id.sectionId) bySection[_id.sectionId] = count;
+  });
+
+  return { byClass, bySection };
+};
+
+// Helper function to add student counts to a class and its sections
+const withCounts = (classDoc, { byClass, bySection }) => {
+  const data = classDoc.toObject();
+  data.studentCount = byClass[classDoc._id] || 0;
+  data.sections = (data.sections || []).map(section => ({
+    ...section,
+    studentCount: bySection[section._id] || 0
+  }));
+  return data;
+};
+
+// @desc    Get all classes with their sections and student counts
+// @route   GET /api/classes?includeInactive=true
+// @access  Private
+exports.getClasses = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const classes = await Class.find(query)
+      .populate({ path: 'sections', options: { sort: { name: 1 } } })
+      .populate({ path: 'classTeacher', select: 'employeeId', populate: { path: 'user', select: 'name' } })
+      .sort({ order: 1, name: 1 });
+
+    const counts = await countStudents(classes.map(cls => cls._id));
+
+    res.status(200).json({
+      success: true,
+      count: classes.length,
+      data: classes.map(cls => withCounts(cls, counts))
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single class
+// @route   GET /api/classes/:id
+// @access  Private
+exports.getClass = async (req, res) => {
+  try {
+    const classDoc = await Class.findById(req.params.id)
+      .populate({ path: 'sections', options: { sort: { name: 1 } } })
+      .populate({ path: 'classTeacher', select: 'employeeId', populate: { path: 'user', select: 'name' } });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: `No class found with id ${req.params.id}`
+      });
+    }
+
+    const counts = await countStudents([classDoc._id]);
+
+    res.status(200).json({
+      success: true,
+      data: withCounts(classDoc, counts)
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Create class, optionally with its sections
+// @route   POST /api/classes
+// @access  Private/Admin/Principal
+exports.createClass = async (req, res) => {
+  try {
+    const { sections = [], ...classData } = req.body;
+
+    if (await Class.findByName(classData.name)) {
+      return res.status(400).json({
+        success: false,
+        message: `Class ${Class.normalizeName(classData.name)} already exists`
+      });
+    }
+
+    const classDoc = await Class.create(classData);
+
+    for (const section of sections) {
+      await Section.create(typeof section === 'string'
+        ? { class: classDoc._id, name: section }
+        : { ...section, class: classDoc._id });
+    }
+
+    await classDoc.populate({ path: 'sections', options: { sort: { name: 1 } } });
+
+    res.status(201).json({
+      success: true,
+      data: classDoc
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update class. Renaming updates the class name on students,
+//          teachers, exams, fee structures and absence notes.
+// @route   PUT /api/classes/:id
+// @access  Private/Admin/Principal
+exports.updateClass = async (req, res) => {
+  try {
+    const classDoc = await Class.findById(req.params.id);
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: `No class found with id ${req.params.id}`
+      });
+    }
+
+    const oldName = classDoc.name;
+
+    if (req.body.name !== undefined) {
+      const existing = await Class.findByName(req.body.name);
+      if (existing && existing._id.toString() !== classDoc._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: `Class ${existing.name} already exists`
+        });
+      }
+    }
+
+    if (req.body.isActive === false && await Student.exists({ classId: classDoc._id, isActive: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate a class that has active students'
+      });
+    }
+
+    classDoc.set(req.body);
+    await classDoc.save();
+
+    if (classDoc.name !== oldName) {
+      await Promise.all([
+        Student.updateMany({ class: oldName }, { class: classDoc.name, classId: classDoc._id }),
+        Teacher.updateMany({ classes: oldName }, { $set: { 'classes.$': classDoc.name } }),
+        Exam.updateMany({ class: oldName }, { class: classDoc.name }),
+        FeeStructure.updateMany({ classes: oldName }, { $set: { 'classes.$': classDoc.name } }),
+        AbsenceNote.updateMany({ class: oldName }, { class: classDoc.name }),
+        TimetableSlot.updateMany({ class: oldName }, { class: classDoc.name }),
+        TimetableSubstitution.updateMany({ class: oldName }, { class: classDoc.name }),
+        Assignment.updateMany({ class: oldName }, { class: classDoc.name }),
+        AdmissionApplication.updateMany({ class: oldName }, { class: classDoc.name })
+      ]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: classDoc
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete class and its sections
+// @route   DELETE /api/classes/:id
+// @access  Private/Admin/Principal
+exports.deleteClass = async (req, res) => {
+  try {
+    const classDoc = await Class.findById(req.params.id);
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: `No class found with id ${req.params.id}`
+      });
+    }
+
+    const studentCount = await Student.countDocuments({ $or: [{ classId: classDoc._id }, { class: classDoc.name }] });
+    if (studentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete class ${classDoc.name}: ${studentCount} student(s) belong to it. Move them or deactivate the class instead`
+      });
+    }
+
+    await Section.deleteMany({ class: classDoc._id });
+    await Teacher.updateMany({ $or: [{ classIds: classDoc._id }, { classes: classDoc.name }] }, { $pull: { classIds: classDoc._id, classes: classDoc.name } });
+    await classDoc.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Add a section to a class
+// @route   POST /api/classes/:id/sections
+// @access  Private/Admin/Principal
+exports.createSection = async (req, res) => {
+  try {
+    const classDoc = await Class.findById(req.params.id);
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: `No class found with id ${req.params.id}`
+      });
+    }
+
+    const name = Section.normalizeName(req.body.name);
+    if (await Section.exists({ class: classDoc._id, name })) {
+      return res.status(400).json({
+        success: false,
+        message: `Section ${name} already exists in class ${classDoc.name}`
+      });
+    }
+
+    const section = await Section.create({ ...req.body, class: classDoc._id });
+
+    res.status(201).json({
+      success: true,
+      data: section
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update a section. Renaming updates the section on its students.
+// @route   PUT /api/classes/:id/sections/:sectionId
+// @access  Private/Admin/Principal
+exports.updateSection = async (req, res) => {
+  try {
+    const section = await Section.findOne({ _id: req.params.sectionId, class: req.params.id });
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: `No section found with id ${req.params.sectionId}`
+      });
+    }
+
+    const oldName = section.name;
+    const { class: _class, ...sectionData } = req.body;
+
+    if (sectionData.name !== undefined) {
+      const name = Section.normalizeName(sectionData.name);
+      if (name !== oldName && await Section.exists({ class: section.class, name })) {
+        return res.status(400).json({
+          success: false,
+          message: `Section ${name} already exists in this class`
+        });
+      }
+    }
+
+    if (sectionData.isActive === false && await Student.exists({ sectionId: section._id, isActive: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate a section that has active students'
+      });
+    }
+
+    section.set(sectionData);
+    await section.save();
+
+    if (section.name !== oldName) {
+      const classDoc = await Class.findById(section.class);
+      await Promise.all([
+        Student.updateMany({ sectionId: section._id }, { section: section.name }),
+        AbsenceNote.updateMany({ class: classDoc.name, section: oldName }, { section: section.name }),
+        TimetableSlot.updateMany({ class: classDoc.name, section: oldName }, { section: section.name }),
+        TimetableSubstitution.updateMany({ class: classDoc.name, section: oldName }, { section: section.name }),
+        Assignment.updateMany({ class: classDoc.name, section: oldName }, { section: section.name })
+      ]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: section
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete a section
+// @route   DELETE /api/classes/:id/sections/:sectionId
+// @access  Private/Admin/Principal
+exports.deleteSection = async (req, res) => {
+  try {
+    const section = await Section.findOne({ _id: req.params.sectionId, class: req.params.id });
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: `No section found with id ${req.params.sectionId}`
+      });
+    }
+
+    const studentCount = await Student.countDocuments({ sectionId: section._id });
+    if (studentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete section ${section.name}: ${studentCount} student(s) belong to it`
+      });
+    }
+
+    await section.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
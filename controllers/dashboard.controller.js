@@ -7,6 +7,24 @@ const User = require('../models/User');
 const Salary = require('../models/Salary');
 const Meeting = require('../models/Meeting');
 const Notification = require('../models/Notification');
+const SchoolSettings = require('../models/SchoolSettings');
+
+// Count unpaid fees due in a month, ignoring anything before the fee-management start month
+const countFeesDue = async (startOfMonth, endOfMonth) => {
+  const feeStartDate = await SchoolSettings.getFeeStartDate();
+  if (feeStartDate && endOfMonth < feeStartDate) {
+    return 0;
+  }
+
+  return Fee.countDocuments({
+    status: { $in: ['unpaid', 'partial', 'overdue'] },
+    isOpeningBalance: { $ne: true },
+    dueDate: {
+      $gte: feeStartDate && feeStartDate > startOfMonth ? feeStartDate : startOfMonth,
+      $lte: endOfMonth
+    }
+  });
+};
 
 // @desc    Get dashboard metrics
 // @route   GET /api/dashboard/metrics
@@ -27,6 +45,7 @@ exports.getDashboardMetrics = async (req, res) => {
 
     const todayAttendance = await Attendance.countDocuments({
       date: { $gte: today, $lt: tomorrow },
+      period: null,
       status: 'present'
     });
 
@@ -35,22 +54,16 @@ exports.getDashboardMetrics = async (req, res) => {
     const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
     const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
 
-    const feesDue = await Fee.countDocuments({
-      status: { $in: ['unpaid', 'partial', 'overdue'] },
-      dueDate: {
-        $gte: startOfMonth,
-        $lte: endOfMonth
-      }
-    });
+    const feesDue = await countFeesDue(startOfMonth, endOfMonth);
 
-    // Get recent events and notices (last 5) based on user role
+    // Get recent events and notices (last 5) based on user role.
+    // Notices use the same audience groups as meetings; other roles are staff.
+    const audienceGroup = Meeting.PARTICIPANT_GROUPS[req.user.role];
     const recentNotices = await EventNotice.find({
       isActive: true,
       $or: [
         { targetAudience: 'all' },
-        { targetAudience: { $in: [req.user.role === 'teacher' ? 'teachers' :
-                                 req.user.role === 'student' ? 'students' :
-                                 'staff'] } }
+        { targetAudience: { $in: [audienceGroup || 'staff'] } }
       ]
     })
       .sort({ createdAt: -1 })
@@ -64,7 +77,7 @@ exports.getDashboardMetrics = async (req, res) => {
     const meetingDate = new Date();
     const upcomingMeetings = await Meeting.find({
       date: { $gte: meetingDate },
-      participants: { $in: [req.user.role, 'all'] },
+      participants: { $in: [req.user.role, audienceGroup, 'all'].filter(Boolean) },
       isActive: true
     })
       .sort({ date: 1 })
@@ -123,13 +136,7 @@ exports.getAdminDashboardMetrics = async (req, res) => {
     const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
     const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
 
-    const feesDue = await Fee.countDocuments({
-      status: { $in: ['unpaid', 'partial', 'overdue'] },
-      dueDate: {
-        $gte: startOfMonth,
-        $lte: endOfMonth
-      }
-    });
+    const feesDue = await countFeesDue(startOfMonth, endOfMonth);
 
     // Get recent events and notices (last 5) for admin/principal (they can see all)
     const recentNotices = await EventNotice.find({ isActive: true })
@@ -295,6 +302,7 @@ exports.getTeacherDashboardMetrics = async (req, res) => {
       date: { $gte: today, $lt: tomorrow },
       userType: 'student',
       userId: { $in: studentIds },
+      period: null,
       status: 'present'
     });
     // Attendance records retrieved
@@ -0,0 +1,681 @@
+const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const SchoolSettings = require('../models/SchoolSettings');
+const { compileResults } = require('../utils/gradeCalculator');
+const { buildReportCardPdf } = require('../utils/reportCardPdf');
+const { loadSchoolBranding, sendPdf } = require('../utils/pdfHelpers');
+const { buildWorkbook, sendWorkbook } = require('../utils/excelExport');
+const { getLinkedStudentIds, notifyGuardians } = require('../utils/parentHelpers');
+
+// Roles that manage exams for every class
+const EXAM_ADMIN_ROLES = ['admin', 'principal', 'vice-principal'];
+
+// Helper function to check a user's access to an exam's class
+// Returns an error message, or null when access is allowed
+const checkExamAccess = async (user, exam) => {
+  if (EXAM_ADMIN_ROLES.includes(user.role)) return null;
+
+  if (user.role === 'teacher') {
+    const teacher = await Teacher.findOne({ user: user.id });
+    return teacher && teacher.classes && teacher.classes.includes(exam.class)
+      ? null
+      : 'You can only access exams for your assigned classes';
+  }
+
+  if (user.role === 'student') {
+    const student = await Student.findOne({ user: user.id });
+    return student && await Exam.exists({ _id: exam._id, ...Exam.studentFilter([student]) })
+      ? null
+      : 'Not authorized to access this exam';
+  }
+
+  if (user.role === 'parent') {
+    const children = await Student.find({ _id: { $in: await getLinkedStudentIds(user.id) } }).select('class');
+    return await Exam.exists({ _id: exam._id, ...Exam.studentFilter(children) })
+      ? null
+      : 'Not authorized to access this exam';
+  }
+
+  return 'Not authorized to access this exam';
+};
+
+// Helper function to load an exam's compiled results
+// Published exams use the results saved when they were published, so promotions
+// and students leaving do not change them
+const loadExamResults = async (exam) => {
+  if (exam.status === 'published') {
+    const published = await Exam.findById(exam._id).select('results');
+    if (published && published.results.length > 0) {
+      return { results: published.results.map(result => result.toObject()) };
+    }
+  }
+
+  const students = await Student.find({ class: exam.class, isActive: true }).populate('user', 'name');
+  const marks = await ExamMark.find({ exam: exam._id });
+  const settings = await SchoolSettings.findOne().select('grading');
+
+  return {
+    results: compileResults({
+      exam,
+      students,
+      marks,
+      grading: settings?.grading
+    })
+  };
+};
+
+// @desc    Get exams
+// @route   GET /api/exams
+// @access  Private
+exports.getExams = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.term) query.term = req.query.term;
+    if (req.query.status) query.status = req.query.status;
+
+    if (req.user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ user: req.user.id });
+      const classes = teacher && teacher.classes ? teacher.classes : [];
+      query.class = req.query.class && classes.includes(req.query.class)
+        ? req.query.class
+        : { $in: classes };
+    } else if (req.user.role === 'student') {
+      const student = await Student.findOne({ user: req.user.id });
+      Object.assign(query, Exam.studentFilter(student ? [student] : []));
+    } else if (req.user.role === 'parent') {
+      const children = await Student.find({ _id: { $in: await getLinkedStudentIds(req.user.id) } }).select('class');
+      Object.assign(query, Exam.studentFilter(children));
+    } else if (EXAM_ADMIN_ROLES.includes(req.user.role)) {
+      if (req.query.class) query.class = req.query.class;
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access exams'
+      });
+    }
+
+    const exams = await Exam.find(query)
+      .populate('createdBy', 'name role')
+      .sort('-startDate');
+
+    res.status(200).json({
+      success: true,
+      count: exams.length,
+      data: exams
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single exam
+// @route   GET /api/exams/:id
+// @access  Private
+exports.getExam = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id).populate('createdBy', 'name role');
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    const accessError = await checkExamAccess(req.user, exam);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: exam
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Create exam
+// @route   POST /api/exams
+// @access  Private/Admin,Principal,Vice-Principal
+exports.createExam = async (req, res) => {
+  try {
+    req.body.createdBy = req.user.id;
+    req.body.status = 'scheduled';
+    delete req.body.publishedAt;
+
+    const exam = await Exam.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: exam
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update exam
+// @route   PUT /api/exams/:id
+// @access  Private/Admin,Principal,Vice-Principal
+exports.updateExam = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    if (exam.status === 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Results of this exam have been published and it can no longer be changed'
+      });
+    }
+
+    delete req.body.createdBy;
+    delete req.body.status;
+    delete req.body.publishedAt;
+
+    // Marks already entered tie the exam to its class and subjects
+    if (req.body.class && Class.normalizeName(req.body.class).toLowerCase() !== exam.class.toLowerCase() &&
+        await ExamMark.exists({ exam: exam._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The class cannot be changed once marks have been entered'
+      });
+    }
+
+    if (req.body.subjects) {
+      const keptSubjects = req.body.subjects.map(subject => String(subject.name || '').toLowerCase());
+      const markedSubjects = await ExamMark.distinct('subject', { exam: exam._id });
+      const removed = markedSubjects.filter(subject => !keptSubjects.includes(subject.toLowerCase()));
+      if (removed.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Marks have already been entered for ${removed.join(', ')}. Delete them before removing the subject.`
+        });
+      }
+    }
+
+    exam.set(req.body);
+    await exam.save();
+
+    res.status(200).json({
+      success: true,
+      data: exam
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete exam and its marks
+// @route   DELETE /api/exams/:id
+// @access  Private/Admin,Principal
+exports.deleteExam = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    if (exam.status === 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Results of this exam have been published and it cannot be deleted'
+      });
+    }
+
+    await ExamMark.deleteMany({ exam: exam._id });
+    await exam.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Enter (or update) marks for one subject of an exam
+// @route   POST /api/exams/:id/marks
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.enterMarks = async (req, res) => {
+  try {
+    const { subject, marks } = req.body;
+
+    if (!subject || !Array.isArray(marks) || marks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the subject and a marks array'
+      });
+    }
+
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    if (exam.status === 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Results of this exam have been published and marks can no longer be changed'
+      });
+    }
+
+    const examSubject = exam.findSubject(subject);
+    if (!examSubject) {
+      return res.status(400).json({
+        success: false,
+        message: `${subject} is not a subject of this exam`
+      });
+    }
+
+    // Teachers can only enter marks for their own subjects in their own classes
+    if (req.user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ user: req.user.id });
+
+      if (!teacher || !teacher.classes || !teacher.classes.includes(exam.class)) {
+        return res.status(403).json({
+          success: false,
+          message: `You can only enter marks for your assigned classes. Class ${exam.class} is not one of them.`
+        });
+      }
+
+      const teachesSubject = (teacher.subjects || [])
+        .some(teacherSubject => teacherSubject.toLowerCase() === examSubject.name.toLowerCase());
+      if (!teachesSubject) {
+        return res.status(403).json({
+          success: false,
+          message: `You can only enter marks for subjects you teach. ${examSubject.name} is not one of your subjects.`
+        });
+      }
+    }
+
+    const studentIds = [...new Set(marks.map(mark => String(mark.studentId)))];
+    const students = await Student.find({ _id: { $in: studentIds }, class: exam.class });
+    if (students.length !== studentIds.length) {
+      const found = students.map(student => student._id.toString());
+      return res.status(400).json({
+        success: false,
+        message: `These students are not in class ${exam.class}: ${studentIds.filter(id => !found.includes(id)).join(', ')}`
+      });
+    }
+
+    const invalid = marks.filter(mark => !mark.isAbsent && (
+      mark.marksObtained === undefined || mark.marksObtained === null || mark.marksObtained === '' ||
+      isNaN(Number(mark.marksObtained)) ||
+      Number(mark.marksObtained) < 0 || Number(mark.marksObtained) > examSubject.maxMarks
+    ));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks must be between 0 and ${examSubject.maxMarks} for ${examSubject.name}`,
+        data: invalid
+      });
+    }
+
+    // Marks are upserted through bulkWrite, which does not check the schema
+    const longRemarks = marks.filter(mark => String(mark.remarks || '').length > 200);
+    if (longRemarks.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks cannot be more than 200 characters',
+        data: longRemarks
+      });
+    }
+
+    const result = await ExamMark.bulkWrite(marks.map(mark => ({
+      updateOne: {
+        filter: {
+          exam: exam._id,
+          student: mark.studentId,
+          subject: examSubject.name
+        },
+        update: {
+          $set: {
+            marksObtained: mark.isAbsent ? 0 : Number(mark.marksObtained),
+            isAbsent: !!mark.isAbsent,
+            remarks: mark.remarks || '',
+            enteredBy: req.user.id
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    const saved = await ExamMark.find({ exam: exam._id, subject: examSubject.name, student: { $in: studentIds } });
+
+    res.status(200).json({
+      success: true,
+      count: saved.length,
+      summary: {
+        created: result.upsertedCount,
+        updated: result.modifiedCount
+      },
+      data: saved
+    });
+  } catch (err) {
+    console.error('Error entering exam marks:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get marks entered for an exam
+// @route   GET /api/exams/:id/marks?subject=
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getMarks = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    const accessError = await checkExamAccess(req.user, exam);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const query = { exam: exam._id };
+    if (req.query.subject) {
+      const examSubject = exam.findSubject(req.query.subject);
+      query.subject = examSubject ? examSubject.name : req.query.subject;
+    }
+
+    const marks = await ExamMark.find(query)
+      .populate({
+        path: 'student',
+        select: 'rollNumber section user',
+        populate: {
+          path: 'user',
+          select: 'name'
+        }
+      })
+      .populate('enteredBy', 'name role')
+      .sort('subject');
+
+    res.status(200).json({
+      success: true,
+      count: marks.length,
+      data: marks
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get the results of an exam with grades and positions
+// @route   GET /api/exams/:id/results?section=&format=xlsx
+// @access  Private/Admin,Principal,Vice-Principal,Teacher
+exports.getExamResults = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    const accessError = await checkExamAccess(req.user, exam);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    let { results } = await loadExamResults(exam);
+    if (req.query.section) {
+      results = results.filter(result => result.section === req.query.section);
+    }
+
+    if (req.query.format === 'xlsx') {
+      const workbook = buildWorkbook([{
+        name: 'Results',
+        title: `${exam.name} - Class ${exam.class}${req.query.section ? ` ${req.query.section}` : ''}`,
+        columns: [
+          { header: 'Roll No', key: 'rollNumber', width: 10 },
+          { header: 'Name', key: 'name', width: 25 },
+          { header: 'Section', key: 'section', width: 8 },
+          ...exam.subjects.map((subject, index) => ({
+            header: `${subject.name} (${subject.maxMarks})`,
+            key: `s${index}`,
+            width: 14
+          })),
+          { header: 'Total', key: 'total', width: 10 },
+          { header: '%', key: 'percentage', width: 8 },
+          { header: 'Grade', key: 'grade', width: 8 },
+          { header: 'Result', key: 'result', width: 8 },
+          { header: 'Position', key: 'position', width: 10 }
+        ],
+        rows: results.map(result => ({
+          ...result,
+          ...result.subjects.reduce((cells, subject, index) => ({
+            ...cells,
+            [`s${index}`]: subject.isAbsent ? 'Absent' : (subject.entered ? subject.marksObtained : '')
+          }), {}),
+          result: result.passed ? 'Pass' : 'Fail'
+        }))
+      }]);
+      return sendWorkbook(res, workbook, `exam-results-${exam.class}-${exam.name.replace(/[^a-z0-9]+/gi, '-')}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      data: {
+        exam,
+        complete: results.every(result => result.complete),
+        results
+      }
+    });
+  } catch (err) {
+    console.error('Error compiling exam results:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Publish exam results so students can see their report cards
+// @route   PUT /api/exams/:id/publish
+// @access  Private/Admin,Principal
+exports.publishExam = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    if (exam.status === 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Results of this exam have already been published'
+      });
+    }
+
+    // Missing marks would count as zero on the report cards
+    const { results } = await loadExamResults(exam);
+    const incomplete = results.filter(result => !result.complete);
+    if (incomplete.length > 0 && !req.body.force) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks are missing for ${incomplete.length} student(s). Enter them or publish with force to count them as zero.`,
+        data: incomplete.map(result => ({
+          studentId: result.studentId,
+          rollNumber: result.rollNumber,
+          name: result.name,
+          missing: result.subjects.filter(subject => !subject.entered).map(subject => subject.subject)
+        }))
+      });
+    }
+
+    exam.status = 'published';
+    exam.publishedAt = Date.now();
+    exam.results = results;
+    await exam.save();
+
+    await notifyGuardians(results.map(result => result.studentId), {
+      type: 'exam',
+      title: 'Exam Results Published',
+      message: `Results of ${exam.name} for class ${exam.class} have been published. Report cards are now available.`,
+      relatedEntity: {
+        entityType: 'Exam',
+        entityId: exam._id
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Results of ${exam.name} published for class ${exam.class}`,
+      data: exam
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get a student's report card for an exam
+// @route   GET /api/exams/:id/report-card/:studentId?format=pdf&download=true
+// @access  Private
+exports.getReportCard = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: `No exam found with id ${req.params.id}`
+      });
+    }
+
+    const accessError = await checkExamAccess(req.user, exam);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const student = await Student.findById(req.params.studentId).populate('user', 'name');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${req.params.studentId}`
+      });
+    }
+
+    // Students see only their own report card and parents their children's,
+    // once results are published
+    if (req.user.role === 'student' || req.user.role === 'parent') {
+      const isOwn = req.user.role === 'student'
+        ? student.user._id.toString() === req.user.id
+        : (await getLinkedStudentIds(req.user.id)).some(id => id.toString() === student._id.toString());
+      if (!isOwn) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this report card'
+        });
+      }
+      if (exam.status !== 'published') {
+        return res.status(400).json({
+          success: false,
+          message: 'Results of this exam have not been published yet'
+        });
+      }
+    }
+
+    const { results } = await loadExamResults(exam);
+    const result = results.find(r => r.studentId.toString() === student._id.toString());
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `No results found for student ${req.params.studentId} in class ${exam.class}`
+      });
+    }
+    const classSize = results.length;
+    const sectionSize = results.filter(r => r.section === result.section).length;
+
+    if (req.query.format !== 'pdf') {
+      return res.status(200).json({
+        success: true,
+        data: {
+          exam,
+          classSize,
+          sectionSize,
+          result
+        }
+      });
+    }
+
+    const branding = await loadSchoolBranding();
+    const pdf = await buildReportCardPdf({ exam, student, result, classSize, sectionSize }, branding);
+    const filename = `report-card-${exam.name.replace(/[^a-z0-9]+/gi, '-')}-${student.rollNumber}.pdf`;
+
+    sendPdf(res, pdf, filename, req.query.download === 'true');
+  } catch (err) {
+    console.error('Error generating report card:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
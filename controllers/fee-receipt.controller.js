@@ -1,8 +1,54 @@
+const mongoose = require('mongoose');
 const Fee = require('../models/Fee');
 const Student = require('../models/Student');
-const User = require('../models/User');
 const ReceiptData = require('../models/ReceiptData');
 const cloudinary = require('../config/cloudinary');
+const axios = require('axios');
+const fs = require('fs');
+const { extractPdfText, parseReceiptText, matchStudent } = require('../utils/receiptParser');
+const { loadSchoolBranding, sendPdf } = require('../utils/pdfHelpers');
+const { buildFeeReceiptPdf } = require('../utils/feeReceiptPdf');
+const { nextReceiptNumber } = require('../utils/documentNumbers');
+const sendEmail = require('../utils/sendEmail');
+const { isLinkedStudent } = require('../utils/parentHelpers');
+
+// Load a fee with everything printed on its receipt
+const findFeeForReceipt = (feeId) => {
+  return Fee.findById(feeId)
+    .populate({
+      path: 'student',
+      populate: {
+        path: 'user',
+        select: 'name email'
+      }
+    })
+    .populate({
+      path: 'recordedBy',
+      select: 'name role'
+    })
+    .populate({
+      path: 'payments.receivedBy',
+      select: 'name role'
+    });
+};
+
+// Assign a sequential receipt number the first time a receipt is issued.
+// The conditional update keeps two simultaneous requests from both assigning one.
+const ensureReceiptNumber = async (fee) => {
+  if (fee.receiptNumber) {
+    return fee.receiptNumber;
+  }
+
+  const receiptNumber = await nextReceiptNumber();
+  const updated = await Fee.findOneAndUpdate(
+    { _id: fee._id, receiptNumber: { $in: [null, ''] } },
+    { receiptNumber },
+    { new: true }
+  );
+
+  fee.receiptNumber = updated ? updated.receiptNumber : (await Fee.findById(fee._id)).receiptNumber;
+  return fee.receiptNumber;
+};
 
 // @desc    Generate a fee receipt PDF
 // @route   GET /api/fee-receipts/generate/:feeId
@@ -10,18 +56,65 @@ const cloudinary = require('../config/cloudinary');
 exports.generateFeeReceipt = async (req, res) => {
   try {
     // Find the fee record
-    const fee = await Fee.findById(req.params.feeId)
-      .populate({
-        path: 'student',
-        populate: {
-          path: 'user',
-          select: 'name email'
-        }
-      })
-      .populate({
-        path: 'recordedBy',
-        select: 'name role'
+    const fee = await findFeeForReceipt(req.params.feeId);
+
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: `No fee record found with id ${req.params.feeId}`
+      });
+    }
+
+    // Students may only print their own receipts
+    if (req.user.role === 'student' &&
+        (!fee.student || fee.student.user?._id.toString() !== req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own fee receipts.'
       });
+    }
+
+    // Parents may print their linked children's receipts
+    if (req.user.role === 'parent' && !(fee.student && await isLinkedStudent(req.user.id, fee.student._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view fee receipts of your linked children.'
+      });
+    }
+
+    await ensureReceiptNumber(fee);
+
+    const wantsPdf = req.query.format === 'pdf' ||
+      req.accepts(['json', 'application/pdf']) === 'application/pdf';
+
+    // JSON is kept as the default for clients that still render receipts themselves
+    if (!wantsPdf) {
+      return res.status(200).json({
+        success: true,
+        data: fee
+      });
+    }
+
+    const branding = await loadSchoolBranding();
+    const pdf = await buildFeeReceiptPdf(fee, branding);
+
+    sendPdf(res, pdf, `${fee.receiptNumber}.pdf`, req.query.download === 'true');
+  } catch (err) {
+    console.error('Error generating fee receipt:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating fee receipt',
+      error: err.message
+    });
+  }
+};
+
+// @desc    Email a fee receipt PDF
+// @route   POST /api/fee-receipts/email/:feeId
+// @access  Private/Admin/Principal/Accountant
+exports.emailFeeReceipt = async (req, res) => {
+  try {
+    const fee = await findFeeForReceipt(req.params.feeId);
 
     if (!fee) {
       return res.status(404).json({
@@ -30,23 +123,40 @@ exports.generateFeeReceipt = async (req, res) => {
       });
     }
 
-    // Generate a unique receipt number if not already present
-    if (!fee.receiptNumber) {
-      const receiptNumber = `RCPT-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-      fee.receiptNumber = receiptNumber;
-      await fee.save();
+    // Default to the guardian's email, then the student's own account
+    const to = req.body.email || fee.student?.parentInfo?.email || fee.student?.user?.email;
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email address found for this student. Please provide one.'
+      });
     }
 
-    // Return the fee data to be used for PDF generation on the client side
+    await ensureReceiptNumber(fee);
+
+    const branding = await loadSchoolBranding();
+    const pdf = await buildFeeReceiptPdf(fee, branding);
+
+    await sendEmail({
+      to,
+      subject: `Fee Receipt ${fee.receiptNumber} - ${branding.name}`,
+      text: `Dear Parent/Guardian,\n\nPlease find attached fee receipt ${fee.receiptNumber} for ${fee.student?.user?.name || 'your child'}.\n\n${branding.name}`,
+      attachments: [{
+        filename: `${fee.receiptNumber}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }]
+    });
+
     res.status(200).json({
       success: true,
-      data: fee
+      message: `Receipt ${fee.receiptNumber} sent to ${to}`
     });
   } catch (err) {
-    console.error('Error generating fee receipt:', err);
+    console.error('Error emailing fee receipt:', err);
     res.status(500).json({
       success: false,
-      message: 'Error generating fee receipt',
+      message: 'Error emailing fee receipt',
       error: err.message
     });
   }
@@ -105,8 +215,8 @@ exports.uploadFeeReceipt = async (req, res) => {
       uploadedBy: req.user.id
     });
 
-    // Extract data from the receipt (this would be implemented with a PDF parsing library)
-    // For now, we'll return the receipt ID to be used for extraction
+    // Extraction is a separate step (GET /extract/:receiptId) so the client can
+    // show the upload result straight away
     res.status(201).json({
       success: true,
       message: 'Receipt uploaded successfully',
@@ -130,8 +240,17 @@ exports.uploadFeeReceipt = async (req, res) => {
 // @access  Private/Admin/Principal/Accountant
 exports.extractDataFromReceipt = async (req, res) => {
   try {
-    // Find the receipt data
-    const receiptData = await ReceiptData.findById(req.params.receiptId);
+    if (req.query.studentId && !mongoose.Types.ObjectId.isValid(req.query.studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid student id ${req.query.studentId}`
+      });
+    }
+
+    // A malformed id cannot match a receipt
+    const receiptData = mongoose.Types.ObjectId.isValid(req.params.receiptId)
+      ? await ReceiptData.findById(req.params.receiptId)
+      : null;
 
     if (!receiptData) {
       return res.status(404).json({
@@ -142,176 +261,97 @@ exports.extractDataFromReceipt = async (req, res) => {
 
     console.log('Extracting data from receipt file:', receiptData.cloudinaryUrl || receiptData.filename);
 
-    // In a real implementation, we would use a PDF parsing library to extract text
-    // For now, we'll simulate PDF content extraction by analyzing the filename
-    // This allows us to create a more realistic extraction process without adding dependencies
-
+    // Read the PDF text
     let extractedText = '';
-    let studentName = '';
-    let feeType = 'tuition'; // Default fee type
-    let amount = 0;
-    let studentClass = '';
-    let studentSection = '';
-    let studentRollNumber = '';
-
-    // Extract information from the filename if possible
-    const filename = receiptData.filename;
-    console.log('Analyzing filename for data extraction:', filename);
-
-    // Try to extract student name from filename (e.g., "fee_receipt_john_doe.pdf")
-    const nameMatch = filename.match(/fee_receipt_([a-zA-Z_]+)/i);
-    if (nameMatch && nameMatch[1]) {
-      studentName = nameMatch[1].replace(/_/g, ' ');
-      console.log('Extracted student name from filename:', studentName);
-    }
-
-    // Try to extract amount from filename (e.g., "amount_5000.pdf")
-    const amountMatch = filename.match(/amount_(\d+)/i);
-    if (amountMatch && amountMatch[1]) {
-      amount = parseInt(amountMatch[1], 10);
-      console.log('Extracted amount from filename:', amount);
-    }
-
-    // Try to extract class and section from filename (e.g., "class_10_section_A.pdf")
-    const classMatch = filename.match(/class_(\d+)/i);
-    if (classMatch && classMatch[1]) {
-      studentClass = classMatch[1];
-      console.log('Extracted class from filename:', studentClass);
-    }
-
-    const sectionMatch = filename.match(/section_([A-Z])/i);
-    if (sectionMatch && sectionMatch[1]) {
-      studentSection = sectionMatch[1];
-      console.log('Extracted section from filename:', studentSection);
-    }
-
-    // Try to extract roll number from filename (e.g., "roll_123.pdf")
-    const rollMatch = filename.match(/roll_(\d+)/i);
-    if (rollMatch && rollMatch[1]) {
-      studentRollNumber = rollMatch[1];
-      console.log('Extracted roll number from filename:', studentRollNumber);
-    }
-
-    // Try to extract fee type from filename (e.g., "type_exam.pdf")
-    const typeMatch = filename.match(/type_([a-zA-Z]+)/i);
-    if (typeMatch && typeMatch[1]) {
-      feeType = typeMatch[1].toLowerCase();
-      console.log('Extracted fee type from filename:', feeType);
-    }
-
-    // Find the student based on the extracted information
-    let student = null;
-
-    // First try to find by name if we extracted one
-    if (studentName) {
-      console.log('Searching for student by name:', studentName);
-      const user = await User.findOne({
-        name: { $regex: studentName, $options: 'i' }
-      });
-
-      if (user) {
-        student = await Student.findOne({ user: user._id }).populate('user', 'name');
-        console.log('Found student by name:', student?.user?.name);
-      }
-    }
-
-    // If not found by name, try by class, section and roll number if available
-    if (!student && studentClass && studentSection && studentRollNumber) {
-      console.log('Searching for student by class, section and roll number');
-      student = await Student.findOne({
-        class: studentClass,
-        section: studentSection,
-        rollNumber: studentRollNumber
-      }).populate('user', 'name');
-
-      console.log('Found student by class/section/roll:', student?.user?.name);
-    }
-
-    // If still not found, try by class and section
-    if (!student && studentClass && studentSection) {
-      console.log('Searching for student by class and section');
-      student = await Student.findOne({
-        class: studentClass,
-        section: studentSection
-      }).populate('user', 'name');
-
-      console.log('Found student by class/section:', student?.user?.name);
-    }
-
-    // If still no student found, get a student from the query parameters if provided
-    if (!student) {
-      const { studentId, className, section } = req.query;
-
-      if (studentId) {
-        console.log('Searching for student by ID from query params:', studentId);
-        student = await Student.findById(studentId).populate('user', 'name');
-      } else if (className && section) {
-        console.log('Searching for student by class/section from query params');
-        student = await Student.findOne({
-          class: className,
-          section: section
-        }).populate('user', 'name');
-      }
-    }
-
-    // If still no student found, get a random student as fallback
-    if (!student) {
-      console.log('No student found, selecting a random student as fallback');
-      const count = await Student.countDocuments();
-
-      if (count > 0) {
-        const random = Math.floor(Math.random() * count);
-        student = await Student.findOne().skip(random).populate('user', 'name');
+    try {
+      let pdfBuffer;
+      if (receiptData.cloudinaryUrl) {
+        const response = await axios.get(receiptData.cloudinaryUrl, {
+          responseType: 'arraybuffer',
+          timeout: 30000
+        });
+        pdfBuffer = Buffer.from(response.data);
+      } else if (receiptData.path && fs.existsSync(receiptData.path)) {
+        // Legacy receipts stored on the local filesystem
+        pdfBuffer = fs.readFileSync(receiptData.path);
       } else {
-        student = await Student.findOne().populate('user', 'name');
+        throw new Error('Receipt file is not available');
       }
-    }
 
-    if (!student) {
-      return res.status(404).json({
+      extractedText = await extractPdfText(pdfBuffer);
+    } catch (readError) {
+      console.error('Error reading receipt PDF:', readError);
+      receiptData.status = 'failed';
+      receiptData.extractionError = `Could not read the receipt PDF: ${readError.message}`;
+      await receiptData.save();
+
+      return res.status(422).json({
         success: false,
-        message: 'No students found in the database'
+        message: receiptData.extractionError
       });
     }
 
-    // Log the student we're using for extraction
-    console.log('Using student for receipt data extraction:', {
-      id: student._id,
-      name: student.user?.name,
-      class: student.class,
-      section: student.section,
-      monthlyFee: student.monthlyFee
-    });
+    const { fields, confidence } = parseReceiptText(extractedText);
+    console.log('Fields parsed from receipt text:', fields);
 
-    // Get the current month and year
-    const currentDate = new Date();
-    const currentMonth = currentDate.toLocaleString('default', { month: 'long' });
-    const currentYear = currentDate.getFullYear();
-
-    // Use the extracted amount if available, otherwise use the student's monthly fee or a default
-    if (!amount) {
-      amount = student.monthlyFee || 5000;
+    // An explicitly selected student overrides whatever the receipt says
+    let match;
+    if (req.query.studentId) {
+      const student = await Student.findById(req.query.studentId).populate('user', 'name');
+      match = { student, confidence: student ? 1 : 0, matchedBy: student ? 'manual' : null };
+    } else {
+      match = await matchStudent(fields);
     }
 
-    // Create extracted data using the student's actual information
+    const { student } = match;
+    const studentName = student?.user?.name || fields.studentName || '';
+    const feeType = fields.feeType;
+    const amount = fields.amount || 0;
+
+    // Describe the fee by the month it was paid in
+    const periodDate = fields.paymentDate || new Date();
+    const period = periodDate.toLocaleString('default', { month: 'long', year: 'numeric' });
+
     const extractedData = {
-      studentName: student.user?.name || 'Unknown Student',
-      studentId: student._id.toString(), // Convert to string to ensure consistent format
-      feeType: feeType,
-      amount: amount,
-      dueDate: new Date().toISOString().split('T')[0],
-      description: `${feeType.charAt(0).toUpperCase() + feeType.slice(1)} fee for ${student.user?.name} - ${currentMonth} ${currentYear}`
+      studentName,
+      studentId: student ? student._id.toString() : null,
+      receiptNumber: fields.receiptNumber,
+      rollNumber: student?.rollNumber || fields.rollNumber,
+      feeType,
+      amount,
+      paymentDate: fields.paymentDate,
+      dueDate: periodDate.toISOString().split('T')[0],
+      description: `${feeType.charAt(0).toUpperCase() + feeType.slice(1)} fee${studentName ? ` for ${studentName}` : ''} - ${period}`,
+      matchedBy: match.matchedBy,
+      confidence: {
+        receiptNumber: confidence.receiptNumber,
+        rollNumber: confidence.rollNumber,
+        student: match.confidence,
+        amount: confidence.amount,
+        feeType: confidence.feeType,
+        paymentDate: confidence.paymentDate
+      }
     };
 
-    // Update the receipt data with the extracted information
+    // Without a student and an amount the receipt cannot be turned into a fee record
+    const missing = [];
+    if (!student) missing.push('student');
+    if (!amount) missing.push('amount');
+
     receiptData.extractedData = extractedData;
-    receiptData.status = 'processed';
+    receiptData.extractedText = extractedText;
+    receiptData.status = missing.length === 0 ? 'processed' : 'failed';
+    receiptData.extractionError = missing.length === 0
+      ? undefined
+      : `Could not identify ${missing.join(' and ')} from the receipt`;
     await receiptData.save();
 
-    console.log('Successfully extracted data:', extractedData);
+    console.log(`Receipt ${receiptData._id} extraction ${receiptData.status}:`, extractedData);
 
     res.status(200).json({
       success: true,
+      status: receiptData.status,
+      message: receiptData.extractionError,
       data: extractedData
     });
   } catch (err) {
@@ -1,48 +1,55 @@
 const Fee = require('../models/Fee');
 const Student = require('../models/Student');
+const FeeStructure = require('../models/FeeStructure');
+const SchoolSettings = require('../models/SchoolSettings');
+const Notification = require('../models/Notification');
+const AcademicYear = require('../models/AcademicYear');
+const { parseMonth } = require('../utils/dateHelpers');
+const { buildFeeLines, getSiblingOrder, calculateLateFine } = require('../utils/feeCalculator');
+const { nextReceiptNumber } = require('../utils/documentNumbers');
+const { getLinkedStudentIds, isLinkedStudent, notifyGuardians } = require('../utils/parentHelpers');
 
 // Helper function to calculate arrears for a student
-// This will calculate the total unpaid fees from previous months
-exports.calculateStudentArrears = async (studentId) => {
+// This will calculate the total unpaid fees from months before asOfDate (default: now)
+exports.calculateStudentArrears = async (studentId, asOfDate = new Date()) => {
   try {
     if (!studentId) {
       console.error('Missing student ID for arrears calculation');
       return 0;
     }
 
-    // Get current date
-    const currentDate = new Date();
+    // Get reference date
+    const currentDate = new Date(asOfDate);
     const currentMonth = currentDate.getMonth();
     const currentYear = currentDate.getFullYear();
 
-    // If current month is May 2025 (month index 4), return 0 as it's the starting month
-    // This is a specific solution for May 2025 being the starting month of fee management
-    if (currentMonth === 4 && currentYear === 2025) {
-      console.log(`May 2025 is the starting month - no arrears for student ${studentId}`);
-      return 0;
-    }
-
     // Calculate the start of the current month
     const startOfCurrentMonth = new Date(currentYear, currentMonth, 1);
 
-    // Find all unpaid/partial/overdue fees for this student from previous months
+    // Fees due before the fee-management start month are not counted;
+    // dues from that time are carried by the student's opening balance instead
+    const feeStartDate = await SchoolSettings.getFeeStartDate();
+    const dueDateFilter = { $lt: startOfCurrentMonth };
+    if (feeStartDate) {
+      dueDateFilter.$gte = feeStartDate;
+    }
+
+    // Find all unpaid/partial/overdue fees for this student from previous months,
+    // plus any outstanding opening balance
     const previousFees = await Fee.find({
       student: studentId,
-      dueDate: { $lt: startOfCurrentMonth },
-      status: { $in: ['unpaid', 'partial', 'overdue'] }
+      status: { $in: ['unpaid', 'partial', 'overdue'] },
+      $or: [
+        { dueDate: dueDateFilter, isOpeningBalance: { $ne: true } },
+        { isOpeningBalance: true }
+      ]
     });
 
-    // Calculate total arrears
+    // Calculate total arrears: whatever is still owed on each fee, late fines included
     let totalArrears = 0;
 
     previousFees.forEach(fee => {
-      // For partial payments, only count the remaining amount
-      if (fee.status === 'partial') {
-        totalArrears += fee.remainingAmount;
-      } else {
-        // For unpaid or overdue, count the full amount
-        totalArrears += fee.amount;
-      }
+      totalArrears += fee.amount + (fee.fine || 0) - (fee.paidAmount || 0);
     });
 
     console.log(`Calculated arrears for student ${studentId}: ${totalArrears}`);
@@ -53,8 +60,217 @@ exports.calculateStudentArrears = async (studentId) => {
   }
 };
 
+// Helper function to set a migrated student's opening balance
+// The balance is kept as a single fee record (feeType 'other') so it can be paid
+// through the payment ledger and is always included in arrears.
+exports.setOpeningBalance = async (studentId, amount, recordedById, remarks) => {
+  const feeStartDate = await SchoolSettings.getFeeStartDate();
+  // Due on the last day before fee management started (or today if no start date is set)
+  const dueDate = feeStartDate ? new Date(feeStartDate.getTime() - 1) : new Date();
+
+  let fee = await Fee.findOne({ student: studentId, isOpeningBalance: true });
+
+  if (fee && fee.paidAmount > 0 && amount < fee.paidAmount) {
+    throw new Error(`Opening balance cannot be less than the ${fee.paidAmount} already paid against it`);
+  }
+
+  // Clearing an unpaid opening balance removes it
+  if (fee && !amount && !fee.paidAmount) {
+    await fee.deleteOne();
+    return null;
+  }
+
+  if (!fee) {
+    if (!amount || amount <= 0) return null;
+
+    fee = new Fee({
+      student: studentId,
+      feeType: 'other',
+      feeHead: 'Opening Balance',
+      isOpeningBalance: true,
+      status: 'unpaid',
+      recordedBy: recordedById
+    });
+  }
+
+  fee.amount = amount;
+  fee.grossAmount = amount;
+  fee.dueDate = dueDate;
+  fee.description = 'Opening balance carried over from before fee management';
+  fee.remarks = remarks;
+  // Recompute the remaining amount and status for the new amount
+  fee.markModified('paidAmount');
+
+  await fee.save();
+  return fee;
+};
+
+// Returns a function that finds the late fine rule for a fee: the fee structure
+// it was generated from, else the structure of the student's class, else the
+// school-wide rule in SchoolSettings. Lookups are cached for batch use.
+const createLateFineResolver = () => {
+  const structuresById = {};
+  const structuresByClass = {};
+  let defaultRule;
+
+  return async (fee, studentClass) => {
+    let structure = null;
+
+    if (fee.feeStructure) {
+      const key = fee.feeStructure.toString();
+      if (structuresById[key] === undefined) {
+        structuresById[key] = await FeeStructure.findById(fee.feeStructure);
+      }
+      structure = structuresById[key];
+    }
+
+    if (!structure && studentClass) {
+      if (structuresByClass[studentClass] === undefined) {
+        structuresByClass[studentClass] = await FeeStructure.findForClass(studentClass);
+      }
+      structure = structuresByClass[studentClass];
+    }
+
+    if (structure?.lateFine?.enabled) {
+      return structure.lateFine;
+    }
+
+    if (defaultRule === undefined) {
+      const settings = await SchoolSettings.findOne().select('feeManagement');
+      defaultRule = settings?.feeManagement?.lateFine || null;
+    }
+    return defaultRule;
+  };
+};
+
+// Helper function to bring late fines up to date on a student's overdue fees
+// Fines only ever increase.
+exports.applyLateFines = async (studentId, asOfDate = new Date()) => {
+  try {
+    const student = await Student.findById(studentId).select('class');
+    if (!student) return 0;
+
+    const fees = await Fee.find({
+      student: studentId,
+      dueDate: { $lt: asOfDate },
+      status: { $in: ['unpaid', 'partial', 'overdue'] }
+    });
+    if (fees.length === 0) return 0;
+
+    const getLateFineRule = createLateFineResolver();
+    let totalAdded = 0;
+
+    for (const fee of fees) {
+      const fine = calculateLateFine(fee, await getLateFineRule(fee, student.class), asOfDate);
+      if (fine > (fee.fine || 0)) {
+        totalAdded += fine - (fee.fine || 0);
+        fee.fine = fine;
+        await fee.save();
+      }
+    }
+
+    if (totalAdded > 0) {
+      console.log(`Applied ${totalAdded} in late fines for student ${studentId}`);
+    }
+    return totalAdded;
+  } catch (error) {
+    console.error('Error applying late fines:', error);
+    return 0;
+  }
+};
+
+// Helper function to mark fees past their due date as overdue
+// Optionally brings late fines up to date and notifies the student of each overdue
+// fee they have not been told about yet, however it became overdue. Used by the
+// admin route and by scripts/sweepOverdueFees.js for scheduled runs.
+exports.sweepOverdueFees = async ({ asOfDate = new Date(), applyFines = true, notify = true } = {}) => {
+  const fees = await Fee.find({
+    dueDate: { $lt: asOfDate },
+    status: { $in: ['unpaid', 'partial', 'overdue'] }
+  }).populate('student', 'user class');
+
+  const getLateFineRule = createLateFineResolver();
+  const summary = {
+    checked: fees.length,
+    markedOverdue: 0,
+    finesApplied: 0,
+    totalFines: 0,
+    notificationsSent: 0,
+    failed: 0
+  };
+
+  for (const fee of fees) {
+    try {
+      const becameOverdue = fee.status !== 'overdue';
+      let fineAdded = 0;
+
+      if (applyFines) {
+        const fine = calculateLateFine(fee, await getLateFineRule(fee, fee.student?.class), asOfDate);
+        if (fine > (fee.fine || 0)) {
+          fineAdded = fine - (fee.fine || 0);
+          fee.fine = fine;
+        }
+      }
+
+      // Fees are also marked overdue when saved for other reasons (e.g. a part
+      // payment), so notices are tracked separately from the status
+      const needsNotice = notify && !fee.overdueNotifiedAt && !!fee.student?.user;
+
+      if (!becameOverdue && fineAdded === 0 && !needsNotice) {
+        continue;
+      }
+
+      fee.status = 'overdue';
+      await fee.save();
+
+      if (becameOverdue) summary.markedOverdue++;
+      if (fineAdded > 0) {
+        summary.finesApplied++;
+        summary.totalFines += fineAdded;
+      }
+
+      if (needsNotice) {
+        await Notification.create({
+          user: fee.student.user,
+          type: 'fee',
+          title: 'Fee Overdue',
+          message: `${fee.feeHead || fee.feeType.charAt(0).toUpperCase() + fee.feeType.slice(1)} fee due on ${new Date(fee.dueDate).toLocaleDateString('en-GB')} is overdue. Outstanding amount: Rs. ${fee.remainingAmount}${fee.fine > 0 ? ` (including late fine of Rs. ${fee.fine})` : ''}.`,
+          relatedEntity: {
+            entityType: 'Fee',
+            entityId: fee._id
+          },
+          priority: 'high'
+        });
+        summary.notificationsSent++;
+
+        summary.notificationsSent += await notifyGuardians([fee.student._id], {
+          type: 'fee',
+          title: 'Fee Overdue',
+          message: `${fee.feeHead || fee.feeType.charAt(0).toUpperCase() + fee.feeType.slice(1)} fee of your child due on ${new Date(fee.dueDate).toLocaleDateString('en-GB')} is overdue. Outstanding amount: Rs. ${fee.remainingAmount}${fee.fine > 0 ? ` (including late fine of Rs. ${fee.fine})` : ''}.`,
+          relatedEntity: {
+            entityType: 'Fee',
+            entityId: fee._id
+          },
+          priority: 'high'
+        });
+
+        await Fee.updateOne({ _id: fee._id }, { overdueNotifiedAt: Date.now() });
+      }
+    } catch (error) {
+      console.error(`Error sweeping overdue fee ${fee._id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  console.log(`Overdue fee sweep: ${summary.markedOverdue} marked overdue, ${summary.finesApplied} fines applied (${summary.totalFines}), ${summary.notificationsSent} notifications sent`);
+
+  return summary;
+};
+
 // Helper function to create initial fee record for a student
 // This will be used when a new student is created (either manually or via bulk upload)
+// Bills the current month from the class fee structure if there is one, otherwise
+// monthlyFeeAmount as tuition. Returns the tuition fee (or the first fee billed).
 exports.createInitialFeeRecord = async (studentId, recordedById, monthlyFeeAmount) => {
   try {
     // Validate inputs
@@ -63,62 +279,289 @@ exports.createInitialFeeRecord = async (studentId, recordedById, monthlyFeeAmoun
       return null;
     }
 
-    // Set default amount if not provided
-    const amount = monthlyFeeAmount || 0;
+    const student = await Student.findById(studentId);
+    if (!student) {
+      console.error(`Student ${studentId} not found for createInitialFeeRecord`);
+      return null;
+    }
 
-    // Get current date for the fee record
-    const currentDate = new Date();
-    const dueDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0); // Last day of current month
+    // Bill the current month, or the fee-management start month if it has not begun yet
+    let currentDate = new Date();
+    const feeStartDate = await SchoolSettings.getFeeStartDate();
+    if (feeStartDate && feeStartDate > currentDate) {
+      currentDate = feeStartDate;
+    }
+    const period = parseMonth(`${currentDate.getMonth() + 1}/${currentDate.getFullYear()}`);
+    const dueDate = new Date(period.year, period.month, 0); // Last day of the month
+    const monthLabel = currentDate.toLocaleString('default', { month: 'long', year: 'numeric' });
 
-    // Calculate arrears from previous months
-    const arrears = await exports.calculateStudentArrears(studentId);
+    const structure = await FeeStructure.findForClass(student.class);
+    const siblingOrder = await getSiblingOrder(student);
 
-    // Create fee data
-    const feeData = {
-      student: studentId,
-      feeType: 'tuition',
-      amount: amount,
-      dueDate: dueDate,
-      status: 'unpaid',
-      recordedBy: recordedById,
-      arrears: arrears,
-      description: `Monthly tuition fee for ${currentDate.toLocaleString('default', { month: 'long', year: 'numeric' })}`
-    };
+    // Use the amount passed in as the monthly fee when there is no fee structure
+    if (!structure) {
+      student.monthlyFee = monthlyFeeAmount || 0;
+    }
+    const lines = buildFeeLines({ student, structure, period, siblingOrder });
+
+    // Calculate arrears from previous months
+    const arrears = await exports.calculateStudentArrears(studentId, period.start);
+
+    const fees = [];
+    for (const [index, line] of lines.entries()) {
+      // Create fee data
+      const feeData = {
+        student: studentId,
+        feeType: line.feeType,
+        feeHead: line.feeHead,
+        feeStructure: line.feeStructure,
+        grossAmount: line.grossAmount,
+        discounts: line.discounts,
+        amount: line.amount,
+        dueDate: dueDate,
+        status: 'unpaid',
+        recordedBy: recordedById,
+        // Arrears are carried on the first fee only so they are not counted twice
+        arrears: index === 0 ? arrears : 0,
+        description: `${line.feeHead} fee for ${monthLabel}`
+      };
 
-    // Check if a fee record already exists for this month
-    const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-    const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+      // Check if a fee record already exists for this month
+      const existingFee = await Fee.findOne({
+        student: studentId,
+        feeType: line.feeType,
+        $or: [{ feeHead: line.feeHead }, { feeHead: { $exists: false } }],
+        isOpeningBalance: { $ne: true },
+        dueDate: {
+          $gte: period.start,
+          $lte: period.end
+        }
+      });
 
-    const existingFee = await Fee.findOne({
-      student: studentId,
-      feeType: 'tuition',
-      dueDate: {
-        $gte: startOfMonth,
-        $lte: endOfMonth
+      // If fee already exists, update it, otherwise create a new one
+      let fee;
+      if (existingFee) {
+        fee = await Fee.findByIdAndUpdate(
+          existingFee._id,
+          feeData,
+          { new: true, runValidators: true }
+        );
+        console.log(`Updated existing ${line.feeHead} fee for student ${studentId}`);
+      } else {
+        fee = await Fee.create(feeData);
+        console.log(`Created initial ${line.feeHead} fee record for student ${studentId}`);
       }
-    });
 
-    // If fee already exists, update it, otherwise create a new one
-    let fee;
-    if (existingFee) {
-      fee = await Fee.findByIdAndUpdate(
-        existingFee._id,
-        feeData,
-        { new: true, runValidators: true }
-      );
-      console.log(`Updated existing tuition fee for student ${studentId}`);
-    } else {
-      fee = await Fee.create(feeData);
-      console.log(`Created initial tuition fee record for student ${studentId}`);
+      fees.push(fee);
     }
 
-    return fee;
+    return fees.find(fee => fee.feeType === 'tuition') || fees[0] || null;
   } catch (error) {
     console.error('Error creating initial fee record:', error);
     return null;
   }
 };
 
+// Helper function to generate the monthly fees for all active students
+// Fee heads, discounts and scholarships come from the class fee structure (or the
+// student's monthlyFee when the class has none). Late fines on overdue fees are
+// brought up to date first so they are included in the carried arrears.
+// Used by the admin route and by scripts/generateMonthlyFees.js for scheduled runs
+exports.generateMonthlyFees = async ({ month, recordedById, dryRun = false, className, section }) => {
+  const period = parseMonth(month);
+  if (!period) {
+    throw new Error('Please provide the month in MM/YYYY format');
+  }
+
+  const feeStartDate = await SchoolSettings.getFeeStartDate();
+  if (feeStartDate && period.start < feeStartDate) {
+    throw new Error(`Fee management starts in ${feeStartDate.toLocaleString('default', { month: 'long', year: 'numeric' })}; fees cannot be generated for ${period.key}`);
+  }
+
+  const dueDate = new Date(period.year, period.month, 0); // Last day of the month
+  const monthLabel = period.start.toLocaleString('default', { month: 'long', year: 'numeric' });
+
+  const studentQuery = { isActive: true };
+  if (className) studentQuery.class = className;
+  if (section) studentQuery.section = section;
+
+  const students = await Student.find(studentQuery)
+    .populate('user', 'name status')
+    .sort('class section rollNumber');
+
+  // Fee heads a student has already been billed for this month are skipped
+  const existingFees = await Fee.find({
+    student: { $in: students.map(student => student._id) },
+    dueDate: { $gte: period.start, $lte: period.end },
+    isOpeningBalance: { $ne: true }
+  }).select('student feeType feeHead');
+  const billed = {};
+  existingFees.forEach(fee => {
+    const key = fee.student.toString();
+    billed[key] = billed[key] || [];
+    billed[key].push(fee);
+  });
+  const alreadyBilled = (studentId, line) => (billed[studentId.toString()] || []).some(fee =>
+    fee.feeType === line.feeType &&
+    (!fee.feeHead || fee.feeHead.toLowerCase() === line.feeHead.toLowerCase())
+  );
+
+  // Structures are looked up once per class
+  const structuresByClass = {};
+
+  const summary = {
+    month: period.key,
+    dryRun,
+    totalStudents: students.length,
+    created: 0,
+    feesCreated: 0,
+    skipped: 0,
+    failed: 0,
+    totalAmount: 0,
+    totalDiscounts: 0,
+    totalArrears: 0,
+    details: []
+  };
+
+  for (const student of students) {
+    const detail = {
+      studentId: student._id,
+      name: student.user?.name,
+      rollNumber: student.rollNumber,
+      class: student.class,
+      section: student.section,
+      amount: 0,
+      arrears: 0,
+      fees: []
+    };
+
+    if (!student.user || student.user.status === 'inactive') {
+      summary.skipped++;
+      summary.details.push({ ...detail, result: 'skipped', reason: 'Student account is inactive' });
+      continue;
+    }
+
+    try {
+      if (structuresByClass[student.class] === undefined) {
+        structuresByClass[student.class] = await FeeStructure.findForClass(student.class);
+      }
+      const structure = structuresByClass[student.class];
+
+      const siblingOrder = await getSiblingOrder(student);
+      const lines = buildFeeLines({ student, structure, period, siblingOrder })
+        .filter(line => !alreadyBilled(student._id, line));
+
+      if (lines.length === 0) {
+        summary.skipped++;
+        summary.details.push({
+          ...detail,
+          result: 'skipped',
+          reason: structure || student.monthlyFee > 0 ? 'Fee already exists for this month' : 'No monthly fee set'
+        });
+        continue;
+      }
+
+      if (!dryRun) {
+        await exports.applyLateFines(student._id, period.start);
+      }
+      detail.arrears = await exports.calculateStudentArrears(student._id, period.start);
+
+      for (const [index, line] of lines.entries()) {
+        const feeLine = {
+          feeType: line.feeType,
+          feeHead: line.feeHead,
+          grossAmount: line.grossAmount,
+          discounts: line.discounts,
+          amount: line.amount
+        };
+
+        if (!dryRun) {
+          const fee = await Fee.create({
+            student: student._id,
+            feeType: line.feeType,
+            feeHead: line.feeHead,
+            feeStructure: line.feeStructure,
+            grossAmount: line.grossAmount,
+            discounts: line.discounts,
+            amount: line.amount,
+            dueDate,
+            status: 'unpaid',
+            recordedBy: recordedById,
+            // Arrears are carried on the first fee only so they are not counted twice
+            arrears: index === 0 ? detail.arrears : 0,
+            description: `${line.feeHead} fee for ${monthLabel}`
+          });
+          feeLine.feeId = fee._id;
+        }
+
+        detail.fees.push(feeLine);
+        detail.amount += line.amount;
+        summary.totalDiscounts += line.grossAmount - line.amount;
+      }
+
+      summary.created++;
+      summary.feesCreated += detail.fees.length;
+      summary.totalAmount += detail.amount;
+      summary.totalArrears += detail.arrears;
+      summary.details.push({ ...detail, result: dryRun ? 'would-create' : 'created' });
+    } catch (error) {
+      console.error(`Error generating fee for student ${student._id}:`, error);
+      summary.failed++;
+      summary.details.push({ ...detail, result: 'failed', reason: error.message });
+    }
+  }
+
+  console.log(`Monthly fee generation for ${period.key}${dryRun ? ' (dry run)' : ''}: ${summary.created} students billed, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+  return summary;
+};
+
+// @desc    Generate fees for all active students for a month
+// @route   POST /api/fees/generate-monthly
+// @access  Private/Admin,Principal,Accountant
+exports.runMonthlyFeeGeneration = async (req, res) => {
+  try {
+    const { month, dryRun, class: className, section } = req.body;
+
+    if (!parseMonth(month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the month in MM/YYYY format'
+      });
+    }
+
+    const feeStartDate = await SchoolSettings.getFeeStartDate();
+    if (feeStartDate && parseMonth(month).start < feeStartDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Fee management starts in ${feeStartDate.toLocaleString('default', { month: 'long', year: 'numeric' })}. Please choose that month or later.`
+      });
+    }
+
+    const summary = await exports.generateMonthlyFees({
+      month,
+      recordedById: req.user.id,
+      dryRun: dryRun === true || dryRun === 'true',
+      className,
+      section
+    });
+
+    res.status(summary.dryRun ? 200 : 201).json({
+      success: true,
+      message: summary.dryRun
+        ? `Dry run: ${summary.feesCreated} fee records would be created for ${summary.created} students for ${summary.month}`
+        : `Created ${summary.feesCreated} fee records for ${summary.created} students for ${summary.month}`,
+      data: summary
+    });
+  } catch (err) {
+    console.error('Error generating monthly fees:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
 // @desc    Clean up orphaned fee records (fees without valid students)
 // @route   DELETE /api/fees/cleanup-orphaned
 // @access  Private/Admin,Principal
@@ -212,6 +655,9 @@ exports.getFeeRecords = async (req, res) => {
     // Loop over removeFields and delete them from reqQuery
     removeFields.forEach(param => delete reqQuery[param]);
 
+    // academicYear=current scopes to the current academic year
+    await AcademicYear.resolveQueryFilter(reqQuery);
+
     // Handle student filtering using the new studentId parameter
     if (req.query.studentId) {
       const studentIds = Array.isArray(req.query.studentId)
@@ -252,6 +698,20 @@ exports.getFeeRecords = async (req, res) => {
       }
     }
 
+    // For parents, only show their linked children's fee records
+    if (req.user.role === 'parent') {
+      const childIds = (await getLinkedStudentIds(req.user.id)).map(id => id.toString());
+      const requested = [].concat(req.query.studentId || req.query.student || []);
+      if (requested.some(id => !childIds.includes(String(id)))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view fee records of your linked children.'
+        });
+      }
+      delete reqQuery.$or;
+      reqQuery.student = { $in: requested.length > 0 ? requested : childIds };
+    }
+
     // Create query string
     let queryStr = JSON.stringify(reqQuery);
 
@@ -373,6 +833,14 @@ exports.getFeeRecord = async (req, res) => {
       }
     }
 
+    // For parents, only allow access to their linked children's fee records
+    if (req.user.role === 'parent' && !(fee.student && await isLinkedStudent(req.user.id, fee.student._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view fee records of your linked children.'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: fee
@@ -385,6 +853,15 @@ exports.getFeeRecord = async (req, res) => {
   }
 };
 
+// Fields that only change through the payment ledger (POST /api/fees/:id/payments),
+// so every installment has an entry saying who received it
+const PAYMENT_FIELDS = ['status', 'paidAmount', 'payments', 'paymentDate', 'paymentMethod', 'transactionId'];
+
+// Helper function to remove ledger-managed fields from a request body
+const stripPaymentFields = (body) => {
+  PAYMENT_FIELDS.forEach(field => delete body[field]);
+};
+
 // @desc    Create fee record
 // @route   POST /api/fees
 // @access  Private
@@ -393,6 +870,9 @@ exports.createFeeRecord = async (req, res) => {
     // Add user to req.body
     req.body.recordedBy = req.user.id;
 
+    // New fees start unpaid; payments are recorded through the ledger
+    stripPaymentFields(req.body);
+
     // Log the incoming request for debugging
     console.log('Creating fee record with data:', req.body);
 
@@ -544,6 +1024,17 @@ exports.updateFeeRecord = async (req, res) => {
     // Log the incoming update data for debugging
     console.log('Updating fee record with data:', req.body);
 
+    // Payments are only changed through the payment ledger endpoints, so every
+    // change to the paid amount or status has a ledger entry
+    if ((req.body.paidAmount !== undefined && Number(req.body.paidAmount) !== fee.paidAmount) ||
+        (req.body.status !== undefined && req.body.status !== fee.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The paid amount and status cannot be edited. Record a payment with POST /api/fees/:id/payments instead.'
+      });
+    }
+    stripPaymentFields(req.body);
+
     // Update the fee properties
     Object.keys(req.body).forEach(key => {
       fee[key] = req.body[key];
@@ -660,6 +1151,14 @@ exports.getStudentArrears = async (req, res) => {
       });
     }
 
+    // Parents can only check arrears of their linked children
+    if (req.user.role === 'parent' && !(await isLinkedStudent(req.user.id, student._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view fee records of your linked children.'
+      });
+    }
+
     // Calculate arrears
     const arrears = await exports.calculateStudentArrears(studentId);
 
@@ -674,4 +1173,274 @@ exports.getStudentArrears = async (req, res) => {
       message: err.message
     });
   }
-};
\ No newline at end of file
+};
+// Fees recorded before the payment ledger existed only have a paidAmount.
+// Turn that into an opening ledger entry so the ledger total matches it.
+const seedLedgerFromLegacyPayment = (fee) => {
+  if (fee.payments.length === 0 && fee.paidAmount > 0) {
+    fee.payments.push({
+      type: 'payment',
+      amount: fee.paidAmount,
+      date: fee.paymentDate || fee.updatedAt,
+      method: fee.paymentMethod,
+      transactionId: fee.transactionId,
+      receiptNumber: fee.receiptNumber,
+      remarks: 'Recorded before the payment ledger was introduced',
+      receivedBy: fee.recordedBy
+    });
+  }
+};
+
+// @desc    Get the payment ledger of a fee record
+// @route   GET /api/fees/:id/payments
+// @access  Private
+exports.getFeePayments = async (req, res) => {
+  try {
+    const fee = await Fee.findById(req.params.id)
+      .populate({
+        path: 'payments.receivedBy',
+        select: 'name role'
+      });
+
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: `No fee record found with id ${req.params.id}`
+      });
+    }
+
+    // For students, only allow access to their own fee records
+    if (req.user.role === 'student') {
+      const student = await Student.findOne({ user: req.user.id });
+      if (!student || fee.student.toString() !== student._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own fee records.'
+        });
+      }
+    }
+
+    // For parents, only allow access to their linked children's fee records
+    if (req.user.role === 'parent' && !(await isLinkedStudent(req.user.id, fee.student))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view fee records of your linked children.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: fee.payments.length,
+      data: {
+        feeId: fee._id,
+        amount: fee.amount,
+        fine: fee.fine,
+        paidAmount: fee.paidAmount,
+        remainingAmount: fee.remainingAmount,
+        status: fee.status,
+        payments: fee.payments
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Record a payment (installment) against a fee record
+// @route   POST /api/fees/:id/payments
+// @access  Private/Admin,Principal,Accountant
+exports.recordFeePayment = async (req, res) => {
+  try {
+    const fee = await Fee.findById(req.params.id);
+
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: `No fee record found with id ${req.params.id}`
+      });
+    }
+
+    const amount = Number(req.body.amount);
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a payment amount greater than zero'
+      });
+    }
+
+    const outstanding = fee.amount + (fee.fine || 0) - (fee.paidAmount || 0);
+    if (amount > outstanding) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment of ${amount} exceeds the outstanding amount of ${outstanding}`
+      });
+    }
+
+    seedLedgerFromLegacyPayment(fee);
+
+    const paymentDate = req.body.date ? new Date(req.body.date) : new Date();
+    fee.payments.push({
+      type: 'payment',
+      amount,
+      date: paymentDate,
+      method: req.body.method || req.body.paymentMethod,
+      transactionId: req.body.transactionId,
+      receiptNumber: await nextReceiptNumber(paymentDate),
+      remarks: req.body.remarks,
+      receivedBy: req.user.id
+    });
+
+    await fee.save();
+
+    res.status(201).json({
+      success: true,
+      data: fee
+    });
+  } catch (err) {
+    console.error('Error recording fee payment:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Reverse or refund a payment on a fee record
+// @route   POST /api/fees/:id/payments/:paymentId/reverse
+// @access  Private/Admin,Principal
+exports.reverseFeePayment = async (req, res) => {
+  try {
+    const fee = await Fee.findById(req.params.id);
+
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: `No fee record found with id ${req.params.id}`
+      });
+    }
+
+    const payment = fee.payments.id(req.params.paymentId);
+    if (!payment || payment.type !== 'payment') {
+      return res.status(404).json({
+        success: false,
+        message: `No payment found with id ${req.params.paymentId}`
+      });
+    }
+
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the reversal'
+      });
+    }
+
+    // A reversal cancels the whole payment (e.g. a bounced cheque); a refund may be partial
+    const type = req.body.type === 'refund' ? 'refund' : 'reversal';
+    const alreadyReversed = fee.payments
+      .filter(entry => entry.reverses && entry.reverses.toString() === payment._id.toString())
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const reversible = payment.amount - alreadyReversed;
+    const amount = type === 'refund' && req.body.amount ? Number(req.body.amount) : reversible;
+
+    if (reversible <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment has already been fully reversed'
+      });
+    }
+
+    if (!amount || amount <= 0 || amount > reversible) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount must be between 0 and ${reversible}`
+      });
+    }
+
+    fee.payments.push({
+      type,
+      amount,
+      date: new Date(),
+      method: req.body.method || payment.method,
+      transactionId: req.body.transactionId,
+      reverses: payment._id,
+      remarks: reason,
+      receivedBy: req.user.id
+    });
+
+    await fee.save();
+
+    res.status(201).json({
+      success: true,
+      data: fee
+    });
+  } catch (err) {
+    console.error('Error reversing fee payment:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Set a student's opening balance (dues from before fee management)
+// @route   PUT /api/fees/opening-balance/:studentId
+// @access  Private/Admin,Principal,Accountant
+exports.updateOpeningBalance = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${req.params.studentId}`
+      });
+    }
+
+    const amount = Number(req.body.amount);
+    if (isNaN(amount) || amount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an opening balance of zero or more'
+      });
+    }
+
+    const fee = await exports.setOpeningBalance(student._id, amount, req.user.id, req.body.remarks);
+
+    res.status(200).json({
+      success: true,
+      data: fee
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Mark fees past their due date as overdue and apply late fines
+// @route   POST /api/fees/sweep-overdue
+// @access  Private/Admin,Principal,Accountant
+exports.runOverdueFeeSweep = async (req, res) => {
+  try {
+    const summary = await exports.sweepOverdueFees({
+      applyFines: req.body.applyFines !== false && req.body.applyFines !== 'false',
+      notify: req.body.notify !== false && req.body.notify !== 'false'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.markedOverdue} fees marked overdue`,
+      data: summary
+    });
+  } catch (err) {
+    console.error('Error sweeping overdue fees:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -0,0 +1,492 @@
+const Fee = require('../models/Fee');
+const { parseDateRange } = require('../utils/dateHelpers');
+const { buildWorkbook, sendWorkbook } = require('../utils/excelExport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AMOUNT_FORMAT = '#,##0.00';
+
+// Age buckets used by the defaulters report, by days past the due date
+const AGING_BUCKETS = [
+  { key: 'days0to30', label: '0-30 days', max: 30 },
+  { key: 'days31to60', label: '31-60 days', max: 60 },
+  { key: 'days61to90', label: '61-90 days', max: 90 },
+  { key: 'days90plus', label: '90+ days', max: Infinity }
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatDay = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const rangeLabel = (range) => `${formatDay(range.start)} to ${formatDay(range.end)}`;
+
+const wantsExcel = (req) => req.query.format === 'xlsx';
+
+// Flatten the payment ledgers of all fees into entries dated within the range.
+// Fees paid before the ledger existed count as a single payment on paymentDate
+// recorded by the fee's recordedBy. Reversals and refunds carry a negative amount
+// and the method of the payment they reverse.
+const collectPayments = async (range) => {
+  const fees = await Fee.find({
+    $or: [
+      { 'payments.date': { $gte: range.start, $lte: range.end } },
+      {
+        'payments.0': { $exists: false },
+        paidAmount: { $gt: 0 },
+        paymentDate: { $gte: range.start, $lte: range.end }
+      }
+    ]
+  })
+    .populate('payments.receivedBy', 'name role')
+    .populate('recordedBy', 'name role');
+
+  const entries = [];
+
+  fees.forEach(fee => {
+    if (!fee.payments || fee.payments.length === 0) {
+      entries.push({
+        fee: fee._id,
+        date: fee.paymentDate,
+        type: 'payment',
+        amount: fee.paidAmount,
+        method: fee.paymentMethod || 'other',
+        receivedBy: fee.recordedBy
+      });
+      return;
+    }
+
+    fee.payments.forEach(entry => {
+      if (entry.date < range.start || entry.date > range.end) return;
+
+      let method = entry.method;
+      if (!method && entry.reverses) {
+        const original = fee.payments.find(payment => payment._id.toString() === entry.reverses.toString());
+        method = original?.method;
+      }
+
+      entries.push({
+        fee: fee._id,
+        date: entry.date,
+        type: entry.type,
+        amount: entry.type === 'payment' ? entry.amount : -entry.amount,
+        method: method || 'other',
+        receivedBy: entry.receivedBy
+      });
+    });
+  });
+
+  return entries;
+};
+
+// @desc    Collection vs. expected per class and section
+// @route   GET /api/fee-reports/collection
+// @access  Private/Admin,Principal,Accountant
+exports.getCollectionReport = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query, { maxDays: null });
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use month=MM/YYYY or from/to dates'
+      });
+    }
+
+    const query = {
+      dueDate: { $gte: range.start, $lte: range.end },
+      isOpeningBalance: { $ne: true }
+    };
+    if (req.query.feeType) query.feeType = req.query.feeType;
+
+    const fees = await Fee.find(query).populate('student', 'class section');
+
+    const groups = {};
+    fees.forEach(fee => {
+      if (!fee.student) return;
+      if (req.query.class && fee.student.class !== req.query.class) return;
+      if (req.query.section && fee.student.section !== req.query.section) return;
+
+      const key = `${fee.student.class}|${fee.student.section}`;
+      if (!groups[key]) {
+        groups[key] = {
+          class: fee.student.class,
+          section: fee.student.section,
+          students: new Set(),
+          feeCount: 0,
+          expected: 0,
+          collected: 0,
+          outstanding: 0
+        };
+      }
+
+      const group = groups[key];
+      const totalDue = fee.amount + (fee.fine || 0);
+      group.students.add(fee.student._id.toString());
+      group.feeCount++;
+      group.expected += totalDue;
+      group.collected += fee.paidAmount || 0;
+      group.outstanding += Math.max(0, totalDue - (fee.paidAmount || 0));
+    });
+
+    const rows = Object.values(groups)
+      .map(group => ({
+        class: group.class,
+        section: group.section,
+        studentCount: group.students.size,
+        feeCount: group.feeCount,
+        expected: round(group.expected),
+        collected: round(group.collected),
+        outstanding: round(group.outstanding),
+        collectionRate: group.expected > 0 ? round(group.collected / group.expected * 100) : 0
+      }))
+      .sort((a, b) => a.class.localeCompare(b.class, undefined, { numeric: true }) || a.section.localeCompare(b.section));
+
+    const totals = rows.reduce((sum, row) => ({
+      studentCount: sum.studentCount + row.studentCount,
+      feeCount: sum.feeCount + row.feeCount,
+      expected: round(sum.expected + row.expected),
+      collected: round(sum.collected + row.collected),
+      outstanding: round(sum.outstanding + row.outstanding)
+    }), { studentCount: 0, feeCount: 0, expected: 0, collected: 0, outstanding: 0 });
+    totals.collectionRate = totals.expected > 0 ? round(totals.collected / totals.expected * 100) : 0;
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: 'Collection',
+        title: `Fee Collection vs. Expected (${rangeLabel(range)})`,
+        columns: [
+          { header: 'Class', key: 'class', width: 10 },
+          { header: 'Section', key: 'section', width: 10 },
+          { header: 'Students', key: 'studentCount', width: 12 },
+          { header: 'Fees', key: 'feeCount', width: 10 },
+          { header: 'Expected', key: 'expected', width: 15, numFmt: AMOUNT_FORMAT },
+          { header: 'Collected', key: 'collected', width: 15, numFmt: AMOUNT_FORMAT },
+          { header: 'Outstanding', key: 'outstanding', width: 15, numFmt: AMOUNT_FORMAT },
+          { header: 'Collection %', key: 'collectionRate', width: 14 }
+        ],
+        rows,
+        totals: { class: 'Total', ...totals }
+      }]);
+      return sendWorkbook(res, workbook, `fee-collection-${formatDay(range.start)}-${formatDay(range.end)}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        rows,
+        totals
+      }
+    });
+  } catch (err) {
+    console.error('Error generating collection report:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Students with unpaid fees, aged by days past due (30/60/90)
+// @route   GET /api/fee-reports/defaulters
+// @access  Private/Admin,Principal,Accountant
+exports.getDefaultersReport = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date'
+      });
+    }
+    const minDays = parseInt(req.query.minDays, 10) || 0;
+
+    const fees = await Fee.find({
+      dueDate: { $lt: asOf },
+      status: { $in: ['unpaid', 'partial', 'overdue'] }
+    }).populate({
+      path: 'student',
+      select: 'user rollNumber class section parentInfo isActive',
+      populate: {
+        path: 'user',
+        select: 'name'
+      }
+    });
+
+    const defaulters = {};
+    fees.forEach(fee => {
+      if (!fee.student) return;
+      if (req.query.class && fee.student.class !== req.query.class) return;
+      if (req.query.section && fee.student.section !== req.query.section) return;
+
+      const outstanding = fee.amount + (fee.fine || 0) - (fee.paidAmount || 0);
+      if (outstanding <= 0) return;
+
+      const daysOverdue = Math.floor((asOf - new Date(fee.dueDate)) / DAY_MS);
+      const bucket = AGING_BUCKETS.find(b => daysOverdue <= b.max);
+      const key = fee.student._id.toString();
+
+      if (!defaulters[key]) {
+        defaulters[key] = {
+          studentId: fee.student._id,
+          rollNumber: fee.student.rollNumber,
+          name: fee.student.user?.name || '',
+          class: fee.student.class,
+          section: fee.student.section,
+          fatherName: fee.student.parentInfo?.fatherName || '',
+          contactNumber: fee.student.parentInfo?.contactNumber || '',
+          isActive: fee.student.isActive,
+          feeCount: 0,
+          oldestDueDate: fee.dueDate,
+          daysOverdue: 0,
+          ...AGING_BUCKETS.reduce((acc, b) => ({ ...acc, [b.key]: 0 }), {}),
+          total: 0
+        };
+      }
+
+      const defaulter = defaulters[key];
+      defaulter.feeCount++;
+      defaulter[bucket.key] = round(defaulter[bucket.key] + outstanding);
+      defaulter.total = round(defaulter.total + outstanding);
+      if (fee.dueDate < defaulter.oldestDueDate) defaulter.oldestDueDate = fee.dueDate;
+      defaulter.daysOverdue = Math.max(defaulter.daysOverdue, daysOverdue);
+    });
+
+    const rows = Object.values(defaulters)
+      .filter(defaulter => defaulter.daysOverdue >= minDays)
+      .sort((a, b) => b.total - a.total);
+
+    const totals = rows.reduce((sum, row) => {
+      AGING_BUCKETS.forEach(b => {
+        sum[b.key] = round(sum[b.key] + row[b.key]);
+      });
+      sum.total = round(sum.total + row.total);
+      return sum;
+    }, { ...AGING_BUCKETS.reduce((acc, b) => ({ ...acc, [b.key]: 0 }), {}), total: 0 });
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: 'Defaulters',
+        title: `Fee Defaulters as of ${formatDay(asOf)}`,
+        columns: [
+          { header: 'Roll No', key: 'rollNumber', width: 12 },
+          { header: 'Name', key: 'name', width: 25 },
+          { header: 'Class', key: 'class', width: 8 },
+          { header: 'Section', key: 'section', width: 8 },
+          { header: "Father's Name", key: 'fatherName', width: 22 },
+          { header: 'Contact', key: 'contactNumber', width: 16 },
+          { header: 'Oldest Due', key: 'oldestDueDate', width: 12, numFmt: 'dd/mm/yyyy' },
+          { header: 'Days Overdue', key: 'daysOverdue', width: 13 },
+          ...AGING_BUCKETS.map(b => ({ header: b.label, key: b.key, width: 14, numFmt: AMOUNT_FORMAT })),
+          { header: 'Total', key: 'total', width: 15, numFmt: AMOUNT_FORMAT }
+        ],
+        rows,
+        totals: { rollNumber: 'Total', ...totals }
+      }]);
+      return sendWorkbook(res, workbook, `fee-defaulters-${formatDay(asOf)}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        asOf,
+        buckets: AGING_BUCKETS.map(b => ({ key: b.key, label: b.label })),
+        rows,
+        totals
+      }
+    });
+  } catch (err) {
+    console.error('Error generating defaulters report:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Cash collected per day by the staff member who recorded it
+// @route   GET /api/fee-reports/daily-collection
+// @access  Private/Admin,Principal,Accountant
+exports.getDailyCollectionReport = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query.date ? { from: req.query.date, to: req.query.date } : req.query, { maxDays: null });
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use date, month=MM/YYYY or from/to dates'
+      });
+    }
+
+    let entries = await collectPayments(range);
+    if (req.query.method) {
+      entries = entries.filter(entry => entry.method === req.query.method);
+    }
+
+    const groups = {};
+    entries.forEach(entry => {
+      const day = formatDay(entry.date);
+      const recorderId = entry.receivedBy?._id?.toString() || 'unknown';
+      const key = `${day}|${recorderId}`;
+
+      if (!groups[key]) {
+        groups[key] = {
+          date: day,
+          recordedBy: entry.receivedBy?._id || null,
+          recordedByName: entry.receivedBy?.name || 'Unknown',
+          payments: 0,
+          collected: 0,
+          reversed: 0,
+          net: 0
+        };
+      }
+
+      const group = groups[key];
+      if (entry.amount > 0) {
+        group.payments++;
+        group.collected = round(group.collected + entry.amount);
+      } else {
+        group.reversed = round(group.reversed - entry.amount);
+      }
+      group.net = round(group.collected - group.reversed);
+    });
+
+    const rows = Object.values(groups)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.recordedByName.localeCompare(b.recordedByName));
+
+    const totals = rows.reduce((sum, row) => ({
+      payments: sum.payments + row.payments,
+      collected: round(sum.collected + row.collected),
+      reversed: round(sum.reversed + row.reversed),
+      net: round(sum.net + row.net)
+    }), { payments: 0, collected: 0, reversed: 0, net: 0 });
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: 'Daily Collection',
+        title: `Daily Fee Collection (${rangeLabel(range)})`,
+        columns: [
+          { header: 'Date', key: 'date', width: 12 },
+          { header: 'Recorded By', key: 'recordedByName', width: 25 },
+          { header: 'Payments', key: 'payments', width: 10 },
+          { header: 'Collected', key: 'collected', width: 15, numFmt: AMOUNT_FORMAT },
+          { header: 'Reversed/Refunded', key: 'reversed', width: 18, numFmt: AMOUNT_FORMAT },
+          { header: 'Net', key: 'net', width: 15, numFmt: AMOUNT_FORMAT }
+        ],
+        rows,
+        totals: { date: 'Total', ...totals }
+      }]);
+      return sendWorkbook(res, workbook, `fee-daily-collection-${formatDay(range.start)}-${formatDay(range.end)}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        rows,
+        totals
+      }
+    });
+  } catch (err) {
+    console.error('Error generating daily collection report:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Fee collection broken down by payment method
+// @route   GET /api/fee-reports/payment-methods
+// @access  Private/Admin,Principal,Accountant
+exports.getPaymentMethodReport = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query, { maxDays: null });
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use month=MM/YYYY or from/to dates'
+      });
+    }
+
+    const entries = await collectPayments(range);
+
+    const groups = {};
+    entries.forEach(entry => {
+      if (!groups[entry.method]) {
+        groups[entry.method] = {
+          method: entry.method,
+          payments: 0,
+          collected: 0,
+          reversed: 0,
+          net: 0
+        };
+      }
+
+      const group = groups[entry.method];
+      if (entry.amount > 0) {
+        group.payments++;
+        group.collected = round(group.collected + entry.amount);
+      } else {
+        group.reversed = round(group.reversed - entry.amount);
+      }
+      group.net = round(group.collected - group.reversed);
+    });
+
+    const totals = Object.values(groups).reduce((sum, group) => ({
+      payments: sum.payments + group.payments,
+      collected: round(sum.collected + group.collected),
+      reversed: round(sum.reversed + group.reversed),
+      net: round(sum.net + group.net)
+    }), { payments: 0, collected: 0, reversed: 0, net: 0 });
+
+    const rows = Object.values(groups)
+      .map(group => ({
+        ...group,
+        share: totals.net > 0 ? round(group.net / totals.net * 100) : 0
+      }))
+      .sort((a, b) => b.net - a.net);
+    totals.share = totals.net > 0 ? 100 : 0;
+
+    if (wantsExcel(req)) {
+      const workbook = buildWorkbook([{
+        name: 'Payment Methods',
+        title: `Fee Collection by Payment Method (${rangeLabel(range)})`,
+        columns: [
+          { header: 'Method', key: 'method', width: 16 },
+          { header: 'Payments', key: 'payments', width: 10 },
+          { header: 'Collected', key: 'collected', width: 15, numFmt: AMOUNT_FORMAT },
+          { header: 'Reversed/Refunded', key: 'reversed', width: 18, numFmt: AMOUNT_FORMAT },
+          { header: 'Net', key: 'net', width: 15, numFmt: AMOUNT_FORMAT },
+          { header: 'Share %', key: 'share', width: 10 }
+        ],
+        rows,
+        totals: { method: 'Total', ...totals }
+      }]);
+      return sendWorkbook(res, workbook, `fee-payment-methods-${formatDay(range.start)}-${formatDay(range.end)}.xlsx`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        rows,
+        totals
+      }
+    });
+  } catch (err) {
+    console.error('Error generating payment method report:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -0,0 +1,232 @@
+const FeeStructure = require('../models/FeeStructure');
+const Student = require('../models/Student');
+const { parseMonth } = require('../utils/dateHelpers');
+const { buildFeeLines, getSiblingOrder } = require('../utils/feeCalculator');
+
+// Reject a structure whose classes are already covered by another active structure
+const findClassConflict = async (classes, excludeId) => {
+  if (!classes || classes.length === 0) return null;
+
+  const query = { isActive: true, classes: { $in: classes } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return FeeStructure.findOne(query);
+};
+
+// @desc    Get all fee structures
+// @route   GET /api/fee-structures
+// @access  Private/Admin,Principal,Accountant
+exports.getFeeStructures = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.class) query.classes = req.query.class;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const structures = await FeeStructure.find(query)
+      .populate({
+        path: 'createdBy',
+        select: 'name role'
+      })
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: structures.length,
+      data: structures
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single fee structure
+// @route   GET /api/fee-structures/:id
+// @access  Private/Admin,Principal,Accountant
+exports.getFeeStructure = async (req, res) => {
+  try {
+    const structure = await FeeStructure.findById(req.params.id)
+      .populate({
+        path: 'createdBy',
+        select: 'name role'
+      });
+
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: `No fee structure found with id ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: structure
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Create fee structure
+// @route   POST /api/fee-structures
+// @access  Private/Admin,Principal
+exports.createFeeStructure = async (req, res) => {
+  try {
+    req.body.createdBy = req.user.id;
+
+    // Validated first so the conflict check sees the stored class names
+    const structure = new FeeStructure(req.body);
+    await structure.validate();
+
+    if (structure.isActive) {
+      const conflict = await findClassConflict(structure.classes);
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: `Some of these classes already use the active fee structure "${conflict.name}"`
+        });
+      }
+    }
+
+    await structure.save();
+
+    res.status(201).json({
+      success: true,
+      data: structure
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update fee structure
+// @route   PUT /api/fee-structures/:id
+// @access  Private/Admin,Principal
+exports.updateFeeStructure = async (req, res) => {
+  try {
+    const structure = await FeeStructure.findById(req.params.id);
+
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: `No fee structure found with id ${req.params.id}`
+      });
+    }
+
+    // Fees already generated keep their amounts; changes apply to the next run
+    delete req.body.createdBy;
+
+    // Saved through the document so the classes are validated
+    structure.set(req.body);
+    await structure.validate();
+
+    if (structure.isActive) {
+      const conflict = await findClassConflict(structure.classes, structure._id);
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: `Some of these classes already use the active fee structure "${conflict.name}"`
+        });
+      }
+    }
+
+    await structure.save();
+
+    res.status(200).json({
+      success: true,
+      data: structure
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete fee structure
+// @route   DELETE /api/fee-structures/:id
+// @access  Private/Admin,Principal
+exports.deleteFeeStructure = async (req, res) => {
+  try {
+    const structure = await FeeStructure.findById(req.params.id);
+
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: `No fee structure found with id ${req.params.id}`
+      });
+    }
+
+    await structure.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Preview the fees a student would be billed for a month
+// @route   GET /api/fee-structures/preview/:studentId?month=MM/YYYY
+// @access  Private/Admin,Principal,Accountant
+exports.previewStudentFees = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId).populate('user', 'name');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${req.params.studentId}`
+      });
+    }
+
+    const now = new Date();
+    const period = parseMonth(req.query.month || `${now.getMonth() + 1}/${now.getFullYear()}`);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the month in MM/YYYY format'
+      });
+    }
+
+    const structure = await FeeStructure.findForClass(student.class);
+    const siblingOrder = await getSiblingOrder(student);
+    const lines = buildFeeLines({ student, structure, period, siblingOrder });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student: {
+          id: student._id,
+          name: student.user?.name,
+          class: student.class,
+          section: student.section
+        },
+        month: period.key,
+        feeStructure: structure ? { id: structure._id, name: structure.name } : null,
+        siblingOrder,
+        fees: lines,
+        totalAmount: lines.reduce((sum, line) => sum + line.amount, 0)
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -2,77 +2,71 @@ const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
 const AdminStaff = require('../models/AdminStaff');
 const SupportStaff = require('../models/SupportStaff');
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+
+// Helper function to list the class names students and teachers carry, for
+// schools that have not set up classes yet (see scripts/migrateClasses.js).
+// Classes 1-12 are offered when there are none.
+const findLegacyClassNames = async () => {
+  const [studentClasses, teacherClasses] = await Promise.all([
+    Student.distinct('class'),
+    Teacher.distinct('classes')
+  ]);
+
+  const names = [...new Set([...studentClasses, ...teacherClasses])]
+    .filter(name => name && name !== 'Not assigned');
+  if (names.length === 0) {
+    return Array.from({ length: 12 }, (_, i) => (i + 1).toString());
+  }
 
-// @desc    Get available classes for public access (registration)
-// @route   GET /api/filters/public/classes
-// @access  Public
-exports.getPublicClasses = async (req, res) => {
-  try {
-    let classes = new Set();
-
-    // Get classes from students
-    const studentClasses = await Student.distinct('class');
-    if (studentClasses && studentClasses.length > 0) {
-      studentClasses.forEach(cls => {
-        if (cls !== 'Not assigned') {
-          classes.add(cls);
-        }
-      });
-    }
+  return names.sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+};
 
-    // Get classes from teachers
-    const teachers = await Teacher.find().select('classes');
-    if (teachers && teachers.length > 0) {
-      teachers.forEach(teacher => {
-        if (teacher.classes && teacher.classes.length > 0) {
-          teacher.classes.forEach(cls => {
-            if (cls !== 'Not assigned') {
-              classes.add(cls);
-            }
-          });
-        }
-      });
-    }
+// Helper function to list active classes as filter options, in class order
+const findClassOptions = async (names = null) => {
+  if (!(await Class.exists({}))) {
+    return (await findLegacyClassNames())
+      .filter(name => !names || names.includes(name))
+      .map(name => ({ value: name, label: `Class ${name}` }));
+  }
 
-    // If no classes found, add default classes (1-12)
-    if (classes.size === 0) {
-      console.log('No classes found in database, adding default classes (1-12)');
-      for (let i = 1; i <= 12; i++) {
-        classes.add(i.toString());
-      }
-    }
+  const query = { isActive: true };
+  if (names) query.name = { $in: names };
+
+  const classList = await Class.find(query).sort({ order: 1, name: 1 });
+  return classList.map(cls => ({ value: cls.name, label: `Class ${cls.name}` }));
+};
 
-    // Convert Set to array and format for response
-    let classesArray = Array.from(classes).map(cls => ({ value: cls, label: `Class ${cls}` }));
+// Helper function to list a class's active sections as filter options
+const findSectionOptions = async (className) => {
+  if (!(await Class.exists({}))) {
+    const studentSections = await Student.distinct('section', { class: className });
+    return studentSections.sort().map(section => ({ value: section, label: `Section ${section}` }));
+  }
 
-    // Sort classes numerically
-    classesArray.sort((a, b) => {
-      const numA = isNaN(parseInt(a.value)) ? 0 : parseInt(a.value);
-      const numB = isNaN(parseInt(b.value)) ? 0 : parseInt(b.value);
-      return numA - numB;
-    });
+  const classDoc = await Class.findByName(className);
+  if (!classDoc) return [];
+
+  const sectionList = await Section.find({ class: classDoc._id, isActive: true }).sort({ name: 1 });
+  return sectionList.map(section => ({ value: section.name, label: `Section ${section.name}` }));
+};
 
-    // Log the classes found for debugging
-    console.log('Public classes endpoint found:', classesArray.length, 'classes');
-    console.log('Classes:', classesArray.map(c => c.value).join(', '));
+// @desc    Get available classes for public access (registration)
+// @route   GET /api/filters/public/classes
+// @access  Public
+exports.getPublicClasses = async (req, res) => {
+  try {
+    const classes = await findClassOptions();
 
-    // Return classes
     res.status(200).json({
       success: true,
-      data: classesArray
+      data: classes
     });
   } catch (err) {
-    console.error('Error fetching public classes:', err);
-
-    // Return default classes on error
-    const defaultClasses = Array.from({ length: 12 }, (_, i) => ({
-      value: (i + 1).toString(),
-      label: `Class ${i + 1}`
-    }));
-
-    res.status(200).json({
-      success: true,
-      data: defaultClasses
+    res.status(500).json({
+      success: false,
+      message: err.message
     });
   }
 };
@@ -125,101 +119,20 @@ exports.getClasses = async (req, res) => {
     const { userType, forEdit } = req.query;
     let classes = [];
 
-    // Special case: When a teacher is editing their own profile, show all available classes
-    if (req.user.role === 'teacher' && forEdit === 'true') {
-      console.log('Teacher editing their own profile, showing all available classes');
-
-      // Get unique classes from both students and teachers
-      const classesSet = new Set();
-
-      // Get classes from students
-      const studentClasses = await Student.distinct('class');
-      studentClasses.forEach(cls => {
-        if (cls !== 'Not assigned') {
-          classesSet.add(cls);
-        }
-      });
-
-      // Get classes from teachers
-      const teachers = await Teacher.find().select('classes');
-      teachers.forEach(teacher => {
-        if (teacher.classes && teacher.classes.length > 0) {
-          teacher.classes.forEach(cls => {
-            if (cls !== 'Not assigned') {
-              classesSet.add(cls);
-            }
-          });
-        }
-      });
-
-      // Add some default classes if no classes are found
-      if (classesSet.size === 0) {
-        for (let i = 1; i <= 12; i++) {
-          classesSet.add(i.toString());
-        }
-      }
-
-      classes = Array.from(classesSet).map(cls => ({ value: cls, label: `Class ${cls}` }));
-    }
-    // For teachers viewing student data, only show their assigned classes
-    else if (req.user.role === 'teacher' && userType === 'student' && forEdit !== 'true') {
+    // For teachers viewing student data, only show their assigned classes.
+    // When a teacher is editing their own profile, all classes are shown.
+    if (req.user.role === 'teacher' && userType === 'student' && forEdit !== 'true') {
       const teacher = await Teacher.findOne({ user: req.user.id });
       if (teacher && teacher.classes && teacher.classes.length > 0) {
-        // Filter out 'Not assigned' from teacher's classes
-        const validClasses = teacher.classes.filter(cls => cls !== 'Not assigned');
-        classes = validClasses.map(cls => ({ value: cls, label: `Class ${cls}` }));
+        classes = await findClassOptions(teacher.classes.filter(cls => cls !== 'Not assigned'));
       }
-    } else if (userType === 'student') {
-      // Get unique classes from students
-      const studentClasses = await Student.distinct('class');
-      classes = studentClasses.map(cls => ({ value: cls, label: `Class ${cls}` }));
-    } else if (userType === 'teacher') {
-      // Get unique classes from teachers
-      const teachers = await Teacher.find().select('classes');
-      const teacherClasses = new Set();
-
-      teachers.forEach(teacher => {
-        if (teacher.classes && teacher.classes.length > 0) {
-          teacher.classes.forEach(cls => {
-            // Don't add 'Not assigned' to the available classes
-            if (cls !== 'Not assigned') {
-              teacherClasses.add(cls);
-            }
-          });
-        }
-      });
-
-      // Get unique classes from students as well to ensure all classes are available
-      const studentClasses = await Student.distinct('class');
-      studentClasses.forEach(cls => {
-        if (cls !== 'Not assigned') {
-          teacherClasses.add(cls);
-        }
-      });
-
-      // Add some default classes if no classes are found
-      if (teacherClasses.size === 0) {
-        for (let i = 1; i <= 12; i++) {
-          teacherClasses.add(i.toString());
-        }
-      }
-
-      classes = Array.from(teacherClasses).map(cls => ({ value: cls, label: `Class ${cls}` }));
     } else if (userType === 'admin-staff' || userType === 'support-staff') {
-      // Admin staff and support staff don't have classes, but we'll return an empty array
+      // Admin staff and support staff don't have classes
       classes = [];
+    } else if ((req.user.role === 'teacher' && forEdit === 'true') || userType === 'student' || userType === 'teacher') {
+      classes = await findClassOptions();
     }
 
-    // Sort classes numerically
-    classes.sort((a, b) => {
-      // Handle non-numeric classes
-      const numA = isNaN(parseInt(a.value)) ? 0 : parseInt(a.value);
-      const numB = isNaN(parseInt(b.value)) ? 0 : parseInt(b.value);
-      return numA - numB;
-    });
-
-    console.log(`Returning ${classes.length} classes for userType: ${userType}, forEdit: ${forEdit}`);
-
     res.status(200).json({
       success: true,
       data: classes
@@ -252,31 +165,14 @@ exports.getSections = async (req, res) => {
         });
       }
 
-      // Get unique sections from students in the specified class
-      const studentSections = await Student.distinct('section', { class: classValue });
-      sections = studentSections.map(section => ({ value: section, label: `Section ${section}` }));
-    } else if (userType === 'student' && classValue) {
-      // Get unique sections from students in the specified class
-      const studentSections = await Student.distinct('section', { class: classValue });
-      sections = studentSections.map(section => ({ value: section, label: `Section ${section}` }));
-    } else if (userType === 'teacher' && classValue) {
-      // For teachers, we need to find sections indirectly through students
-      // First, find teachers who teach the specified class
-      const teachers = await Teacher.find({ classes: classValue });
-
-      if (teachers.length > 0) {
-        // Then find all sections in that class
-        const studentSections = await Student.distinct('section', { class: classValue });
-        sections = studentSections.map(section => ({ value: section, label: `Section ${section}` }));
-      }
+      sections = await findSectionOptions(classValue);
+    } else if ((userType === 'student' || userType === 'teacher') && classValue) {
+      sections = await findSectionOptions(classValue);
     } else if (userType === 'admin-staff' || userType === 'support-staff') {
-      // Admin staff and support staff don't have sections, but we'll return an empty array
+      // Admin staff and support staff don't have sections
       sections = [];
     }
 
-    // Sort sections alphabetically
-    sections.sort((a, b) => a.value.localeCompare(b.value));
-
     res.status(200).json({
       success: true,
       data: sections
@@ -294,10 +190,26 @@ exports.getSections = async (req, res) => {
 // @access  Private
 exports.getFilteredUsers = async (req, res) => {
   try {
-    const { userType, class: classValue, section, date } = req.query;
+    const { userType, class: classValue, section, date, period } = req.query;
     let users = [];
     let markedUserIds = [];
 
+    // Parents only see their own children, through the parent portal
+    if (req.user.role === 'parent') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to look up users'
+      });
+    }
+
+    const periodNumber = period ? parseInt(period, 10) : null;
+    if (period && (isNaN(periodNumber) || periodNumber < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be a number of 1 or more'
+      });
+    }
+
     // If date is provided, find users who already have attendance for that date
     if (date) {
       const Attendance = require('../models/Attendance');
@@ -313,9 +225,11 @@ exports.getFilteredUsers = async (req, res) => {
       console.log(`Filtering for user type: ${userType}`);
 
       // Find all attendance records for the selected date and user type
+      // With a period, only that lesson's attendance counts as marked
       const attendanceRecords = await Attendance.find({
         date: { $gte: startDate, $lte: endDate },
-        userType: userType
+        userType: userType,
+        period: periodNumber
       });
 
       // Extract user IDs from attendance records
@@ -97,7 +97,7 @@ exports.getEntityHistory = async (req, res) => {
     const { entityType, entityId } = req.params;
 
     // Validate entity type
-    if (!['Meeting', 'EventNotice', 'FeaturedTeacher', 'LandingPageEvent', 'Testimonial', 'GalleryImage'].includes(entityType)) {
+    if (!['Meeting', 'EventNotice', 'FeaturedTeacher', 'LandingPageEvent', 'Testimonial', 'GalleryImage', 'Attendance'].includes(entityType)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid entity type'
@@ -119,6 +119,9 @@ exports.getEntityHistory = async (req, res) => {
     } else if (entityType === 'Testimonial') {
       const Testimonial = require('../models/Testimonial');
       entity = await Testimonial.findById(entityId);
+    } else if (entityType === 'Attendance') {
+      const Attendance = require('../models/Attendance');
+      entity = await Attendance.findById(entityId);
     }
 
     if (!entity) {
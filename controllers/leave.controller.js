@@ -0,0 +1,690 @@
+const LeaveApplication = require('../models/LeaveApplication');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const SchoolSettings = require('../models/SchoolSettings');
+const User = require('../models/User');
+const Teacher = require('../models/Teacher');
+const TimetableSubstitution = require('../models/TimetableSubstitution');
+const AcademicYear = require('../models/AcademicYear');
+const AdminStaff = require('../models/AdminStaff');
+const SupportStaff = require('../models/SupportStaff');
+const { loadCalendar } = require('../utils/calendarHelpers');
+const { deleteImage } = require('../middleware/uploadMiddleware');
+
+const STAFF_MODELS = {
+  teacher: { model: Teacher, staffModel: 'Teacher' },
+  'admin-staff': { model: AdminStaff, staffModel: 'AdminStaff' },
+  'support-staff': { model: SupportStaff, staffModel: 'SupportStaff' }
+};
+
+// Roles that review leave applications
+const REVIEWER_ROLES = ['admin', 'principal', 'vice-principal'];
+
+const LEAVE_TYPE_LABELS = {
+  casual: 'Casual',
+  sick: 'Sick',
+  annual: 'Annual',
+  maternity: 'Maternity',
+  unpaid: 'Unpaid'
+};
+
+// Helper function to find the staff profile of a logged-in user
+const findOwnStaffProfile = async (userId) => {
+  for (const [staffType, { model, staffModel }] of Object.entries(STAFF_MODELS)) {
+    const staff = await model.findOne({ user: userId });
+    if (staff) return { staffType, staffModel, staff };
+  }
+  return null;
+};
+
+// Helper function to notify users about a leave application without failing the request
+const notifyUsers = async (userIds, application, title, message, priority = 'medium') => {
+  try {
+    await Notification.insertMany(userIds.map(userId => ({
+      user: userId,
+      type: 'leave',
+      title,
+      message: message.substring(0, 500),
+      priority,
+      relatedEntity: {
+        entityType: 'LeaveApplication',
+        entityId: application._id
+      }
+    })));
+  } catch (error) {
+    console.error('Error sending leave notifications:', error);
+  }
+};
+
+// Helper function to count how many of a set of leave days fall in each year
+const countDaysByYear = (leaveDays) => leaveDays.reduce((years, day) => {
+  const year = parseInt(day.substring(0, 4), 10);
+  years[year] = (years[year] || 0) + 1;
+  return years;
+}, {});
+
+// Helper function to work out a staff member's leave balances for a year
+// Balances are derived from the year's allowances and the approved and pending
+// applications, so they never drift from the applications themselves.
+exports.getLeaveBalances = async (staffId, staffModel, year) => {
+  const settings = await SchoolSettings.findOne().select('leaveManagement');
+  const allowances = settings?.leaveManagement?.allowances || {};
+
+  const applications = await LeaveApplication.find({
+    staffId,
+    staffModel,
+    status: { $in: ['approved', 'pending'] },
+    leaveDays: { $regex: `^${year}-` }
+  });
+
+  return LeaveApplication.LEAVE_TYPES.map(leaveType => {
+    const daysOfType = (status) => applications
+      .filter(application => application.leaveType === leaveType && application.status === status)
+      .reduce((total, application) => total + (countDaysByYear(application.leaveDays)[year] || 0), 0);
+
+    const allowance = leaveType === 'unpaid' ? null : (allowances[leaveType] ?? 0);
+    const used = daysOfType('approved');
+    const pending = daysOfType('pending');
+
+    return {
+      leaveType,
+      label: LEAVE_TYPE_LABELS[leaveType],
+      allowance,
+      used,
+      pending,
+      remaining: allowance === null ? null : allowance - used
+    };
+  });
+};
+
+// Helper function to check that the staff member has enough leave left for the
+// days applied for. Pending applications are counted unless they are the one
+// being checked. Returns an error message, or null.
+const checkLeaveBalance = async (application, { includePending = true } = {}) => {
+  if (application.leaveType === 'unpaid') return null;
+
+  const requested = countDaysByYear(application.leaveDays);
+
+  for (const [year, days] of Object.entries(requested)) {
+    const balances = await exports.getLeaveBalances(application.staffId, application.staffModel, year);
+    const balance = balances.find(b => b.leaveType === application.leaveType);
+    const available = balance.remaining - (includePending ? balance.pending : 0);
+
+    if (days > available) {
+      return `Not enough ${application.leaveType} leave for ${year}: ${days} day(s) requested, ${Math.max(available, 0)} available`;
+    }
+  }
+  return null;
+};
+
+// Helper function to check whether a user may see a leave application
+const canAccessApplication = (user, application) =>
+  REVIEWER_ROLES.includes(user.role) ||
+  application.user.toString() === user.id ||
+  application.appliedBy.toString() === user.id;
+
+// @desc    Apply for leave
+// @route   POST /api/leaves
+// @access  Private (staff)
+exports.applyForLeave = async (req, res) => {
+  try {
+    const { leaveType, startDate, endDate, reason } = req.body;
+
+    if (!leaveType || !startDate || !endDate || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide leaveType, startDate, endDate and reason'
+      });
+    }
+
+    if (!LeaveApplication.LEAVE_TYPES.includes(leaveType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid leave type. Must be one of: ${LeaveApplication.LEAVE_TYPES.join(', ')}`
+      });
+    }
+
+    // Reviewers may record leave on behalf of a member of staff
+    let profile;
+    if (req.body.staffType && req.body.staffId && REVIEWER_ROLES.includes(req.user.role)) {
+      const source = STAFF_MODELS[req.body.staffType];
+      if (!source) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff type. Must be teacher, admin-staff, or support-staff'
+        });
+      }
+
+      const staff = await source.model.findById(req.body.staffId);
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          message: `No ${req.body.staffType} found with id ${req.body.staffId}`
+        });
+      }
+      profile = { staffType: req.body.staffType, staffModel: source.staffModel, staff };
+    } else {
+      profile = await findOwnStaffProfile(req.user.id);
+      if (!profile) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only teachers and staff can apply for leave'
+        });
+      }
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid start and end dates'
+      });
+    }
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date cannot be before the start date'
+      });
+    }
+
+    // Only working days of the school calendar use up leave
+    const calendar = await loadCalendar(start, end);
+    const leaveDays = calendar.workingDays(start, end);
+    if (leaveDays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected dates have no working days'
+      });
+    }
+
+    const overlapping = await LeaveApplication.findOne({
+      staffId: profile.staff._id,
+      staffModel: profile.staffModel,
+      status: { $in: ['pending', 'approved'] },
+      leaveDays: { $in: leaveDays }
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `These dates overlap a ${overlapping.status} leave application`,
+        data: overlapping
+      });
+    }
+
+    const application = new LeaveApplication({
+      staffType: profile.staffType,
+      staffId: profile.staff._id,
+      staffModel: profile.staffModel,
+      user: profile.staff.user,
+      leaveType,
+      startDate: start,
+      endDate: end,
+      leaveDays,
+      reason,
+      appliedBy: req.user.id
+    });
+
+    const balanceError = await checkLeaveBalance(application);
+    if (balanceError) {
+      return res.status(400).json({
+        success: false,
+        message: balanceError
+      });
+    }
+
+    // Supporting document (e.g. medical certificate)
+    if (req.cloudinaryUrl) {
+      application.attachmentFile = req.cloudinaryUrl;
+      application.attachmentPublicId = req.cloudinaryPublicId;
+    }
+
+    await application.save();
+
+    const reviewers = await User.find({
+      role: { $in: ['principal', 'vice-principal'] },
+      isApproved: true,
+      status: 'active',
+      _id: { $ne: req.user.id }
+    }).select('_id');
+
+    const applicant = await User.findById(application.user).select('name');
+    await notifyUsers(
+      reviewers.map(user => user._id),
+      application,
+      'New Leave Application',
+      `${applicant?.name || 'A staff member'} applied for ${application.days} day(s) of ${leaveType} leave from ${leaveDays[0]} to ${leaveDays[leaveDays.length - 1]}`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    console.error('Error applying for leave:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get leave applications
+// @route   GET /api/leaves
+// @access  Private
+exports.getLeaveApplications = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.leaveType) query.leaveType = req.query.leaveType;
+    if (req.query.staffType) query.staffType = req.query.staffType;
+    if (req.query.year) query.leaveDays = { $regex: `^${parseInt(req.query.year, 10)}-` };
+
+    // Staff only see their own applications
+    if (REVIEWER_ROLES.includes(req.user.role)) {
+      if (req.query.staffId) query.staffId = req.query.staffId;
+    } else {
+      query.user = req.user.id;
+    }
+
+    const applications = await LeaveApplication.find(query)
+      .select('-leaveDays')
+      .populate({
+        path: 'staffId',
+        select: 'employeeId user',
+        populate: {
+          path: 'user',
+          select: 'name email'
+        }
+      })
+      .populate('reviewedBy', 'name role')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      data: applications
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get leave balances for a year
+// @route   GET /api/leaves/balance?year=&staffType=&staffId=
+// @access  Private
+exports.getLeaveBalance = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+
+    // Reviewers may look up anyone's balance; staff see their own
+    let profile;
+    if (req.query.staffType && req.query.staffId && REVIEWER_ROLES.includes(req.user.role)) {
+      const source = STAFF_MODELS[req.query.staffType];
+      if (!source) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff type. Must be teacher, admin-staff, or support-staff'
+        });
+      }
+
+      const staff = await source.model.findById(req.query.staffId);
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          message: `No ${req.query.staffType} found with id ${req.query.staffId}`
+        });
+      }
+      profile = { staffType: req.query.staffType, staffModel: source.staffModel, staff };
+    } else {
+      profile = await findOwnStaffProfile(req.user.id);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'No staff profile found for this user'
+        });
+      }
+    }
+
+    const balances = await exports.getLeaveBalances(profile.staff._id, profile.staffModel, year);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        year,
+        staffType: profile.staffType,
+        staffId: profile.staff._id,
+        balances
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single leave application
+// @route   GET /api/leaves/:id
+// @access  Private
+exports.getLeaveApplication = async (req, res) => {
+  try {
+    const application = await LeaveApplication.findById(req.params.id)
+      .populate({
+        path: 'staffId',
+        select: 'employeeId user',
+        populate: {
+          path: 'user',
+          select: 'name email'
+        }
+      })
+      .populate('appliedBy', 'name role')
+      .populate('reviewedBy', 'name role');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No leave application found with id ${req.params.id}`
+      });
+    }
+
+    if (!canAccessApplication(req.user, {
+      user: application.user,
+      appliedBy: application.appliedBy._id
+    })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this leave application'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Approve a leave application and mark its days as leave in attendance
+// @route   PUT /api/leaves/:id/approve
+// @access  Private/Admin,Principal,Vice-Principal
+exports.approveLeaveApplication = async (req, res) => {
+  try {
+    const application = await LeaveApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No leave application found with id ${req.params.id}`
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This leave application has already been ${application.status}`
+      });
+    }
+
+    // Staff cannot approve their own leave, or leave they applied for on someone's behalf
+    if (application.user.toString() === req.user.id || application.appliedBy.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve a leave application you made or that is for you'
+      });
+    }
+
+    // Other applications may have been approved since this one was made
+    const balanceError = await checkLeaveBalance(application, { includePending: false });
+    if (balanceError) {
+      return res.status(400).json({
+        success: false,
+        message: balanceError
+      });
+    }
+
+    const remarks = `${LEAVE_TYPE_LABELS[application.leaveType]} leave: ${application.reason}`;
+
+    // Records are upserted through bulkWrite, which does not check the schema
+    const fieldError = Attendance.checkFields({ status: 'leave', remarks, userType: application.staffType });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError.message
+      });
+    }
+
+    const academicYears = await AcademicYear.mapDays(application.leaveDays);
+
+    await Attendance.bulkWrite(application.leaveDays.map(day => {
+      const [year, month, date] = day.split('-').map(Number);
+
+      return {
+        updateOne: {
+          filter: {
+            userId: application.staffId,
+            userModel: application.staffModel,
+            day,
+            period: null
+          },
+          update: {
+            $set: {
+              status: 'leave',
+              remarks,
+              recordedBy: req.user.id
+            },
+            $setOnInsert: {
+              userType: application.staffType,
+              date: new Date(year, month - 1, date),
+              academicYear: academicYears.get(day)
+            }
+          },
+          upsert: true
+        }
+      };
+    }));
+
+    application.status = 'approved';
+    application.reviewedBy = req.user.id;
+    application.reviewedAt = Date.now();
+    application.reviewRemarks = req.body.remarks;
+    await application.save();
+
+    await notifyUsers(
+      [application.user],
+      application,
+      'Leave Approved',
+      `Your ${application.leaveType} leave from ${application.leaveDays[0]} to ${application.leaveDays[application.leaveDays.length - 1]} (${application.days} day(s)) has been approved.`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    console.error('Error approving leave application:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Reject a leave application
+// @route   PUT /api/leaves/:id/reject
+// @access  Private/Admin,Principal,Vice-Principal
+exports.rejectLeaveApplication = async (req, res) => {
+  try {
+    const application = await LeaveApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No leave application found with id ${req.params.id}`
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This leave application has already been ${application.status}`
+      });
+    }
+
+    if (!req.body.remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejecting the application'
+      });
+    }
+
+    application.status = 'rejected';
+    application.reviewedBy = req.user.id;
+    application.reviewedAt = Date.now();
+    application.reviewRemarks = req.body.remarks;
+    await application.save();
+
+    await notifyUsers(
+      [application.user],
+      application,
+      'Leave Rejected',
+      `Your ${application.leaveType} leave from ${application.leaveDays[0]} to ${application.leaveDays[application.leaveDays.length - 1]} was rejected: ${req.body.remarks}`,
+      'high'
+    );
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Cancel a leave application
+// Staff can cancel their own pending applications; reviewers can also cancel
+// approved leave, which clears the leave marked for days that have not passed yet.
+// @route   PUT /api/leaves/:id/cancel
+// @access  Private
+exports.cancelLeaveApplication = async (req, res) => {
+  try {
+    const application = await LeaveApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No leave application found with id ${req.params.id}`
+      });
+    }
+
+    if (!canAccessApplication(req.user, application)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this leave application'
+      });
+    }
+
+    const isReviewer = REVIEWER_ROLES.includes(req.user.role);
+    if (application.status !== 'pending' && !(application.status === 'approved' && isReviewer)) {
+      return res.status(400).json({
+        success: false,
+        message: application.status === 'approved'
+          ? 'Approved leave can only be cancelled by the principal or vice-principal'
+          : `This leave application has already been ${application.status}`
+      });
+    }
+
+    if (application.status === 'approved') {
+      const today = Attendance.dayKey(new Date());
+      await Attendance.deleteMany({
+        userId: application.staffId,
+        userModel: application.staffModel,
+        day: { $in: application.leaveDays.filter(day => day >= today) },
+        period: null,
+        status: 'leave'
+      });
+
+      // The teacher is back, so substitutes arranged for the leave are not needed
+      await TimetableSubstitution.deleteMany({ leaveApplication: application._id, day: { $gte: today } });
+    }
+
+    application.status = 'cancelled';
+    if (isReviewer) {
+      application.reviewedBy = req.user.id;
+      application.reviewedAt = Date.now();
+      if (req.body.remarks) application.reviewRemarks = req.body.remarks;
+    }
+    await application.save();
+
+    if (application.user.toString() !== req.user.id) {
+      await notifyUsers(
+        [application.user],
+        application,
+        'Leave Cancelled',
+        `Your ${application.leaveType} leave from ${application.leaveDays[0]} to ${application.leaveDays[application.leaveDays.length - 1]} has been cancelled.${req.body.remarks ? ` ${req.body.remarks}` : ''}`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete a leave application that is no longer pending or approved
+// @route   DELETE /api/leaves/:id
+// @access  Private/Admin,Principal
+exports.deleteLeaveApplication = async (req, res) => {
+  try {
+    const application = await LeaveApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: `No leave application found with id ${req.params.id}`
+      });
+    }
+
+    if (['pending', 'approved'].includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${application.status} leave application must be cancelled before it can be deleted`
+      });
+    }
+
+    if (application.attachmentPublicId) {
+      await deleteImage(application.attachmentPublicId);
+    }
+
+    await application.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -114,7 +114,7 @@ exports.getMyMeetings = async (req, res) => {
 
     // Find meetings where the user's role is in participants
     const participantMeetings = await Meeting.find({
-      participants: { $in: [userRole, 'all'] },
+      participants: { $in: [userRole, Meeting.PARTICIPANT_GROUPS[userRole], 'all'].filter(Boolean) },
       isActive: true
     }).populate({
       path: 'organizer',
@@ -472,8 +472,8 @@ const createMeetingNotifications = async (meeting) => {
         roleUsers = await User.find({ _id: { $in: supportStaffUserIds }, isApproved: true, status: 'active' });
         console.log(`Found ${roleUsers.length} users for 'support-staff' role`);
       } else if (role === 'parents') {
-        // For parents, we don't have a separate model, so we'll skip for now
-        console.log('Parents role not implemented yet');
+        roleUsers = await User.find({ role: 'parent', isApproved: true, status: 'active' });
+        console.log(`Found ${roleUsers.length} users for 'parents' role`);
       }
 
       users.push(...roleUsers);
@@ -4,6 +4,8 @@ const AcademicsContent = require('../models/AcademicsContent');
 const { trackUpdate } = require('../utils/historyHelpers');
 const FeaturedTeacher = require('../models/FeaturedTeacher');
 const FacultyPageContent = require('../models/FacultyPageContent');
+const CalendarEvent = require('../models/CalendarEvent');
+const { parseCalendarRange, buildRangeQuery } = require('../utils/calendarHelpers');
 
 
 const cloudinary = require('../config/cloudinary');
@@ -319,9 +321,20 @@ exports.getAcademicsContent = async (req, res) => {
     // Find content or create default if none exists
     const content = await AcademicsContent.findOneOrCreate();
 
+    // The academic calendar comes from the school calendar rather than free text
+    const calendarEvents = await CalendarEvent.find({
+      ...buildRangeQuery(parseCalendarRange({ year: new Date().getFullYear() })),
+      isPublic: true
+    })
+      .select('title type description startDate endDate startDay endDay')
+      .sort('startDate');
+
     res.status(200).json({
       success: true,
-      data: content
+      data: {
+        ...content.toObject(),
+        calendarEvents
+      }
     });
   } catch (err) {
     res.status(500).json({
@@ -0,0 +1,452 @@
+const Parent = require('../models/Parent');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Fee = require('../models/Fee');
+const Exam = require('../models/Exam');
+const EventNotice = require('../models/Notice');
+const Meeting = require('../models/Meeting');
+const { parseDateRange } = require('../utils/dateHelpers');
+const { loadDailyStatuses, summarizeWorkingDays } = require('../utils/attendanceHelpers');
+const { loadCalendar } = require('../utils/calendarHelpers');
+
+// Parent profile fields staff may set
+const PROFILE_FIELDS = ['relationship', 'phoneNumber', 'occupation', 'address', 'isActive'];
+
+// Helper function to populate a parent's account and children
+const populateParent = (query) => query
+  .populate('user', 'name firstName middleName lastName email status profileImage')
+  .populate({
+    path: 'students',
+    select: 'rollNumber class section isActive enrollmentStatus user',
+    populate: {
+      path: 'user',
+      select: 'name profileImage'
+    }
+  });
+
+// Helper function to check that students exist before linking them
+// Returns an error message, or null when they all exist
+const checkStudentsExist = async (studentIds) => {
+  const ids = [...new Set(studentIds.map(id => id.toString()))];
+  const found = await Student.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'Some of the students to link were not found';
+};
+
+// @desc    Get guardian accounts
+// @route   GET /api/parents?student=
+// @access  Private/Admin,Principal,Vice-Principal
+exports.getParents = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.student) query.students = req.query.student;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const parents = await populateParent(Parent.find(query)).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: parents.length,
+      data: parents
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single guardian account
+// @route   GET /api/parents/:id
+// @access  Private/Admin,Principal,Vice-Principal
+exports.getParent = async (req, res) => {
+  try {
+    const parent = await populateParent(Parent.findById(req.params.id));
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: `No parent found with id ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: parent
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Create a guardian account linked to one or more students
+// @route   POST /api/parents
+// @access  Private/Admin,Principal
+exports.createParent = async (req, res) => {
+  try {
+    const { userData, parentData } = req.body;
+
+    if (!userData || !parentData || !Array.isArray(parentData.students) || parentData.students.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide userData and parentData with at least one student'
+      });
+    }
+
+    const studentError = await checkStudentsExist(parentData.students);
+    if (studentError) {
+      return res.status(400).json({
+        success: false,
+        message: studentError
+      });
+    }
+
+    // The contact number on the first child's record is used when none is given
+    if (!parentData.phoneNumber) {
+      const student = await Student.findById(parentData.students[0]).select('parentInfo');
+      parentData.phoneNumber = student.parentInfo?.contactNumber;
+    }
+
+    // Guardian accounts are created by staff, so they are approved straight away
+    const user = await User.create({
+      firstName: userData.firstName,
+      middleName: userData.middleName,
+      lastName: userData.lastName,
+      email: userData.email,
+      password: userData.password,
+      role: 'parent',
+      isApproved: true,
+      status: 'active',
+      approvedBy: req.user.id,
+      approvedAt: Date.now()
+    });
+
+    let parent;
+    try {
+      parent = await Parent.create({
+        ...PROFILE_FIELDS.reduce((fields, field) => (
+          parentData[field] !== undefined ? { ...fields, [field]: parentData[field] } : fields
+        ), {}),
+        user: user._id,
+        students: parentData.students
+      });
+    } catch (profileError) {
+      // Don't leave an account behind without a profile
+      await User.findByIdAndDelete(user._id);
+      throw profileError;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await populateParent(Parent.findById(parent._id))
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update a guardian account
+// @route   PUT /api/parents/:id
+// @access  Private/Admin,Principal
+exports.updateParent = async (req, res) => {
+  try {
+    const parent = await Parent.findById(req.params.id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: `No parent found with id ${req.params.id}`
+      });
+    }
+
+    const { userData = {}, parentData = {} } = req.body;
+
+    const user = await User.findById(parent.user);
+    if (user) {
+      const fieldsToUpdate = {};
+      ['firstName', 'middleName', 'lastName', 'email', 'status'].forEach(field => {
+        if (userData[field] !== undefined) fieldsToUpdate[field] = userData[field];
+      });
+
+      // The save hook that builds the full name does not run on updates
+      const names = { ...user.toObject(), ...fieldsToUpdate };
+      fieldsToUpdate.name = [names.firstName, names.middleName, names.lastName]
+        .filter(part => part && part.trim() !== '')
+        .join(' ');
+
+      await User.findByIdAndUpdate(user._id, fieldsToUpdate, {
+        new: true,
+        runValidators: true
+      });
+    }
+
+    PROFILE_FIELDS.forEach(field => {
+      if (parentData[field] !== undefined) parent[field] = parentData[field];
+    });
+    await parent.save();
+
+    res.status(200).json({
+      success: true,
+      data: await populateParent(Parent.findById(parent._id))
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete a guardian account and its login
+// @route   DELETE /api/parents/:id
+// @access  Private/Admin,Principal
+exports.deleteParent = async (req, res) => {
+  try {
+    const parent = await Parent.findById(req.params.id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: `No parent found with id ${req.params.id}`
+      });
+    }
+
+    await parent.deleteOne();
+    await User.findByIdAndDelete(parent.user);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Link a student (e.g. a sibling) to a guardian account
+// @route   POST /api/parents/:id/students
+// @access  Private/Admin,Principal
+exports.linkStudent = async (req, res) => {
+  try {
+    const parent = await Parent.findById(req.params.id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: `No parent found with id ${req.params.id}`
+      });
+    }
+
+    const { studentId } = req.body;
+    const student = studentId ? await Student.findById(studentId) : null;
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${studentId}`
+      });
+    }
+
+    if (parent.hasStudent(student._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This student is already linked to the parent'
+      });
+    }
+
+    parent.students.push(student._id);
+    await parent.save();
+
+    res.status(200).json({
+      success: true,
+      data: await populateParent(Parent.findById(parent._id))
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Unlink a student from a guardian account
+// @route   DELETE /api/parents/:id/students/:studentId
+// @access  Private/Admin,Principal
+exports.unlinkStudent = async (req, res) => {
+  try {
+    const parent = await Parent.findById(req.params.id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: `No parent found with id ${req.params.id}`
+      });
+    }
+
+    if (!parent.hasStudent(req.params.studentId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Student ${req.params.studentId} is not linked to this parent`
+      });
+    }
+
+    parent.students = parent.students.filter(id => id.toString() !== req.params.studentId);
+    await parent.save();
+
+    res.status(200).json({
+      success: true,
+      data: await populateParent(Parent.findById(parent._id))
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get the logged-in parent's profile, children, notices and upcoming meetings
+// @route   GET /api/parents/me
+// @access  Private/Parent
+exports.getMyProfile = async (req, res) => {
+  try {
+    const parent = await populateParent(Parent.findOne({ user: req.user.id }));
+
+    if (!parent || !parent.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active parent profile found for this user'
+      });
+    }
+
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    const [notices, meetings] = await Promise.all([
+      EventNotice.find({
+        isActive: true,
+        targetAudience: { $in: ['all', 'parents'] },
+        $or: [{ endDate: { $gte: now } }, { endDate: null }]
+      })
+        .sort('-createdAt')
+        .limit(10)
+        .populate('createdBy', 'name role'),
+      Meeting.find({
+        isActive: true,
+        status: 'scheduled',
+        participants: { $in: ['all', 'parents'] },
+        date: { $gte: today }
+      })
+        .sort('date')
+        .limit(10)
+        .populate('organizer', 'name role')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profile: parent,
+        children: parent.students,
+        notices,
+        meetings
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get one child's attendance, fees and published exam results
+// @route   GET /api/parents/me/children/:studentId?month= (or from/to)
+// @access  Private/Parent
+exports.getChildOverview = async (req, res) => {
+  try {
+    const parent = await Parent.findOne({ user: req.user.id, isActive: true });
+
+    if (!parent || !parent.hasStudent(req.params.studentId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your linked children'
+      });
+    }
+
+    const student = await Student.findById(req.params.studentId).populate('user', 'name profileImage');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${req.params.studentId}`
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid month (MM/YYYY) or from/to dates up to a year apart'
+      });
+    }
+
+    // Working days that have not happened yet are not counted
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+    const calendar = await loadCalendar(range.start, range.end);
+    const workingDays = calendar.workingDays(range.start, range.end < endOfToday ? range.end : endOfToday);
+
+    const statuses = await loadDailyStatuses({
+      userModel: 'Student',
+      userIds: [student._id],
+      start: range.start,
+      end: range.end
+    });
+    const days = statuses[student._id.toString()] || {};
+
+    const [outstandingFees, recentPaidFees, exams] = await Promise.all([
+      Fee.find({ student: student._id, status: { $ne: 'paid' } })
+        .select('-payments')
+        .sort('dueDate'),
+      Fee.find({ student: student._id, status: 'paid' })
+        .select('-payments')
+        .sort('-dueDate')
+        .limit(5),
+      Exam.find({ ...Exam.studentFilter([student]), status: 'published' })
+        .select('name term startDate endDate publishedAt')
+        .sort('-publishedAt')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student,
+        attendance: {
+          from: range.start,
+          to: range.end,
+          days,
+          ...summarizeWorkingDays(days, workingDays)
+        },
+        fees: {
+          totalOutstanding: outstandingFees.reduce((total, fee) => total + (fee.remainingAmount || 0), 0),
+          outstanding: outstandingFees,
+          recentlyPaid: recentPaidFees
+        },
+        // Report cards: GET /api/exams/:examId/report-card/:studentId
+        exams
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
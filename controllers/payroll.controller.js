@@ -0,0 +1,420 @@
+const PayrollRun = require('../models/PayrollRun');
+const Salary = require('../models/Salary');
+const Teacher = require('../models/Teacher');
+const AdminStaff = require('../models/AdminStaff');
+const SupportStaff = require('../models/SupportStaff');
+const Attendance = require('../models/Attendance');
+const LeaveApplication = require('../models/LeaveApplication');
+const { parseMonth } = require('../utils/dateHelpers');
+const { calculateStaffPay } = require('../utils/payrollCalculator');
+
+// Staff collections paid through payroll, with the Salary field and
+// Attendance userModel each one uses
+const STAFF_SOURCES = [
+  { staffType: 'teacher', field: 'teacher', model: Teacher, userModel: 'Teacher' },
+  { staffType: 'admin-staff', field: 'adminStaff', model: AdminStaff, userModel: 'AdminStaff' },
+  { staffType: 'support-staff', field: 'supportStaff', model: SupportStaff, userModel: 'SupportStaff' }
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Helper function to work out the payroll lines for a month without saving anything
+// Staff who already have a salary record for the month that was not created by
+// the month's payroll run (e.g. entered by hand) are listed but skipped.
+exports.buildPayroll = async (month, runId = null) => {
+  const period = parseMonth(month);
+  const lines = [];
+  // Leave days are YYYY-MM-DD keys
+  const monthPrefix = `${period.year}-${String(period.month).padStart(2, '0')}-`;
+
+  for (const source of STAFF_SOURCES) {
+    const staffMembers = await source.model.find({
+      isActive: true,
+      joiningDate: { $lte: period.end }
+    }).populate('user', 'name email');
+
+    if (staffMembers.length === 0) continue;
+
+    const staffIds = staffMembers.map(staff => staff._id);
+
+    const attendance = await Attendance.find({
+      userModel: source.userModel,
+      userId: { $in: staffIds },
+      date: { $gte: period.start, $lte: period.end },
+      status: { $in: ['absent', 'half-day'] }
+    });
+
+    const unpaidLeave = await LeaveApplication.find({
+      staffModel: source.userModel,
+      staffId: { $in: staffIds },
+      leaveType: 'unpaid',
+      status: 'approved',
+      leaveDays: { $regex: `^${monthPrefix}` }
+    });
+
+    const salaryQuery = {
+      staffType: source.staffType,
+      [source.field]: { $in: staffIds },
+      month: period.key
+    };
+    if (runId) salaryQuery.payrollRun = { $ne: runId };
+
+    const existingSalaries = await Salary.find(salaryQuery).select(source.field);
+    const alreadyPaid = new Set(existingSalaries.map(salary => salary[source.field].toString()));
+
+    staffMembers.forEach(staff => {
+      const staffAttendance = attendance.filter(record => record.userId.toString() === staff._id.toString());
+      const unpaidLeaveDays = unpaidLeave
+        .filter(application => application.staffId.toString() === staff._id.toString())
+        .flatMap(application => application.leaveDays.filter(day => day.startsWith(monthPrefix)));
+      const pay = calculateStaffPay({ staff, period, attendance: staffAttendance, unpaidLeaveDays });
+
+      lines.push({
+        staffType: source.staffType,
+        field: source.field,
+        staffId: staff._id,
+        employeeId: staff.employeeId,
+        name: staff.user?.name || '',
+        skipped: alreadyPaid.has(staff._id.toString()),
+        ...pay
+      });
+    });
+  }
+
+  return lines;
+};
+
+// Helper function to add up payroll lines for the run totals
+const summarizeLines = (lines) => {
+  const included = lines.filter(line => !line.skipped);
+  const sum = (key) => round(included.reduce((total, line) => total + line[key], 0));
+
+  return {
+    staffCount: included.length,
+    totalBase: sum('baseAmount'),
+    totalAllowances: round(sum('grossAmount') - sum('baseAmount')),
+    totalDeductions: round(sum('grossAmount') - sum('netAmount')),
+    totalNet: sum('netAmount')
+  };
+};
+
+// Helper function to generate (or regenerate) the payroll for a month
+// A draft run is replaced on every call; approved and locked runs are left alone.
+// With dryRun nothing is saved and the calculated lines are returned.
+exports.generatePayroll = async ({ month, recordedById, dryRun = false }) => {
+  const period = parseMonth(month);
+  if (!period) {
+    throw new Error('Please provide the month in MM/YYYY format');
+  }
+
+  let run = await PayrollRun.findOne({ month: period.key });
+  if (run && run.status !== 'draft') {
+    throw new Error(`Payroll for ${period.key} has already been ${run.status}`);
+  }
+
+  const lines = await exports.buildPayroll(period.key, run ? run._id : null);
+  const totals = summarizeLines(lines);
+
+  if (dryRun) {
+    return {
+      run: null,
+      month: period.key,
+      dryRun: true,
+      ...totals,
+      skipped: lines.filter(line => line.skipped).length,
+      lines
+    };
+  }
+
+  if (run) {
+    await Salary.deleteMany({ payrollRun: run._id });
+    Object.assign(run, totals, { createdBy: recordedById });
+    await run.save();
+  } else {
+    run = await PayrollRun.create({
+      month: period.key,
+      ...totals,
+      createdBy: recordedById
+    });
+  }
+
+  for (const line of lines.filter(l => !l.skipped)) {
+    await Salary.create({
+      staffType: line.staffType,
+      [line.field]: line.staffId,
+      month: period.key,
+      baseAmount: line.baseAmount,
+      bonuses: line.allowances,
+      deductions: line.deductions,
+      // Not payable until the run is approved
+      status: 'processing',
+      payrollRun: run._id,
+      recordedBy: recordedById
+    });
+  }
+
+  return {
+    run,
+    month: period.key,
+    dryRun: false,
+    ...totals,
+    skipped: lines.filter(line => line.skipped).length,
+    lines
+  };
+};
+
+// @desc    Get payroll runs
+// @route   GET /api/payroll
+// @access  Private/Admin,Principal,Accountant
+exports.getPayrollRuns = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const runs = await PayrollRun.find(query)
+      .populate('createdBy', 'name role')
+      .populate('approvedBy', 'name role')
+      .populate('lockedBy', 'name role')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get a payroll run with its salary records
+// @route   GET /api/payroll/:id
+// @access  Private/Admin,Principal,Accountant
+exports.getPayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id)
+      .populate('createdBy', 'name role')
+      .populate('approvedBy', 'name role')
+      .populate('lockedBy', 'name role');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `No payroll run found with id ${req.params.id}`
+      });
+    }
+
+    const staffPopulate = (path) => ({
+      path,
+      select: 'employeeId user',
+      populate: {
+        path: 'user',
+        select: 'name email'
+      }
+    });
+
+    const salaries = await Salary.find({ payrollRun: run._id })
+      .populate(staffPopulate('teacher'))
+      .populate(staffPopulate('adminStaff'))
+      .populate(staffPopulate('supportStaff'))
+      .sort('staffType');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...run.toObject(),
+        salaries
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Preview a month's payroll without saving
+// @route   POST /api/payroll/preview
+// @access  Private/Admin,Principal,Accountant
+exports.previewPayroll = async (req, res) => {
+  try {
+    if (!parseMonth(req.body.month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the month in MM/YYYY format'
+      });
+    }
+
+    const summary = await exports.generatePayroll({
+      month: req.body.month,
+      recordedById: req.user.id,
+      dryRun: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Generate a month's payroll as a draft
+// @route   POST /api/payroll/generate
+// @access  Private/Admin,Principal,Accountant
+exports.runPayrollGeneration = async (req, res) => {
+  try {
+    if (!parseMonth(req.body.month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the month in MM/YYYY format'
+      });
+    }
+
+    const summary = await exports.generatePayroll({
+      month: req.body.month,
+      recordedById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Draft payroll for ${summary.month} created for ${summary.staffCount} staff`,
+      data: summary
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Approve a draft payroll run, making its salaries payable
+// @route   PUT /api/payroll/:id/approve
+// @access  Private/Admin,Principal
+exports.approvePayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `No payroll run found with id ${req.params.id}`
+      });
+    }
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Payroll for ${run.month} has already been ${run.status}`
+      });
+    }
+
+    await Salary.updateMany(
+      { payrollRun: run._id, status: 'processing' },
+      { status: 'unpaid' }
+    );
+
+    run.status = 'approved';
+    run.approvedBy = req.user.id;
+    run.approvedAt = Date.now();
+    if (req.body.remarks) run.remarks = req.body.remarks;
+    await run.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Payroll for ${run.month} approved`,
+      data: run
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Lock an approved payroll run so its amounts can no longer change
+// @route   PUT /api/payroll/:id/lock
+// @access  Private/Admin,Principal
+exports.lockPayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `No payroll run found with id ${req.params.id}`
+      });
+    }
+
+    if (run.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: run.status === 'locked'
+          ? `Payroll for ${run.month} is already locked`
+          : `Payroll for ${run.month} must be approved before it can be locked`
+      });
+    }
+
+    run.status = 'locked';
+    run.lockedBy = req.user.id;
+    run.lockedAt = Date.now();
+    await run.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Payroll for ${run.month} locked`,
+      data: run
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete a draft payroll run and its salary records
+// @route   DELETE /api/payroll/:id
+// @access  Private/Admin,Principal
+exports.deletePayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `No payroll run found with id ${req.params.id}`
+      });
+    }
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Payroll for ${run.month} has been ${run.status} and cannot be deleted`
+      });
+    }
+
+    await Salary.deleteMany({ payrollRun: run._id });
+    await run.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
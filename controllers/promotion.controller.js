@@ -0,0 +1,462 @@
+const Promotion = require('../models/Promotion');
+const AcademicYear = require('../models/AcademicYear');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+
+// Enrolment status of the year being left, for each action
+const OUTCOMES = {
+  promote: 'promoted',
+  detain: 'detained',
+  graduate: 'graduated',
+  leave: 'left'
+};
+
+// Helper function to find the class after a class, by Class.order
+const findNextClass = async (classDoc) => {
+  if (!classDoc) return null;
+  return Class.findOne({ isActive: true, order: { $gt: classDoc.order } }).sort({ order: 1, name: 1 });
+};
+
+// Helper function to work out what a promotion would do
+// Returns { errors, warnings, fromYear, toYear, className, section, entries }
+// where each entry is { student, action, toClass, toSection, remarks }.
+const buildPlan = async (body) => {
+  const errors = [];
+  const warnings = [];
+
+  const fromYear = body.fromYear ? await AcademicYear.findById(body.fromYear) : await AcademicYear.getCurrent();
+  const toYear = body.toYear ? await AcademicYear.findById(body.toYear) : null;
+
+  if (!fromYear) errors.push(body.fromYear ? `No academic year found with id ${body.fromYear}` : 'No current academic year has been set');
+  if (!toYear) errors.push(body.toYear ? `No academic year found with id ${body.toYear}` : 'Please choose the academic year to promote into');
+  if (fromYear && toYear && toYear.startDate <= fromYear.startDate) {
+    errors.push(`Students can only be promoted into a later year than ${fromYear.name}`);
+  }
+
+  const classesSetUp = !!(await Class.exists({}));
+  let className = Class.normalizeName(body.class);
+  const section = body.section ? Section.normalizeName(body.section) : null;
+  if (!className) errors.push('Please choose the class to promote');
+
+  let classDoc = null;
+  if (className && classesSetUp) {
+    classDoc = await Class.findByName(className);
+    if (!classDoc) errors.push(`Class ${className} does not exist`);
+    else className = classDoc.name;
+  }
+
+  // Promoted students go to the chosen class, or the next class by order.
+  // Without one, the default is to graduate them.
+  let defaultToClass = body.toClass ? Class.normalizeName(body.toClass) : null;
+  if (defaultToClass && classesSetUp) {
+    const toClassDoc = await Class.findByName(defaultToClass);
+    if (!toClassDoc) errors.push(`Class ${defaultToClass} does not exist`);
+    else defaultToClass = toClassDoc.name;
+  } else if (!defaultToClass) {
+    defaultToClass = (await findNextClass(classDoc))?.name || null;
+  }
+
+  const defaultAction = body.defaultAction || (defaultToClass ? 'promote' : 'graduate');
+  if (!Promotion.PROMOTION_ACTIONS.includes(defaultAction)) {
+    errors.push(`Action must be one of: ${Promotion.PROMOTION_ACTIONS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors, warnings, entries: [] };
+  }
+
+  // Students still enrolled in the class for the year being closed. Students
+  // admitted before academic years were set up have no year yet.
+  const studentQuery = {
+    class: className,
+    isActive: true,
+    enrollmentStatus: 'enrolled',
+    academicYear: fromYear.isCurrent ? { $in: [fromYear._id, null] } : fromYear._id
+  };
+  if (section) studentQuery.section = section;
+
+  const students = await Student.find(studentQuery)
+    .populate('user', 'name')
+    .sort({ section: 1, rollNumber: 1 });
+
+  if (students.length === 0) {
+    errors.push(`No students of class ${className}${section ? `-${section}` : ''} are left to promote from ${fromYear.name}`);
+    return { errors, warnings, entries: [] };
+  }
+
+  const decisions = {};
+  (body.decisions || []).forEach(decision => {
+    decisions[String(decision.student)] = decision;
+  });
+  Object.keys(decisions).forEach(studentId => {
+    if (!students.some(student => student._id.toString() === studentId)) {
+      errors.push(`Student ${studentId} is not in class ${className}${section ? `-${section}` : ''} for ${fromYear.name}`);
+    }
+  });
+
+  const entries = [];
+  for (const student of students) {
+    const decision = decisions[student._id.toString()] || {};
+    const action = decision.action || defaultAction;
+    const name = student.user?.name || student.rollNumber;
+
+    if (!Promotion.PROMOTION_ACTIONS.includes(action)) {
+      errors.push(`${name}: action must be one of ${Promotion.PROMOTION_ACTIONS.join(', ')}`);
+      continue;
+    }
+
+    let toClass = null;
+    let toSection = null;
+    if (action === 'promote') {
+      toClass = decision.toClass ? Class.normalizeName(decision.toClass) : defaultToClass;
+      toSection = Section.normalizeName(decision.toSection || body.toSection || student.section);
+      if (!toClass) {
+        errors.push(`${name}: there is no class after ${className}; choose the class to promote to, or graduate the student`);
+        continue;
+      }
+      if (toClass.toLowerCase() === className.toLowerCase()) {
+        errors.push(`${name}: promoting into the same class is a detention`);
+        continue;
+      }
+    } else if (action === 'detain') {
+      toClass = student.class;
+      toSection = student.section;
+    }
+
+    if (toClass && classesSetUp) {
+      const toClassDoc = await Class.findByName(toClass);
+      if (!toClassDoc) {
+        errors.push(`${name}: class ${toClass} does not exist`);
+        continue;
+      }
+      toClass = toClassDoc.name;
+      if (!(await Section.exists({ class: toClassDoc._id, name: toSection, isActive: true }))) {
+        errors.push(`${name}: section ${toSection} does not exist in class ${toClass}`);
+        continue;
+      }
+    }
+
+    entries.push({ student, action, toClass, toSection, remarks: decision.remarks });
+  }
+
+  // Capacity is enforced when students are saved; warn about it up front
+  if (classesSetUp) {
+    const incoming = {};
+    entries.filter(entry => entry.action === 'promote').forEach(entry => {
+      const key = `${entry.toClass}|${entry.toSection}`;
+      incoming[key] = (incoming[key] || 0) + 1;
+    });
+
+    for (const [key, count] of Object.entries(incoming)) {
+      const [toClass, toSection] = key.split('|');
+      const toClassDoc = await Class.findByName(toClass);
+      const sectionDoc = await Section.findOne({ class: toClassDoc._id, name: toSection });
+      const current = await Student.countDocuments({ sectionId: sectionDoc._id, isActive: true });
+      if (sectionDoc.capacity > 0 && current + count > sectionDoc.capacity) {
+        warnings.push(`Section ${toSection} of class ${toClass} has ${current} students and can take ${sectionDoc.capacity}; ${count} more would not fit. Promote class ${toClass} first`);
+      }
+    }
+  }
+
+  return { errors, warnings, fromYear, toYear, className, section, entries };
+};
+
+// Helper function to summarize a plan for a response
+const describePlan = (plan) => ({
+  fromYear: plan.fromYear ? { _id: plan.fromYear._id, name: plan.fromYear.name } : null,
+  toYear: plan.toYear ? { _id: plan.toYear._id, name: plan.toYear.name } : null,
+  class: plan.className,
+  section: plan.section,
+  counts: Promotion.PROMOTION_ACTIONS.reduce((counts, action) => ({
+    ...counts,
+    [action]: plan.entries.filter(entry => entry.action === action).length
+  }), {}),
+  students: plan.entries.map(entry => ({
+    student: entry.student._id,
+    name: entry.student.user?.name,
+    rollNumber: entry.student.rollNumber,
+    fromClass: entry.student.class,
+    fromSection: entry.student.section,
+    action: entry.action,
+    toClass: entry.toClass,
+    toSection: entry.toSection,
+    remarks: entry.remarks
+  })),
+  errors: plan.errors,
+  warnings: plan.warnings
+});
+
+// Helper function to undo one promotion entry, restoring the student and their enrolments
+const revertEntry = async (promotion, entry) => {
+  const student = await Student.findById(entry.student);
+  if (!student) return;
+
+  student.class = entry.previous.class;
+  student.section = entry.previous.section;
+  student.academicYear = entry.previous.academicYear || null;
+  student.isActive = entry.previous.isActive;
+  student.enrollmentStatus = entry.previous.enrollmentStatus;
+  await student.save();
+
+  await Enrollment.deleteOne({ student: student._id, academicYear: promotion.toYear, promotion: promotion._id });
+  await Enrollment.updateOne(
+    { student: student._id, academicYear: promotion.fromYear },
+    { status: 'active', promotion: null }
+  );
+};
+
+// @desc    Preview a year-end promotion without changing anything
+// @route   POST /api/promotions/preview
+// @access  Private/Admin,Principal
+exports.previewPromotion = async (req, res) => {
+  try {
+    const plan = await buildPlan(req.body);
+
+    res.status(200).json({
+      success: true,
+      data: describePlan(plan)
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Promote, detain, graduate or remove the students of a class at year end
+// @route   POST /api/promotions
+// @access  Private/Admin,Principal
+exports.applyPromotion = async (req, res) => {
+  try {
+    const plan = await buildPlan(req.body);
+
+    if (plan.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: plan.errors.join('; '),
+        data: describePlan(plan)
+      });
+    }
+
+    const promotion = await Promotion.create({
+      fromYear: plan.fromYear._id,
+      toYear: plan.toYear._id,
+      class: plan.className,
+      section: plan.section,
+      entries: plan.entries.map(entry => ({
+        student: entry.student._id,
+        action: entry.action,
+        fromClass: entry.student.class,
+        fromSection: entry.student.section,
+        toClass: entry.toClass,
+        toSection: entry.toSection,
+        remarks: entry.remarks,
+        previous: {
+          class: entry.student.class,
+          section: entry.student.section,
+          classId: entry.student.classId,
+          sectionId: entry.student.sectionId,
+          academicYear: entry.student.academicYear,
+          isActive: entry.student.isActive,
+          enrollmentStatus: entry.student.enrollmentStatus
+        }
+      })),
+      appliedBy: req.user.id
+    });
+
+    // Students are moved one by one; if one fails, those already moved are put back
+    const done = [];
+    for (const [index, entry] of plan.entries.entries()) {
+      const student = entry.student;
+      try {
+        await Enrollment.updateOne(
+          { student: student._id, academicYear: plan.fromYear._id },
+          {
+            $set: { status: OUTCOMES[entry.action], promotion: promotion._id, remarks: entry.remarks },
+            $setOnInsert: {
+              class: student.class,
+              section: student.section,
+              classId: student.classId,
+              sectionId: student.sectionId,
+              rollNumber: student.rollNumber
+            }
+          },
+          { upsert: true }
+        );
+
+        if (entry.action === 'promote' || entry.action === 'detain') {
+          student.class = entry.toClass;
+          student.section = entry.toSection;
+          student.academicYear = plan.toYear._id;
+        } else {
+          student.isActive = false;
+          student.enrollmentStatus = OUTCOMES[entry.action];
+        }
+        await student.save();
+
+        // The save enrolled the student in the new year
+        await Enrollment.updateOne(
+          { student: student._id, academicYear: plan.toYear._id },
+          { promotion: promotion._id }
+        );
+        done.push(promotion.entries[index]);
+      } catch (error) {
+        for (const doneEntry of done.reverse()) {
+          await revertEntry(promotion, doneEntry);
+        }
+        await Enrollment.updateOne(
+          { student: student._id, academicYear: plan.fromYear._id, promotion: promotion._id },
+          { status: 'active', promotion: null }
+        );
+        await promotion.deleteOne();
+
+        return res.status(400).json({
+          success: false,
+          message: `Could not move ${student.user?.name || student.rollNumber}: ${error.message}. No students were changed`
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: promotion,
+      summary: describePlan(plan)
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get promotions
+// @route   GET /api/promotions?fromYear=&toYear=&class=
+// @access  Private/Admin,Principal
+exports.getPromotions = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.fromYear) query.fromYear = req.query.fromYear;
+    if (req.query.toYear) query.toYear = req.query.toYear;
+    if (req.query.class) query.class = req.query.class;
+
+    const promotions = await Promotion.find(query)
+      .select('-entries.previous')
+      .populate('fromYear', 'name')
+      .populate('toYear', 'name')
+      .populate('appliedBy', 'name role')
+      .populate('rolledBackBy', 'name role')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get single promotion
+// @route   GET /api/promotions/:id
+// @access  Private/Admin,Principal
+exports.getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('fromYear', 'name')
+      .populate('toYear', 'name')
+      .populate({ path: 'entries.student', select: 'rollNumber class section', populate: { path: 'user', select: 'name' } })
+      .populate('appliedBy', 'name role')
+      .populate('rolledBackBy', 'name role');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: `No promotion found with id ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Roll back a promotion, putting its students back where they were
+// @route   POST /api/promotions/:id/rollback
+// @access  Private/Admin,Principal
+exports.rollbackPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: `No promotion found with id ${req.params.id}`
+      });
+    }
+
+    if (promotion.status === 'rolled-back') {
+      return res.status(400).json({
+        success: false,
+        message: 'This promotion has already been rolled back'
+      });
+    }
+
+    // Students changed since the promotion (e.g. promoted again) must be
+    // sorted out first, or rolling back would overwrite the later change
+    const students = await Student.find({ _id: { $in: promotion.entries.map(entry => entry.student) } }).populate('user', 'name');
+    const conflicts = promotion.entries.filter(entry => {
+      const student = students.find(s => s._id.toString() === entry.student.toString());
+      if (!student) return false;
+      if (entry.action === 'promote' || entry.action === 'detain') {
+        return String(student.academicYear) !== String(promotion.toYear) ||
+          student.class !== entry.toClass || student.section !== entry.toSection;
+      }
+      return student.enrollmentStatus !== OUTCOMES[entry.action];
+    }).map(entry => {
+      const student = students.find(s => s._id.toString() === entry.student.toString());
+      return student.user?.name || student.rollNumber;
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These students have changed since the promotion: ${conflicts.join(', ')}. Roll back later promotions first or update them by hand`
+      });
+    }
+
+    for (const entry of promotion.entries) {
+      await revertEntry(promotion, entry);
+    }
+
+    promotion.status = 'rolled-back';
+    promotion.rolledBackBy = req.user.id;
+    promotion.rolledBackAt = Date.now();
+    promotion.rollbackRemarks = req.body.remarks;
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -7,6 +7,8 @@ const AboutUsContent = require('../models/AboutUsContent');
 const AdmissionsContent = require('../models/AdmissionsContent');
 const AcademicsContent = require('../models/AcademicsContent');
 const GalleryImage = require('../models/GalleryImage');
+const CalendarEvent = require('../models/CalendarEvent');
+const { parseCalendarRange, buildRangeQuery } = require('../utils/calendarHelpers');
 
 // @desc    Get featured teachers for public display
 // @route   GET /api/public/teachers
@@ -93,6 +95,50 @@ exports.getPublicEventsNotices = async (req, res) => {
   }
 };
 
+// @desc    Get the public school calendar (holidays, terms, exam weeks, half days)
+// @route   GET /api/public/calendar?year= (or month, from/to)
+// @access  Public
+exports.getPublicCalendar = async (req, res) => {
+  try {
+    // Default to the current year
+    const range = parseCalendarRange(
+      Object.keys(req.query).length ? req.query : { year: new Date().getFullYear() }
+    );
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use year=YYYY, month=MM/YYYY or from/to dates up to a year apart'
+      });
+    }
+
+    const query = buildRangeQuery(range);
+    query.isPublic = true;
+    if (req.query.type) query.type = req.query.type;
+
+    const events = await CalendarEvent.find(query)
+      .select('title type description startDate endDate startDay endDay')
+      .sort('startDate');
+
+    const settings = await SchoolSettings.findOne().select('calendar');
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        from: range.start,
+        to: range.end,
+        weeklyOffDays: settings?.calendar?.weeklyOffDays || [0],
+        events
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
 // @desc    Get school statistics
 // @route   GET /api/public/stats
 // @access  Public
@@ -384,6 +430,14 @@ exports.getAllPublicContent = async (req, res) => {
     delete academicsObj.updatedBy;
     delete academicsObj.__v;
 
+    // The academic calendar comes from the school calendar rather than free text
+    academicsObj.calendarEvents = await CalendarEvent.find({
+      ...buildRangeQuery(parseCalendarRange({ year: new Date().getFullYear() })),
+      isPublic: true
+    })
+      .select('title type description startDate endDate startDay endDay')
+      .sort('startDate');
+
     res.status(200).json({
       success: true,
       data: {
@@ -2,12 +2,69 @@ const Salary = require('../models/Salary');
 const Teacher = require('../models/Teacher');
 const AdminStaff = require('../models/AdminStaff');
 const SupportStaff = require('../models/SupportStaff');
+const PayrollRun = require('../models/PayrollRun');
+const AcademicYear = require('../models/AcademicYear');
+const { loadSchoolBranding, sendPdf } = require('../utils/pdfHelpers');
+const { buildPayslipPdf, buildSalaryStatementPdf } = require('../utils/payslipPdf');
+
+// Roles that can see every staff member's payslips and statements
+const PAYROLL_ROLES = ['admin', 'principal', 'accountant'];
+
+// Staff profile model and Salary field for each staff type
+const STAFF_PROFILES = {
+  teacher: { field: 'teacher', model: Teacher },
+  'admin-staff': { field: 'adminStaff', model: AdminStaff },
+  'support-staff': { field: 'supportStaff', model: SupportStaff }
+};
+
+// Fields that can still be changed on a salary record of a locked payroll run
+const LOCKED_PAYROLL_FIELDS = ['paidAmount', 'paymentDate', 'paymentMethod', 'transactionId', 'status', 'remarks'];
+
+// Helper function to turn a request body into editable salary fields.
+// grossAmount, netAmount and remainingAmount are always derived, never set.
+// Clients that only know `amount` send the base salary in it; when editing,
+// an unchanged `amount` is just the current net amount echoed back.
+const normalizeSalaryAmounts = (body, salary = null) => {
+  delete body.grossAmount;
+  delete body.netAmount;
+  delete body.remainingAmount;
+
+  if (body.amount !== undefined) {
+    if (body.baseAmount === undefined && (!salary || Number(body.amount) !== salary.netAmount)) {
+      body.baseAmount = body.amount;
+    }
+    delete body.amount;
+  }
+};
+
+// Helper function to find the staff profile (of any staff type) linked to a user
+const findOwnStaffProfile = async (userId) => {
+  for (const [staffType, profile] of Object.entries(STAFF_PROFILES)) {
+    const staff = await profile.model.findOne({ user: userId });
+    if (staff) return { staffType, staff };
+  }
+  return null;
+};
+
+// Helper function to find the locked payroll run a salary record belongs to, if any
+const getLockedPayrollRun = async (salary) => {
+  if (!salary.payrollRun) return null;
+  return PayrollRun.findOne({ _id: salary.payrollRun, status: 'locked' });
+};
 
 // @desc    Get all salary records
 // @route   GET /api/salaries
 // @access  Private
 exports.getSalaryRecords = async (req, res) => {
   try {
+    // Parents have no access to staff salaries
+    if (req.user.role === 'parent') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access salary records'
+      });
+    }
+
     // Build query
     let query;
 
@@ -20,6 +77,9 @@ exports.getSalaryRecords = async (req, res) => {
     // Loop over removeFields and delete them from reqQuery
     removeFields.forEach(param => delete reqQuery[param]);
 
+    // academicYear=current scopes to the current academic year
+    await AcademicYear.resolveQueryFilter(reqQuery);
+
     // Handle month filtering specifically
     if (reqQuery.month) {
       console.log(`Original month filter: ${reqQuery.month}`);
@@ -172,6 +232,14 @@ exports.getSalaryRecords = async (req, res) => {
 // @access  Private
 exports.getSalaryRecord = async (req, res) => {
   try {
+    // Parents have no access to staff salaries
+    if (req.user.role === 'parent') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access salary records'
+      });
+    }
+
     const salary = await Salary.findById(req.params.id)
       .populate({
         path: 'teacher',
@@ -246,6 +314,8 @@ exports.createSalaryRecord = async (req, res) => {
   try {
     // Add user to req.body
     req.body.recordedBy = req.user.id;
+    delete req.body.payrollRun;
+    normalizeSalaryAmounts(req.body);
 
     // Validate staff type and existence based on staffType
     const { staffType } = req.body;
@@ -362,10 +432,29 @@ exports.updateSalaryRecord = async (req, res) => {
       });
     }
 
-    salary = await Salary.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    // Payroll records are generated by the payroll run, not linked by hand
+    delete req.body.payrollRun;
+    normalizeSalaryAmounts(req.body, salary);
+
+    const lockedRun = await getLockedPayrollRun(salary);
+    if (lockedRun) {
+      // Unchanged values echoed back by the client are fine
+      const current = salary.toObject();
+      const lockedFields = Object.keys(req.body).filter(field =>
+        !LOCKED_PAYROLL_FIELDS.includes(field) &&
+        JSON.stringify(current[field]) !== JSON.stringify(req.body[field]));
+      if (lockedFields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Payroll for ${lockedRun.month} is locked. Only payment details can be updated (cannot change: ${lockedFields.join(', ')})`
+        });
+      }
+    }
+
+    // Save through the document so the amounts are derived again from
+    // baseAmount, bonuses and deductions
+    salary.set(req.body);
+    await salary.save();
 
     res.status(200).json({
       success: true,
@@ -405,6 +494,14 @@ exports.deleteSalaryRecord = async (req, res) => {
       });
     }
 
+    const lockedRun = await getLockedPayrollRun(salary);
+    if (lockedRun) {
+      return res.status(400).json({
+        success: false,
+        message: `Payroll for ${lockedRun.month} is locked and its salary records cannot be deleted`
+      });
+    }
+
     await salary.deleteOne();
 
     res.status(200).json({
@@ -418,3 +515,172 @@ exports.deleteSalaryRecord = async (req, res) => {
     });
   }
 };
+
+// @desc    Download the payslip PDF for a salary record
+// @route   GET /api/salaries/:id/payslip
+// @access  Private (own payslips, or Admin/Principal/Accountant)
+exports.getPayslip = async (req, res) => {
+  try {
+    const staffPopulate = (path) => ({
+      path,
+      populate: {
+        path: 'user',
+        select: 'name email'
+      }
+    });
+
+    const salary = await Salary.findById(req.params.id)
+      .populate(staffPopulate('teacher'))
+      .populate(staffPopulate('adminStaff'))
+      .populate(staffPopulate('supportStaff'));
+
+    if (!salary) {
+      return res.status(404).json({
+        success: false,
+        message: `No salary record found with id ${req.params.id}`
+      });
+    }
+
+    const staff = salary[STAFF_PROFILES[salary.staffType].field];
+
+    if (!PAYROLL_ROLES.includes(req.user.role)) {
+      const own = await findOwnStaffProfile(req.user.id);
+
+      if (!own || own.staffType !== salary.staffType || !staff ||
+          staff._id.toString() !== own.staff._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this payslip'
+        });
+      }
+
+      if (salary.status === 'processing') {
+        return res.status(400).json({
+          success: false,
+          message: 'This payslip is not available until the payroll has been approved'
+        });
+      }
+    }
+
+    const branding = await loadSchoolBranding();
+    const pdf = await buildPayslipPdf(salary, branding);
+
+    sendPdf(
+      res,
+      pdf,
+      `payslip-${staff?.employeeId || salary._id}-${salary.month.replace('/', '-')}.pdf`,
+      req.query.download === 'true'
+    );
+  } catch (err) {
+    console.error('Error generating payslip:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating payslip',
+      error: err.message
+    });
+  }
+};
+
+// @desc    Annual salary statement for a staff member (JSON, or PDF with ?format=pdf)
+// @route   GET /api/salaries/statement?year=YYYY[&staffType=&staffId=]
+// @access  Private (own statement, or Admin/Principal/Accountant for any staff)
+exports.getSalaryStatement = async (req, res) => {
+  try {
+    const year = req.query.year || String(new Date().getFullYear());
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the year in YYYY format'
+      });
+    }
+
+    let staffType;
+    let staff;
+
+    if (req.query.staffId) {
+      if (!PAYROLL_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access salary statements of other staff'
+        });
+      }
+
+      staffType = req.query.staffType;
+      if (!STAFF_PROFILES[staffType]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff type'
+        });
+      }
+
+      staff = await STAFF_PROFILES[staffType].model.findById(req.query.staffId).populate('user', 'name email');
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          message: `No ${staffType} found with id ${req.query.staffId}`
+        });
+      }
+    } else {
+      const own = await findOwnStaffProfile(req.user.id);
+      if (!own) {
+        return res.status(404).json({
+          success: false,
+          message: 'Staff profile not found'
+        });
+      }
+
+      staffType = own.staffType;
+      staff = await own.staff.populate('user', 'name email');
+    }
+
+    const salaries = await Salary.find({
+      staffType,
+      [STAFF_PROFILES[staffType].field]: staff._id,
+      month: { $regex: `/${year}$` },
+      // Draft payroll records are not final yet
+      status: { $ne: 'processing' }
+    }).sort('month');
+
+    if (req.query.format === 'pdf') {
+      const branding = await loadSchoolBranding();
+      const pdf = await buildSalaryStatementPdf({ staff, staffType, year, salaries }, branding);
+
+      return sendPdf(
+        res,
+        pdf,
+        `salary-statement-${staff.employeeId}-${year}.pdf`,
+        req.query.download === 'true'
+      );
+    }
+
+    const sum = (key) => Math.round(salaries.reduce((total, salary) => total + (salary[key] || 0), 0) * 100) / 100;
+
+    res.status(200).json({
+      success: true,
+      count: salaries.length,
+      data: {
+        year,
+        staffType,
+        staff: {
+          _id: staff._id,
+          employeeId: staff.employeeId,
+          name: staff.user?.name
+        },
+        salaries,
+        totals: {
+          baseAmount: sum('baseAmount'),
+          grossAmount: sum('grossAmount'),
+          netAmount: sum('netAmount'),
+          paidAmount: sum('paidAmount'),
+          remainingAmount: sum('remainingAmount')
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error generating salary statement:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -2,6 +2,33 @@ const SchoolSettings = require('../models/SchoolSettings');
 const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
 const { trackUpdate } = require('../utils/historyHelpers');
+const { deleteImage } = require('../middleware/uploadMiddleware');
+
+// Settings blocks used internally by fees, attendance, exams, leave, the
+// calendar and the timetable; not shown on the public site
+const INTERNAL_BLOCKS = ['feeManagement', 'attendance', 'grading', 'leaveManagement', 'calendar', 'timetable'];
+
+// Images are always replaced as a whole
+const IMAGE_PATHS = ['logo', 'landingPage.heroImage'];
+
+// Helper function to turn a nested update into dotted paths ({ a: { b: 1 } } -> { 'a.b': 1 }),
+// so updating one field of a block keeps the block's other fields.
+// Arrays, dates, images and other values are set as they are.
+const toDottedPaths = (data, prefix = '', paths = {}) => {
+  Object.keys(data).forEach(key => {
+    if (key.startsWith('$')) return;
+
+    const value = data[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype &&
+        Object.keys(value).length > 0 && !IMAGE_PATHS.includes(path)) {
+      toDottedPaths(value, path, paths);
+    } else {
+      paths[path] = value;
+    }
+  });
+  return paths;
+};
 
 // @desc    Get public school settings
 // @route   GET /api/school-settings/public
@@ -33,6 +60,7 @@ exports.getPublicSchoolSettings = async (req, res) => {
     // Remove sensitive or unnecessary fields for public view
     delete responseData.updatedBy;
     delete responseData.__v;
+    INTERNAL_BLOCKS.forEach(block => delete responseData[block]);
 
     res.status(200).json({
       success: true,
@@ -77,12 +105,14 @@ exports.updateSchoolSettings = async (req, res) => {
     // Track the update for history
     await trackUpdate('SchoolSettings', settings._id, settings, req.body, req.user.id);
 
-    // Update settings with request body
+    // Update settings with request body, field by field
     settings = await SchoolSettings.findOneAndUpdate(
       {},
       {
-        ...req.body,
-        updatedBy: req.user.id
+        $set: {
+          ...toDottedPaths(req.body),
+          updatedBy: req.user.id
+        }
       },
       {
         new: true,
@@ -142,3 +172,55 @@ exports.uploadHeroImage = async (req, res) => {
     });
   }
 };
+
+// @desc    Upload school logo
+// @route   POST /api/school-settings/logo
+// @access  Private/Admin,Principal
+exports.uploadLogo = async (req, res) => {
+  try {
+    // Check if Cloudinary URL was provided by middleware
+    if (!req.cloudinaryUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image was uploaded'
+      });
+    }
+
+    // Find settings or create default if none exists
+    const settings = await SchoolSettings.findOneOrCreate(req.user.id);
+    const previousPublicId = settings.logo?.metadata?.publicId;
+
+    const updatedSettings = await SchoolSettings.findOneAndUpdate(
+      {},
+      {
+        logo: {
+          url: req.cloudinaryUrl,
+          metadata: {
+            ...req.cloudinaryMetadata,
+            publicId: req.cloudinaryPublicId
+          }
+        },
+        updatedBy: req.user.id
+      },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    // Remove the replaced logo from Cloudinary
+    if (previousPublicId && previousPublicId !== req.cloudinaryPublicId) {
+      await deleteImage(previousPublicId);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedSettings
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
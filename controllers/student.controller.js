@@ -1,7 +1,11 @@
 const Student = require('../models/Student');
 const User = require('../models/User');
 const Teacher = require('../models/Teacher');
-const { createInitialFeeRecord } = require('./fee.controller');
+const Enrollment = require('../models/Enrollment');
+const Parent = require('../models/Parent');
+const FeeStructure = require('../models/FeeStructure');
+const { createInitialFeeRecord, setOpeningBalance } = require('./fee.controller');
+const { getLinkedStudentIds, isLinkedStudent } = require('../utils/parentHelpers');
 
 // @desc    Get all students
 // @route   GET /api/students
@@ -66,6 +70,11 @@ exports.getStudents = async (req, res) => {
       parsedQuery.user = req.user.id;
     }
 
+    // For parents, only show their linked children
+    if (req.user.role === 'parent') {
+      parsedQuery._id = { $in: await getLinkedStudentIds(req.user.id) };
+    }
+
     // Finding resource
     query = Student.find(parsedQuery)
       .populate({
@@ -189,6 +198,14 @@ exports.getStudent = async (req, res) => {
       }
     }
 
+    // For parents, only allow access to their linked children
+    if (req.user.role === 'parent' && !(await isLinkedStudent(req.user.id, student._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your linked children'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: student
@@ -201,6 +218,146 @@ exports.getStudent = async (req, res) => {
   }
 };
 
+// @desc    Get a student's enrolment history, latest year first
+// @route   GET /api/students/:id/enrollments
+// @access  Private
+exports.getStudentEnrollments = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${req.params.id}`
+      });
+    }
+
+    if (req.user.role === 'student' && student.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own enrolment history'
+      });
+    }
+
+    if (req.user.role === 'parent' && !(await isLinkedStudent(req.user.id, student._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your linked children'
+      });
+    }
+
+    if (req.user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ user: req.user.id });
+      if (!teacher || !(teacher.classes || []).includes(student.class)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to view this student'
+        });
+      }
+    }
+
+    const enrollments = await Enrollment.find({ student: student._id })
+      .populate('academicYear', 'name startDate endDate isCurrent')
+      .populate('promotion', 'status createdAt');
+
+    enrollments.sort((a, b) => (b.academicYear?.startDate || 0) - (a.academicYear?.startDate || 0));
+
+    res.status(200).json({
+      success: true,
+      count: enrollments.length,
+      data: enrollments
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// Helper function to create a student's login, profile and first fee records
+// Used when a student is added by staff and when an admission application is enrolled.
+// userData and studentData are the User and Student fields; openingBalance is the
+// dues carried over from before fee management. Returns { user, student, feeRecord }.
+exports.createStudentAccount = async (userData, studentData, recordedById, openingBalance = 0) => {
+  // Ensure email follows the required format for students
+  if (!userData.email || !userData.email.startsWith('std') || !userData.email.endsWith('@schoolms.com')) {
+    // Generate a proper email if it doesn't match the format
+    const cleanFirstName = userData.firstName.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const cleanLastName = userData.lastName.toLowerCase().replace(/[^a-z0-9]/g, '');
+    userData.email = `std${cleanFirstName}${cleanLastName}@schoolms.com`;
+  }
+
+  // Check if the email already exists
+  const existingUser = await User.findOne({ email: userData.email });
+  if (existingUser) {
+    // If email exists, modify it to make it unique by adding a number
+    let counter = 1;
+    let newEmail = userData.email;
+
+    // Extract the base part of the email (before @)
+    const emailParts = userData.email.split('@');
+    const basePart = emailParts[0];
+    const domainPart = emailParts[1];
+
+    // Try adding numbers until we find a unique email
+    while (await User.findOne({ email: newEmail })) {
+      newEmail = `${basePart}${counter}@${domainPart}`;
+      counter++;
+    }
+
+    userData.email = newEmail;
+  }
+
+  // First create a user with role student and auto-approve
+  userData.role = 'student';
+  userData.isApproved = true;
+  userData.status = 'active';
+  userData.approvedBy = recordedById;
+  userData.approvedAt = Date.now();
+  const user = await User.create(userData);
+
+  // Then create student profile with user reference
+  let student;
+  try {
+    studentData.user = user._id;
+    student = await Student.create(studentData);
+  } catch (error) {
+    // Don't leave a login behind when the profile is refused (e.g. an unknown class)
+    await User.findByIdAndDelete(user._id);
+    throw error;
+  }
+
+  // Record dues carried over from before fee management, so the first fee's arrears include them
+  if (Number(openingBalance) > 0) {
+    try {
+      await setOpeningBalance(student._id, Number(openingBalance), recordedById);
+    } catch (feeError) {
+      console.error('Error recording opening balance:', feeError);
+    }
+  }
+
+  // Create initial fee record for the student, from the class fee structure if there is one
+  let feeRecord = null;
+  if (student.monthlyFee > 0 || await FeeStructure.findForClass(student.class)) {
+    try {
+      feeRecord = await createInitialFeeRecord(
+        student._id,
+        recordedById,
+        student.monthlyFee
+      );
+      console.log('Created initial fee record for new student:', feeRecord ? feeRecord._id : 'Failed');
+    } catch (feeError) {
+      console.error('Error creating initial fee record:', feeError);
+      // Don't fail the student creation if fee record creation fails
+    }
+  } else {
+    console.log('Skipping initial fee record creation - student has no monthly fee or class fee structure');
+  }
+
+  return { user, student, feeRecord };
+};
+
 // @desc    Create student
 // @route   POST /api/students
 // @access  Private/Admin
@@ -216,63 +373,12 @@ exports.createStudent = async (req, res) => {
     //   });
     // }
 
-    // Ensure email follows the required format for students
-    if (!userData.email.startsWith('std') || !userData.email.endsWith('@schoolms.com')) {
-      // Generate a proper email if it doesn't match the format
-      const cleanFirstName = userData.firstName.toLowerCase().replace(/[^a-z0-9]/g, '');
-      const cleanLastName = userData.lastName.toLowerCase().replace(/[^a-z0-9]/g, '');
-      userData.email = `std${cleanFirstName}${cleanLastName}@schoolms.com`;
-    }
-
-    // Check if the email already exists
-    const existingUser = await User.findOne({ email: userData.email });
-    if (existingUser) {
-      // If email exists, modify it to make it unique by adding a number
-      let counter = 1;
-      let newEmail = userData.email;
-
-      // Extract the base part of the email (before @)
-      const emailParts = userData.email.split('@');
-      const basePart = emailParts[0];
-      const domainPart = emailParts[1];
-
-      // Try adding numbers until we find a unique email
-      while (await User.findOne({ email: newEmail })) {
-        newEmail = `${basePart}${counter}@${domainPart}`;
-        counter++;
-      }
-
-      userData.email = newEmail;
-    }
-
-    // First create a user with role student and auto-approve
-    userData.role = 'student';
-    userData.isApproved = true;
-    userData.status = 'active';
-    userData.approvedBy = req.user.id;
-    userData.approvedAt = Date.now();
-    const user = await User.create(userData);
-
-    // Then create student profile with user reference
-    studentData.user = user._id;
-    const student = await Student.create(studentData);
-
-    // Create initial fee record for the student
-    if (student && student.monthlyFee > 0) {
-      try {
-        const feeRecord = await createInitialFeeRecord(
-          student._id,
-          req.user.id,
-          student.monthlyFee
-        );
-        console.log('Created initial fee record for new student:', feeRecord ? feeRecord._id : 'Failed');
-      } catch (feeError) {
-        console.error('Error creating initial fee record:', feeError);
-        // Don't fail the student creation if fee record creation fails
-      }
-    } else {
-      console.log('Skipping initial fee record creation - student has no monthly fee set');
-    }
+    const { user, student } = await exports.createStudentAccount(
+      userData,
+      studentData,
+      req.user.id,
+      req.body.openingBalance || studentData.openingBalance
+    );
 
     res.status(201).json({
       success: true,
@@ -344,16 +450,10 @@ exports.updateStudent = async (req, res) => {
       }
     } else {
       // Update student data if provided (for admin/principal/teacher)
+      // Saved through the document so the class and section are validated
       if (studentData) {
-        const student = await Student.findByIdAndUpdate(
-          req.params.id,
-          studentData,
-          {
-            new: true,
-            runValidators: true
-          }
-        );
-        updatedData.student = student;
+        existingStudent.set(studentData);
+        updatedData.student = await existingStudent.save();
       }
     }
 
@@ -409,8 +509,10 @@ exports.deleteStudent = async (req, res) => {
     // Get user ID before deleting student
     const userId = student.user;
 
-    // Delete student
+    // Delete student and their enrolment history, and unlink them from guardians
     await student.deleteOne();
+    await Enrollment.deleteMany({ student: student._id });
+    await Parent.updateMany({ students: student._id }, { $pull: { students: student._id } });
 
     // Delete associated user
     await User.findByIdAndDelete(userId);
@@ -426,3 +528,87 @@ exports.deleteStudent = async (req, res) => {
     });
   }
 };
+
+// @desc    Add a scholarship or concession to a student
+// @route   POST /api/students/:id/scholarships
+// @access  Private/Admin,Principal
+exports.addScholarship = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${req.params.id}`
+      });
+    }
+
+    const { name, type, value } = req.body;
+    if (!name || !type || value === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name, type and value'
+      });
+    }
+
+    if (type === 'percentage' && (value < 0 || value > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage scholarships must be between 0 and 100'
+      });
+    }
+
+    student.scholarships.push({
+      ...req.body,
+      approvedBy: req.user.id
+    });
+    await student.save();
+
+    res.status(201).json({
+      success: true,
+      data: student.scholarships
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Remove a scholarship from a student
+// @route   DELETE /api/students/:id/scholarships/:scholarshipId
+// @access  Private/Admin,Principal
+exports.removeScholarship = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No student found with id ${req.params.id}`
+      });
+    }
+
+    const scholarship = student.scholarships.id(req.params.scholarshipId);
+    if (!scholarship) {
+      return res.status(404).json({
+        success: false,
+        message: `No scholarship found with id ${req.params.scholarshipId}`
+      });
+    }
+
+    scholarship.deleteOne();
+    await student.save();
+
+    res.status(200).json({
+      success: true,
+      data: student.scholarships
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
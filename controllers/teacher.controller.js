@@ -280,14 +280,7 @@ exports.updateTeacher = async (req, res) => {
       // Remove employeeId from update data to ensure it's not modified
       const { employeeId, ...teacherUpdateData } = teacherData;
 
-      const teacher = await Teacher.findByIdAndUpdate(
-        req.params.id,
-        teacherUpdateData,
-        {
-          new: true,
-          runValidators: true
-        }
-      );
+      const teacher = await Teacher.findById(req.params.id);
 
       if (!teacher) {
         return res.status(404).json({
@@ -296,7 +289,9 @@ exports.updateTeacher = async (req, res) => {
         });
       }
 
-      updatedData.teacher = teacher;
+      // Saved through the document so the classes are validated
+      teacher.set(teacherUpdateData);
+      updatedData.teacher = await teacher.save();
     }
 
     // Update user data if provided
@@ -356,12 +351,12 @@ exports.updateOwnProfile = async (req, res) => {
 
     // Update teacher data if provided
     if (teacherData) {
-      // Prevent teacher from updating sensitive fields
+      // Prevent teacher from updating sensitive fields. Classes and subjects decide
+      // which marks, absence notes and homework a teacher can manage, so only
+      // admins and principals can change them.
       const allowedFields = [
         'phoneNumber',
         'qualification',
-        'subjects',
-        'classes',
         'experience',
         'dateOfBirth',
         'gender',
@@ -385,28 +380,8 @@ exports.updateOwnProfile = async (req, res) => {
         });
       }
 
-      // Log the classes being updated
-      console.log('Original classes:', teacher.classes);
-      console.log('Updated classes:', filteredTeacherData.classes);
-
-      // Ensure classes is not empty
-      if (filteredTeacherData.classes && filteredTeacherData.classes.length === 0) {
-        filteredTeacherData.classes = ['Not assigned'];
-      }
-
-      // Ensure subjects is not empty
-      if (filteredTeacherData.subjects && filteredTeacherData.subjects.length === 0) {
-        filteredTeacherData.subjects = ['Not assigned'];
-      }
-
-      const updatedTeacher = await Teacher.findByIdAndUpdate(
-        teacher._id,
-        filteredTeacherData,
-        {
-          new: true,
-          runValidators: true
-        }
-      );
+      teacher.set(filteredTeacherData);
+      const updatedTeacher = await teacher.save();
 
       console.log('Teacher profile updated successfully');
       updatedData.teacher = updatedTeacher;
@@ -0,0 +1,916 @@
+const TimetableSlot = require('../models/TimetableSlot');
+const TimetableSubstitution = require('../models/TimetableSubstitution');
+const SchoolSettings = require('../models/SchoolSettings');
+const LeaveApplication = require('../models/LeaveApplication');
+const Notification = require('../models/Notification');
+const Attendance = require('../models/Attendance');
+const Teacher = require('../models/Teacher');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+const { loadCalendar } = require('../utils/calendarHelpers');
+const { WEEKDAY_NAMES, findClashes, getWeek, buildWeeklyTimetable } = require('../utils/timetableHelpers');
+
+const TEACHER_POPULATE = { path: 'teacher', select: 'employeeId subjects', populate: { path: 'user', select: 'name' } };
+
+// Helper function to load the bell schedule and weekly off days
+const loadTimetableSettings = async () => {
+  const settings = await SchoolSettings.findOne().select('timetable calendar');
+  return {
+    bellSchedule: settings?.timetable?.bellSchedule || [],
+    weeklyOffDays: settings?.calendar?.weeklyOffDays || [0]
+  };
+};
+
+// Helper function to read a lesson from a request body
+const readSlot = (body) => ({
+  class: Class.normalizeName(body.class),
+  section: Section.normalizeName(body.section),
+  dayOfWeek: parseInt(body.dayOfWeek, 10),
+  period: parseInt(body.period, 10),
+  subject: typeof body.subject === 'string' ? body.subject.trim() : body.subject,
+  teacher: body.teacher,
+  room: typeof body.room === 'string' ? body.room.trim() : ''
+});
+
+// Helper function to check a lesson against the bell schedule, the classes
+// and the teacher's subjects and classes. Returns an error message or null.
+const checkSlot = async (slot, { bellSchedule, weeklyOffDays }) => {
+  if (!slot.class || !slot.section || !slot.subject || !slot.teacher) {
+    return 'Please provide class, section, subject and teacher';
+  }
+  if (isNaN(slot.dayOfWeek) || slot.dayOfWeek < 0 || slot.dayOfWeek > 6) {
+    return 'Day of the week must be from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (weeklyOffDays.includes(slot.dayOfWeek)) {
+    return `${WEEKDAY_NAMES[slot.dayOfWeek]} is a weekly off day`;
+  }
+
+  const entry = bellSchedule.find(e => !e.isBreak && e.period === slot.period);
+  if (!entry) {
+    return `Period ${slot.period} is not in the bell schedule`;
+  }
+
+  if (await Class.exists({})) {
+    const classDoc = await Class.findByName(slot.class);
+    if (!classDoc) return `Class ${slot.class} does not exist`;
+    if (!(await Section.exists({ class: classDoc._id, name: slot.section, isActive: true }))) {
+      return `Section ${slot.section} does not exist in class ${classDoc.name}`;
+    }
+    slot.class = classDoc.name;
+  }
+
+  const teacher = await Teacher.findById(slot.teacher).populate('user', 'name');
+  if (!teacher) {
+    return `No teacher found with id ${slot.teacher}`;
+  }
+  const name = teacher.user?.name || teacher.employeeId;
+  if (!(teacher.subjects || []).some(subject => subject.toLowerCase() === slot.subject.toLowerCase())) {
+    return `${name} does not teach ${slot.subject}`;
+  }
+  if (!(teacher.classes || []).includes(slot.class)) {
+    return `${name} is not assigned to class ${slot.class}`;
+  }
+
+  return null;
+};
+
+// Helper function to send a clash response
+const sendClashes = (res, clashes) => res.status(409).json({
+  success: false,
+  message: clashes.map(clash => clash.message).join('; '),
+  clashes
+});
+
+// Helper function to find the approved leave of teachers on a day
+const findTeachersOnLeave = (day) => LeaveApplication.find({
+  staffModel: 'Teacher',
+  status: 'approved',
+  leaveDays: day
+});
+
+// Helper function to lay out a teacher's week, including lessons they cover
+// for others and lessons others cover for them
+const buildTeacherWeek = async (teacher, date) => {
+  const { bellSchedule, weeklyOffDays } = await loadTimetableSettings();
+  const week = getWeek(date);
+  const calendar = await loadCalendar(week.start, week.end);
+  const weekDays = Object.values(week.days);
+
+  const slots = await TimetableSlot.find({ teacher: teacher._id }).lean();
+  const substitutions = await TimetableSubstitution.find({
+    day: { $in: weekDays },
+    $or: [{ originalTeacher: teacher._id }, { substituteTeacher: teacher._id }]
+  })
+    .populate({ path: 'originalTeacher', select: 'employeeId', populate: { path: 'user', select: 'name' } })
+    .populate({ path: 'substituteTeacher', select: 'employeeId', populate: { path: 'user', select: 'name' } });
+
+  // Lessons taken as a substitute appear on the day they are covered
+  const covering = substitutions
+    .filter(sub => sub.substituteTeacher._id.toString() === teacher._id.toString())
+    .map(sub => ({
+      _id: sub.slot,
+      class: sub.class,
+      section: sub.section,
+      dayOfWeek: new Date(sub.date).getDay(),
+      period: sub.period,
+      subject: sub.subject,
+      teacher: sub.originalTeacher,
+      isSubstitute: true
+    }));
+
+  const leave = await LeaveApplication.find({
+    staffId: teacher._id,
+    staffModel: 'Teacher',
+    status: 'approved',
+    leaveDays: { $in: weekDays }
+  }).select('leaveType leaveDays');
+
+  const days = buildWeeklyTimetable({
+    slots: [...slots, ...covering],
+    bellSchedule,
+    weeklyOffDays,
+    week,
+    calendar,
+    substitutions
+  }).map(day => ({
+    ...day,
+    onLeave: leave.some(application => application.leaveDays.includes(day.day))
+  }));
+
+  return {
+    teacher: {
+      _id: teacher._id,
+      name: teacher.user?.name,
+      employeeId: teacher.employeeId
+    },
+    weekStart: Attendance.dayKey(week.start),
+    weekEnd: Attendance.dayKey(week.end),
+    lessonsPerWeek: slots.length,
+    days
+  };
+};
+
+// Helper function to lay out a class section's week
+const buildClassWeek = async (className, section, date) => {
+  const { bellSchedule, weeklyOffDays } = await loadTimetableSettings();
+  const week = getWeek(date);
+  const calendar = await loadCalendar(week.start, week.end);
+
+  const slots = await TimetableSlot.find({ class: className, section }).populate(TEACHER_POPULATE);
+  const substitutions = await TimetableSubstitution.find({
+    slot: { $in: slots.map(slot => slot._id) },
+    day: { $in: Object.values(week.days) }
+  }).populate({ path: 'substituteTeacher', select: 'employeeId', populate: { path: 'user', select: 'name' } });
+
+  return {
+    class: className,
+    section,
+    weekStart: Attendance.dayKey(week.start),
+    weekEnd: Attendance.dayKey(week.end),
+    days: buildWeeklyTimetable({ slots, bellSchedule, weeklyOffDays, week, calendar, substitutions })
+  };
+};
+
+// Helper function to read the optional date of the week to show
+const readWeekDate = (query) => {
+  const date = query.date ? new Date(query.date) : new Date();
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// @desc    Get the bell schedule
+// @route   GET /api/timetable/bell-schedule
+// @access  Private
+exports.getBellSchedule = async (req, res) => {
+  try {
+    const { bellSchedule, weeklyOffDays } = await loadTimetableSettings();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bellSchedule: [...bellSchedule].sort((a, b) => a.startTime.localeCompare(b.startTime)),
+        weeklyOffDays
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Replace the bell schedule
+// @route   PUT /api/timetable/bell-schedule
+// @access  Private/Admin,Principal
+exports.updateBellSchedule = async (req, res) => {
+  try {
+    const { bellSchedule } = req.body;
+
+    if (!Array.isArray(bellSchedule)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the bell schedule as a list of periods and breaks'
+      });
+    }
+
+    // Periods still used by lessons cannot be removed
+    const periods = bellSchedule.filter(entry => !entry.isBreak).map(entry => parseInt(entry.period, 10));
+    const usedPeriods = await TimetableSlot.distinct('period');
+    const removed = usedPeriods.filter(period => !periods.includes(period));
+    if (removed.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Period(s) ${removed.sort((a, b) => a - b).join(', ')} still have lessons in the timetable. Move or delete those lessons first`
+      });
+    }
+
+    const settings = await SchoolSettings.findOneOrCreate(req.user.id);
+    settings.set('timetable.bellSchedule', bellSchedule.map(entry => ({
+      ...entry,
+      period: entry.isBreak ? null : entry.period
+    })));
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bellSchedule: [...settings.timetable.bellSchedule].sort((a, b) => a.startTime.localeCompare(b.startTime)),
+        weeklyOffDays: settings.calendar?.weeklyOffDays || [0]
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get timetable lessons
+// @route   GET /api/timetable?class=&section=&teacher=&dayOfWeek=
+// @access  Private/Admin,Principal,VicePrincipal,Teacher
+exports.getSlots = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.class) query.class = Class.normalizeName(req.query.class);
+    if (req.query.section) query.section = Section.normalizeName(req.query.section);
+    if (req.query.teacher) query.teacher = req.query.teacher;
+    if (req.query.dayOfWeek !== undefined && req.query.dayOfWeek !== '') {
+      query.dayOfWeek = parseInt(req.query.dayOfWeek, 10);
+    }
+
+    const slots = await TimetableSlot.find(query)
+      .populate(TEACHER_POPULATE)
+      .sort({ class: 1, section: 1, dayOfWeek: 1, period: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: slots
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Check lessons for errors and clashes without saving them
+// @route   POST /api/timetable/check
+// @access  Private/Admin,Principal,VicePrincipal
+exports.checkSlots = async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.slots)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the lessons to check'
+      });
+    }
+
+    const settings = await loadTimetableSettings();
+    const slots = req.body.slots.map(body => ({ ...readSlot(body), _id: body._id }));
+
+    const errors = [];
+    for (const [index, slot] of slots.entries()) {
+      const error = await checkSlot(slot, settings);
+      if (error) errors.push({ index, message: error });
+    }
+
+    // Only lessons with a valid day and period can clash
+    const timed = slots.filter(slot => !isNaN(slot.dayOfWeek) && !isNaN(slot.period));
+    const existing = timed.length > 0
+      ? await TimetableSlot.find({
+        $or: timed.map(slot => ({ dayOfWeek: slot.dayOfWeek, period: slot.period }))
+      }).lean()
+      : [];
+
+    // Lessons being resubmitted replace their saved versions
+    const submittedIds = timed.filter(slot => slot._id).map(slot => slot._id.toString());
+    const clashes = findClashes(timed, existing.filter(slot => !submittedIds.includes(slot._id.toString())));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: errors.length === 0 && clashes.length === 0,
+        errors,
+        clashes
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Add a lesson to the timetable
+// @route   POST /api/timetable
+// @access  Private/Admin,Principal,VicePrincipal
+exports.createSlot = async (req, res) => {
+  try {
+    const slot = readSlot(req.body);
+
+    const error = await checkSlot(slot, await loadTimetableSettings());
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const existing = await TimetableSlot.find({ dayOfWeek: slot.dayOfWeek, period: slot.period }).lean();
+    const clashes = findClashes([slot], existing);
+    if (clashes.length > 0) {
+      return sendClashes(res, clashes);
+    }
+
+    const created = await TimetableSlot.create({ ...slot, createdBy: req.user.id });
+    await created.populate(TEACHER_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Replace a class section's weekly timetable
+// @route   PUT /api/timetable/class
+// @access  Private/Admin,Principal,VicePrincipal
+exports.saveClassTimetable = async (req, res) => {
+  try {
+    const className = Class.normalizeName(req.body.class);
+    const section = Section.normalizeName(req.body.section);
+
+    if (!className || !section || !Array.isArray(req.body.slots)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide class, section and the lessons of the week'
+      });
+    }
+
+    const settings = await loadTimetableSettings();
+    const slots = req.body.slots.map(body => readSlot({ ...body, class: className, section }));
+
+    const errors = [];
+    for (const [index, slot] of slots.entries()) {
+      const error = await checkSlot(slot, settings);
+      if (error) errors.push({ index, message: `${WEEKDAY_NAMES[slot.dayOfWeek] || 'Day'} period ${slot.period}: ${error}` });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map(error => error.message).join('; '),
+        errors
+      });
+    }
+
+    // checkSlot gives the class name as stored on the Class record
+    const current = await TimetableSlot.find({ class: slots.length > 0 ? slots[0].class : className, section });
+    const others = slots.length > 0
+      ? await TimetableSlot.find({
+        _id: { $nin: current.map(slot => slot._id) },
+        $or: slots.map(slot => ({ dayOfWeek: slot.dayOfWeek, period: slot.period }))
+      }).lean()
+      : [];
+    const clashes = findClashes(slots, others);
+    if (clashes.length > 0) {
+      return sendClashes(res, clashes);
+    }
+
+    // Lessons keep their id when the period stays timetabled, so substitutes
+    // already arranged for them remain unless the teacher changes
+    const today = Attendance.dayKey(new Date());
+    const saved = [];
+    for (const slot of slots) {
+      const existing = current.find(c => c.dayOfWeek === slot.dayOfWeek && c.period === slot.period);
+      if (existing) {
+        if (existing.teacher.toString() !== slot.teacher.toString()) {
+          await TimetableSubstitution.deleteMany({ slot: existing._id, day: { $gte: today } });
+        }
+        existing.set(slot);
+        saved.push(await existing.save());
+      } else {
+        saved.push(await TimetableSlot.create({ ...slot, createdBy: req.user.id }));
+      }
+    }
+
+    const removed = current.filter(c => !saved.some(slot => slot._id.toString() === c._id.toString()));
+    if (removed.length > 0) {
+      const removedIds = removed.map(slot => slot._id);
+      await TimetableSubstitution.deleteMany({ slot: { $in: removedIds }, day: { $gte: today } });
+      await TimetableSlot.deleteMany({ _id: { $in: removedIds } });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: saved.length,
+      data: saved
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Update a lesson
+// @route   PUT /api/timetable/:id
+// @access  Private/Admin,Principal,VicePrincipal
+exports.updateSlot = async (req, res) => {
+  try {
+    const existing = await TimetableSlot.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: `No timetable lesson found with id ${req.params.id}`
+      });
+    }
+
+    const slot = readSlot({ ...existing.toObject(), ...req.body });
+
+    const error = await checkSlot(slot, await loadTimetableSettings());
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const others = await TimetableSlot.find({
+      _id: { $ne: existing._id },
+      dayOfWeek: slot.dayOfWeek,
+      period: slot.period
+    }).lean();
+    const clashes = findClashes([slot], others);
+    if (clashes.length > 0) {
+      return sendClashes(res, clashes);
+    }
+
+    // Substitutes arranged for the old lesson no longer apply
+    if (existing.teacher.toString() !== slot.teacher.toString() ||
+        existing.dayOfWeek !== slot.dayOfWeek || existing.period !== slot.period) {
+      await TimetableSubstitution.deleteMany({ slot: existing._id, day: { $gte: Attendance.dayKey(new Date()) } });
+    }
+
+    existing.set(slot);
+    await existing.save();
+    await existing.populate(TEACHER_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      data: existing
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete a lesson
+// @route   DELETE /api/timetable/:id
+// @access  Private/Admin,Principal,VicePrincipal
+exports.deleteSlot = async (req, res) => {
+  try {
+    const slot = await TimetableSlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: `No timetable lesson found with id ${req.params.id}`
+      });
+    }
+
+    await TimetableSubstitution.deleteMany({ slot: slot._id, day: { $gte: Attendance.dayKey(new Date()) } });
+    await slot.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get a class section's weekly timetable
+// @route   GET /api/timetable/class?class=&section=&date=
+// @access  Private (students: own class only)
+exports.getClassTimetable = async (req, res) => {
+  try {
+    let className = Class.normalizeName(req.query.class);
+    let section = Section.normalizeName(req.query.section);
+
+    if (req.user.role === 'student') {
+      const student = await Student.findOne({ user: req.user.id });
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'No student profile found for this user'
+        });
+      }
+      if ((className && className !== student.class) || (section && section !== student.section)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view the timetable of your own class'
+        });
+      }
+      className = student.class;
+      section = student.section;
+    }
+
+    if (!className || !section) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide class and section'
+      });
+    }
+
+    const date = readWeekDate(req.query);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildClassWeek(className, section, date)
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get a teacher's weekly timetable
+// @route   GET /api/timetable/teacher/:teacherId?date=
+// @access  Private/Admin,Principal,VicePrincipal,Teacher (teachers: own only)
+exports.getTeacherTimetable = async (req, res) => {
+  try {
+    const teacher = await Teacher.findById(req.params.teacherId).populate('user', 'name');
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: `No teacher found with id ${req.params.teacherId}`
+      });
+    }
+
+    if (req.user.role === 'teacher' && teacher.user?._id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own timetable'
+      });
+    }
+
+    const date = readWeekDate(req.query);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildTeacherWeek(teacher, date)
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get the logged in teacher's or student's weekly timetable
+// @route   GET /api/timetable/my?date=
+// @access  Private/Teacher,Student
+exports.getMyTimetable = async (req, res) => {
+  try {
+    const date = readWeekDate(req.query);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    if (req.user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ user: req.user.id }).populate('user', 'name');
+      if (!teacher) {
+        return res.status(404).json({
+          success: false,
+          message: 'No teacher profile found for this user'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: await buildTeacherWeek(teacher, date)
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user.id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'No student profile found for this user'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildClassWeek(student.class, student.section, date)
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get the lessons of teachers on leave on a day, with the substitutes
+//          arranged and the teachers free to cover the rest
+// @route   GET /api/timetable/substitutions?date=
+// @access  Private/Admin,Principal,VicePrincipal
+exports.getSubstitutions = async (req, res) => {
+  try {
+    const date = readWeekDate(req.query);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const day = Attendance.dayKey(date);
+    const dayOfWeek = date.getDay();
+    const calendar = await loadCalendar(date, date);
+    const info = calendar.getDay(day);
+
+    const substitutions = await TimetableSubstitution.find({ day })
+      .populate({ path: 'originalTeacher', select: 'employeeId', populate: { path: 'user', select: 'name' } })
+      .populate({ path: 'substituteTeacher', select: 'employeeId', populate: { path: 'user', select: 'name' } })
+      .sort('period');
+
+    if (!info.working) {
+      return res.status(200).json({
+        success: true,
+        data: { day, working: false, reason: info.reason, lessons: [], substitutions }
+      });
+    }
+
+    const leave = await findTeachersOnLeave(day);
+    const absentTeacherIds = leave.map(application => application.staffId.toString());
+
+    const slots = (await TimetableSlot.find({ dayOfWeek }).populate(TEACHER_POPULATE).lean())
+      .filter(slot => slot.teacher);
+    const teachers = await Teacher.find({ _id: { $nin: absentTeacherIds } }).populate('user', 'name status').lean();
+
+    // Busy teachers per period: their own lessons and the lessons they already cover
+    const busy = (period) => new Set([
+      ...slots.filter(slot => slot.period === period).map(slot => slot.teacher._id.toString()),
+      ...substitutions.filter(sub => sub.period === period).map(sub => sub.substituteTeacher._id.toString())
+    ]);
+
+    const lessons = slots
+      .filter(slot => absentTeacherIds.includes(slot.teacher._id.toString()))
+      .sort((a, b) => a.period - b.period)
+      .map(slot => {
+        const substitution = substitutions.find(sub => sub.slot.toString() === slot._id.toString()) || null;
+        const busyTeachers = busy(slot.period);
+
+        // Free teachers who teach the subject come first, then those with the fewest lessons that day
+        const availableTeachers = substitution
+          ? []
+          : teachers
+            .filter(teacher => teacher.user?.status === 'active' && !busyTeachers.has(teacher._id.toString()))
+            .map(teacher => ({
+              _id: teacher._id,
+              name: teacher.user?.name,
+              employeeId: teacher.employeeId,
+              teachesSubject: (teacher.subjects || []).some(subject => subject.toLowerCase() === slot.subject.toLowerCase()),
+              lessonsToday: slots.filter(s => s.teacher._id.toString() === teacher._id.toString()).length
+            }))
+            .sort((a, b) => (b.teachesSubject - a.teachesSubject) || (a.lessonsToday - b.lessonsToday));
+
+        return {
+          slot,
+          leaveApplication: leave.find(application => application.staffId.toString() === slot.teacher._id.toString())._id,
+          covered: !!substitution,
+          substitution,
+          availableTeachers
+        };
+      });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        day,
+        working: true,
+        uncovered: lessons.filter(lesson => !lesson.covered).length,
+        lessons,
+        substitutions
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Assign a substitute teacher to a lesson on a date
+// @route   POST /api/timetable/substitutions
+// @access  Private/Admin,Principal,VicePrincipal
+exports.assignSubstitute = async (req, res) => {
+  try {
+    const { slot: slotId, date: dateValue, substituteTeacher: substituteId, remarks } = req.body;
+
+    const slot = await TimetableSlot.findById(slotId);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: `No timetable lesson found with id ${slotId}`
+      });
+    }
+
+    const date = new Date(dateValue);
+    if (!dateValue || isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+    if (date.getDay() !== slot.dayOfWeek) {
+      return res.status(400).json({
+        success: false,
+        message: `This lesson is on ${WEEKDAY_NAMES[slot.dayOfWeek]}s, not ${WEEKDAY_NAMES[date.getDay()]}`
+      });
+    }
+
+    const day = Attendance.dayKey(date);
+    const calendar = await loadCalendar(date, date);
+    const info = calendar.getDay(day);
+    if (!info.working) {
+      return res.status(400).json({
+        success: false,
+        message: `${day} is not a working day (${info.reason})`
+      });
+    }
+
+    const substitute = await Teacher.findById(substituteId).populate('user', 'name');
+    if (!substitute) {
+      return res.status(404).json({
+        success: false,
+        message: `No teacher found with id ${substituteId}`
+      });
+    }
+    if (substitute._id.toString() === slot.teacher.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The substitute must be a different teacher'
+      });
+    }
+
+    if (await TimetableSubstitution.exists({ slot: slot._id, day })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A substitute is already assigned to this lesson on this day. Remove it first to choose another'
+      });
+    }
+
+    const leave = await findTeachersOnLeave(day);
+    if (leave.some(application => application.staffId.toString() === substitute._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: `${substitute.user?.name || 'The substitute'} is on leave on ${day}`
+      });
+    }
+
+    const [ownLesson, otherCover] = await Promise.all([
+      TimetableSlot.findOne({ teacher: substitute._id, dayOfWeek: slot.dayOfWeek, period: slot.period }),
+      TimetableSubstitution.findOne({ substituteTeacher: substitute._id, day, period: slot.period })
+    ]);
+    const busyWith = ownLesson || otherCover;
+    if (busyWith) {
+      return res.status(409).json({
+        success: false,
+        message: `${substitute.user?.name || 'The substitute'} is already teaching class ${busyWith.class}-${busyWith.section} in period ${slot.period}`
+      });
+    }
+
+    const originalLeave = leave.find(application => application.staffId.toString() === slot.teacher.toString());
+
+    const substitution = await TimetableSubstitution.create({
+      slot: slot._id,
+      date,
+      class: slot.class,
+      section: slot.section,
+      period: slot.period,
+      subject: slot.subject,
+      originalTeacher: slot.teacher,
+      substituteTeacher: substitute._id,
+      leaveApplication: originalLeave ? originalLeave._id : null,
+      remarks,
+      assignedBy: req.user.id
+    });
+
+    try {
+      await Notification.create({
+        user: substitute.user._id,
+        type: 'timetable',
+        title: 'Substitution Assigned',
+        message: `You are covering ${slot.subject} for class ${slot.class}-${slot.section} in period ${slot.period} on ${WEEKDAY_NAMES[slot.dayOfWeek]} ${day}.${remarks ? ` ${remarks}` : ''}`.substring(0, 500),
+        priority: 'high',
+        relatedEntity: {
+          entityType: 'TimetableSubstitution',
+          entityId: substitution._id
+        }
+      });
+    } catch (error) {
+      console.error('Error sending substitution notification:', error);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: substitution
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Remove a substitution
+// @route   DELETE /api/timetable/substitutions/:id
+// @access  Private/Admin,Principal,VicePrincipal
+exports.deleteSubstitution = async (req, res) => {
+  try {
+    const substitution = await TimetableSubstitution.findById(req.params.id);
+
+    if (!substitution) {
+      return res.status(404).json({
+        success: false,
+        message: `No substitution found with id ${req.params.id}`
+      });
+    }
+
+    await substitution.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
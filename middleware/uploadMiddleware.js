@@ -1,8 +1,33 @@
 const cloudinary = require('../config/cloudinary');
 
+// Upload one multer file to a Cloudinary folder
+const uploadToCloudinary = async (file, folder, req, suffix = '') => {
+    // Convert the buffer to base64
+    const b64 = Buffer.from(file.buffer).toString('base64');
+    let dataURI = 'data:' + file.mimetype + ';base64,' + b64;
+
+    // Create a unique public_id based on type and timestamp
+    const timestamp = new Date().getTime();
+    const uniqueIdentifier = req.user ? `${req.user.id}_${timestamp}${suffix}` : `anon_${timestamp}${suffix}`;
+
+    // Upload to cloudinary with specific folder and public_id
+    return cloudinary.uploader.upload(dataURI, {
+        resource_type: 'auto',
+        folder: folder,
+        public_id: uniqueIdentifier,
+        overwrite: true,
+        invalidate: true,
+        timeout: 120000 // 2 minutes timeout
+    });
+};
+
+// Uploads req.file (upload.single) or req.files (upload.array). A single file
+// is described by req.cloudinaryUrl, req.cloudinaryPublicId and
+// req.cloudinaryMetadata; several files by req.cloudinaryFiles.
 const uploadImage = async (req, res, next) => {
     try {
-        if (!req.file) {
+        const files = Array.isArray(req.files) ? req.files : [];
+        if (!req.file && files.length === 0) {
             return next();
         }
 
@@ -18,30 +43,34 @@ const uploadImage = async (req, res, next) => {
             'gallery': 'gallery',
             'notice': 'notices',
             'event': 'events',
+            'logo': 'logos',
+            'leave': 'leave_documents',
+            'absence': 'absence_notes',
+            'admission': 'admission_documents',
+            'assignment': 'assignments',
+            'submission': 'assignment_submissions',
             'misc': 'miscellaneous'
         };
 
         // Get the appropriate folder or default to miscellaneous
         const folder = folderMap[imageType] || folderMap.misc;
 
-        // Convert the buffer to base64
-        const b64 = Buffer.from(req.file.buffer).toString('base64');
-        let dataURI = 'data:' + req.file.mimetype + ';base64,' + b64;
-
-        // Create a unique public_id based on type and timestamp
-        const timestamp = new Date().getTime();
-        const uniqueIdentifier = req.user ? `${req.user.id}_${timestamp}` : `anon_${timestamp}`;
-        const public_id = `${folder}/${uniqueIdentifier}`;
+        if (!req.file) {
+            req.cloudinaryFiles = [];
+            for (const [index, file] of files.entries()) {
+                const uploaded = await uploadToCloudinary(file, folder, req, `_${index}`);
+                req.cloudinaryFiles.push({
+                    url: uploaded.secure_url,
+                    publicId: uploaded.public_id,
+                    name: file.originalname,
+                    format: uploaded.format,
+                    size: file.size
+                });
+            }
+            return next();
+        }
 
-        // Upload to cloudinary with specific folder and public_id
-        const result = await cloudinary.uploader.upload(dataURI, {
-            resource_type: 'auto',
-            folder: folder,
-            public_id: uniqueIdentifier,
-            overwrite: true,
-            invalidate: true,
-            timeout: 120000 // 2 minutes timeout
-        });
+        const result = await uploadToCloudinary(req.file, folder, req);
 
         // Add the cloudinary url and metadata to the request
         req.cloudinaryUrl = result.secure_url;
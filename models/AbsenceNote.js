@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Note explaining a student's absence, submitted by the student on behalf of
+// their guardian. When a class teacher accepts it, the student's attendance for
+// every working day in `absenceDays` is marked as 'leave'.
+const AbsenceNoteSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // Class and section at the time of the note, used to route it to class teachers
+  class: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date']
+  },
+  // Working days (YYYY-MM-DD) covered by the note
+  absenceDays: {
+    type: [String],
+    default: []
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason'],
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // Guardian the note is written on behalf of
+  guardianName: {
+    type: String,
+    trim: true
+  },
+  attachmentFile: {
+    type: String,
+    trim: true
+  },
+  attachmentPublicId: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewRemarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+AbsenceNoteSchema.index({ class: 1, status: 1 });
+
+AbsenceNoteSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('AbsenceNote', AbsenceNoteSchema);
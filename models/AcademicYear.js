@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A school session, e.g. "2025-2026" from April to March. Enrolments, fees,
+// attendance and salaries are attached to the year their date falls in.
+const AcademicYearSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name, e.g. 2025-2026'],
+    unique: true,
+    trim: true,
+    maxlength: [30, 'Name cannot be more than 30 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date']
+  },
+  // The year new students are enrolled in; only one year is current
+  isCurrent: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+AcademicYearSchema.index({ startDate: 1 });
+
+AcademicYearSchema.pre('validate', function(next) {
+  // The year runs to the end of its last day
+  if (this.endDate && this.isModified('endDate')) {
+    this.endDate = new Date(this.endDate);
+    this.endDate.setHours(23, 59, 59, 999);
+  }
+  if (this.startDate && this.isModified('startDate')) {
+    this.startDate = new Date(this.startDate);
+    this.startDate.setHours(0, 0, 0, 0);
+  }
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// The current academic year, or null when none has been set up
+AcademicYearSchema.statics.getCurrent = function() {
+  return this.findOne({ isCurrent: true });
+};
+
+// The academic year a date falls in, or null
+AcademicYearSchema.statics.findForDate = function(date) {
+  if (!date || isNaN(new Date(date).getTime())) return Promise.resolve(null);
+  return this.findOne({ startDate: { $lte: date }, endDate: { $gte: date } });
+};
+
+// Map each day key (YYYY-MM-DD) to the id of the academic year it falls in
+// (null when none), for bulk writes that skip document hooks
+AcademicYearSchema.statics.mapDays = async function(days) {
+  const years = await this.find().select('startDate endDate');
+  return new Map(days.map(day => {
+    const [y, m, d] = day.split('-').map(Number);
+    const time = new Date(y, m - 1, d).getTime();
+    const year = years.find(entry => entry.startDate.getTime() <= time && entry.endDate.getTime() >= time);
+    return [day, year ? year._id : null];
+  }));
+};
+
+// Replace academicYear=current in a list query with the current year's id
+AcademicYearSchema.statics.resolveQueryFilter = async function(query) {
+  if (query.academicYear !== 'current') return;
+
+  const current = await this.getCurrent();
+  if (current) {
+    query.academicYear = current._id;
+  } else {
+    delete query.academicYear;
+  }
+};
+
+module.exports = mongoose.model('AcademicYear', AcademicYearSchema);
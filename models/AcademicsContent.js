@@ -37,6 +37,8 @@ const AcademicsContentSchema = new mongoose.Schema({
   },
   
   // Academic calendar
+  // Dates are kept in the school calendar (CalendarEvent, GET /api/public/calendar);
+  // content is an optional introduction shown above them
   academicCalendar: {
     title: {
       type: String,
@@ -45,7 +47,7 @@ const AcademicsContentSchema = new mongoose.Schema({
     },
     content: {
       type: String,
-      required: [true, 'Please add academic calendar content'],
+      default: '',
       trim: true
     }
   },
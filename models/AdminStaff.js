@@ -57,6 +57,19 @@ const AdminStaffSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add salary amount']
   },
+  // Standing monthly allowances added to every payroll run
+  allowances: [{
+    name: {
+      type: String,
+      required: [true, 'Please add allowance name'],
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Please add allowance amount'],
+      min: [0, 'Allowance cannot be negative']
+    }
+  }],
   responsibilities: [{
     type: String
   }],
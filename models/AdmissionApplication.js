@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Class = require('./Class');
+
+// Pipeline stages of an application, in order
+const ADMISSION_STAGES = ['submitted', 'under-review', 'test-scheduled', 'accepted', 'rejected', 'enrolled'];
+
+// Stages an application can move to from each stage. Enrolment only happens
+// through conversion into a student, so it is not listed here.
+const STAGE_TRANSITIONS = {
+  submitted: ['under-review', 'rejected'],
+  'under-review': ['test-scheduled', 'accepted', 'rejected'],
+  'test-scheduled': ['under-review', 'accepted', 'rejected'],
+  accepted: ['under-review', 'rejected'],
+  rejected: ['under-review'],
+  enrolled: []
+};
+
+// A supporting document uploaded with the application, stored on Cloudinary
+const DocumentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String
+  },
+  name: {
+    type: String
+  }
+});
+
+// Application for admission submitted from the public site
+const AdmissionApplicationSchema = new mongoose.Schema({
+  applicationNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  firstName: {
+    type: String,
+    required: [true, 'Please add a first name'],
+    trim: true,
+    maxlength: [30, 'First name cannot be more than 30 characters']
+  },
+  middleName: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Middle name cannot be more than 30 characters']
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Please add a last name'],
+    trim: true,
+    maxlength: [30, 'Last name cannot be more than 30 characters']
+  },
+  dateOfBirth: {
+    type: Date,
+    required: [true, 'Please add date of birth']
+  },
+  gender: {
+    type: String,
+    required: [true, 'Please add gender'],
+    enum: ['male', 'female', 'other']
+  },
+  // Class applied for
+  class: {
+    type: String,
+    required: [true, 'Please add the class applied for']
+  },
+  previousSchool: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  // Same shape as Student.parentInfo, copied across on enrolment
+  parentInfo: {
+    fatherName: {
+      type: String,
+      required: [true, "Please add father's name"]
+    },
+    motherName: {
+      type: String,
+      required: [true, "Please add mother's name"]
+    },
+    guardianName: String,
+    contactNumber: {
+      type: String,
+      required: [true, 'Please add a contact number']
+    },
+    email: {
+      type: String,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        'Please add a valid email'
+      ]
+    },
+    occupation: String
+  },
+  documents: [DocumentSchema],
+  status: {
+    type: String,
+    enum: ADMISSION_STAGES,
+    default: 'submitted'
+  },
+  // Interview or entrance test, set when the application is scheduled
+  assessment: {
+    type: {
+      type: String,
+      enum: ['interview', 'test']
+    },
+    scheduledAt: Date,
+    location: String,
+    instructions: String,
+    result: {
+      type: String,
+      enum: ['pending', 'passed', 'failed', 'absent'],
+      default: 'pending'
+    },
+    score: Number,
+    remarks: String,
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: ADMISSION_STAGES
+    },
+    remarks: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    default: null
+  },
+  // Set when the applicant is enrolled
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  enrolledAt: Date
+}, {
+  timestamps: true
+});
+
+AdmissionApplicationSchema.index({ status: 1, class: 1 });
+
+AdmissionApplicationSchema.pre('validate', function(next) {
+  if (this.class) this.class = Class.normalizeName(this.class);
+  next();
+});
+
+// Whether the application can move to a stage
+AdmissionApplicationSchema.methods.canMoveTo = function(status) {
+  return (STAGE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the application to a stage and record it in the history
+AdmissionApplicationSchema.methods.moveTo = function(status, changedBy, remarks) {
+  this.status = status;
+  this.history.push({ status, remarks, changedBy });
+};
+
+AdmissionApplicationSchema.statics.ADMISSION_STAGES = ADMISSION_STAGES;
+
+module.exports = mongoose.model('AdmissionApplication', AdmissionApplicationSchema);
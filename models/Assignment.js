@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Class = require('./Class');
+const Section = require('./Section');
+
+// A file attached to an assignment or a submission, stored on Cloudinary
+const AttachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String
+  },
+  name: {
+    type: String
+  }
+});
+
+// Homework or an assignment set for a class, or for one section of it
+const AssignmentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [150, 'Title cannot be more than 150 characters']
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Instructions cannot be more than 5000 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please add the subject'],
+    trim: true
+  },
+  class: {
+    type: String,
+    required: [true, 'Please add class']
+  },
+  // Null when the assignment is for every section of the class
+  section: {
+    type: String,
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Please add a due date']
+  },
+  // Marks the work is graded out of (null = feedback only)
+  maxMarks: {
+    type: Number,
+    min: [1, 'Maximum marks must be at least 1'],
+    default: null
+  },
+  // Whether students may still submit after the due date (flagged as late)
+  allowLateSubmissions: {
+    type: Boolean,
+    default: true
+  },
+  attachments: [AttachmentSchema],
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    default: null
+  },
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+AssignmentSchema.index({ class: 1, section: 1, dueDate: -1 });
+
+AssignmentSchema.pre('validate', function(next) {
+  if (this.class) this.class = Class.normalizeName(this.class);
+  this.section = this.section ? Section.normalizeName(this.section) : null;
+  next();
+});
+
+// Whether the assignment is set for a student's class and section
+AssignmentSchema.methods.isForStudent = function(student) {
+  return this.class === student.class && (!this.section || this.section === student.section);
+};
+
+AssignmentSchema.statics.AttachmentSchema = AttachmentSchema;
+
+module.exports = mongoose.model('Assignment', AssignmentSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Assignment = require('./Assignment');
+
+// A student's work for an assignment. Students may resubmit until it is graded.
+const AssignmentSubmissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Answer cannot be more than 5000 characters']
+  },
+  attachments: [Assignment.AttachmentSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Submitted after the assignment's due date
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'graded'],
+    default: 'submitted'
+  },
+  marks: {
+    type: Number,
+    min: [0, 'Marks cannot be negative'],
+    default: null
+  },
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Feedback cannot be more than 2000 characters']
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+AssignmentSubmissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+
+module.exports = mongoose.model('AssignmentSubmission', AssignmentSubmissionSchema);
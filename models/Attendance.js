@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AcademicYear = require('./AcademicYear');
 
 const AttendanceSchema = new mongoose.Schema({
   date: {
@@ -6,6 +7,11 @@ const AttendanceSchema = new mongoose.Schema({
     required: [true, 'Please add a date'],
     default: Date.now
   },
+  // Calendar day of `date` (YYYY-MM-DD), used to allow one record per user per day
+  day: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be in YYYY-MM-DD format']
+  },
   // Single user reference with type
   userType: {
     type: String,
@@ -27,9 +33,37 @@ const AttendanceSchema = new mongoose.Schema({
     required: [true, 'Please add attendance status'],
     enum: ['present', 'absent', 'late', 'half-day', 'leave']
   },
+  // Lesson attendance: the period number, its subject and the teacher who took it.
+  // Records without a period are the day's attendance.
+  period: {
+    type: Number,
+    min: [1, 'Period must be 1 or more'],
+    default: null
+  },
+  subject: {
+    type: String,
+    trim: true,
+    required: [
+      function() {
+        return this.period !== null && this.period !== undefined;
+      },
+      'Please add the subject for period attendance'
+    ]
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  },
   remarks: {
     type: String
   },
+  // Academic year this record belongs to, set from its date
+  // (bulk upserts set it with AcademicYear.mapDays)
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    default: null
+  },
   recordedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -39,4 +73,35 @@ const AttendanceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// One record per user per day (and per period for lesson attendance)
+AttendanceSchema.index({ userId: 1, userModel: 1, day: 1, period: 1 }, { unique: true });
+AttendanceSchema.index({ date: 1, userType: 1 });
+
+// Check fields that are written through bulkWrite, which skips schema validation.
+// Returns the validation error, or null when the fields are valid.
+AttendanceSchema.statics.checkFields = function(fields) {
+  return new this(fields).validateSync(Object.keys(fields)) || null;
+};
+
+// Calendar day key for a date, in server local time like the rest of the
+// attendance date handling
+AttendanceSchema.statics.dayKey = function(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+AttendanceSchema.pre('validate', function(next) {
+  if (this.date && (this.isNew || this.isModified('date'))) {
+    this.day = this.constructor.dayKey(this.date);
+  }
+  next();
+});
+
+AttendanceSchema.pre('validate', async function() {
+  if (this.date && (!this.academicYear || this.isModified('date'))) {
+    const year = await AcademicYear.findForDate(this.date);
+    this.academicYear = year ? year._id : null;
+  }
+});
+
 module.exports = mongoose.model('Attendance', AttendanceSchema);
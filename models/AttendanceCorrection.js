@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Request to change (or add) attendance for a past day.
+// Applied to the Attendance record only once an admin or principal approves it.
+const AttendanceCorrectionSchema = new mongoose.Schema({
+  // Existing record being corrected; empty when the day was never marked
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    default: null
+  },
+  userType: {
+    type: String,
+    required: [true, 'Please specify user type'],
+    enum: ['student', 'teacher', 'admin-staff', 'support-staff']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Please provide a user ID'],
+    refPath: 'userModel'
+  },
+  userModel: {
+    type: String,
+    required: [true, 'Please specify user model'],
+    enum: ['Student', 'Teacher', 'AdminStaff', 'SupportStaff']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add a date']
+  },
+  // Calendar day (YYYY-MM-DD), see Attendance.day
+  day: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: Number,
+    default: null
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  // Status at the time of the request (null if not marked)
+  currentStatus: {
+    type: String,
+    enum: ['present', 'absent', 'late', 'half-day', 'leave', null],
+    default: null
+  },
+  requestedStatus: {
+    type: String,
+    required: [true, 'Please add the corrected status'],
+    enum: ['present', 'absent', 'late', 'half-day', 'leave']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason for the correction'],
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewRemarks: {
+    type: String,
+    maxlength: [500, 'Remarks cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+AttendanceCorrectionSchema.index({ status: 1, createdAt: -1 });
+AttendanceCorrectionSchema.index({ userId: 1, day: 1, period: 1, status: 1 });
+
+module.exports = mongoose.model('AttendanceCorrection', AttendanceCorrectionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Attendance = require('./Attendance');
+
+// An entry on the school calendar. Holidays close the school; half days and
+// exam weeks are still working days; terms mark the teaching periods of the year.
+const CalendarEventSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Please specify the event type'],
+    enum: ['holiday', 'term', 'exam', 'half-day', 'event']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date
+  },
+  // Calendar days (YYYY-MM-DD), see Attendance.day
+  startDay: {
+    type: String
+  },
+  endDay: {
+    type: String
+  },
+  // Shown on the public website calendar
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+CalendarEventSchema.index({ startDay: 1, endDay: 1 });
+
+// Single-day events end on the day they start
+CalendarEventSchema.pre('validate', function(next) {
+  if (!this.startDate) return next();
+
+  if (!this.endDate) this.endDate = this.startDate;
+
+  this.startDay = Attendance.dayKey(this.startDate);
+  this.endDay = Attendance.dayKey(this.endDate);
+
+  if (this.endDay < this.startDay) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('CalendarEvent', CalendarEventSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A class (grade) of the school, e.g. "8". Students and teachers still carry the
+// class name as a string for querying; the name is validated against this model
+// and linked through Student.classId / Teacher.classIds.
+const ClassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add the class name'],
+    trim: true,
+    maxlength: [30, 'Name cannot be more than 30 characters']
+  },
+  // Sort position in lists (1 for the youngest class)
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Maximum number of active students (0 = no limit)
+  capacity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  classTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    default: null
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  // e.g. "2025-2026"
+  academicYear: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Only one active class may use a name
+ClassSchema.index({ name: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+ClassSchema.virtual('sections', {
+  ref: 'Section',
+  localField: '_id',
+  foreignField: 'class',
+  justOne: false
+});
+
+// Tidy a class or section name typed by a user: trim and collapse spaces
+ClassSchema.statics.normalizeName = function(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ');
+};
+
+// Find the active class with a name, ignoring case and stray spaces
+ClassSchema.statics.findByName = function(name) {
+  const normalized = this.normalizeName(name);
+  if (!normalized) return Promise.resolve(null);
+
+  const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({ name: new RegExp(`^${escaped}$`, 'i'), isActive: true });
+};
+
+ClassSchema.pre('validate', function(next) {
+  this.name = this.constructor.normalizeName(this.name);
+  next();
+});
+
+module.exports = mongoose.model('Class', ClassSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named sequences used for human-readable document numbers (receipts etc.)
+const CounterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment and return the next value of a sequence
+CounterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A student's place in a class for one academic year. Student.class always
+// holds the latest class; enrolments keep the history across years.
+const EnrollmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: true
+  },
+  class: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  sectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
+  rollNumber: {
+    type: String
+  },
+  // active: studying in this class this year; the other statuses are the
+  // year-end outcome set by a promotion
+  status: {
+    type: String,
+    enum: ['active', 'promoted', 'detained', 'graduated', 'left'],
+    default: 'active'
+  },
+  // Promotion that created this enrolment or set its outcome
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  remarks: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+EnrollmentSchema.index({ student: 1, academicYear: 1 }, { unique: true });
+EnrollmentSchema.index({ academicYear: 1, class: 1, section: 1 });
+
+module.exports = mongoose.model('Enrollment', EnrollmentSchema);
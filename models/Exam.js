@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Class = require('./Class');
+
+const ExamSubjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add the subject name'],
+    trim: true
+  },
+  maxMarks: {
+    type: Number,
+    required: [true, 'Please add the maximum marks'],
+    min: [1, 'Maximum marks must be at least 1']
+  },
+  // Marks needed to pass the subject (0 = use the grading scale's pass percentage)
+  passMarks: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  date: {
+    type: Date
+  }
+}, { _id: true });
+
+// One student's result, saved on the exam when it is published so report cards
+// stay the same after the student is promoted or leaves. Same shape as an
+// entry from compileResults.
+const ExamResultSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  rollNumber: String,
+  name: String,
+  section: String,
+  subjects: [{
+    _id: false,
+    subject: String,
+    maxMarks: Number,
+    marksObtained: Number,
+    isAbsent: Boolean,
+    entered: Boolean,
+    percentage: Number,
+    grade: String,
+    remarks: String,
+    passed: Boolean
+  }],
+  total: Number,
+  maxTotal: Number,
+  percentage: Number,
+  grade: String,
+  gradeRemarks: String,
+  passed: Boolean,
+  complete: Boolean,
+  position: Number,
+  sectionPosition: Number
+}, { _id: false });
+
+// An exam sat by one class, e.g. the First Term exam of class 8
+const ExamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add the exam name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  term: {
+    type: String,
+    required: [true, 'Please add the term'],
+    trim: true
+  },
+  class: {
+    type: String,
+    required: [true, 'Please add the class'],
+    trim: true
+  },
+  subjects: {
+    type: [ExamSubjectSchema],
+    validate: {
+      validator: subjects => subjects.length > 0,
+      message: 'Please add at least one subject'
+    }
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // Results are visible to students once published; marks can no longer be entered
+  status: {
+    type: String,
+    enum: ['scheduled', 'published'],
+    default: 'scheduled'
+  },
+  publishedAt: {
+    type: Date
+  },
+  // Results as published; only loaded when asked for
+  results: {
+    type: [ExamResultSchema],
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ExamSchema.index({ class: 1, term: 1 });
+ExamSchema.index({ 'results.studentId': 1 });
+
+ExamSchema.pre('validate', function(next) {
+  const names = this.subjects.map(subject => subject.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    this.invalidate('subjects', 'Each subject can only be added once');
+  }
+
+  this.subjects.forEach((subject, index) => {
+    if (subject.passMarks > subject.maxMarks) {
+      this.invalidate(`subjects.${index}.passMarks`, 'Pass marks cannot be more than the maximum marks');
+    }
+  });
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+// Check the class against the Class records and use its stored name.
+// Classes are only enforced once they have been set up (see scripts/migrateClasses.js).
+ExamSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('class')) return;
+
+  this.class = Class.normalizeName(this.class);
+  if (!this.class || !(await Class.exists({}))) return;
+
+  const classDoc = await Class.findByName(this.class);
+  if (!classDoc) {
+    this.invalidate('class', `Class ${this.class} does not exist`);
+    return;
+  }
+  this.class = classDoc.name;
+});
+
+// Find an exam subject by name, ignoring case
+ExamSchema.methods.findSubject = function(name) {
+  return this.subjects.find(subject => subject.name.toLowerCase() === String(name || '').toLowerCase());
+};
+
+// Query filter for the exams of some students: exams of their current classes
+// that are not published yet (or were published without saved results), and
+// published exams whose saved results include them
+ExamSchema.statics.studentFilter = function(students) {
+  const classes = [...new Set(students.map(student => student.class))];
+  return {
+    $or: [
+      { class: { $in: classes }, status: 'scheduled' },
+      { class: { $in: classes }, status: 'published', 'results.0': { $exists: false } },
+      { 'results.studentId': { $in: students.map(student => student._id) } }
+    ]
+  };
+};
+
+module.exports = mongoose.model('Exam', ExamSchema);
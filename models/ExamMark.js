@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Marks of one student in one subject of an exam
+const ExamMarkSchema = new mongoose.Schema({
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please add the subject'],
+    trim: true
+  },
+  marksObtained: {
+    type: Number,
+    default: 0,
+    min: [0, 'Marks cannot be negative']
+  },
+  // Absent students score zero in the subject
+  isAbsent: {
+    type: Boolean,
+    default: false
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Remarks cannot be more than 200 characters']
+  },
+  enteredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ExamMarkSchema.index({ exam: 1, student: 1, subject: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExamMark', ExamMarkSchema);
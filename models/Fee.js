@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AcademicYear = require('./AcademicYear');
 
 const FeeSchema = new mongoose.Schema({
   student: {
@@ -11,14 +12,84 @@ const FeeSchema = new mongoose.Schema({
     required: [true, 'Please add fee type'],
     enum: ['tuition', 'exam', 'transport', 'library', 'laboratory', 'other']
   },
+  // Fee structure and head this record was generated from, if any
+  feeStructure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeStructure'
+  },
+  feeHead: {
+    type: String
+  },
+  // Amount before sibling discounts and scholarships
+  grossAmount: {
+    type: Number
+  },
+  discounts: [{
+    kind: {
+      type: String,
+      enum: ['sibling', 'scholarship', 'other']
+    },
+    reason: String,
+    amount: Number
+  }],
+  // Amount payable after discounts, excluding any late fine
   amount: {
     type: Number,
     required: [true, 'Please add amount']
   },
+  fine: {
+    type: Number,
+    default: 0
+  },
+  // When the student and guardians were told the fee is overdue
+  overdueNotifiedAt: {
+    type: Date,
+    default: null
+  },
   dueDate: {
     type: Date,
     required: [true, 'Please add due date']
   },
+  // Academic year this record belongs to, set from its due date
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    default: null
+  },
+  // Ledger of every installment, reversal and refund against this fee.
+  // When present it is the source of truth for paidAmount (see pre-save hook).
+  payments: [{
+    type: {
+      type: String,
+      enum: ['payment', 'reversal', 'refund'],
+      default: 'payment'
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Please add payment amount'],
+      min: [0.01, 'Payment amount must be greater than zero']
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    method: {
+      type: String,
+      enum: ['cash', 'check', 'online', 'bank transfer', 'other']
+    },
+    transactionId: String,
+    receiptNumber: String,
+    // Payment a reversal or refund is made against
+    reverses: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    remarks: String,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  }],
   paymentDate: {
     type: Date
   },
@@ -52,6 +123,14 @@ const FeeSchema = new mongoose.Schema({
   receiptNumber: {
     type: String
   },
+  description: {
+    type: String
+  },
+  // Dues carried over from before the school started using fee management
+  isOpeningBalance: {
+    type: Boolean,
+    default: false
+  },
   remarks: {
     type: String
   },
@@ -64,25 +143,46 @@ const FeeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+FeeSchema.pre('validate', async function() {
+  if (this.dueDate && (!this.academicYear || this.isModified('dueDate'))) {
+    const year = await AcademicYear.findForDate(this.dueDate);
+    this.academicYear = year ? year._id : null;
+  }
+});
+
 // Update remaining amount when paid amount changes
 FeeSchema.pre('save', function(next) {
-  // If status is explicitly set to 'paid', ensure paidAmount is set to full amount
-  if (this.isModified('status') && this.status === 'paid') {
-    this.paidAmount = this.amount;
-    this.remainingAmount = 0;
-    this.paymentDate = this.paymentDate || Date.now();
+  // Late fines are payable on top of the fee amount
+  const totalDue = this.amount + (this.fine || 0);
+
+  // Derive the paid amount from the ledger: payments minus reversals and refunds
+  const hasLedger = this.payments && this.payments.length > 0;
+  if (hasLedger) {
+    const payments = this.payments.filter(entry => entry.type === 'payment');
+    const paid = this.payments.reduce((sum, entry) =>
+      entry.type === 'payment' ? sum + entry.amount : sum - entry.amount, 0);
+
+    this.paidAmount = Math.round(paid * 100) / 100;
+
+    // Keep the summary fields pointing at the latest installment
+    const latest = payments[payments.length - 1];
+    if (latest) {
+      this.paymentDate = latest.date;
+      this.paymentMethod = latest.method;
+      this.transactionId = latest.transactionId;
+    }
   }
 
-  // Update remaining amount and status when paidAmount changes
-  if (this.isModified('paidAmount')) {
-    this.remainingAmount = this.amount - this.paidAmount;
+  // Update remaining amount and status when paidAmount or the fine changes
+  if (this.isModified('paidAmount') || this.isModified('fine') || this.isModified('payments')) {
+    this.remainingAmount = totalDue - this.paidAmount;
 
     // Update status based on payment
     if (this.paidAmount === 0) {
       this.status = 'unpaid';
-    } else if (this.paidAmount < this.amount) {
+    } else if (this.paidAmount < totalDue) {
       this.status = 'partial';
-    } else if (this.paidAmount >= this.amount) {
+    } else if (this.paidAmount >= totalDue) {
       this.status = 'paid';
       this.paymentDate = this.paymentDate || Date.now();
     }
@@ -94,7 +194,7 @@ FeeSchema.pre('save', function(next) {
   }
 
   // Log the updated fee status for debugging
-  console.log(`Fee ${this._id} status updated to ${this.status} with paidAmount ${this.paidAmount}/${this.amount}`);
+  console.log(`Fee ${this._id} status updated to ${this.status} with paidAmount ${this.paidAmount}/${totalDue}`);
 
   next();
 });
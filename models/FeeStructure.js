@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Class = require('./Class');
+
+const FeeHeadSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a fee head name'],
+    trim: true
+  },
+  feeType: {
+    type: String,
+    required: [true, 'Please add fee type'],
+    enum: ['tuition', 'exam', 'transport', 'library', 'laboratory', 'other']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add amount'],
+    min: [0, 'Amount cannot be negative']
+  },
+  frequency: {
+    type: String,
+    enum: ['monthly', 'termly', 'annual'],
+    default: 'monthly'
+  },
+  // Months (1-12) in which termly/annual heads are billed
+  dueMonths: {
+    type: [{
+      type: Number,
+      min: 1,
+      max: 12
+    }],
+    validate: {
+      validator: function(months) {
+        return this.frequency === 'monthly' || (months && months.length > 0);
+      },
+      message: 'Please add the months in which termly and annual fee heads are billed'
+    }
+  },
+  // Optional heads (e.g. transport) are only billed to students who opted in
+  isOptional: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const FeeStructureSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true
+  },
+  // Classes this structure applies to, e.g. ['1', '2', '3', '4', '5']
+  classes: [{
+    type: String,
+    trim: true,
+    required: true
+  }],
+  feeHeads: {
+    type: [FeeHeadSchema],
+    validate: [heads => heads.length > 0, 'Please add at least one fee head']
+  },
+  // Percentage off for the 2nd, 3rd... enrolled child of the same family
+  siblingDiscounts: [{
+    siblingOrder: {
+      type: Number,
+      required: true,
+      min: 2
+    },
+    percentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Fee types the sibling discount applies to
+  siblingDiscountFeeTypes: {
+    type: [String],
+    default: ['tuition']
+  },
+  lateFine: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // fixed: one-off amount once overdue; daily: amount per day overdue
+    type: {
+      type: String,
+      enum: ['fixed', 'daily'],
+      default: 'fixed'
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Upper limit for daily fines (0 = no limit)
+    maxAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+FeeStructureSchema.index({ classes: 1, isActive: 1 });
+
+// Check the classes against the Class records and use their stored names.
+// Classes are only enforced once they have been set up (see scripts/migrateClasses.js).
+FeeStructureSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('classes')) return;
+
+  this.classes = [...new Set((this.classes || []).map(name => Class.normalizeName(name)).filter(Boolean))];
+  if (!(await Class.exists({}))) return;
+
+  const canonical = [];
+  for (const name of this.classes) {
+    const classDoc = await Class.findByName(name);
+    if (!classDoc) {
+      this.invalidate('classes', `Class ${name} does not exist`);
+      return;
+    }
+    canonical.push(classDoc.name);
+  }
+  this.classes = [...new Set(canonical)];
+});
+
+// Find the active structure for a class
+FeeStructureSchema.statics.findForClass = function(className) {
+  return this.findOne({ classes: className, isActive: true }).sort('-updatedAt');
+};
+
+module.exports = mongoose.model('FeeStructure', FeeStructureSchema);
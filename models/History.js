@@ -5,7 +5,7 @@ const HistorySchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: [true, 'Please specify entity type'],
-    enum: ['Meeting', 'EventNotice', 'FeaturedTeacher', 'LandingPageEvent', 'Testimonial', 'GalleryImage', 'AboutUsContent', 'AdmissionsContent', 'AcademicsContent', 'FacultyContent']
+    enum: ['Meeting', 'EventNotice', 'FeaturedTeacher', 'LandingPageEvent', 'Testimonial', 'GalleryImage', 'AboutUsContent', 'AdmissionsContent', 'AcademicsContent', 'FacultyContent', 'Attendance']
   },
 
   // Reference to the entity
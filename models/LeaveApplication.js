@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const LEAVE_TYPES = ['casual', 'sick', 'annual', 'maternity', 'unpaid'];
+
+// Leave applied for by a member of staff. Once approved, every working day
+// in `leaveDays` is marked as 'leave' in Attendance.
+const LeaveApplicationSchema = new mongoose.Schema({
+  staffType: {
+    type: String,
+    required: [true, 'Please specify staff type'],
+    enum: ['teacher', 'admin-staff', 'support-staff']
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Please provide a staff ID'],
+    refPath: 'staffModel'
+  },
+  staffModel: {
+    type: String,
+    required: [true, 'Please specify staff model'],
+    enum: ['Teacher', 'AdminStaff', 'SupportStaff']
+  },
+  // Login account of the staff member, for notifications
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaveType: {
+    type: String,
+    required: [true, 'Please specify the leave type'],
+    enum: LEAVE_TYPES
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date']
+  },
+  // Working days (YYYY-MM-DD) covered by the leave; holidays and weekly off
+  // days in the date range are not counted
+  leaveDays: {
+    type: [String],
+    default: []
+  },
+  days: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason'],
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  attachmentFile: {
+    type: String,
+    trim: true
+  },
+  attachmentPublicId: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewRemarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+LeaveApplicationSchema.index({ staffId: 1, staffModel: 1, status: 1 });
+
+LeaveApplicationSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  this.days = this.leaveDays.length;
+  next();
+});
+
+LeaveApplicationSchema.statics.LEAVE_TYPES = LEAVE_TYPES;
+
+module.exports = mongoose.model('LeaveApplication', LeaveApplicationSchema);
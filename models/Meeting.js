@@ -55,4 +55,11 @@ const MeetingSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Meeting participant group each user role belongs to
+MeetingSchema.statics.PARTICIPANT_GROUPS = {
+  teacher: 'teachers',
+  student: 'students',
+  parent: 'parents'
+};
+
 module.exports = mongoose.model('Meeting', MeetingSchema);
@@ -8,7 +8,7 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['meeting', 'notice', 'fee', 'salary', 'attendance', 'system', 'contact'],
+    enum: ['meeting', 'notice', 'fee', 'salary', 'attendance', 'leave', 'timetable', 'assignment', 'exam', 'admission', 'system', 'contact'],
     default: 'system'
   },
   title: {
@@ -29,7 +29,7 @@ const NotificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['Meeting', 'Notice', 'Fee', 'Salary', 'Attendance', 'User', 'ContactMessage'],
+      enum: ['Meeting', 'Notice', 'Fee', 'Salary', 'Attendance', 'AttendanceCorrection', 'LeaveApplication', 'AbsenceNote', 'TimetableSubstitution', 'Assignment', 'AssignmentSubmission', 'Exam', 'AdmissionApplication', 'User', 'ContactMessage'],
       required: true
     },
     entityId: {
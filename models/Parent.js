@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Guardian account linked to one or more students (siblings share one account)
+const ParentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  relationship: {
+    type: String,
+    enum: ['father', 'mother', 'guardian', 'other'],
+    default: 'guardian'
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  phoneNumber: {
+    type: String,
+    required: [true, 'Please add a phone number']
+  },
+  occupation: String,
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+ParentSchema.index({ students: 1 });
+
+// A student can only be linked to a guardian once
+ParentSchema.pre('validate', function(next) {
+  const ids = this.students.map(id => id.toString());
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('students', 'A student can only be linked once');
+  }
+  next();
+});
+
+// Whether a student is one of this guardian's children
+ParentSchema.methods.hasStudent = function(studentId) {
+  return this.students.some(id => id.toString() === studentId.toString());
+};
+
+module.exports = mongoose.model('Parent', ParentSchema);
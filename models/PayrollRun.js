@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One payroll run per month. Salary records created by the run point back to it.
+// draft -> approved -> locked; a draft can be regenerated, a locked run's
+// amounts can no longer be changed (payments can still be recorded).
+const PayrollRunSchema = new mongoose.Schema({
+  month: {
+    type: String,
+    required: [true, 'Please add month'],
+    unique: true,
+    match: [/^(0[1-9]|1[0-2])\/\d{4}$/, 'Please use format MM/YYYY']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'locked'],
+    default: 'draft'
+  },
+  staffCount: {
+    type: Number,
+    default: 0
+  },
+  totalBase: {
+    type: Number,
+    default: 0
+  },
+  totalAllowances: {
+    type: Number,
+    default: 0
+  },
+  totalDeductions: {
+    type: Number,
+    default: 0
+  },
+  totalNet: {
+    type: Number,
+    default: 0
+  },
+  remarks: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lockedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PayrollRun', PayrollRunSchema);
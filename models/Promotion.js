@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const PROMOTION_ACTIONS = ['promote', 'detain', 'graduate', 'leave'];
+
+// A year-end promotion of one class (or section). Each entry keeps the
+// student's state from before the promotion so the batch can be rolled back.
+const PromotionSchema = new mongoose.Schema({
+  fromYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: true
+  },
+  toYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: true
+  },
+  class: {
+    type: String,
+    required: true
+  },
+  // Null when the whole class was promoted
+  section: {
+    type: String,
+    default: null
+  },
+  entries: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: PROMOTION_ACTIONS,
+      required: true
+    },
+    fromClass: String,
+    fromSection: String,
+    // Class and section in the new year (promote and detain only)
+    toClass: String,
+    toSection: String,
+    remarks: String,
+    previous: {
+      class: String,
+      section: String,
+      classId: mongoose.Schema.Types.ObjectId,
+      sectionId: mongoose.Schema.Types.ObjectId,
+      academicYear: mongoose.Schema.Types.ObjectId,
+      isActive: Boolean,
+      enrollmentStatus: String
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['applied', 'rolled-back'],
+    default: 'applied'
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackAt: {
+    type: Date
+  },
+  rollbackRemarks: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+PromotionSchema.statics.PROMOTION_ACTIONS = PROMOTION_ACTIONS;
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
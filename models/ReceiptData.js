@@ -27,10 +27,34 @@ const ReceiptDataSchema = new mongoose.Schema({
   extractedData: {
     studentName: String,
     studentId: mongoose.Schema.Types.ObjectId,
+    receiptNumber: String,
+    rollNumber: String,
     feeType: String,
     amount: Number,
+    paymentDate: Date,
     dueDate: Date,
-    description: String
+    description: String,
+    matchedBy: {
+      type: String,
+      enum: ['rollNumber', 'name', 'manual', null]
+    },
+    // Per-field confidence between 0 and 1
+    confidence: {
+      receiptNumber: Number,
+      rollNumber: Number,
+      student: Number,
+      amount: Number,
+      feeType: Number,
+      paymentDate: Number
+    }
+  },
+  // Raw text read from the PDF, kept for troubleshooting failed extractions
+  extractedText: {
+    type: String,
+    select: false
+  },
+  extractionError: {
+    type: String
   },
   status: {
     type: String,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AcademicYear = require('./AcademicYear');
 
 const SalarySchema = new mongoose.Schema({
   staffType: {
@@ -35,9 +36,29 @@ const SalarySchema = new mongoose.Schema({
     required: [true, 'Please add month'],
     match: [/^(0[1-9]|1[0-2])\/\d{4}$/, 'Please use format MM/YYYY']
   },
-  amount: {
+  // Academic year this record belongs to, set from its month
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    default: null
+  },
+  // Salary before bonuses and deductions
+  baseAmount: {
     type: Number,
-    required: [true, 'Please add amount']
+    required: [true, 'Please add base amount'],
+    min: [0, 'Base amount cannot be negative']
+  },
+  // Derived in the pre-save hook: grossAmount = baseAmount + bonuses,
+  // netAmount = grossAmount - deductions. amount mirrors netAmount for
+  // clients that read the payable amount from it.
+  grossAmount: {
+    type: Number
+  },
+  netAmount: {
+    type: Number
+  },
+  amount: {
+    type: Number
   },
   paymentDate: {
     type: Date
@@ -60,10 +81,7 @@ const SalarySchema = new mongoose.Schema({
     default: 0
   },
   remainingAmount: {
-    type: Number,
-    default: function() {
-      return this.amount;
-    }
+    type: Number
   },
   deductions: [{
     reason: {
@@ -88,6 +106,12 @@ const SalarySchema = new mongoose.Schema({
   remarks: {
     type: String
   },
+  // Payroll run that generated this record, if any
+  payrollRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun',
+    default: null
+  },
   recordedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -97,33 +121,67 @@ const SalarySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate final amount after deductions and bonuses
-SalarySchema.pre('save', function(next) {
-  let totalDeductions = 0;
-  let totalBonuses = 0;
+// Work out gross/net from the base amount, bonuses and deductions.
+// Always derived from baseAmount, so saving a record any number of times
+// gives the same result.
+SalarySchema.methods.calculateAmounts = function() {
+  const totalBonuses = (this.bonuses || []).reduce((sum, item) => sum + item.amount, 0);
+  const totalDeductions = (this.deductions || []).reduce((sum, item) => sum + item.amount, 0);
+
+  this.grossAmount = Math.round((this.baseAmount + totalBonuses) * 100) / 100;
+  this.netAmount = Math.round((this.grossAmount - totalDeductions) * 100) / 100;
+  this.amount = this.netAmount;
+};
 
-  if (this.deductions && this.deductions.length > 0) {
-    totalDeductions = this.deductions.reduce((sum, item) => sum + item.amount, 0);
+// Base amount of a record saved before baseAmount existed. New records sent
+// the base salary as amount; stored ones already had bonuses and deductions
+// applied to amount once by the old pre-save hook.
+SalarySchema.methods.getLegacyBaseAmount = function() {
+  if (this.isNew) return this.amount;
+
+  const totalBonuses = (this.bonuses || []).reduce((sum, item) => sum + item.amount, 0);
+  const totalDeductions = (this.deductions || []).reduce((sum, item) => sum + item.amount, 0);
+  return Math.round((this.amount - totalBonuses + totalDeductions) * 100) / 100;
+};
+
+SalarySchema.pre('validate', function(next) {
+  if (this.baseAmount === undefined && this.amount !== undefined) {
+    this.baseAmount = this.getLegacyBaseAmount();
   }
+  next();
+});
 
-  if (this.bonuses && this.bonuses.length > 0) {
-    totalBonuses = this.bonuses.reduce((sum, item) => sum + item.amount, 0);
+SalarySchema.pre('validate', async function() {
+  const match = /^(\d{2})\/(\d{4})$/.exec(this.month || '');
+  if (match && (!this.academicYear || this.isModified('month'))) {
+    const year = await AcademicYear.findForDate(new Date(parseInt(match[2], 10), parseInt(match[1], 10) - 1, 1));
+    this.academicYear = year ? year._id : null;
   }
+});
+
+// Calculate final amount after deductions and bonuses
+SalarySchema.pre('save', function(next) {
+  this.calculateAmounts();
 
-  this.amount = this.amount + totalBonuses - totalDeductions;
+  // Marking a record paid without entering the paid amount pays it in full
+  if (this.isModified('status') && this.status === 'paid' && !this.isModified('paidAmount')) {
+    this.paidAmount = this.netAmount;
+  }
 
-  // Update remaining amount when paid amount changes
-  if (this.isModified('paidAmount')) {
-    this.remainingAmount = this.amount - this.paidAmount;
+  // Update remaining amount and status when the payment or the amounts change
+  if (this.isNew || this.isModified('paidAmount') || this.isModified('netAmount')) {
+    this.remainingAmount = Math.round((this.netAmount - this.paidAmount) * 100) / 100;
 
-    // Update status based on payment
-    if (this.paidAmount === 0) {
-      this.status = 'unpaid';
-    } else if (this.paidAmount < this.amount) {
-      this.status = 'partial';
-    } else if (this.paidAmount >= this.amount) {
-      this.status = 'paid';
-      this.paymentDate = this.paymentDate || Date.now();
+    // Draft payroll records stay 'processing' until the run is approved
+    if (this.status !== 'processing' || this.paidAmount > 0) {
+      if (this.paidAmount === 0) {
+        this.status = 'unpaid';
+      } else if (this.paidAmount < this.netAmount) {
+        this.status = 'partial';
+      } else {
+        this.status = 'paid';
+        this.paymentDate = this.paymentDate || Date.now();
+      }
     }
   }
 
@@ -28,6 +28,8 @@ const SchoolSettingsSchema = new mongoose.Schema({
     type: Number,
     default: 1995
   },
+  // Printed on receipts, payslips and other generated documents
+  logo: cloudinaryImageSchema,
 
   // Contact Information
   email: {
@@ -137,6 +139,183 @@ const SchoolSettingsSchema = new mongoose.Schema({
     }
   },
 
+  // Fee Management
+  feeManagement: {
+    // First month fees are managed in this system. Fees due before it are
+    // ignored for arrears; dues from before it are entered as opening balances.
+    startDate: {
+      type: Date,
+      default: null
+    },
+    // School-wide late fine, used for fees whose fee structure has none
+    lateFine: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // fixed: one-off amount once overdue; daily: amount per day overdue
+      type: {
+        type: String,
+        enum: ['fixed', 'daily'],
+        default: 'fixed'
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      graceDays: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Upper limit for daily fines (0 = no limit)
+      maxAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }
+  },
+
+  // Attendance
+  attendance: {
+    // Students below this attendance percentage are listed as chronic absentees
+    chronicAbsenceThreshold: {
+      type: Number,
+      default: 75,
+      min: 0,
+      max: 100
+    }
+  },
+
+  // Exams
+  grading: {
+    // Percentage needed to pass a subject that has no pass marks of its own
+    passPercentage: {
+      type: Number,
+      default: 40,
+      min: 0,
+      max: 100
+    },
+    // Grade bands, matched from the highest minimum percentage down
+    scale: {
+      type: [{
+        grade: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        minPercentage: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100
+        },
+        remarks: {
+          type: String,
+          trim: true
+        }
+      }],
+      default: [
+        { grade: 'A+', minPercentage: 90, remarks: 'Outstanding' },
+        { grade: 'A', minPercentage: 80, remarks: 'Excellent' },
+        { grade: 'B', minPercentage: 70, remarks: 'Very Good' },
+        { grade: 'C', minPercentage: 60, remarks: 'Good' },
+        { grade: 'D', minPercentage: 50, remarks: 'Satisfactory' },
+        { grade: 'E', minPercentage: 40, remarks: 'Needs Improvement' },
+        { grade: 'F', minPercentage: 0, remarks: 'Fail' }
+      ]
+    }
+  },
+
+  // Staff leave
+  leaveManagement: {
+    // Working days of each leave type a member of staff may take per calendar year.
+    // Unpaid leave has no limit.
+    allowances: {
+      casual: {
+        type: Number,
+        default: 10,
+        min: 0
+      },
+      sick: {
+        type: Number,
+        default: 8,
+        min: 0
+      },
+      annual: {
+        type: Number,
+        default: 14,
+        min: 0
+      },
+      maternity: {
+        type: Number,
+        default: 90,
+        min: 0
+      }
+    }
+  },
+
+  // Calendar
+  calendar: {
+    // Days of the week the school is closed (0 = Sunday ... 6 = Saturday)
+    weeklyOffDays: {
+      type: [Number],
+      default: [0],
+      validate: {
+        validator: days => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+        message: 'Weekly off days must be numbers from 0 (Sunday) to 6 (Saturday)'
+      }
+    }
+  },
+
+  // Timetable
+  timetable: {
+    // The school day's periods and breaks, in order. Lessons are timetabled
+    // into the numbered periods; breaks have no period number.
+    bellSchedule: {
+      type: [{
+        period: {
+          type: Number,
+          min: 1,
+          default: null
+        },
+        label: {
+          type: String,
+          trim: true
+        },
+        // 24-hour HH:mm
+        startTime: {
+          type: String,
+          required: true,
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:mm format']
+        },
+        endTime: {
+          type: String,
+          required: true,
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:mm format']
+        },
+        isBreak: {
+          type: Boolean,
+          default: false
+        }
+      }],
+      default: [],
+      validate: {
+        validator: function(entries) {
+          const periods = entries.filter(entry => !entry.isBreak).map(entry => entry.period);
+          if (periods.some(period => !period) || new Set(periods).size !== periods.length) return false;
+
+          const sorted = [...entries].sort((a, b) => a.startTime.localeCompare(b.startTime));
+          return sorted.every((entry, index) => entry.startTime < entry.endTime &&
+            (index === 0 || sorted[index - 1].endTime <= entry.startTime));
+        },
+        message: 'Every period needs its own number, and periods and breaks must end after they start without overlapping'
+      }
+    }
+  },
+
   // Landing Page Customization
   landingPage: {
     heroImage: cloudinaryImageSchema,
@@ -241,6 +420,11 @@ SchoolSettingsSchema.pre('remove', async function(next) {
       return Promise.resolve();
     };
 
+    // Delete school logo
+    if (this.logo) {
+      deletePromises.push(deleteCloudinaryImage(this.logo));
+    }
+
     // Delete hero image
     if (this.landingPage?.heroImage) {
       deletePromises.push(deleteCloudinaryImage(this.landingPage.heroImage));
@@ -303,4 +487,15 @@ SchoolSettingsSchema.statics.findOneOrCreate = async function(userId) {
   });
 };
 
+// First day of the fee-management start month, or null if not configured
+SchoolSettingsSchema.statics.getFeeStartDate = async function() {
+  const settings = await this.findOne().select('feeManagement');
+  const startDate = settings?.feeManagement?.startDate;
+  if (!startDate) {
+    return null;
+  }
+
+  return new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+};
+
 module.exports = mongoose.model('SchoolSettings', SchoolSettingsSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A section of a class, e.g. "A" of class 8
+const SectionSchema = new mongoose.Schema({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Please specify the class']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add the section name'],
+    trim: true,
+    maxlength: [20, 'Name cannot be more than 20 characters']
+  },
+  // Maximum number of active students (0 = no limit)
+  capacity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  classTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    default: null
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+SectionSchema.index({ class: 1, name: 1 }, { unique: true });
+
+// Section names are stored in upper case ("a " -> "A")
+SectionSchema.statics.normalizeName = function(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+};
+
+SectionSchema.pre('validate', function(next) {
+  this.name = this.constructor.normalizeName(this.name);
+  next();
+});
+
+module.exports = mongoose.model('Section', SectionSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const Class = require('./Class');
+const Section = require('./Section');
+const AcademicYear = require('./AcademicYear');
+const Enrollment = require('./Enrollment');
 
 const StudentSchema = new mongoose.Schema({
   user: {
@@ -29,6 +33,17 @@ const StudentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please add section']
   },
+  // Class and Section records for `class` and `section`, kept in sync on save
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  sectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
   address: {
     street: String,
     city: String,
@@ -61,16 +76,141 @@ const StudentSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Academic year of the student's current enrolment (see Enrollment)
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    default: null
+  },
+  // enrolled: studying at the school; graduated or left after a year-end promotion
+  enrollmentStatus: {
+    type: String,
+    enum: ['enrolled', 'graduated', 'left'],
+    default: 'enrolled'
+  },
   monthlyFee: {
     type: Number,
     default: 0
-  }
+  },
+  // Names of optional fee heads (e.g. "Transport") this student is billed for
+  optionalFeeHeads: [{
+    type: String,
+    trim: true
+  }],
+  scholarships: [{
+    name: {
+      type: String,
+      required: [true, 'Please add a scholarship name'],
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Fee types the concession applies to; empty means all
+    feeTypes: [{
+      type: String,
+      enum: ['tuition', 'exam', 'transport', 'library', 'laboratory', 'other']
+    }],
+    validFrom: Date,
+    validUntil: Date,
+    remarks: String,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Check the class and section against the Class and Section records, link
+// them, and enforce their capacity. Names are tidied first so that "10 " or
+// "a" cannot create a phantom class or section. Classes are only enforced
+// once they have been set up (see scripts/migrateClasses.js).
+StudentSchema.pre('validate', async function() {
+  if (this.class) this.class = Class.normalizeName(this.class);
+  if (this.section) this.section = Section.normalizeName(this.section);
+
+  if (!this.isNew && !this.isModified('class') && !this.isModified('section') && !this.isModified('isActive')) {
+    return;
+  }
+
+  if (!this.class || this.class === 'Not assigned' || !(await Class.exists({}))) {
+    return;
+  }
+
+  const classDoc = await Class.findByName(this.class);
+  if (!classDoc) {
+    this.invalidate('class', `Class ${this.class} does not exist`);
+    return;
+  }
+
+  const sectionDoc = await Section.findOne({ class: classDoc._id, name: this.section, isActive: true });
+  if (!sectionDoc) {
+    this.invalidate('section', `Section ${this.section} does not exist in class ${classDoc.name}`);
+    return;
+  }
+
+  this.class = classDoc.name;
+  this.classId = classDoc._id;
+  this.sectionId = sectionDoc._id;
+
+  if (!this.isActive) return;
+
+  const others = { isActive: true, _id: { $ne: this._id } };
+  if (sectionDoc.capacity > 0 &&
+      await this.constructor.countDocuments({ ...others, sectionId: sectionDoc._id }) >= sectionDoc.capacity) {
+    this.invalidate('section', `Section ${sectionDoc.name} of class ${classDoc.name} is full (capacity ${sectionDoc.capacity})`);
+  }
+  if (classDoc.capacity > 0 &&
+      await this.constructor.countDocuments({ ...others, classId: classDoc._id }) >= classDoc.capacity) {
+    this.invalidate('class', `Class ${classDoc.name} is full (capacity ${classDoc.capacity})`);
+  }
+});
+
+// New students are enrolled in the current academic year
+StudentSchema.pre('validate', async function() {
+  if (this.isNew && !this.academicYear) {
+    const currentYear = await AcademicYear.getCurrent();
+    this.academicYear = currentYear ? currentYear._id : null;
+  }
+});
+
+// Keep the enrolment of the student's academic year in step with their class
+StudentSchema.pre('save', function(next) {
+  this.$locals.syncEnrollment = this.isNew ||
+    ['class', 'section', 'rollNumber', 'academicYear'].some(path => this.isModified(path));
+  next();
+});
+
+StudentSchema.post('save', async function() {
+  if (!this.$locals.syncEnrollment || !this.academicYear || this.enrollmentStatus !== 'enrolled') return;
+
+  await Enrollment.updateOne(
+    { student: this._id, academicYear: this.academicYear },
+    {
+      $set: {
+        class: this.class,
+        section: this.section,
+        classId: this.classId,
+        sectionId: this.sectionId,
+        rollNumber: this.rollNumber
+      },
+      $setOnInsert: { status: 'active' }
+    },
+    { upsert: true }
+  );
+});
+
 // Virtual for attendance records
 StudentSchema.virtual('attendanceRecords', {
   ref: 'Attendance',
@@ -54,6 +54,19 @@ const SupportStaffSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add salary amount']
   },
+  // Standing monthly allowances added to every payroll run
+  allowances: [{
+    name: {
+      type: String,
+      required: [true, 'Please add allowance name'],
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Please add allowance amount'],
+      min: [0, 'Allowance cannot be negative']
+    }
+  }],
   workingHours: {
     startTime: String,
     endTime: String,
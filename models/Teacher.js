@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Class = require('./Class');
 
 const TeacherSchema = new mongoose.Schema({
   user: {
@@ -48,6 +49,11 @@ const TeacherSchema = new mongoose.Schema({
   classes: [{
     type: String
   }],
+  // Class records for `classes`, kept in sync on save
+  classIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
   joiningDate: {
     type: Date,
     default: Date.now
@@ -56,6 +62,19 @@ const TeacherSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add salary amount']
   },
+  // Standing monthly allowances added to every payroll run
+  allowances: [{
+    name: {
+      type: String,
+      required: [true, 'Please add allowance name'],
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Please add allowance amount'],
+      min: [0, 'Allowance cannot be negative']
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -66,6 +85,38 @@ const TeacherSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Check the assigned classes against the Class records and link them.
+// 'Not assigned' is kept as the placeholder for teachers without classes.
+// Classes are only enforced once they have been set up (see scripts/migrateClasses.js).
+TeacherSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('classes')) return;
+
+  const names = [...new Set((this.classes || []).map(name => Class.normalizeName(name)).filter(Boolean))];
+  this.classes = names;
+
+  if (!(await Class.exists({}))) return;
+
+  const classIds = [];
+  const canonical = [];
+  for (const name of names) {
+    if (name === 'Not assigned') {
+      canonical.push(name);
+      continue;
+    }
+
+    const classDoc = await Class.findByName(name);
+    if (!classDoc) {
+      this.invalidate('classes', `Class ${name} does not exist`);
+      return;
+    }
+    canonical.push(classDoc.name);
+    classIds.push(classDoc._id);
+  }
+
+  this.classes = canonical;
+  this.classIds = classIds;
+});
+
 // Virtual for attendance records
 TeacherSchema.virtual('attendanceRecords', {
   ref: 'Attendance',
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Class = require('./Class');
+const Section = require('./Section');
+
+// One lesson in the weekly timetable: a teacher teaching a subject to a class
+// section in a period of the bell schedule, every week on the same day.
+const TimetableSlotSchema = new mongoose.Schema({
+  class: {
+    type: String,
+    required: [true, 'Please add class']
+  },
+  section: {
+    type: String,
+    required: [true, 'Please add section']
+  },
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Please add the day of the week'],
+    min: [0, 'Day of the week must be from 0 (Sunday) to 6 (Saturday)'],
+    max: [6, 'Day of the week must be from 0 (Sunday) to 6 (Saturday)']
+  },
+  // Period number from SchoolSettings.timetable.bellSchedule
+  period: {
+    type: Number,
+    required: [true, 'Please add the period'],
+    min: [1, 'Period must be 1 or more']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please add the subject'],
+    trim: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: [true, 'Please assign a teacher']
+  },
+  room: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A class section has one lesson per period
+TimetableSlotSchema.index({ class: 1, section: 1, dayOfWeek: 1, period: 1 }, { unique: true });
+TimetableSlotSchema.index({ teacher: 1, dayOfWeek: 1, period: 1 });
+
+TimetableSlotSchema.pre('validate', function(next) {
+  if (this.class) this.class = Class.normalizeName(this.class);
+  if (this.section) this.section = Section.normalizeName(this.section);
+  next();
+});
+
+module.exports = mongoose.model('TimetableSlot', TimetableSlotSchema);
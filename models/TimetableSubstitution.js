@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Attendance = require('./Attendance');
+
+// A substitute teacher taking one timetabled lesson on one date, usually
+// because the regular teacher is on leave. The lesson's details are copied
+// so the record still reads correctly if the timetable changes later.
+const TimetableSubstitutionSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TimetableSlot',
+    required: [true, 'Please specify the lesson']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add the date']
+  },
+  // Local calendar day (YYYY-MM-DD), set from date
+  day: {
+    type: String
+  },
+  class: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  originalTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: true
+  },
+  substituteTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: [true, 'Please choose the substitute teacher']
+  },
+  // The regular teacher's leave, when that is the reason for the substitution
+  leaveApplication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveApplication',
+    default: null
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be more than 500 characters']
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One substitute per lesson per day
+TimetableSubstitutionSchema.index({ slot: 1, day: 1 }, { unique: true });
+TimetableSubstitutionSchema.index({ substituteTeacher: 1, day: 1 });
+
+TimetableSubstitutionSchema.pre('validate', function(next) {
+  if (this.date && (this.isNew || this.isModified('date'))) {
+    this.day = Attendance.dayKey(this.date);
+  }
+  next();
+});
+
+module.exports = mongoose.model('TimetableSubstitution', TimetableSubstitutionSchema);
@@ -54,7 +54,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'principal', 'vice-principal', 'teacher', 'student', 'accountant'],
+    enum: ['admin', 'principal', 'vice-principal', 'teacher', 'student', 'accountant', 'parent'],
     default: 'student'
   },
   status: {
@@ -0,0 +1,59 @@
+const express = require('express');
+const {
+  submitAbsenceNote,
+  getAbsenceNotes,
+  getAbsenceNote,
+  acceptAbsenceNote,
+  rejectAbsenceNote
+} = require('../controllers/absenceNote.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+const multer = require('multer');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+
+// Configure multer for memory storage (for Cloudinary)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max file size
+  fileFilter: (req, file, cb) => {
+    // Accept image files and PDFs (e.g. medical certificates)
+    const filetypes = /jpeg|jpg|png|pdf/;
+    const extname = filetypes.test(file.originalname.split('.').pop().toLowerCase());
+    const mimetype = filetypes.test(file.mimetype) || file.mimetype === 'application/pdf';
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files (jpeg, jpg, png) and PDF files are allowed!'), false);
+    }
+  }
+});
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher', 'student'), getAbsenceNotes)
+  .post(
+    protect,
+    authorize('student'),
+    upload.single('attachmentFile'),
+    (req, res, next) => {
+      // Set image type for Cloudinary folder organization
+      if (req.file) {
+        req.body.imageType = 'absence';
+      }
+      next();
+    },
+    uploadImage,
+    submitAbsenceNote
+  );
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher', 'student'), getAbsenceNote);
+
+router.route('/:id/accept').put(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), acceptAbsenceNote);
+router.route('/:id/reject').put(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), rejectAbsenceNote);
+
+module.exports = router;
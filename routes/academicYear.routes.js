@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  getAcademicYears,
+  getCurrentAcademicYear,
+  getAcademicYear,
+  getYearEnrollments,
+  createAcademicYear,
+  updateAcademicYear,
+  setCurrentAcademicYear,
+  deleteAcademicYear
+} = require('../controllers/academicYear.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Must come before /:id route
+router.route('/current').get(protect, getCurrentAcademicYear);
+
+router
+  .route('/')
+  .get(protect, getAcademicYears)
+  .post(protect, authorize('admin', 'principal'), createAcademicYear);
+
+router
+  .route('/:id')
+  .get(protect, getAcademicYear)
+  .put(protect, authorize('admin', 'principal'), updateAcademicYear)
+  .delete(protect, authorize('admin'), deleteAcademicYear);
+
+router
+  .route('/:id/set-current')
+  .put(protect, authorize('admin', 'principal'), setCurrentAcademicYear);
+
+router
+  .route('/:id/enrollments')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getYearEnrollments);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const {
+  submitApplication,
+  trackApplication,
+  getApplications,
+  getApplication,
+  updateApplicationStatus,
+  scheduleAssessment,
+  recordAssessmentResult,
+  enrollApplicant,
+  deleteApplication
+} = require('../controllers/admission.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+const multer = require('multer');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+
+// Configure multer for memory storage (for Cloudinary)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max file size
+  fileFilter: (req, file, cb) => {
+    // Accept image files and PDFs (birth certificates, previous report cards)
+    const filetypes = /jpeg|jpg|png|pdf/;
+    const extname = filetypes.test(file.originalname.split('.').pop().toLowerCase());
+    const mimetype = filetypes.test(file.mimetype) || file.mimetype === 'application/pdf';
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files (jpeg, jpg, png) and PDF files are allowed!'), false);
+    }
+  }
+});
+
+// Helper function to set the Cloudinary folder for uploaded documents
+const setImageType = (imageType) => (req, res, next) => {
+  if (req.files && req.files.length > 0) {
+    req.body.imageType = imageType;
+  }
+  next();
+};
+
+const router = express.Router();
+
+// Public routes (no authentication required)
+// Must come before /:id route
+router.post('/apply', upload.array('documents', 5), setImageType('admission'), uploadImage, submitApplication);
+router.get('/track', trackApplication);
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal', 'vice-principal'), getApplications);
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal', 'vice-principal'), getApplication)
+  .delete(protect, authorize('admin'), deleteApplication);
+
+router.route('/:id/status').put(protect, authorize('admin', 'principal', 'vice-principal'), updateApplicationStatus);
+router.route('/:id/schedule').put(protect, authorize('admin', 'principal', 'vice-principal'), scheduleAssessment);
+router.route('/:id/assessment').put(protect, authorize('admin', 'principal', 'vice-principal'), recordAssessmentResult);
+router.route('/:id/enroll').post(protect, authorize('admin', 'principal'), enrollApplicant);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const {
+  getAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getSubmissions,
+  gradeSubmission
+} = require('../controllers/assignment.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+const multer = require('multer');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+
+// Configure multer for memory storage (for Cloudinary)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max file size
+  fileFilter: (req, file, cb) => {
+    // Accept image files and PDFs (worksheets, scanned answers)
+    const filetypes = /jpeg|jpg|png|pdf/;
+    const extname = filetypes.test(file.originalname.split('.').pop().toLowerCase());
+    const mimetype = filetypes.test(file.mimetype) || file.mimetype === 'application/pdf';
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files (jpeg, jpg, png) and PDF files are allowed!'), false);
+    }
+  }
+});
+
+// Helper function to set the Cloudinary folder for uploaded attachments
+const setImageType = (imageType) => (req, res, next) => {
+  if (req.files && req.files.length > 0) {
+    req.body.imageType = imageType;
+  }
+  next();
+};
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher', 'student'), getAssignments)
+  .post(
+    protect,
+    authorize('admin', 'principal', 'vice-principal', 'teacher'),
+    upload.array('attachments', 5),
+    setImageType('assignment'),
+    uploadImage,
+    createAssignment
+  );
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher', 'student'), getAssignment)
+  .put(
+    protect,
+    authorize('admin', 'principal', 'vice-principal', 'teacher'),
+    upload.array('attachments', 5),
+    setImageType('assignment'),
+    uploadImage,
+    updateAssignment
+  )
+  .delete(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), deleteAssignment);
+
+router
+  .route('/:id/submissions')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getSubmissions)
+  .post(
+    protect,
+    authorize('student'),
+    upload.array('attachments', 5),
+    setImageType('submission'),
+    uploadImage,
+    submitAssignment
+  );
+
+router.route('/:id/submissions/:submissionId/grade').put(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), gradeSubmission);
+
+module.exports = router;
@@ -6,7 +6,9 @@ const {
   updateAttendanceRecord,
   deleteAttendanceRecord,
   createTestAttendanceRecord,
-  createBatchAttendanceRecords
+  createBatchAttendanceRecords,
+  getPeriodRollup,
+  getSubjectAttendanceReport
 } = require('../controllers/attendance.controller');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -22,6 +24,15 @@ router
   .route('/batch')
   .post(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), createBatchAttendanceRecords);
 
+// Must come before /:id route
+router
+  .route('/period-rollup')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getPeriodRollup);
+
+router
+  .route('/subject-report')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getSubjectAttendanceReport);
+
 router
   .route('/create-test')
   .get(protect, createTestAttendanceRecord);
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  createCorrectionRequest,
+  getCorrectionRequests,
+  getCorrectionRequest,
+  approveCorrectionRequest,
+  rejectCorrectionRequest
+} = require('../controllers/attendanceCorrection.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getCorrectionRequests)
+  .post(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), createCorrectionRequest);
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getCorrectionRequest);
+
+router.route('/:id/approve').put(protect, authorize('admin', 'principal'), approveCorrectionRequest);
+router.route('/:id/reject').put(protect, authorize('admin', 'principal'), rejectCorrectionRequest);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getMonthlyRegister,
+  getStudentPercentages,
+  getChronicAbsentees,
+  getStaffAttendanceSummary
+} = require('../controllers/attendanceReport.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All reports accept ?format=xlsx for an Excel download
+router.route('/register').get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getMonthlyRegister);
+router.route('/students').get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getStudentPercentages);
+router.route('/chronic-absentees').get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getChronicAbsentees);
+router.route('/staff').get(protect, authorize('admin', 'principal', 'vice-principal'), getStaffAttendanceSummary);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getCalendarEvents,
+  getWorkingDays,
+  getCalendarEvent,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent
+} = require('../controllers/calendar.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Must come before /:id route
+router.route('/working-days').get(protect, getWorkingDays);
+
+router
+  .route('/')
+  .get(protect, getCalendarEvents)
+  .post(protect, authorize('admin', 'principal'), createCalendarEvent);
+
+router
+  .route('/:id')
+  .get(protect, getCalendarEvent)
+  .put(protect, authorize('admin', 'principal'), updateCalendarEvent)
+  .delete(protect, authorize('admin', 'principal'), deleteCalendarEvent);
+
+module.exports = router;
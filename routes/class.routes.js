@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  getClasses,
+  getClass,
+  createClass,
+  updateClass,
+  deleteClass,
+  createSection,
+  updateSection,
+  deleteSection
+} = require('../controllers/class.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, getClasses)
+  .post(protect, authorize('admin', 'principal'), createClass);
+
+router
+  .route('/:id')
+  .get(protect, getClass)
+  .put(protect, authorize('admin', 'principal'), updateClass)
+  .delete(protect, authorize('admin', 'principal'), deleteClass);
+
+router
+  .route('/:id/sections')
+  .post(protect, authorize('admin', 'principal'), createSection);
+
+router
+  .route('/:id/sections/:sectionId')
+  .put(protect, authorize('admin', 'principal'), updateSection)
+  .delete(protect, authorize('admin', 'principal'), deleteSection);
+
+module.exports = router;
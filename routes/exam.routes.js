@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  getExams,
+  getExam,
+  createExam,
+  updateExam,
+  deleteExam,
+  enterMarks,
+  getMarks,
+  getExamResults,
+  publishExam,
+  getReportCard
+} = require('../controllers/exam.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, getExams)
+  .post(protect, authorize('admin', 'principal', 'vice-principal'), createExam);
+
+router
+  .route('/:id')
+  .get(protect, getExam)
+  .put(protect, authorize('admin', 'principal', 'vice-principal'), updateExam)
+  .delete(protect, authorize('admin', 'principal'), deleteExam);
+
+router
+  .route('/:id/marks')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getMarks)
+  .post(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), enterMarks);
+
+router.route('/:id/results').get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getExamResults);
+router.route('/:id/publish').put(protect, authorize('admin', 'principal'), publishExam);
+router.route('/:id/report-card/:studentId').get(protect, getReportCard);
+
+module.exports = router;
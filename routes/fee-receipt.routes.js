@@ -1,6 +1,7 @@
 const express = require('express');
 const {
   generateFeeReceipt,
+  emailFeeReceipt,
   uploadFeeReceipt,
   extractDataFromReceipt
 } = require('../controllers/fee-receipt.controller');
@@ -28,6 +29,10 @@ const router = express.Router();
 router.route('/generate/:feeId')
   .get(protect, generateFeeReceipt);
 
+// Email fee receipt
+router.route('/email/:feeId')
+  .post(protect, authorize('admin', 'principal', 'accountant'), emailFeeReceipt);
+
 // Upload and extract data from fee receipt
 router.route('/upload')
   .post(protect, authorize('admin', 'principal', 'accountant'), upload.single('file'), uploadFeeReceipt);
@@ -7,7 +7,13 @@ const {
   deleteFeeRecord,
   getFeeById,
   getStudentArrears,
-  cleanupOrphanedFees
+  cleanupOrphanedFees,
+  runMonthlyFeeGeneration,
+  getFeePayments,
+  recordFeePayment,
+  reverseFeePayment,
+  updateOpeningBalance,
+  runOverdueFeeSweep
 } = require('../controllers/fee.controller');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -22,6 +28,15 @@ router
 // Route to cleanup orphaned fee records - MUST come before /:id route
 router.route('/cleanup-orphaned').delete(protect, authorize('admin', 'principal'), cleanupOrphanedFees);
 
+// Route to generate a month's tuition fees for all active students
+router.route('/generate-monthly').post(protect, authorize('admin', 'principal', 'accountant'), runMonthlyFeeGeneration);
+
+// Route to mark past-due fees overdue and apply late fines
+router.route('/sweep-overdue').post(protect, authorize('admin', 'principal', 'accountant'), runOverdueFeeSweep);
+
+// Route to set a migrated student's opening balance
+router.route('/opening-balance/:studentId').put(protect, authorize('admin', 'principal', 'accountant'), updateOpeningBalance);
+
 // Route to get arrears for a student
 router.route('/arrears/:studentId').get(protect, getStudentArrears);
 
@@ -31,4 +46,12 @@ router
   .put(protect, authorize('admin', 'principal'), updateFeeRecord)
   .delete(protect, authorize('admin', 'principal'), deleteFeeRecord);
 
+// Payment ledger
+router
+  .route('/:id/payments')
+  .get(protect, getFeePayments)
+  .post(protect, authorize('admin', 'principal', 'accountant'), recordFeePayment);
+
+router.route('/:id/payments/:paymentId/reverse').post(protect, authorize('admin', 'principal'), reverseFeePayment);
+
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getCollectionReport,
+  getDefaultersReport,
+  getDailyCollectionReport,
+  getPaymentMethodReport
+} = require('../controllers/feeReport.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All reports accept ?format=xlsx for an Excel download
+router.route('/collection').get(protect, authorize('admin', 'principal', 'accountant'), getCollectionReport);
+router.route('/defaulters').get(protect, authorize('admin', 'principal', 'accountant'), getDefaultersReport);
+router.route('/daily-collection').get(protect, authorize('admin', 'principal', 'accountant'), getDailyCollectionReport);
+router.route('/payment-methods').get(protect, authorize('admin', 'principal', 'accountant'), getPaymentMethodReport);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getFeeStructures,
+  getFeeStructure,
+  createFeeStructure,
+  updateFeeStructure,
+  deleteFeeStructure,
+  previewStudentFees
+} = require('../controllers/feeStructure.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal', 'accountant'), getFeeStructures)
+  .post(protect, authorize('admin', 'principal'), createFeeStructure);
+
+// Must come before /:id route
+router.route('/preview/:studentId').get(protect, authorize('admin', 'principal', 'accountant'), previewStudentFees);
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal', 'accountant'), getFeeStructure)
+  .put(protect, authorize('admin', 'principal'), updateFeeStructure)
+  .delete(protect, authorize('admin', 'principal'), deleteFeeStructure);
+
+module.exports = router;
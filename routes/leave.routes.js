@@ -0,0 +1,66 @@
+const express = require('express');
+const {
+  applyForLeave,
+  getLeaveApplications,
+  getLeaveBalance,
+  getLeaveApplication,
+  approveLeaveApplication,
+  rejectLeaveApplication,
+  cancelLeaveApplication,
+  deleteLeaveApplication
+} = require('../controllers/leave.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+const multer = require('multer');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+
+// Configure multer for memory storage (for Cloudinary)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max file size
+  fileFilter: (req, file, cb) => {
+    // Accept image files and PDFs (e.g. medical certificates)
+    const filetypes = /jpeg|jpg|png|pdf/;
+    const extname = filetypes.test(file.originalname.split('.').pop().toLowerCase());
+    const mimetype = filetypes.test(file.mimetype) || file.mimetype === 'application/pdf';
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files (jpeg, jpg, png) and PDF files are allowed!'), false);
+    }
+  }
+});
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, getLeaveApplications)
+  .post(
+    protect,
+    upload.single('attachmentFile'),
+    (req, res, next) => {
+      // Set image type for Cloudinary folder organization
+      if (req.file) {
+        req.body.imageType = 'leave';
+      }
+      next();
+    },
+    uploadImage,
+    applyForLeave
+  );
+
+// Must come before /:id route
+router.route('/balance').get(protect, getLeaveBalance);
+
+router
+  .route('/:id')
+  .get(protect, getLeaveApplication)
+  .delete(protect, authorize('admin', 'principal'), deleteLeaveApplication);
+
+router.route('/:id/approve').put(protect, authorize('admin', 'principal', 'vice-principal'), approveLeaveApplication);
+router.route('/:id/reject').put(protect, authorize('admin', 'principal', 'vice-principal'), rejectLeaveApplication);
+router.route('/:id/cancel').put(protect, cancelLeaveApplication);
+
+module.exports = router;
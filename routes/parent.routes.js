@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getParents,
+  getParent,
+  createParent,
+  updateParent,
+  deleteParent,
+  linkStudent,
+  unlinkStudent,
+  getMyProfile,
+  getChildOverview
+} = require('../controllers/parent.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Must come before /:id route
+router.route('/me').get(protect, authorize('parent'), getMyProfile);
+router.route('/me/children/:studentId').get(protect, authorize('parent'), getChildOverview);
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal', 'vice-principal'), getParents)
+  .post(protect, authorize('admin', 'principal'), createParent);
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal', 'vice-principal'), getParent)
+  .put(protect, authorize('admin', 'principal'), updateParent)
+  .delete(protect, authorize('admin', 'principal'), deleteParent);
+
+router.route('/:id/students').post(protect, authorize('admin', 'principal'), linkStudent);
+router.route('/:id/students/:studentId').delete(protect, authorize('admin', 'principal'), unlinkStudent);
+
+module.exports = router;
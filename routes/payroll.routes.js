@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getPayrollRuns,
+  getPayrollRun,
+  previewPayroll,
+  runPayrollGeneration,
+  approvePayrollRun,
+  lockPayrollRun,
+  deletePayrollRun
+} = require('../controllers/payroll.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.route('/').get(protect, authorize('admin', 'principal', 'accountant'), getPayrollRuns);
+
+// Must come before /:id route
+router.route('/preview').post(protect, authorize('admin', 'principal', 'accountant'), previewPayroll);
+router.route('/generate').post(protect, authorize('admin', 'principal', 'accountant'), runPayrollGeneration);
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal', 'accountant'), getPayrollRun)
+  .delete(protect, authorize('admin', 'principal'), deletePayrollRun);
+
+router.route('/:id/approve').put(protect, authorize('admin', 'principal'), approvePayrollRun);
+router.route('/:id/lock').put(protect, authorize('admin', 'principal'), lockPayrollRun);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  previewPromotion,
+  applyPromotion,
+  getPromotions,
+  getPromotion,
+  rollbackPromotion
+} = require('../controllers/promotion.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Must come before /:id route
+router.route('/preview').post(protect, authorize('admin', 'principal'), previewPromotion);
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal'), getPromotions)
+  .post(protect, authorize('admin', 'principal'), applyPromotion);
+
+router
+  .route('/:id')
+  .get(protect, authorize('admin', 'principal'), getPromotion);
+
+router
+  .route('/:id/rollback')
+  .post(protect, authorize('admin', 'principal'), rollbackPromotion);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const {
   getFeaturedTeachers,
   getPublicEventsNotices,
+  getPublicCalendar,
   getSchoolStats,
   getLandingPageData,
   getAllPublicContent
@@ -12,6 +13,7 @@ const router = express.Router();
 // All routes are public (no authentication required)
 router.get('/teachers', getFeaturedTeachers);
 router.get('/events-notices', getPublicEventsNotices);
+router.get('/calendar', getPublicCalendar);
 router.get('/stats', getSchoolStats);
 router.get('/landing-page', getLandingPageData);
 router.get('/all-content', getAllPublicContent);
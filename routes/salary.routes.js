@@ -4,7 +4,9 @@ const {
   getSalaryRecord,
   createSalaryRecord,
   updateSalaryRecord,
-  deleteSalaryRecord
+  deleteSalaryRecord,
+  getPayslip,
+  getSalaryStatement
 } = require('../controllers/salary.controller');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -16,10 +18,15 @@ router
   .get(protect, getSalaryRecords)
   .post(protect, authorize('admin', 'principal'), createSalaryRecord);
 
+// Must come before /:id route
+router.route('/statement').get(protect, getSalaryStatement);
+
 router
   .route('/:id')
   .get(protect, getSalaryRecord)
   .put(protect, authorize('admin', 'principal'), updateSalaryRecord)
   .delete(protect, authorize('admin', 'principal'), deleteSalaryRecord);
 
+router.route('/:id/payslip').get(protect, getPayslip);
+
 module.exports = router;
@@ -3,7 +3,8 @@ const {
   getPublicSchoolSettings,
   getSchoolSettings,
   updateSchoolSettings,
-  uploadHeroImage
+  uploadHeroImage,
+  uploadLogo
 } = require('../controllers/schoolSettings.controller');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -61,4 +62,17 @@ router.post(
   uploadHeroImage
 );
 
+router.post(
+  '/logo',
+  protect,
+  authorize('admin', 'principal'),
+  upload.single('logo'),
+  (req, res, next) => {
+    req.body.imageType = 'logo';
+    next();
+  },
+  uploadImage,
+  uploadLogo
+);
+
 module.exports = router;
@@ -4,7 +4,10 @@ const {
   getStudent,
   createStudent,
   updateStudent,
-  deleteStudent
+  deleteStudent,
+  getStudentEnrollments,
+  addScholarship,
+  removeScholarship
 } = require('../controllers/student.controller');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -22,4 +25,16 @@ router
   .put(protect, authorize('admin', 'principal', 'teacher', 'student'), updateStudent)
   .delete(protect, authorize('admin', 'principal'), deleteStudent);
 
+router
+  .route('/:id/enrollments')
+  .get(protect, getStudentEnrollments);
+
+router
+  .route('/:id/scholarships')
+  .post(protect, authorize('admin', 'principal'), addScholarship);
+
+router
+  .route('/:id/scholarships/:scholarshipId')
+  .delete(protect, authorize('admin', 'principal'), removeScholarship);
+
 module.exports = router;
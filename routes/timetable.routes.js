@@ -0,0 +1,61 @@
+const express = require('express');
+const {
+  getBellSchedule,
+  updateBellSchedule,
+  getSlots,
+  checkSlots,
+  createSlot,
+  saveClassTimetable,
+  updateSlot,
+  deleteSlot,
+  getClassTimetable,
+  getTeacherTimetable,
+  getMyTimetable,
+  getSubstitutions,
+  assignSubstitute,
+  deleteSubstitution
+} = require('../controllers/timetable.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Must come before /:id route
+router
+  .route('/bell-schedule')
+  .get(protect, getBellSchedule)
+  .put(protect, authorize('admin', 'principal'), updateBellSchedule);
+
+router.route('/my').get(protect, authorize('teacher', 'student'), getMyTimetable);
+
+router.route('/check').post(protect, authorize('admin', 'principal', 'vice-principal'), checkSlots);
+
+router
+  .route('/class')
+  .get(protect, getClassTimetable)
+  .put(protect, authorize('admin', 'principal', 'vice-principal'), saveClassTimetable);
+
+router
+  .route('/teacher/:teacherId')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getTeacherTimetable);
+
+router
+  .route('/substitutions')
+  .get(protect, authorize('admin', 'principal', 'vice-principal'), getSubstitutions)
+  .post(protect, authorize('admin', 'principal', 'vice-principal'), assignSubstitute);
+
+router
+  .route('/substitutions/:id')
+  .delete(protect, authorize('admin', 'principal', 'vice-principal'), deleteSubstitution);
+
+router
+  .route('/')
+  .get(protect, authorize('admin', 'principal', 'vice-principal', 'teacher'), getSlots)
+  .post(protect, authorize('admin', 'principal', 'vice-principal'), createSlot);
+
+router
+  .route('/:id')
+  .put(protect, authorize('admin', 'principal', 'vice-principal'), updateSlot)
+  .delete(protect, authorize('admin', 'principal', 'vice-principal'), deleteSlot);
+
+module.exports = router;
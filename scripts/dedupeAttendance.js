@@ -0,0 +1,81 @@
+// Prepare existing attendance for the one-record-per-user-per-day rule:
+// fills in the `day` field, removes duplicate records (keeping the most
+// recently updated one) and builds the unique index.
+//   node scripts/dedupeAttendance.js --dry-run
+//   node scripts/dedupeAttendance.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Attendance = require('../models/Attendance');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Backfill the day key
+    const missingDay = await Attendance.find({ day: { $exists: false } }).select('date');
+    console.log(`Records without a day: ${missingDay.length}`);
+
+    if (!dryRun && missingDay.length > 0) {
+      await Attendance.bulkWrite(missingDay.map(record => ({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { day: Attendance.dayKey(record.date) } }
+        }
+      })), { timestamps: false });
+    }
+
+    // Records still without a day (in a dry run) are grouped by the day worked
+    // out from their date, in this server's time zone as Attendance.dayKey does
+    const duplicates = await Attendance.aggregate([
+      { $sort: { updatedAt: -1 } },
+      {
+        $group: {
+          _id: {
+            userId: '$userId',
+            userModel: '$userModel',
+            day: {
+              $ifNull: ['$day', {
+                $dateToString: {
+                  format: '%Y-%m-%d',
+                  date: '$date',
+                  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+                }
+              }]
+            },
+            period: { $ifNull: ['$period', null] }
+          },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const toDelete = duplicates.flatMap(group => group.ids.slice(1));
+    console.log(`Duplicate groups: ${duplicates.length}, records to delete: ${toDelete.length}`);
+
+    if (!dryRun) {
+      if (toDelete.length > 0) {
+        await Attendance.deleteMany({ _id: { $in: toDelete } });
+      }
+
+      await Attendance.syncIndexes();
+      console.log('Attendance indexes synced');
+    } else {
+      console.log('Dry run: run without --dry-run to backfill days, find and delete duplicates');
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error deduplicating attendance:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,58 @@
+// Generate the monthly fees for all active students.
+// Meant to be run by a scheduler (cron, CI job) at the start of each month:
+//   node scripts/generateMonthlyFees.js            -> current month
+//   node scripts/generateMonthlyFees.js 06/2025    -> a specific month
+//   node scripts/generateMonthlyFees.js 06/2025 --dry-run
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { generateMonthlyFees } = require('../controllers/fee.controller');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const now = new Date();
+  const month = args.find(arg => !arg.startsWith('--')) ||
+    `${String(now.getMonth() + 1).padStart(2, '0')}/${now.getFullYear()}`;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Scheduled runs are recorded against the system administrator account
+    const admin = await User.findOne({ role: 'admin', isSystemAccount: true });
+    if (!admin) {
+      throw new Error('System administrator account not found');
+    }
+
+    const summary = await generateMonthlyFees({
+      month,
+      recordedById: admin._id,
+      dryRun
+    });
+
+    console.log(`\n=== MONTHLY FEES ${summary.month}${dryRun ? ' (DRY RUN)' : ''} ===`);
+    console.log('Students:', summary.totalStudents);
+    console.log('Students billed:', summary.created);
+    console.log('Fee records:', summary.feesCreated);
+    console.log('Skipped:', summary.skipped);
+    console.log('Failed:', summary.failed);
+    console.log('Total amount:', summary.totalAmount);
+    console.log('Total discounts:', summary.totalDiscounts);
+    console.log('Total arrears:', summary.totalArrears);
+
+    summary.details
+      .filter(detail => detail.result === 'failed')
+      .forEach(detail => console.log(`Failed: ${detail.rollNumber} ${detail.name} - ${detail.reason}`));
+
+    await mongoose.disconnect();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error generating monthly fees:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
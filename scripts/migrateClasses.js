@@ -0,0 +1,164 @@
+// Create Class and Section records from the class and section strings stored
+// on students and teachers, then link every student and teacher to them.
+// Names differing only in case or spacing ("10 ", "10") are merged into one
+// class; each merge is reported. Until this has run, classes are not enforced.
+//   node scripts/migrateClasses.js --dry-run
+//   node scripts/migrateClasses.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Class = require('../models/Class');
+const Section = require('../models/Section');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+
+const NOT_ASSIGNED = 'Not assigned';
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Raw documents so stored values are seen before any normalization
+    const students = await Student.collection.find({}, { projection: { class: 1, section: 1 } }).toArray();
+    const teachers = await Teacher.collection.find({}, { projection: { classes: 1 } }).toArray();
+
+    // Group spellings by their case-insensitive key; the first spelling seen
+    // on existing Class records, else the most used one, becomes the name
+    const existingClasses = await Class.find({ isActive: true });
+    const spellings = {};
+    const addSpelling = (raw) => {
+      const name = Class.normalizeName(raw);
+      if (!name || name.toLowerCase() === NOT_ASSIGNED.toLowerCase()) return;
+
+      const key = name.toLowerCase();
+      spellings[key] = spellings[key] || { names: {}, raw: new Set() };
+      spellings[key].names[name] = (spellings[key].names[name] || 0) + 1;
+      spellings[key].raw.add(raw);
+    };
+    students.forEach(student => addSpelling(student.class));
+    teachers.forEach(teacher => (teacher.classes || []).forEach(addSpelling));
+
+    const canonical = {};
+    Object.entries(spellings).forEach(([key, { names, raw }]) => {
+      const existing = existingClasses.find(cls => cls.name.toLowerCase() === key);
+      canonical[key] = existing
+        ? existing.name
+        : Object.entries(names).sort((a, b) => b[1] - a[1])[0][0];
+
+      const merged = [...raw].filter(value => value !== canonical[key]);
+      if (merged.length > 0) {
+        console.log(`Merging ${merged.map(value => JSON.stringify(value)).join(', ')} into class "${canonical[key]}"`);
+      }
+    });
+    const resolveClass = (raw) => {
+      const name = Class.normalizeName(raw);
+      if (!name || name.toLowerCase() === NOT_ASSIGNED.toLowerCase()) return NOT_ASSIGNED;
+      return canonical[name.toLowerCase()];
+    };
+
+    // Sections seen on students of each class
+    const sectionsByClass = {};
+    students.forEach(student => {
+      const className = resolveClass(student.class);
+      const section = Section.normalizeName(student.section);
+      if (className === NOT_ASSIGNED || !section) return;
+
+      sectionsByClass[className] = sectionsByClass[className] || new Set();
+      sectionsByClass[className].add(section);
+    });
+
+    const classNames = Object.values(canonical);
+    const newClasses = classNames.filter(name => !existingClasses.some(cls => cls.name === name));
+    console.log(`Classes found: ${classNames.length}, to create: ${newClasses.length}`);
+    classNames.forEach(name => {
+      console.log(`  Class ${name}: sections ${[...(sectionsByClass[name] || [])].sort().join(', ') || '(none)'}`);
+    });
+
+    if (dryRun) {
+      console.log('Dry run: run without --dry-run to create the classes and sections and link students and teachers');
+      await mongoose.disconnect();
+      process.exit(0);
+    }
+
+    // Create the classes and sections
+    const classIds = {};
+    const sectionIds = {};
+    for (const name of classNames) {
+      let classDoc = existingClasses.find(cls => cls.name === name);
+      if (!classDoc) {
+        const numeric = parseInt(name, 10);
+        classDoc = await Class.create({ name, order: isNaN(numeric) ? 0 : numeric });
+      }
+      classIds[name] = classDoc._id;
+
+      for (const sectionName of sectionsByClass[name] || []) {
+        const section = await Section.findOneAndUpdate(
+          { class: classDoc._id, name: sectionName },
+          { $setOnInsert: { class: classDoc._id, name: sectionName } },
+          { upsert: true, new: true }
+        );
+        sectionIds[`${name}|${sectionName}`] = section._id;
+      }
+    }
+
+    // Link students
+    const studentOps = students.map(student => {
+      const className = resolveClass(student.class);
+      const section = Section.normalizeName(student.section);
+      return {
+        updateOne: {
+          filter: { _id: student._id },
+          update: {
+            $set: {
+              class: className,
+              section,
+              classId: classIds[className] || null,
+              sectionId: sectionIds[`${className}|${section}`] || null
+            }
+          }
+        }
+      };
+    });
+    if (studentOps.length > 0) {
+      await Student.collection.bulkWrite(studentOps);
+    }
+    console.log(`Students linked: ${studentOps.length}`);
+
+    // Link teachers
+    const teacherOps = teachers.map(teacher => {
+      const classes = [...new Set((teacher.classes || []).map(resolveClass))];
+      const assigned = classes.filter(name => name !== NOT_ASSIGNED);
+      return {
+        updateOne: {
+          filter: { _id: teacher._id },
+          update: {
+            $set: {
+              classes: assigned.length > 0 ? assigned : [NOT_ASSIGNED],
+              classIds: assigned.map(name => classIds[name])
+            }
+          }
+        }
+      };
+    });
+    if (teacherOps.length > 0) {
+      await Teacher.collection.bulkWrite(teacherOps);
+    }
+    console.log(`Teachers linked: ${teacherOps.length}`);
+
+    await Class.syncIndexes();
+    await Section.syncIndexes();
+    console.log('Class and section indexes synced');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating classes:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
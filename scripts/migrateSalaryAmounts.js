@@ -0,0 +1,83 @@
+// Fill in baseAmount, grossAmount and netAmount on salary records saved before
+// they existed. The old pre-save hook applied bonuses and deductions to amount
+// on every save, so the base is recovered as amount - bonuses + deductions.
+// Records whose recovered base differs from the staff member's current salary
+// are listed for a manual check (the salary may have changed, or the record
+// was saved more than once and compounded).
+//   node scripts/migrateSalaryAmounts.js --dry-run
+//   node scripts/migrateSalaryAmounts.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Salary = require('../models/Salary');
+require('../models/Teacher');
+require('../models/AdminStaff');
+require('../models/SupportStaff');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const salaries = await Salary.find({ baseAmount: { $exists: false } })
+      .populate('teacher', 'employeeId salary')
+      .populate('adminStaff', 'employeeId salary')
+      .populate('supportStaff', 'employeeId salary');
+
+    console.log(`Found ${salaries.length} salary records to migrate${dryRun ? ' (DRY RUN)' : ''}`);
+
+    let migrated = 0;
+    const toCheck = [];
+
+    for (const salary of salaries) {
+      const totalBonuses = (salary.bonuses || []).reduce((sum, item) => sum + item.amount, 0);
+      const totalDeductions = (salary.deductions || []).reduce((sum, item) => sum + item.amount, 0);
+
+      const baseAmount = round(salary.amount - totalBonuses + totalDeductions);
+      const grossAmount = round(baseAmount + totalBonuses);
+      const netAmount = round(grossAmount - totalDeductions);
+
+      const staff = salary.teacher || salary.adminStaff || salary.supportStaff;
+      if (baseAmount < 0 || (staff && staff.salary !== baseAmount)) {
+        toCheck.push(`${salary._id} ${salary.month} ${staff?.employeeId || 'unknown staff'}: recovered base ${baseAmount}, current salary ${staff?.salary ?? '-'}`);
+      }
+
+      if (!dryRun) {
+        // Update the stored fields directly so the new hook does not run on
+        // a half-migrated record
+        await Salary.collection.updateOne(
+          { _id: salary._id },
+          {
+            $set: {
+              baseAmount,
+              grossAmount,
+              netAmount,
+              amount: netAmount,
+              remainingAmount: round(netAmount - (salary.paidAmount || 0))
+            }
+          }
+        );
+      }
+      migrated++;
+    }
+
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} salary records`);
+    if (toCheck.length > 0) {
+      console.log(`\n${toCheck.length} records to check manually:`);
+      toCheck.forEach(line => console.log(line));
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating salary amounts:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
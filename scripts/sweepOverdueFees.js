@@ -0,0 +1,39 @@
+// Mark fees past their due date as overdue, apply late fines and notify students.
+// Meant to be run daily by a scheduler (cron, CI job):
+//   node scripts/sweepOverdueFees.js
+//   node scripts/sweepOverdueFees.js --no-fines --no-notify
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { sweepOverdueFees } = require('../controllers/fee.controller');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const summary = await sweepOverdueFees({
+      applyFines: !args.includes('--no-fines'),
+      notify: !args.includes('--no-notify')
+    });
+
+    console.log('\n=== OVERDUE FEE SWEEP ===');
+    console.log('Fees checked:', summary.checked);
+    console.log('Marked overdue:', summary.markedOverdue);
+    console.log('Fines applied:', summary.finesApplied);
+    console.log('Total fines:', summary.totalFines);
+    console.log('Notifications sent:', summary.notificationsSent);
+    console.log('Failed:', summary.failed);
+
+    await mongoose.disconnect();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error sweeping overdue fees:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
@@ -116,9 +116,25 @@ const studentRoutes = require('./routes/student.routes');
 const supportStaffRoutes = require('./routes/supportStaff.routes');
 const adminStaffRoutes = require('./routes/adminStaff.routes');
 const attendanceRoutes = require('./routes/attendance.routes');
+const attendanceCorrectionRoutes = require('./routes/attendanceCorrection.routes');
+const absenceNoteRoutes = require('./routes/absenceNote.routes');
+const attendanceReportRoutes = require('./routes/attendanceReport.routes');
+const calendarRoutes = require('./routes/calendar.routes');
+const classRoutes = require('./routes/class.routes');
+const timetableRoutes = require('./routes/timetable.routes');
+const academicYearRoutes = require('./routes/academicYear.routes');
+const promotionRoutes = require('./routes/promotion.routes');
+const assignmentRoutes = require('./routes/assignment.routes');
+const parentRoutes = require('./routes/parent.routes');
+const admissionRoutes = require('./routes/admission.routes');
 const feeRoutes = require('./routes/fee.routes');
 const feeReceiptRoutes = require('./routes/fee-receipt.routes');
+const feeStructureRoutes = require('./routes/feeStructure.routes');
+const feeReportRoutes = require('./routes/feeReport.routes');
 const salaryRoutes = require('./routes/salary.routes');
+const payrollRoutes = require('./routes/payroll.routes');
+const leaveRoutes = require('./routes/leave.routes');
+const examRoutes = require('./routes/exam.routes');
 const noticeRoutes = require('./routes/notice.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const filterRoutes = require('./routes/filter.routes');
@@ -145,9 +161,25 @@ app.use('/api/students', studentRoutes);
 app.use('/api/support-staff', supportStaffRoutes);
 app.use('/api/admin-staff', adminStaffRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/attendance-corrections', attendanceCorrectionRoutes);
+app.use('/api/absence-notes', absenceNoteRoutes);
+app.use('/api/attendance-reports', attendanceReportRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/classes', classRoutes);
+app.use('/api/timetable', timetableRoutes);
+app.use('/api/academic-years', academicYearRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/parents', parentRoutes);
+app.use('/api/admissions', admissionRoutes);
 app.use('/api/fees', feeRoutes);
 app.use('/api/fee-receipts', feeReceiptRoutes);
+app.use('/api/fee-structures', feeStructureRoutes);
+app.use('/api/fee-reports', feeReportRoutes);
 app.use('/api/salaries', salaryRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/exams', examRoutes);
 app.use('/api/events-notices', noticeRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/filters', filterRoutes);
@@ -0,0 +1,86 @@
+const Fee = require('../models/Fee');
+const Attendance = require('../models/Attendance');
+const Salary = require('../models/Salary');
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+
+// Salary months (MM/YYYY) whose first day falls within a date range
+const listSalaryMonths = (start, end) => {
+  const months = [];
+  const current = new Date(start.getFullYear(), start.getMonth(), 1);
+  if (current < start) current.setMonth(current.getMonth() + 1);
+
+  while (current <= end) {
+    months.push(`${String(current.getMonth() + 1).padStart(2, '0')}/${current.getFullYear()}`);
+    current.setMonth(current.getMonth() + 1);
+  }
+  return months;
+};
+
+/**
+ * Attach fees, attendance and salaries to the academic year their date falls in
+ * Records outside the year's dates that were attached to it are detached, so
+ * this is safe to run again after the dates change.
+ * @param {Object} year - AcademicYear document
+ * @returns {Promise<Object>} - Number of records attached: { fees, attendance, salaries }
+ */
+exports.tagRecords = async (year) => {
+  const inRange = { $gte: year.startDate, $lte: year.endDate };
+  const months = listSalaryMonths(year.startDate, year.endDate);
+
+  await Promise.all([
+    Fee.updateMany({ academicYear: year._id, dueDate: { $not: inRange } }, { academicYear: null }, { timestamps: false }),
+    Attendance.updateMany({ academicYear: year._id, date: { $not: inRange } }, { academicYear: null }, { timestamps: false }),
+    Salary.updateMany({ academicYear: year._id, month: { $nin: months } }, { academicYear: null }, { timestamps: false })
+  ]);
+
+  const [fees, attendance, salaries] = await Promise.all([
+    Fee.updateMany({ dueDate: inRange }, { academicYear: year._id }, { timestamps: false }),
+    Attendance.updateMany({ date: inRange }, { academicYear: year._id }, { timestamps: false }),
+    Salary.updateMany({ month: { $in: months } }, { academicYear: year._id }, { timestamps: false })
+  ]);
+
+  return {
+    fees: fees.modifiedCount,
+    attendance: attendance.modifiedCount,
+    salaries: salaries.modifiedCount
+  };
+};
+
+/**
+ * Enrol students who have no academic year yet (e.g. admitted before academic
+ * years were set up) in a year, in their current class
+ * @param {Object} year - AcademicYear document
+ * @returns {Promise<Number>} - Number of students enrolled
+ */
+exports.enrollUnassignedStudents = async (year) => {
+  const students = await Student.find({ academicYear: null, enrollmentStatus: 'enrolled' })
+    .select('class section classId sectionId rollNumber');
+
+  if (students.length === 0) return 0;
+
+  await Enrollment.bulkWrite(students.map(student => ({
+    updateOne: {
+      filter: { student: student._id, academicYear: year._id },
+      update: {
+        $set: {
+          class: student.class,
+          section: student.section,
+          classId: student.classId,
+          sectionId: student.sectionId,
+          rollNumber: student.rollNumber
+        },
+        $setOnInsert: { status: 'active' }
+      },
+      upsert: true
+    }
+  })));
+
+  await Student.updateMany(
+    { _id: { $in: students.map(student => student._id) } },
+    { academicYear: year._id },
+    { timestamps: false }
+  );
+
+  return students.length;
+};
@@ -0,0 +1,135 @@
+const Attendance = require('../models/Attendance');
+const Teacher = require('../models/Teacher');
+
+/**
+ * Roll a student's period (lesson) attendance for one day up into a daily status
+ * - leave in every period: leave
+ * - not present in any period: absent
+ * - absent from half or more of the periods attended-or-missed: half-day
+ * - late to any period: late
+ * - otherwise: present
+ * @param {Array<String>} statuses - Attendance status of each period that day
+ * @returns {String|null} - Daily status, or null when there were no periods
+ */
+exports.rollupPeriodStatus = (statuses = []) => {
+  if (statuses.length === 0) return null;
+
+  const count = (status) => statuses.filter(s => s === status).length;
+  const leave = count('leave');
+  if (leave === statuses.length) return 'leave';
+
+  const absent = count('absent') + count('half-day') / 2;
+  const held = statuses.length - leave;
+
+  if (absent >= held) return 'absent';
+  if (absent >= held / 2) return 'half-day';
+  if (count('late') > 0) return 'late';
+  return 'present';
+};
+
+/**
+ * Check whether a user may see a class's attendance reports
+ * Teachers are limited to their assigned classes; other roles are not restricted here.
+ * @param {Object} user - req.user
+ * @param {String} className - Class being reported on
+ * @returns {Promise<String|null>} - Error message, or null when access is allowed
+ */
+exports.checkTeacherClassAccess = async (user, className) => {
+  if (user.role !== 'teacher') return null;
+
+  const teacher = await Teacher.findOne({ user: user.id });
+  if (!teacher || !teacher.classes || !teacher.classes.includes(className)) {
+    return 'You can only view attendance for your assigned classes';
+  }
+  return null;
+};
+
+/**
+ * Count statuses and work out the attendance percentage
+ * Late counts as attended, a half-day as half a day, and leave days are left
+ * out of the percentage altogether. When the number of working days is given
+ * it is used as the denominator, so unmarked working days count against the
+ * percentage; otherwise only marked days are considered.
+ * @param {Array<String>} statuses - One daily status per marked day
+ * @param {Number} [workingDays] - Working days in the period, from the school calendar
+ * @returns {Object} - { markedDays, present, late, absent, halfDay, leave, percentage }
+ */
+exports.summarizeStatuses = (statuses = [], workingDays = null) => {
+  const count = (status) => statuses.filter(s => s === status).length;
+  const summary = {
+    markedDays: statuses.length,
+    present: count('present'),
+    late: count('late'),
+    absent: count('absent'),
+    halfDay: count('half-day'),
+    leave: count('leave')
+  };
+
+  if (workingDays !== null) {
+    summary.workingDays = workingDays;
+    summary.unmarked = Math.max(workingDays - summary.markedDays, 0);
+  }
+
+  const considered = (workingDays !== null ? workingDays : summary.markedDays) - summary.leave;
+  const attended = summary.present + summary.late + summary.halfDay / 2;
+  summary.percentage = considered > 0 ? Math.round(attended / considered * 10000) / 100 : null;
+
+  return summary;
+};
+
+/**
+ * Load each user's daily attendance status over a date range
+ * Days with only period (lesson) attendance are rolled up into a daily status.
+ * @param {Object} options - { userModel, userIds, start, end }
+ * @returns {Promise<Object>} - { [userId]: { [YYYY-MM-DD]: status } }
+ */
+exports.loadDailyStatuses = async ({ userModel, userIds, start, end }) => {
+  const records = await Attendance.find({
+    userModel,
+    userId: { $in: userIds },
+    date: { $gte: start, $lte: end }
+  }).select('userId date day period status');
+
+  const daily = {};
+  const periods = {};
+
+  records.forEach(record => {
+    const userId = record.userId.toString();
+    const day = record.day || Attendance.dayKey(record.date);
+
+    if (record.period === null || record.period === undefined) {
+      daily[userId] = daily[userId] || {};
+      daily[userId][day] = record.status;
+    } else {
+      periods[userId] = periods[userId] || {};
+      periods[userId][day] = periods[userId][day] || [];
+      periods[userId][day].push(record.status);
+    }
+  });
+
+  Object.keys(periods).forEach(userId => {
+    daily[userId] = daily[userId] || {};
+    Object.keys(periods[userId]).forEach(day => {
+      if (!daily[userId][day]) {
+        daily[userId][day] = exports.rollupPeriodStatus(periods[userId][day]);
+      }
+    });
+  });
+
+  return daily;
+};
+
+/**
+ * Summarize one user's daily statuses against the working days of a period
+ * Anything marked on a holiday or weekly off day is ignored.
+ * @param {Object} dailyStatuses - { [YYYY-MM-DD]: status }, see loadDailyStatuses
+ * @param {Array<String>} workingDays - Working days of the period (YYYY-MM-DD)
+ * @returns {Object} - See summarizeStatuses
+ */
+exports.summarizeWorkingDays = (dailyStatuses = {}, workingDays = []) => {
+  const statuses = workingDays
+    .filter(day => dailyStatuses[day])
+    .map(day => dailyStatuses[day]);
+
+  return exports.summarizeStatuses(statuses, workingDays.length);
+};
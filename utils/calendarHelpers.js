@@ -0,0 +1,118 @@
+const CalendarEvent = require('../models/CalendarEvent');
+const SchoolSettings = require('../models/SchoolSettings');
+const Attendance = require('../models/Attendance');
+const { parseDateRange } = require('./dateHelpers');
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * List the calendar days (YYYY-MM-DD) from start to end, inclusive
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @returns {Array<String>} - Day keys
+ */
+exports.listDays = (start, end) => {
+  const days = [];
+  const current = new Date(start);
+  current.setHours(0, 0, 0, 0);
+
+  while (current <= end) {
+    days.push(Attendance.dayKey(current));
+    current.setDate(current.getDate() + 1);
+  }
+  return days;
+};
+
+/**
+ * Read a calendar date range from query parameters
+ * Accepts year=YYYY for a whole year, otherwise month or from/to (see parseDateRange).
+ * @param {Object} query - req.query
+ * @returns {Object|null} - { start, end }, or null when invalid
+ */
+exports.parseCalendarRange = (query = {}) => {
+  if (query.year) {
+    const year = parseInt(query.year, 10);
+    if (isNaN(year)) return null;
+    return {
+      start: new Date(year, 0, 1),
+      end: new Date(year, 11, 31, 23, 59, 59, 999)
+    };
+  }
+  return parseDateRange(query);
+};
+
+/**
+ * Build the query for calendar events overlapping a date range
+ * @param {Object} range - { start, end }
+ * @returns {Object} - Mongoose query
+ */
+exports.buildRangeQuery = (range) => ({
+  startDay: { $lte: Attendance.dayKey(range.end) },
+  endDay: { $gte: Attendance.dayKey(range.start) }
+});
+
+/**
+ * Build a calendar lookup from calendar events and the weekly off days
+ * @param {Array<Object>} events - CalendarEvent documents
+ * @param {Array<Number>} weeklyOffDays - Days of the week the school is closed (0 = Sunday)
+ * @returns {Object} - { getDay(day), isWorkingDay(day), workingDays(start, end) }
+ */
+exports.buildCalendar = (events = [], weeklyOffDays = [0]) => {
+  const getDay = (day) => {
+    const [year, month, date] = day.split('-').map(Number);
+    const weekday = new Date(year, month - 1, date).getDay();
+    const dayEvents = events.filter(event => event.startDay <= day && event.endDay >= day);
+    const holiday = dayEvents.find(event => event.type === 'holiday');
+
+    let reason = null;
+    if (holiday) {
+      reason = holiday.title;
+    } else if (weeklyOffDays.includes(weekday)) {
+      reason = WEEKDAY_NAMES[weekday];
+    }
+
+    return {
+      day,
+      working: !reason,
+      halfDay: !reason && dayEvents.some(event => event.type === 'half-day'),
+      reason,
+      events: dayEvents
+    };
+  };
+
+  return {
+    getDay,
+    isWorkingDay: (day) => getDay(day).working,
+    workingDays: (start, end) => exports.listDays(start, end).filter(day => getDay(day).working)
+  };
+};
+
+/**
+ * Load the school calendar for a date range
+ * @param {Date} start - First day of the range
+ * @param {Date} end - Last day of the range
+ * @returns {Promise<Object>} - Calendar lookup, see buildCalendar
+ */
+exports.loadCalendar = async (start, end) => {
+  const settings = await SchoolSettings.findOne().select('calendar');
+  const weeklyOffDays = settings?.calendar?.weeklyOffDays || [0];
+
+  const events = await CalendarEvent.find(exports.buildRangeQuery({ start, end })).sort('startDate');
+
+  return exports.buildCalendar(events, weeklyOffDays);
+};
+
+/**
+ * Check that attendance may be marked on a date
+ * @param {Date|String} date - Date being marked
+ * @returns {Promise<String|null>} - Error message, or null on a working day
+ */
+exports.checkWorkingDay = async (date) => {
+  const day = new Date(date);
+  const calendar = await exports.loadCalendar(day, day);
+  const info = calendar.getDay(Attendance.dayKey(day));
+
+  return info.working
+    ? null
+    : `${info.day} is not a working day (${info.reason}). Attendance cannot be marked on holidays or weekly off days`;
+};
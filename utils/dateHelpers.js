@@ -0,0 +1,69 @@
+/**
+ * Parse a month given as MM/YYYY (or YYYY-MM, as sent by <input type="month">)
+ * @param {String} value - Month string
+ * @returns {Object|null} - { month, year, key, start, end } or null if invalid;
+ *   month is 1-12, key is the MM/YYYY form, start/end bound the whole month
+ */
+exports.parseMonth = (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  let month;
+  let year;
+  let match = value.trim().match(/^(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    month = parseInt(match[1], 10);
+    year = parseInt(match[2], 10);
+  } else if ((match = value.trim().match(/^(\d{4})-(\d{1,2})$/))) {
+    year = parseInt(match[1], 10);
+    month = parseInt(match[2], 10);
+  } else {
+    return null;
+  }
+
+  if (month < 1 || month > 12) return null;
+
+  return {
+    month,
+    year,
+    key: `${String(month).padStart(2, '0')}/${year}`,
+    start: new Date(year, month - 1, 1),
+    end: new Date(year, month, 0, 23, 59, 59, 999)
+  };
+};
+
+// Longest from/to range accepted by default; callers that go through a range
+// day by day would otherwise loop over decades for a bare ?to=
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Read a reporting date range from query parameters
+ * Accepts ?month= (MM/YYYY or YYYY-MM) or ?from=&to= (any Date-parsable value);
+ * defaults to the current month. `to` is inclusive of the whole day.
+ * @param {Object} query - Express req.query
+ * @param {Object} options - { maxDays } longest range allowed (null = no limit)
+ * @returns {Object|null} - { start, end } or null if the values are invalid or the range is too long
+ */
+exports.parseDateRange = (query = {}, { maxDays = MAX_RANGE_DAYS } = {}) => {
+  if (query.month) {
+    const period = exports.parseMonth(query.month);
+    return period ? { start: period.start, end: period.end } : null;
+  }
+
+  if (query.from || query.to) {
+    const start = query.from ? new Date(query.from) : new Date(0);
+    const end = query.to ? new Date(query.to) : new Date();
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
+
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    if (start > end) return null;
+    if (maxDays && (end - start) / (24 * 60 * 60 * 1000) > maxDays) return null;
+    return { start, end };
+  }
+
+  const now = new Date();
+  return {
+    start: new Date(now.getFullYear(), now.getMonth(), 1),
+    end: new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999)
+  };
+};
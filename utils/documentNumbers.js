@@ -0,0 +1,44 @@
+const Counter = require('../models/Counter');
+const Student = require('../models/Student');
+
+/**
+ * Get the next fee receipt number, e.g. RCPT-2025-000042
+ * Numbers come from a per-year counter so they are sequential and never reused.
+ * @param {Date} date - Date the receipt is issued (defaults to now)
+ * @returns {Promise<String>}
+ */
+exports.nextReceiptNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`fee-receipt-${year}`);
+  return `RCPT-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Get the next admission application number, e.g. ADM-2025-000042
+ * @param {Date} date - Date the application is received (defaults to now)
+ * @returns {Promise<String>}
+ */
+exports.nextApplicationNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`admission-application-${year}`);
+  return `ADM-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Get the next free student roll number, e.g. STU20250042
+ * Numbers come from a per-year counter; any already taken by a student entered
+ * by hand are skipped.
+ * @param {Date} date - Date of admission (defaults to now)
+ * @returns {Promise<String>}
+ */
+exports.nextRollNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+
+  let rollNumber;
+  do {
+    const seq = await Counter.next(`roll-number-${year}`);
+    rollNumber = `STU${year}${String(seq).padStart(4, '0')}`;
+  } while (await Student.exists({ rollNumber }));
+
+  return rollNumber;
+};
@@ -0,0 +1,76 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Build a workbook from report sheets
+ * Each sheet is { name, title, columns, rows, totals } where columns are
+ * { header, key, width, numFmt } and rows/totals are plain objects keyed by
+ * column key. The optional title is written above the header row.
+ * @param {Array<Object>} sheets - Sheet definitions
+ * @returns {ExcelJS.Workbook}
+ */
+exports.buildWorkbook = (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'School Management System';
+  workbook.lastModifiedBy = 'School Management System';
+  workbook.created = new Date();
+  workbook.modified = new Date();
+
+  sheets.forEach(sheet => {
+    // Sheet names are limited to 31 characters and cannot contain []:*?/\
+    const worksheet = workbook.addWorksheet(sheet.name.replace(/[\[\]:*?\/\\]/g, '-').substring(0, 31));
+
+    let headerRowNumber = 1;
+    if (sheet.title) {
+      worksheet.addRow([sheet.title]);
+      worksheet.getRow(1).font = { bold: true, size: 14 };
+      worksheet.mergeCells(1, 1, 1, sheet.columns.length);
+      worksheet.addRow([]);
+      headerRowNumber = 3;
+    }
+
+    const headerRow = worksheet.getRow(headerRowNumber);
+    sheet.columns.forEach((column, index) => {
+      headerRow.getCell(index + 1).value = column.header;
+      worksheet.getColumn(index + 1).width = column.width || Math.max(15, column.header.length * 1.2);
+      if (column.numFmt) {
+        worksheet.getColumn(index + 1).numFmt = column.numFmt;
+      }
+    });
+    headerRow.font = { bold: true };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFD3D3D3' } // Light gray
+    };
+
+    sheet.rows.forEach(row => {
+      worksheet.addRow(sheet.columns.map(column => row[column.key] === undefined ? null : row[column.key]));
+    });
+
+    if (sheet.totals) {
+      const totalsRow = worksheet.addRow(sheet.columns.map(column =>
+        sheet.totals[column.key] === undefined ? null : sheet.totals[column.key]));
+      totalsRow.font = { bold: true };
+    }
+
+    worksheet.views = [{ state: 'frozen', ySplit: headerRowNumber }];
+  });
+
+  return workbook;
+};
+
+/**
+ * Send a workbook as an .xlsx download
+ * @param {Object} res - Express response
+ * @param {ExcelJS.Workbook} workbook - Workbook to send
+ * @param {String} filename - Download file name
+ */
+exports.sendWorkbook = async (res, workbook, filename) => {
+  const buffer = await workbook.xlsx.writeBuffer();
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(Buffer.from(buffer));
+};
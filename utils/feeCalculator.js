@@ -0,0 +1,169 @@
+const Student = require('../models/Student');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Position of a student among their enrolled siblings (1 = eldest)
+ * Siblings are active students sharing the parent contact number and father's name.
+ * @param {Object} student - Student document
+ * @returns {Promise<Number>}
+ */
+exports.getSiblingOrder = async (student) => {
+  const contactNumber = student.parentInfo?.contactNumber;
+  if (!contactNumber) return 1;
+
+  const siblings = await Student.find({
+    isActive: true,
+    'parentInfo.contactNumber': contactNumber,
+    'parentInfo.fatherName': student.parentInfo.fatherName
+  }).select('_id dateOfBirth admissionDate');
+
+  siblings.sort((a, b) =>
+    (a.dateOfBirth - b.dateOfBirth) ||
+    (a.admissionDate - b.admissionDate) ||
+    a._id.toString().localeCompare(b._id.toString())
+  );
+
+  const index = siblings.findIndex(sibling => sibling._id.toString() === student._id.toString());
+  return index === -1 ? 1 : index + 1;
+};
+
+// Scholarships valid at some point during the billed month
+const activeScholarships = (student, periodStart, periodEnd) => {
+  return (student.scholarships || []).filter(scholarship =>
+    (!scholarship.validFrom || scholarship.validFrom <= periodEnd) &&
+    (!scholarship.validUntil || scholarship.validUntil >= periodStart)
+  );
+};
+
+/**
+ * Apply sibling discount and scholarships to a gross amount
+ * Percentage scholarships apply to every matching line. A fixed scholarship is
+ * given once per billing period: pass the same fixedRemaining Map for all of a
+ * period's lines and each line takes what it can of the amount still left.
+ * @param {Object} options - { feeType, grossAmount, student, structure, siblingOrder, periodStart, periodEnd, fixedRemaining }
+ * @returns {Object} - { grossAmount, discounts, amount }
+ */
+exports.applyConcessions = ({ feeType, grossAmount, student, structure, siblingOrder = 1, periodStart, periodEnd, fixedRemaining = new Map() }) => {
+  const discounts = [];
+
+  if (structure && siblingOrder > 1 && (structure.siblingDiscountFeeTypes || []).includes(feeType)) {
+    // Use the rule for this child, or the closest one below it (3rd rule covers 4th, 5th...)
+    const rule = (structure.siblingDiscounts || [])
+      .filter(discount => discount.siblingOrder <= siblingOrder)
+      .sort((a, b) => b.siblingOrder - a.siblingOrder)[0];
+
+    if (rule && rule.percentage > 0) {
+      discounts.push({
+        kind: 'sibling',
+        reason: `Sibling discount (child ${siblingOrder}, ${rule.percentage}%)`,
+        amount: round(grossAmount * rule.percentage / 100)
+      });
+    }
+  }
+
+  const scholarships = activeScholarships(student, periodStart, periodEnd)
+    .filter(scholarship => !scholarship.feeTypes || scholarship.feeTypes.length === 0 || scholarship.feeTypes.includes(feeType));
+
+  scholarships
+    .filter(scholarship => scholarship.type === 'percentage')
+    .forEach(scholarship => {
+      discounts.push({
+        kind: 'scholarship',
+        reason: `${scholarship.name} (${scholarship.value}%)`,
+        amount: round(grossAmount * scholarship.value / 100)
+      });
+    });
+
+  // Fixed scholarships cover what is left of the line, up to their unused amount
+  scholarships
+    .filter(scholarship => scholarship.type === 'fixed')
+    .forEach(scholarship => {
+      const available = fixedRemaining.has(scholarship) ? fixedRemaining.get(scholarship) : scholarship.value;
+      const left = grossAmount - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+      const amount = round(Math.max(0, Math.min(available, left)));
+      fixedRemaining.set(scholarship, round(available - amount));
+
+      if (amount > 0) {
+        discounts.push({
+          kind: 'scholarship',
+          reason: scholarship.name,
+          amount
+        });
+      }
+    });
+
+  const totalDiscount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+  return {
+    grossAmount,
+    discounts,
+    amount: round(Math.max(0, grossAmount - totalDiscount))
+  };
+};
+
+/**
+ * Work out the fee lines a student should be billed for a month
+ * Without a fee structure for the student's class, the student's monthlyFee is
+ * billed as tuition (the behaviour before fee structures existed).
+ * @param {Object} options - { student, structure, period, siblingOrder }
+ *   period is the result of parseMonth
+ * @returns {Array<Object>} - [{ feeType, feeHead, feeStructure, grossAmount, discounts, amount }]
+ */
+exports.buildFeeLines = ({ student, structure, period, siblingOrder = 1 }) => {
+  const context = {
+    student,
+    structure,
+    siblingOrder,
+    periodStart: period.start,
+    periodEnd: period.end,
+    // Shared by the month's lines so each fixed scholarship is given once
+    fixedRemaining: new Map()
+  };
+
+  if (!structure) {
+    if (!student.monthlyFee || student.monthlyFee <= 0) return [];
+
+    return [{
+      feeType: 'tuition',
+      feeHead: 'Tuition',
+      feeStructure: null,
+      ...exports.applyConcessions({ ...context, feeType: 'tuition', grossAmount: student.monthlyFee })
+    }];
+  }
+
+  const optionalHeads = (student.optionalFeeHeads || []).map(name => name.toLowerCase());
+
+  return structure.feeHeads
+    .filter(head => head.frequency === 'monthly' || (head.dueMonths || []).includes(period.month))
+    .filter(head => !head.isOptional || optionalHeads.includes(head.name.toLowerCase()))
+    .map(head => ({
+      feeType: head.feeType,
+      feeHead: head.name,
+      feeStructure: structure._id,
+      ...exports.applyConcessions({ ...context, feeType: head.feeType, grossAmount: head.amount })
+    }));
+};
+
+/**
+ * Late fine owed on a fee under a structure's late fine rule
+ * @param {Object} fee - Fee document
+ * @param {Object} lateFine - FeeStructure.lateFine settings
+ * @param {Date} asOf - Date the fine is calculated for
+ * @returns {Number}
+ */
+exports.calculateLateFine = (fee, lateFine, asOf = new Date()) => {
+  if (!lateFine || !lateFine.enabled || !lateFine.amount || fee.status === 'paid') return 0;
+
+  const daysLate = Math.floor((asOf - new Date(fee.dueDate)) / DAY_MS) - (lateFine.graceDays || 0);
+  if (daysLate <= 0) return 0;
+
+  if (lateFine.type === 'daily') {
+    const fine = lateFine.amount * daysLate;
+    return lateFine.maxAmount > 0 ? Math.min(fine, lateFine.maxAmount) : fine;
+  }
+
+  return lateFine.amount;
+};
@@ -0,0 +1,95 @@
+const {
+  createDocument,
+  drawSchoolHeader,
+  drawDetails,
+  drawTable,
+  formatAmount,
+  formatDate,
+  documentToBuffer
+} = require('./pdfHelpers');
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+/**
+ * Render a fee receipt
+ * Used for both the downloadable receipt and the emailed copy so they are identical.
+ * @param {Object} fee - Fee document with student.user and recordedBy populated
+ * @param {Object} branding - Result of loadSchoolBranding
+ * @returns {Promise<Buffer>} - PDF contents
+ */
+exports.buildFeeReceiptPdf = async (fee, branding) => {
+  const doc = createDocument({
+    Title: `Fee Receipt ${fee.receiptNumber}`,
+    Subject: 'Fee Receipt'
+  });
+
+  drawSchoolHeader(doc, branding, 'FEE RECEIPT');
+
+  const student = fee.student || {};
+  const arrears = fee.arrears || 0;
+  const balance = fee.remainingAmount !== undefined && fee.remainingAmount !== null
+    ? fee.remainingAmount
+    : (fee.amount || 0) + (fee.fine || 0) - (fee.paidAmount || 0);
+
+  drawDetails(doc, [
+    ['Receipt No.', fee.receiptNumber],
+    ['Issued On', formatDate(new Date())],
+    ['Student Name', student.user?.name],
+    ['Roll No.', student.rollNumber],
+    ['Class / Section', student.class ? `${student.class}${student.section ? ` - ${student.section}` : ''}` : ''],
+    ["Father's Name", student.parentInfo?.fatherName]
+  ]);
+
+  doc.moveDown(0.5);
+
+  drawTable(doc, [
+    { header: 'Description', width: 0.55 },
+    { header: 'Due Date', width: 0.2 },
+    { header: 'Amount', width: 0.25, align: 'right' }
+  ], [
+    [fee.description || `${capitalize(fee.feeType)} fee`, formatDate(fee.dueDate), formatAmount(fee.grossAmount ?? fee.amount)],
+    ...(fee.discounts || []).map(discount => [`Less: ${discount.reason}`, '', `- ${formatAmount(discount.amount)}`]),
+    ...(fee.fine > 0 ? [['Late payment fine', '', formatAmount(fee.fine)]] : []),
+    ['Amount Paid', '', formatAmount(fee.paidAmount)],
+    ['Balance', '', formatAmount(balance)],
+    ['Arrears (previous months)', '', formatAmount(arrears)],
+    ['Total Outstanding', '', formatAmount(balance + arrears)]
+  ]);
+
+  // Installment history, so each payment can be traced to the cashier who took it
+  if (fee.payments && fee.payments.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(11).text('Payment History');
+    doc.moveDown(0.3);
+    drawTable(doc, [
+      { header: 'Date', width: 0.16 },
+      { header: 'Type', width: 0.12 },
+      { header: 'Receipt No.', width: 0.2 },
+      { header: 'Method', width: 0.14 },
+      { header: 'Received By', width: 0.2 },
+      { header: 'Amount', width: 0.18, align: 'right' }
+    ], fee.payments.map(payment => [
+      formatDate(payment.date),
+      capitalize(payment.type),
+      payment.receiptNumber || '',
+      capitalize(payment.method),
+      payment.receivedBy?.name || '',
+      `${payment.type === 'payment' ? '' : '- '}${formatAmount(payment.amount)}`
+    ]));
+  }
+
+  drawDetails(doc, [
+    ['Status', capitalize(fee.status)],
+    ['Payment Date', fee.paymentDate ? formatDate(fee.paymentDate) : ''],
+    ['Payment Method', capitalize(fee.paymentMethod)],
+    ['Transaction ID', fee.transactionId],
+    ['Received By', fee.recordedBy?.name]
+  ]);
+
+  doc.moveDown(2);
+  doc.font('Helvetica-Oblique').fontSize(8).fillColor('#666666')
+    .text('This is a computer-generated receipt and does not require a signature.', {
+      align: 'center'
+    });
+
+  return documentToBuffer(doc);
+};
@@ -0,0 +1,99 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find the grade for a percentage on a grading scale
+ * @param {Number} percentage - Percentage scored
+ * @param {Array<Object>} scale - [{ grade, minPercentage, remarks }] from SchoolSettings.grading
+ * @returns {Object} - { grade, remarks }
+ */
+exports.getGrade = (percentage, scale = []) => {
+  const band = [...scale]
+    .sort((a, b) => b.minPercentage - a.minPercentage)
+    .find(b => percentage >= b.minPercentage);
+
+  return band
+    ? { grade: band.grade, remarks: band.remarks || '' }
+    : { grade: '-', remarks: '' };
+};
+
+/**
+ * Give positions by score, highest first. Equal scores share a position and
+ * the next position is skipped (1, 2, 2, 4).
+ * @param {Array<Object>} rows - Rows with a numeric `total`
+ * @param {String} key - Property to store the position in
+ */
+exports.assignPositions = (rows, key = 'position') => {
+  const sorted = [...rows].sort((a, b) => b.total - a.total);
+  sorted.forEach((row, index) => {
+    row[key] = index > 0 && row.total === sorted[index - 1].total
+      ? sorted[index - 1][key]
+      : index + 1;
+  });
+};
+
+/**
+ * Work out every student's result in an exam
+ * A subject is passed when its marks reach its pass marks, or the grading
+ * scale's pass percentage when it has none; the exam is passed when every
+ * subject is. Positions are given within the class and within each section.
+ * @param {Object} options - { exam, students, marks, grading }
+ *   exam is an Exam document, students the class's Student documents (user
+ *   populated), marks the exam's ExamMark documents, grading SchoolSettings.grading
+ * @returns {Array<Object>} - One result per student in roll number order
+ */
+exports.compileResults = ({ exam, students, marks, grading = {} }) => {
+  const scale = grading.scale || [];
+  const passPercentage = grading.passPercentage ?? 40;
+
+  const results = students.map(student => {
+    const studentMarks = marks.filter(mark => mark.student.toString() === student._id.toString());
+
+    const subjects = exam.subjects.map(subject => {
+      const mark = studentMarks.find(m => m.subject.toLowerCase() === subject.name.toLowerCase());
+      const marksObtained = mark && !mark.isAbsent ? mark.marksObtained : 0;
+      const percentage = round(marksObtained / subject.maxMarks * 100);
+      const passMarks = subject.passMarks || subject.maxMarks * passPercentage / 100;
+
+      return {
+        subject: subject.name,
+        maxMarks: subject.maxMarks,
+        marksObtained,
+        isAbsent: mark ? mark.isAbsent : false,
+        entered: !!mark,
+        percentage,
+        ...exports.getGrade(percentage, scale),
+        passed: marksObtained >= passMarks,
+        remarks: mark?.remarks || ''
+      };
+    });
+
+    const total = round(subjects.reduce((sum, subject) => sum + subject.marksObtained, 0));
+    const maxTotal = subjects.reduce((sum, subject) => sum + subject.maxMarks, 0);
+    const percentage = maxTotal > 0 ? round(total / maxTotal * 100) : 0;
+    const overall = exports.getGrade(percentage, scale);
+
+    return {
+      studentId: student._id,
+      rollNumber: student.rollNumber,
+      name: student.user?.name || '',
+      section: student.section,
+      subjects,
+      total,
+      maxTotal,
+      percentage,
+      grade: overall.grade,
+      gradeRemarks: overall.remarks,
+      passed: subjects.every(subject => subject.passed),
+      complete: subjects.every(subject => subject.entered)
+    };
+  });
+
+  exports.assignPositions(results, 'position');
+
+  const sections = [...new Set(results.map(result => result.section))];
+  sections.forEach(section => {
+    exports.assignPositions(results.filter(result => result.section === section), 'sectionPosition');
+  });
+
+  return results.sort((a, b) => String(a.rollNumber).localeCompare(String(b.rollNumber), undefined, { numeric: true }));
+};
@@ -17,13 +17,13 @@ exports.createEventNoticeNotifications = async (eventNotice, creatorId) => {
     
     if (targetAudience.includes('all')) {
       // Target all roles
-      targetRoles = ['admin', 'principal', 'vice-principal', 'teacher', 'student', 'accountant'];
+      targetRoles = ['admin', 'principal', 'vice-principal', 'teacher', 'student', 'accountant', 'parent'];
     } else {
       // Map audience to roles
       const audienceToRoleMap = {
         'teachers': ['teacher'],
         'students': ['student'],
-        'parents': [], // Not implemented yet
+        'parents': ['parent'],
         'staff': ['admin', 'principal', 'vice-principal', 'accountant']
       };
       
@@ -41,7 +41,8 @@ exports.createEventNoticeNotifications = async (eventNotice, creatorId) => {
     // Find all users with the target roles
     const users = await User.find({
       role: { $in: targetRoles },
-      isActive: true,
+      isApproved: true,
+      status: 'active',
       _id: { $ne: creatorId } // Don't notify the creator
     });
     
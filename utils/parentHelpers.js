@@ -0,0 +1,66 @@
+const Parent = require('../models/Parent');
+const Notification = require('../models/Notification');
+
+/**
+ * Get the ids of the students linked to a guardian account
+ * @param {String} userId - ID of the parent user
+ * @returns {Promise<Array>} - Student ObjectIds (empty when the account has no children linked)
+ */
+exports.getLinkedStudentIds = async (userId) => {
+  const parent = await Parent.findOne({ user: userId, isActive: true }).select('students');
+  return parent ? parent.students : [];
+};
+
+/**
+ * Check whether a guardian account is linked to a student
+ * @param {String} userId - ID of the parent user
+ * @param {String} studentId - ID of the student
+ * @returns {Promise<Boolean>}
+ */
+exports.isLinkedStudent = async (userId, studentId) => {
+  const ids = await exports.getLinkedStudentIds(userId);
+  return ids.some(id => id.toString() === studentId.toString());
+};
+
+/**
+ * Notify the active guardians of students
+ * @param {Array} studentIds - IDs of the students the notification is about
+ * @param {Object|Function} notification - Notification fields (type, title, message,
+ *   relatedEntity, priority), or a function of the student id returning them (or null
+ *   to skip the student). A plain object is sent once per guardian, even for siblings.
+ * @returns {Promise<Number>} - Number of notifications created
+ */
+exports.notifyGuardians = async (studentIds, notification) => {
+  try {
+    const ids = studentIds.map(id => id.toString());
+    const parents = await Parent.find({ students: { $in: ids }, isActive: true })
+      .populate('user', 'status isApproved');
+
+    const notifications = [];
+    parents.forEach(parent => {
+      if (!parent.user || parent.user.status !== 'active' || !parent.user.isApproved) return;
+
+      const children = typeof notification === 'function'
+        ? parent.students.filter(id => ids.includes(id.toString()))
+        : [null];
+
+      children.forEach(studentId => {
+        const fields = typeof notification === 'function' ? notification(studentId) : notification;
+        if (!fields) return;
+        notifications.push({
+          ...fields,
+          user: parent.user._id,
+          message: fields.message.substring(0, 500)
+        });
+      });
+    });
+
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications);
+    }
+    return notifications.length;
+  } catch (error) {
+    console.error('Error sending guardian notifications:', error);
+    return 0;
+  }
+};
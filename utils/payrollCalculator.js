@@ -0,0 +1,100 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Count the unpaid days in a set of attendance records
+ * An absence is a full unpaid day, a half-day counts as half. Leave is paid.
+ * @param {Array<Object>} records - Attendance documents for one staff member
+ * @returns {Object} - { absentDays, halfDays, unpaidDays }
+ */
+exports.countUnpaidDays = (records = []) => {
+  // Only count each calendar day once, in case a day was marked twice
+  const days = {};
+  records.forEach(record => {
+    const date = new Date(record.date);
+    const key = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+    if (record.status === 'absent' || (record.status === 'half-day' && days[key] !== 'absent')) {
+      days[key] = record.status;
+    }
+  });
+
+  const statuses = Object.values(days);
+  const absentDays = statuses.filter(status => status === 'absent').length;
+  const halfDays = statuses.filter(status => status === 'half-day').length;
+
+  return {
+    absentDays,
+    halfDays,
+    unpaidDays: absentDays + halfDays / 2
+  };
+};
+
+/**
+ * Work out a staff member's pay for a month
+ * The daily rate is the monthly salary divided by the days in the month.
+ * Staff who joined during the month are not paid for the days before joining.
+ * @param {Object} options - { staff, period, attendance, unpaidLeaveDays }
+ *   staff is a Teacher/AdminStaff/SupportStaff document, period is the result
+ *   of parseMonth, attendance the staff member's Attendance records for the month
+ *   and unpaidLeaveDays the days (YYYY-MM-DD) of approved unpaid leave in the month
+ * @returns {Object} - { baseAmount, allowances, deductions, absentDays, halfDays,
+ *   unpaidLeaveDays, unpaidDays, grossAmount, netAmount } where allowances/deductions are
+ *   [{ reason, amount }] in the shape of Salary.bonuses/deductions
+ */
+exports.calculateStaffPay = ({ staff, period, attendance = [], unpaidLeaveDays = [] }) => {
+  const baseAmount = staff.salary || 0;
+  const daysInMonth = period.end.getDate();
+  const dailyRate = baseAmount / daysInMonth;
+
+  const allowances = (staff.allowances || [])
+    .filter(allowance => allowance.amount > 0)
+    .map(allowance => ({
+      reason: allowance.name,
+      amount: round(allowance.amount)
+    }));
+
+  const deductions = [];
+
+  if (staff.joiningDate && staff.joiningDate > period.start && staff.joiningDate <= period.end) {
+    const daysBeforeJoining = Math.floor((staff.joiningDate - period.start) / DAY_MS);
+    if (daysBeforeJoining > 0) {
+      deductions.push({
+        reason: `Joined on ${staff.joiningDate.toLocaleDateString('en-GB')} (${daysBeforeJoining} days)`,
+        amount: round(dailyRate * daysBeforeJoining)
+      });
+    }
+  }
+
+  const { absentDays, halfDays, unpaidDays: unpaidAttendanceDays } = exports.countUnpaidDays(attendance);
+  // Approved unpaid leave is marked as leave in attendance, so it is counted separately
+  const unpaidLeaveCount = unpaidLeaveDays.length;
+  const unpaidDays = unpaidAttendanceDays + unpaidLeaveCount;
+  if (unpaidDays > 0) {
+    const parts = [];
+    if (absentDays > 0) parts.push(`${absentDays} absent`);
+    if (halfDays > 0) parts.push(`${halfDays} half-day`);
+    if (unpaidLeaveCount > 0) parts.push(`${unpaidLeaveCount} unpaid leave`);
+
+    deductions.push({
+      reason: `Unpaid leave: ${parts.join(', ')}`,
+      amount: round(dailyRate * unpaidDays)
+    });
+  }
+
+  const totalAllowances = allowances.reduce((sum, allowance) => sum + allowance.amount, 0);
+  const totalDeductions = deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+  const grossAmount = round(baseAmount + totalAllowances);
+
+  return {
+    baseAmount,
+    allowances,
+    deductions,
+    absentDays,
+    halfDays,
+    unpaidLeaveDays: unpaidLeaveCount,
+    unpaidDays,
+    grossAmount,
+    netAmount: round(Math.max(0, grossAmount - totalDeductions))
+  };
+};
@@ -0,0 +1,163 @@
+const {
+  createDocument,
+  drawSchoolHeader,
+  drawDetails,
+  drawTable,
+  formatAmount,
+  formatDate,
+  documentToBuffer
+} = require('./pdfHelpers');
+
+const STAFF_TYPE_LABELS = {
+  teacher: 'Teacher',
+  'admin-staff': 'Administrative Staff',
+  'support-staff': 'Support Staff'
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+// "06/2025" -> "June 2025"
+const formatMonth = (value) => {
+  const [month, year] = (value || '').split('/');
+  return MONTH_NAMES[parseInt(month, 10) - 1] ? `${MONTH_NAMES[parseInt(month, 10) - 1]} ${year}` : value;
+};
+
+// Employee details shared by the payslip and the statement
+const staffDetails = (staff, staffType) => [
+  ['Employee Name', staff?.user?.name],
+  ['Employee ID', staff?.employeeId],
+  ['Staff Type', STAFF_TYPE_LABELS[staffType]],
+  ['Designation', staff?.position ? capitalize(staff.position) : ''],
+  ['Joining Date', staff?.joiningDate ? formatDate(staff.joiningDate) : '']
+];
+
+const footer = (doc) => {
+  doc.moveDown(2);
+  doc.font('Helvetica-Oblique').fontSize(8).fillColor('#666666')
+    .text('This is a computer-generated document and does not require a signature.', {
+      align: 'center'
+    });
+};
+
+/**
+ * Render the payslip for one salary record
+ * @param {Object} salary - Salary document with the staff profile (and its user) populated
+ * @param {Object} branding - Result of loadSchoolBranding
+ * @returns {Promise<Buffer>} - PDF contents
+ */
+exports.buildPayslipPdf = async (salary, branding) => {
+  const staff = salary.teacher || salary.adminStaff || salary.supportStaff;
+
+  const doc = createDocument({
+    Title: `Payslip ${formatMonth(salary.month)} - ${staff?.user?.name || ''}`,
+    Subject: 'Payslip'
+  });
+
+  drawSchoolHeader(doc, branding, `PAYSLIP - ${formatMonth(salary.month).toUpperCase()}`);
+
+  drawDetails(doc, staffDetails(staff, salary.staffType));
+
+  doc.moveDown(0.5);
+
+  drawTable(doc, [
+    { header: 'Earnings', width: 0.7 },
+    { header: 'Amount', width: 0.3, align: 'right' }
+  ], [
+    ['Basic salary', formatAmount(salary.baseAmount)],
+    ...(salary.bonuses || []).map(bonus => [bonus.reason, formatAmount(bonus.amount)]),
+    ['Gross Earnings', formatAmount(salary.grossAmount)]
+  ]);
+
+  const totalDeductions = (salary.deductions || []).reduce((sum, item) => sum + item.amount, 0);
+  drawTable(doc, [
+    { header: 'Deductions', width: 0.7 },
+    { header: 'Amount', width: 0.3, align: 'right' }
+  ], [
+    ...(salary.deductions || []).map(deduction => [deduction.reason, formatAmount(deduction.amount)]),
+    ['Total Deductions', formatAmount(totalDeductions)]
+  ]);
+
+  drawTable(doc, [
+    { header: 'Summary', width: 0.7 },
+    { header: 'Amount', width: 0.3, align: 'right' }
+  ], [
+    ['Net Pay', formatAmount(salary.netAmount)],
+    ['Amount Paid', formatAmount(salary.paidAmount)],
+    ['Balance', formatAmount(salary.remainingAmount)]
+  ]);
+
+  drawDetails(doc, [
+    ['Status', capitalize(salary.status)],
+    ['Payment Date', salary.paymentDate ? formatDate(salary.paymentDate) : ''],
+    ['Payment Method', capitalize(salary.paymentMethod)],
+    ['Transaction ID', salary.transactionId],
+    ['Remarks', salary.remarks]
+  ]);
+
+  footer(doc);
+
+  return documentToBuffer(doc);
+};
+
+/**
+ * Render a staff member's salary statement for a calendar year
+ * @param {Object} options - { staff, staffType, year, salaries }
+ *   staff has its user populated; salaries are the year's Salary documents
+ * @param {Object} branding - Result of loadSchoolBranding
+ * @returns {Promise<Buffer>} - PDF contents
+ */
+exports.buildSalaryStatementPdf = async ({ staff, staffType, year, salaries }, branding) => {
+  const doc = createDocument({
+    Title: `Salary Statement ${year} - ${staff?.user?.name || ''}`,
+    Subject: 'Salary Statement'
+  });
+
+  drawSchoolHeader(doc, branding, `ANNUAL SALARY STATEMENT - ${year}`);
+
+  drawDetails(doc, [
+    ...staffDetails(staff, staffType),
+    ['Current Salary', formatAmount(staff?.salary)],
+    ['Issued On', formatDate(new Date())]
+  ]);
+
+  doc.moveDown(0.5);
+
+  const sorted = [...salaries].sort((a, b) => a.month.localeCompare(b.month));
+  const sum = (key) => sorted.reduce((total, salary) => total + (salary[key] || 0), 0);
+
+  drawTable(doc, [
+    { header: 'Month', width: 0.16 },
+    { header: 'Basic', width: 0.14, align: 'right' },
+    { header: 'Gross', width: 0.14, align: 'right' },
+    { header: 'Deductions', width: 0.14, align: 'right' },
+    { header: 'Net', width: 0.14, align: 'right' },
+    { header: 'Paid', width: 0.14, align: 'right' },
+    { header: 'Status', width: 0.14 }
+  ], [
+    ...sorted.map(salary => [
+      formatMonth(salary.month),
+      formatAmount(salary.baseAmount),
+      formatAmount(salary.grossAmount),
+      formatAmount(salary.grossAmount - salary.netAmount),
+      formatAmount(salary.netAmount),
+      formatAmount(salary.paidAmount),
+      capitalize(salary.status)
+    ]),
+    [
+      'Total',
+      formatAmount(sum('baseAmount')),
+      formatAmount(sum('grossAmount')),
+      formatAmount(sum('grossAmount') - sum('netAmount')),
+      formatAmount(sum('netAmount')),
+      formatAmount(sum('paidAmount')),
+      ''
+    ]
+  ]);
+
+  footer(doc);
+
+  return documentToBuffer(doc);
+};
@@ -0,0 +1,224 @@
+const PDFDocument = require('pdfkit');
+const axios = require('axios');
+const SchoolSettings = require('../models/SchoolSettings');
+
+/**
+ * Load the school details printed on generated documents
+ * The logo is downloaded once per document; a missing or unreachable logo
+ * is skipped rather than failing the whole document.
+ * @returns {Promise<Object>} - { name, tagline, address, phone, email, logo }
+ */
+exports.loadSchoolBranding = async () => {
+  const settings = await SchoolSettings.findOne();
+
+  const branding = {
+    name: settings?.schoolName || 'School',
+    tagline: settings?.tagline || '',
+    address: settings?.address
+      ? [settings.address.street, settings.address.city, settings.address.state, settings.address.country]
+        .filter(Boolean)
+        .join(', ')
+      : '',
+    phone: settings?.phone || '',
+    email: settings?.email || '',
+    logo: null
+  };
+
+  if (settings?.logo?.url) {
+    try {
+      const response = await axios.get(settings.logo.url, {
+        responseType: 'arraybuffer',
+        timeout: 10000
+      });
+      branding.logo = Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error loading school logo for PDF:', error.message);
+    }
+  }
+
+  return branding;
+};
+
+/**
+ * Create an A4 PDF document with the standard margins
+ * @param {Object} info - PDF metadata (Title, Subject, ...)
+ * @returns {PDFDocument}
+ */
+exports.createDocument = (info = {}) => {
+  return new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Creator: 'School Management System',
+      ...info
+    }
+  });
+};
+
+/**
+ * Draw the school letterhead at the top of the current page
+ * @param {PDFDocument} doc - The document being written
+ * @param {Object} branding - Result of loadSchoolBranding
+ * @param {String} title - Document title shown under the letterhead
+ */
+exports.drawSchoolHeader = (doc, branding, title) => {
+  const top = doc.page.margins.top;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  let textLeft = left;
+
+  if (branding.logo) {
+    try {
+      doc.image(branding.logo, left, top, { fit: [60, 60] });
+      textLeft = left + 75;
+    } catch (error) {
+      // Unsupported image formats (e.g. SVG, WebP) are left out
+      console.error('Error drawing school logo:', error.message);
+    }
+  }
+
+  const textWidth = width - (textLeft - left);
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#000000')
+    .text(branding.name, textLeft, top, { width: textWidth });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#444444');
+  if (branding.address) {
+    doc.text(branding.address, textLeft, doc.y, { width: textWidth });
+  }
+  const contact = [branding.phone && `Phone: ${branding.phone}`, branding.email && `Email: ${branding.email}`]
+    .filter(Boolean)
+    .join('   ');
+  if (contact) {
+    doc.text(contact, textLeft, doc.y, { width: textWidth });
+  }
+
+  const ruleY = Math.max(doc.y, top + 60) + 10;
+  doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(1).strokeColor('#000000').stroke();
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000')
+    .text(title, left, ruleY + 12, { width, align: 'center' });
+
+  doc.moveDown(1);
+  doc.x = left;
+};
+
+/**
+ * Draw a two-column list of label/value pairs
+ * @param {PDFDocument} doc - The document being written
+ * @param {Array<Array>} rows - [[label, value], ...]
+ */
+exports.drawDetails = (doc, rows) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const labelWidth = 140;
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000')
+      .text(label, left, y, { width: labelWidth });
+    doc.font('Helvetica').fontSize(10)
+      .text(value === undefined || value === null || value === '' ? '-' : String(value), left + labelWidth, y, {
+        width: width - labelWidth
+      });
+    doc.moveDown(0.4);
+  });
+
+  doc.x = left;
+};
+
+/**
+ * Draw a simple table with a shaded header row
+ * Columns are { header, width, align }; widths are fractions of the page width.
+ * @param {PDFDocument} doc - The document being written
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Array<Array>} rows - Cell values, one array per row
+ */
+exports.drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const rowHeight = 20;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, isHeader) => {
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    if (isHeader) {
+      doc.rect(left, y, width, rowHeight).fill('#EEEEEE');
+    }
+
+    let x = left;
+    cells.forEach((cell, index) => {
+      const columnWidth = columns[index].width * width;
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000')
+        .text(cell === undefined || cell === null ? '' : String(cell), x + 4, y + 6, {
+          width: columnWidth - 8,
+          align: columns[index].align || 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+      x += columnWidth;
+    });
+
+    doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight)
+      .lineWidth(0.5).strokeColor('#CCCCCC').stroke();
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(row => drawRow(row, false));
+
+  doc.moveDown(1);
+  doc.x = left;
+};
+
+/**
+ * Format an amount for printing
+ * @param {Number} value - Amount
+ * @returns {String}
+ */
+exports.formatAmount = (value) => {
+  return `Rs. ${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Format a date for printing
+ * @param {Date|String} value - Date
+ * @returns {String}
+ */
+exports.formatDate = (value) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Finish a document and collect it into a Buffer
+ * @param {PDFDocument} doc - The document being written
+ * @returns {Promise<Buffer>}
+ */
+exports.documentToBuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+};
+
+/**
+ * Send a PDF buffer as the response
+ * @param {Object} res - Express response
+ * @param {Buffer} buffer - PDF contents
+ * @param {String} filename - Download file name
+ * @param {Boolean} download - Send as attachment instead of inline
+ */
+exports.sendPdf = (res, buffer, filename, download = false) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.send(buffer);
+};
@@ -0,0 +1,260 @@
+// Load the library entry directly: the package index runs a debug routine
+// (reading a bundled test PDF) when it thinks it is not being required
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const Student = require('../models/Student');
+
+const FEE_TYPE_KEYWORDS = {
+  tuition: /tuition|monthly\s*fee/i,
+  exam: /exam(ination)?/i,
+  transport: /transport|bus|van/i,
+  library: /library/i,
+  laboratory: /lab(oratory)?/i
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Minimum name similarity (0-1) for a fuzzy student match to be accepted
+const NAME_MATCH_THRESHOLD = 0.6;
+
+/**
+ * Extract the plain text content of a PDF
+ * @param {Buffer} buffer - The PDF file contents
+ * @returns {Promise<String>} - Text of all pages
+ */
+exports.extractPdfText = async (buffer) => {
+  // Copy into a standalone array: pdf.js reads the whole underlying ArrayBuffer,
+  // which for small pooled Buffers also holds unrelated bytes
+  const result = await pdfParse(new Uint8Array(buffer));
+  return result.text || '';
+};
+
+// Turn "12/05/2025", "2025-05-12", "12 May 2025" or "May 12, 2025" into a Date.
+// Numeric dates are read day-first, which is how local bank receipts print them.
+const parseDateString = (value) => {
+  if (!value) return null;
+  const str = value.trim();
+  let day;
+  let month;
+  let year;
+
+  let match = str.match(/^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = str.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})$/))) {
+    [, day, month, year] = match;
+  } else if ((match = str.match(/^(\d{1,2})[\s\-]+([A-Za-z]{3,})[\s\-,]+(\d{4})$/))) {
+    day = match[1];
+    month = MONTHS.indexOf(match[2].substring(0, 3).toLowerCase()) + 1;
+    year = match[3];
+  } else if ((match = str.match(/^([A-Za-z]{3,})\s+(\d{1,2}),?\s+(\d{4})$/))) {
+    month = MONTHS.indexOf(match[1].substring(0, 3).toLowerCase()) + 1;
+    day = match[2];
+    year = match[3];
+  } else {
+    return null;
+  }
+
+  day = parseInt(day, 10);
+  month = parseInt(month, 10);
+  year = parseInt(year, 10);
+  if (year < 100) year += 2000;
+
+  if (!month || month > 12 || !day || day > 31) return null;
+
+  const date = new Date(year, month - 1, day);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const DATE_PATTERN = '(\\d{4}[\\/\\-.]\\d{1,2}[\\/\\-.]\\d{1,2}|\\d{1,2}[\\/\\-.]\\d{1,2}[\\/\\-.]\\d{2,4}|\\d{1,2}[\\s\\-]+[A-Za-z]{3,}[\\s\\-,]+\\d{4}|[A-Za-z]{3,}\\s+\\d{1,2},?\\s+\\d{4})';
+
+/**
+ * Pull the fee-related fields out of receipt text
+ * Each field is returned with a confidence between 0 and 1: labelled values
+ * ("Roll No: 123") score high, values guessed from context score lower.
+ * @param {String} text - Raw text extracted from the receipt
+ * @returns {Object} - { fields, confidence }
+ */
+exports.parseReceiptText = (text) => {
+  const fields = {
+    receiptNumber: null,
+    rollNumber: null,
+    studentName: null,
+    className: null,
+    section: null,
+    amount: null,
+    feeType: null,
+    paymentDate: null
+  };
+  const confidence = {
+    receiptNumber: 0,
+    rollNumber: 0,
+    studentName: 0,
+    amount: 0,
+    feeType: 0,
+    paymentDate: 0
+  };
+
+  if (!text) {
+    return { fields, confidence };
+  }
+
+  // Normalise whitespace but keep line breaks, labels are matched per line
+  const normalised = text.replace(/\r/g, '').replace(/[ \t]+/g, ' ');
+
+  const receiptMatch = normalised.match(/(?:receipt|rcpt|voucher|challan)\s*(?:no\.?|number|#|id)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/i);
+  if (receiptMatch) {
+    fields.receiptNumber = receiptMatch[1];
+    confidence.receiptNumber = 0.9;
+  }
+
+  const rollMatch = normalised.match(/\broll\s*(?:no\.?|number|#)?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]*)/i);
+  if (rollMatch) {
+    fields.rollNumber = rollMatch[1];
+    confidence.rollNumber = 0.9;
+  }
+
+  // A plain "Name:" label is only used when there is no student-specific one,
+  // and never when it belongs to the father, guardian or account holder
+  const nameMatch = normalised.match(/(?:student(?:'s)?\s*name|name\s*of\s*(?:the\s*)?student)\s*[:\-]\s*([A-Za-z][A-Za-z .'\-]{1,60})/i) ||
+    normalised.match(/(?<!(?:father|mother|guardian|parent|bank|account|depositor)(?:'s)?\s*)\bname\s*[:\-]\s*([A-Za-z][A-Za-z .'\-]{1,60})/i);
+  if (nameMatch) {
+    fields.studentName = nameMatch[1].trim().replace(/\s+/g, ' ');
+    confidence.studentName = 0.8;
+  }
+
+  const classMatch = normalised.match(/\bclass\s*[:\-]?\s*([0-9]{1,2}|[A-Za-z]+)\b/i);
+  if (classMatch) {
+    fields.className = classMatch[1];
+  }
+
+  const sectionMatch = normalised.match(/\bsection\s*[:\-]?\s*([A-Z])\b/i);
+  if (sectionMatch) {
+    fields.section = sectionMatch[1].toUpperCase();
+  }
+
+  // Prefer an amount next to a "total"/"amount paid" label, otherwise fall
+  // back to the largest currency-prefixed figure on the receipt. A figure that
+  // runs on into a date ("Paid: 12/05/2025") is not an amount.
+  const labelledAmount = normalised.match(/(?:total\s*(?:amount)?(?:\s*paid)?|amount\s*(?:paid|received|deposited)?|net\s*payable|paid)\s*[:\-]?\s*(?:rs\.?|pkr|inr|₹|\$)?\s*([\d,]+(?:\.\d{1,2})?)(?![\d,]|[\/\-.]\d)/i);
+  if (labelledAmount) {
+    fields.amount = parseFloat(labelledAmount[1].replace(/,/g, ''));
+    confidence.amount = 0.9;
+  } else {
+    const currencyAmounts = [...normalised.matchAll(/(?:rs\.?|pkr|inr|₹|\$)\s*([\d,]+(?:\.\d{1,2})?)/gi)]
+      .map(match => parseFloat(match[1].replace(/,/g, '')))
+      .filter(value => !isNaN(value));
+    if (currencyAmounts.length > 0) {
+      fields.amount = Math.max(...currencyAmounts);
+      confidence.amount = 0.5;
+    }
+  }
+  if (fields.amount !== null && (isNaN(fields.amount) || fields.amount <= 0)) {
+    fields.amount = null;
+    confidence.amount = 0;
+  }
+
+  const labelledType = normalised.match(/fee\s*(?:type|head|category)\s*[:\-]?\s*([A-Za-z ]+)/i);
+  const feeTypeSource = labelledType ? labelledType[1] : normalised;
+  const feeType = Object.keys(FEE_TYPE_KEYWORDS).find(type => FEE_TYPE_KEYWORDS[type].test(feeTypeSource));
+  if (feeType) {
+    fields.feeType = feeType;
+    confidence.feeType = labelledType ? 0.9 : 0.6;
+  } else {
+    // Most receipts we receive are for monthly tuition
+    fields.feeType = 'tuition';
+    confidence.feeType = 0.2;
+  }
+
+  // Only dates labelled as the payment date; a due or issue date is not one
+  const labelledDate = normalised.match(new RegExp(`(?:\\b(?:payment|paid|deposit(?:ed)?|transaction|receipt)\\s*date|\\bdate\\s*of\\s*(?:payment|deposit))\\s*[:\\-]?\\s*${DATE_PATTERN}`, 'i'));
+  const anyDate = labelledDate ? null : normalised.match(new RegExp(DATE_PATTERN));
+  const paymentDate = parseDateString((labelledDate || anyDate || [])[1]);
+  if (paymentDate) {
+    fields.paymentDate = paymentDate;
+    confidence.paymentDate = labelledDate ? 0.9 : 0.5;
+  }
+
+  return { fields, confidence };
+};
+
+// Levenshtein distance based similarity between two names (1 = identical)
+const nameSimilarity = (a, b) => {
+  const left = (a || '').toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+  const right = (b || '').toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= left.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= right.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (left[i - 1] === right[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return 1 - previous[right.length] / Math.max(left.length, right.length);
+};
+
+exports.nameSimilarity = nameSimilarity;
+
+/**
+ * Find the student a receipt belongs to
+ * An exact roll number match wins; otherwise the student whose name is
+ * closest to the extracted name (within the extracted class/section, if any).
+ * @param {Object} fields - Fields returned by parseReceiptText
+ * @returns {Promise<Object>} - { student, confidence, matchedBy }
+ */
+exports.matchStudent = async (fields) => {
+  if (fields.rollNumber) {
+    const student = await Student.findOne({ rollNumber: fields.rollNumber }).populate('user', 'name');
+    if (student) {
+      // A roll number whose name disagrees with the receipt is less trustworthy
+      let confidence = 1;
+      if (fields.studentName && nameSimilarity(fields.studentName, student.user?.name) < NAME_MATCH_THRESHOLD) {
+        confidence = 0.7;
+      }
+      return { student, confidence, matchedBy: 'rollNumber' };
+    }
+  }
+
+  if (fields.studentName) {
+    const scope = { isActive: true };
+    if (fields.className) scope.class = fields.className;
+    if (fields.section) scope.section = fields.section;
+
+    let candidates = await Student.find(scope).populate('user', 'name');
+
+    // The class printed on the receipt may be stale, so widen the search
+    if (candidates.length === 0 && (scope.class || scope.section)) {
+      candidates = await Student.find({ isActive: true }).populate('user', 'name');
+    }
+
+    let best = null;
+    let bestScore = 0;
+    candidates.forEach(candidate => {
+      const score = nameSimilarity(fields.studentName, candidate.user?.name);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+
+    if (best && bestScore >= NAME_MATCH_THRESHOLD) {
+      return {
+        student: best,
+        confidence: Math.round(bestScore * 0.9 * 100) / 100,
+        matchedBy: 'name'
+      };
+    }
+  }
+
+  return { student: null, confidence: 0, matchedBy: null };
+};
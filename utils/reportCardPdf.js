@@ -0,0 +1,87 @@
+const {
+  createDocument,
+  drawSchoolHeader,
+  drawDetails,
+  drawTable,
+  formatDate,
+  documentToBuffer
+} = require('./pdfHelpers');
+
+// 1 -> "1st", 2 -> "2nd", 11 -> "11th"
+const ordinal = (value) => {
+  if (!value) return '-';
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = value % 100;
+  return `${value}${lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[value % 10] || 'th')}`;
+};
+
+/**
+ * Render a student's report card for one exam
+ * @param {Object} options - { exam, student, result, classSize, sectionSize }
+ *   student has its user populated; result is the student's entry from compileResults
+ * @param {Object} branding - Result of loadSchoolBranding
+ * @returns {Promise<Buffer>} - PDF contents
+ */
+exports.buildReportCardPdf = async ({ exam, student, result, classSize, sectionSize }, branding) => {
+  const doc = createDocument({
+    Title: `Report Card ${exam.name} - ${student.user?.name || ''}`,
+    Subject: 'Report Card'
+  });
+
+  drawSchoolHeader(doc, branding, `REPORT CARD - ${exam.name.toUpperCase()}`);
+
+  drawDetails(doc, [
+    // The class and section the student sat the exam in, which may have changed since
+    ['Student Name', result.name || student.user?.name],
+    ['Roll Number', result.rollNumber || student.rollNumber],
+    ['Class', `${exam.class}${result.section ? ` - ${result.section}` : ''}`],
+    ["Father's Name", student.parentInfo?.fatherName],
+    ['Term', exam.term],
+    ['Exam Dates', exam.startDate ? `${formatDate(exam.startDate)} to ${formatDate(exam.endDate || exam.startDate)}` : '']
+  ]);
+
+  doc.moveDown(0.5);
+
+  drawTable(doc, [
+    { header: 'Subject', width: 0.34 },
+    { header: 'Max Marks', width: 0.14, align: 'right' },
+    { header: 'Obtained', width: 0.14, align: 'right' },
+    { header: '%', width: 0.12, align: 'right' },
+    { header: 'Grade', width: 0.1, align: 'center' },
+    { header: 'Result', width: 0.16 }
+  ], [
+    ...result.subjects.map(subject => [
+      subject.subject,
+      subject.maxMarks,
+      subject.isAbsent ? 'Absent' : (subject.entered ? subject.marksObtained : '-'),
+      subject.entered ? subject.percentage.toFixed(2) : '-',
+      subject.entered ? subject.grade : '-',
+      subject.entered ? (subject.passed ? 'Pass' : 'Fail') : 'Pending'
+    ]),
+    ['Total', result.maxTotal, result.total, result.percentage.toFixed(2), result.grade, result.passed ? 'Pass' : 'Fail']
+  ]);
+
+  drawDetails(doc, [
+    ['Overall Grade', `${result.grade}${result.gradeRemarks ? ` (${result.gradeRemarks})` : ''}`],
+    ['Result', result.passed ? 'Passed' : 'Failed'],
+    ['Class Position', classSize ? `${ordinal(result.position)} of ${classSize}` : ordinal(result.position)],
+    ['Section Position', sectionSize ? `${ordinal(result.sectionPosition)} of ${sectionSize}` : ordinal(result.sectionPosition)],
+    ['Issued On', formatDate(new Date())]
+  ]);
+
+  // Signature lines
+  doc.moveDown(3);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const y = doc.y;
+  const lineWidth = 150;
+
+  doc.moveTo(left, y).lineTo(left + lineWidth, y).lineWidth(0.5).strokeColor('#000000').stroke();
+  doc.moveTo(left + width - lineWidth, y).lineTo(left + width, y).stroke();
+
+  doc.font('Helvetica').fontSize(9).fillColor('#000000')
+    .text('Class Teacher', left, y + 5, { width: lineWidth, align: 'center' })
+    .text('Principal', left + width - lineWidth, y + 5, { width: lineWidth, align: 'center' });
+
+  return documentToBuffer(doc);
+};
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Send an email through the SMTP server configured in the environment
+ * @param {Object} options - { to, subject, text, html, attachments }
+ * @returns {Promise<Object>} - Nodemailer send result
+ */
+const sendEmail = async (options) => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('Email is not configured. Please set SMTP_HOST and related settings.');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      }
+      : undefined
+  });
+
+  return transporter.sendMail({
+    from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+    to: options.to,
+    subject: options.subject,
+    text: options.text,
+    html: options.html,
+    attachments: options.attachments
+  });
+};
+
+module.exports = sendEmail;
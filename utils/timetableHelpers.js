@@ -0,0 +1,142 @@
+const Attendance = require('../models/Attendance');
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+exports.WEEKDAY_NAMES = WEEKDAY_NAMES;
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+const describeSlot = (slot) => `class ${slot.class}-${slot.section} (${slot.subject}) on ${WEEKDAY_NAMES[slot.dayOfWeek]} period ${slot.period}`;
+
+/**
+ * Find the clashes a set of lessons would cause
+ * A clash is a teacher, a class section or a room booked twice in the same
+ * period of the same day. Each lesson is checked against the existing
+ * timetable and against the lessons before it in the set.
+ * @param {Array<Object>} slots - Lessons to check: { _id?, class, section, dayOfWeek, period, subject, teacher, room }
+ * @param {Array<Object>} existing - Lessons already in the timetable; a lesson is never compared with itself (same _id)
+ * @returns {Array<Object>} - [{ type: 'teacher'|'class'|'room', dayOfWeek, period, slot, clashesWith, message }]
+ */
+exports.findClashes = (slots, existing = []) => {
+  const clashes = [];
+
+  slots.forEach((slot, index) => {
+    const others = [...existing, ...slots.slice(0, index)].filter(other =>
+      other.dayOfWeek === slot.dayOfWeek &&
+      other.period === slot.period &&
+      (!slot._id || idOf(other._id) !== idOf(slot._id))
+    );
+
+    others.forEach(other => {
+      if (idOf(other.teacher) === idOf(slot.teacher)) {
+        clashes.push({
+          type: 'teacher',
+          dayOfWeek: slot.dayOfWeek,
+          period: slot.period,
+          slot,
+          clashesWith: other,
+          message: `Teacher is already teaching ${describeSlot(other)}`
+        });
+      }
+      if (other.class === slot.class && other.section === slot.section) {
+        clashes.push({
+          type: 'class',
+          dayOfWeek: slot.dayOfWeek,
+          period: slot.period,
+          slot,
+          clashesWith: other,
+          message: `Class ${slot.class}-${slot.section} already has ${other.subject} on ${WEEKDAY_NAMES[slot.dayOfWeek]} period ${slot.period}`
+        });
+      }
+      if (slot.room && other.room && slot.room.toLowerCase() === other.room.toLowerCase()) {
+        clashes.push({
+          type: 'room',
+          dayOfWeek: slot.dayOfWeek,
+          period: slot.period,
+          slot,
+          clashesWith: other,
+          message: `Room ${slot.room} is already used by ${describeSlot(other)}`
+        });
+      }
+    });
+  });
+
+  return clashes;
+};
+
+/**
+ * Find the days of the week (Monday to Sunday) that contain a date
+ * @param {Date} date - Any date in the week
+ * @returns {Object} - { start, end, days } where days maps day of the week (0-6) to its day key
+ */
+exports.getWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+  const end = new Date(start);
+  end.setDate(end.getDate() + 6);
+  end.setHours(23, 59, 59, 999);
+
+  const days = {};
+  for (let offset = 0; offset < 7; offset++) {
+    const current = new Date(start);
+    current.setDate(start.getDate() + offset);
+    days[current.getDay()] = Attendance.dayKey(current);
+  }
+
+  return { start, end, days };
+};
+
+/**
+ * Lay lessons out as a weekly timetable, Monday first
+ * @param {Object} options - { slots, bellSchedule, weeklyOffDays, week, calendar, substitutions }
+ *   slots are the lessons to show; bellSchedule is SchoolSettings.timetable.bellSchedule.
+ *   With week (from getWeek) and calendar (from loadCalendar), days carry their
+ *   date and holidays; substitutions (TimetableSubstitution documents for the
+ *   week) are shown on the lessons they cover.
+ * @returns {Array<Object>} - [{ dayOfWeek, name, day, working, reason, periods: [{ period, label, startTime, endTime, isBreak, lessons }] }]
+ *   Without a week, weekly off days with no lessons are left out.
+ */
+exports.buildWeeklyTimetable = ({ slots, bellSchedule = [], weeklyOffDays = [0], week = null, calendar = null, substitutions = [] }) => {
+  const schedule = [...bellSchedule].sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  return [1, 2, 3, 4, 5, 6, 0].map(dayOfWeek => {
+    const day = week ? week.days[dayOfWeek] : null;
+    const info = day && calendar ? calendar.getDay(day) : null;
+    const working = info ? info.working : !weeklyOffDays.includes(dayOfWeek);
+
+    const periods = schedule.map(entry => {
+      const lessons = entry.isBreak
+        ? []
+        : slots.filter(slot => slot.dayOfWeek === dayOfWeek && slot.period === entry.period);
+
+      return {
+        period: entry.isBreak ? null : entry.period,
+        label: entry.label || (entry.isBreak ? 'Break' : `Period ${entry.period}`),
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        isBreak: entry.isBreak,
+        lessons: lessons.map(slot => {
+          const substitution = day
+            ? substitutions.find(sub => idOf(sub.slot) === idOf(slot._id) && sub.day === day)
+            : null;
+
+          return {
+            ...(slot.toObject ? slot.toObject() : slot),
+            substitution: substitution || null
+          };
+        })
+      };
+    });
+
+    return {
+      dayOfWeek,
+      name: WEEKDAY_NAMES[dayOfWeek],
+      day,
+      working,
+      reason: info ? info.reason : (working ? null : WEEKDAY_NAMES[dayOfWeek]),
+      periods
+    };
+  }).filter(day => week || day.working || day.periods.some(period => period.lessons.length > 0));
+};